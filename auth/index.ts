@@ -14,6 +14,9 @@
  * limitations under the License.
  */
 
+import TokenVendor = require('../lib/token-vendor');
+import VendedTokenAuthenticator = require('../lib/vended-token-authenticator');
+
 export {
   NoAuthAuthenticator,
   BasicAuthenticator,
@@ -24,3 +27,5 @@ export {
   Cp4dTokenManager,
   getAuthenticatorFromEnvironment,
 } from 'ibm-cloud-sdk-core';
+
+export { TokenVendor, VendedTokenAuthenticator };
@@ -15,7 +15,8 @@
  */
 
 import { IncomingHttpHeaders, OutgoingHttpHeaders } from 'http';
-import { Authenticator, BaseService, TokenRequestBasedAuthenticator, UserOptions } from 'ibm-cloud-sdk-core';
+import { Authenticator, TokenRequestBasedAuthenticator, UserOptions } from 'ibm-cloud-sdk-core';
+import BaseService = require('../lib/base-service');
 import url = require('url');
 
 class AuthorizationV1 extends BaseService {
@@ -49,13 +50,28 @@ class AuthorizationV1 extends BaseService {
    *
    * @param {Object} [options]
    * @param {String} [options.url] defaults to url supplied to constructor (if any)
-   * @param {Function(err, token)} callback - called with a %-encoded token if CF
+   * @param {Function(err, token)} [callback] - called with a %-encoded token if CF
+   * @return {Promise<string|GetTokenResponse>} - resolves to the same value as the callback gets: the access token,
+   * or the response with the %-encoded token as `result` if CF; only rejects when no callback is given
    */
-  getToken(params: AuthorizationV1.GetTokenParams | AuthorizationV1.GetTokenCallback, callback?: AuthorizationV1.GetTokenCallback) {
+  getToken(
+    params?: AuthorizationV1.GetTokenParams | AuthorizationV1.GetTokenCallback,
+    callback?: AuthorizationV1.GetTokenCallback
+  ): Promise<string | AuthorizationV1.GetTokenResponse> {
     if (typeof params === 'function') {
       callback = params;
       params = { url: this.targetUrl };
     }
+    params = params || { url: this.targetUrl };
+
+    // callers that pass a callback get the error there, instead of an unhandled rejection
+    const fail = (err: Error): Promise<undefined> => {
+      if (callback) {
+        callback(err);
+        return Promise.resolve(undefined);
+      }
+      return Promise.reject(err);
+    };
 
     const authenticator = this.getAuthenticator();
 
@@ -64,18 +80,19 @@ class AuthorizationV1 extends BaseService {
       const options = { headers: {} };
       return authenticator.authenticate(options).then(
         () => {
-          callback(null, parseTokenFromHeader(options.headers));
+          const token = parseTokenFromHeader(options.headers);
+          if (callback) {
+            callback(null, token);
+          }
+          return token;
         },
-        err => {
-          callback(err);
-        }
+        fail
       );
     }
 
     // otherwise, return a CF Watson token
     if (!params.url) {
-      callback(new Error('Missing required parameters: url'));
-      return;
+      return fail(new Error('Missing required parameters: url'));
     }
     const parameters = {
       options: {
@@ -86,12 +103,12 @@ class AuthorizationV1 extends BaseService {
     };
     return this.createRequest(parameters).then(
       res => {
-        callback(null, res);
+        if (callback) {
+          callback(null, res);
+        }
         return res;
       },
-      err => {
-        callback(err);
-      }
+      fail
     );
   }
 }
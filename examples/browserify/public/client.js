@@ -7,30 +7,24 @@
 // * The require('ibm-watson/language_translator/v3') could also be written as require('ibm-watson').LanguageTranslatorV3,
 //   but that version results in a much larger bundle size.
 //
-// * Tokens expire after 1 hour. This demo simply fetches a new one for each translation rather than keeping a fresh one.
+// * Tokens expire after 1 hour. The VendedTokenAuthenticator fetches one from the server's TokenVendor when first needed,
+//   and a new one shortly before it expires.
 //
 // * fetch() is a modern version of XMLHttpRequest. A pollyfill is available for older browsers: https://github.com/github/fetch
 
 const ToneAnalyzerV3 = require('ibm-watson/tone-analyzer/v3');
-const { BearerTokenAuthenticator } = require('ibm-watson/auth');
+const { VendedTokenAuthenticator } = require('ibm-watson/auth');
 
 const btn = document.getElementById('analyze-btn');
 const input = document.getElementById('input');
 const output = document.getElementById('output');
 
-/**
- * @return {Promise<String>} returns a promise that resolves to a string token
- */
-function getToken() {
-  return fetch('/api/token').then(resp => resp.json());
-}
+const authenticator = new VendedTokenAuthenticator({ url: '/api/token' });
 
-function analyze(credentials) {
+function analyze({ url }) {
   const toneAnalyzer = new ToneAnalyzerV3({
-    authenticator: new BearerTokenAuthenticator({
-      bearerToken: credentials.accessToken,
-    }),
-    url: credentials.url,
+    authenticator,
+    url,
     version: '2016-05-19',
   });
   toneAnalyzer
@@ -47,5 +41,6 @@ function analyze(credentials) {
 }
 
 btn.onclick = function () {
-  getToken().then(analyze);
+  // the token also tells the URL of the service
+  authenticator.getToken().then(analyze);
 };
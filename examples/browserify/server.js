@@ -3,15 +3,17 @@ require('dotenv').config({ silent: true });
 const express = require('express');
 const app = express();
 const expressBrowserify = require('express-browserify');
-const { IamTokenManager } = require('ibm-watson/auth');
+const { IamAuthenticator, TokenVendor } = require('ibm-watson/auth');
 
 if (!process.env.TONE_ANALYZER_APIKEY) {
   console.log('This example requires the TONE_ANALYZER_APIKEY environment variable');
   process.exit(1);
 }
 
-const toneAuthenticator = new IamTokenManager({
-  apikey: process.env.TONE_ANALYZER_APIKEY,
+// caches the token until shortly before it expires
+const tokenVendor = new TokenVendor({
+  authenticator: new IamAuthenticator({ apikey: process.env.TONE_ANALYZER_APIKEY }),
+  serviceUrl: process.env.TONE_ANALYZER_URL,
 });
 
 const isDev = app.get('env') === 'development';
@@ -25,14 +27,7 @@ app.get(
 
 app.use(express.static('public/'));
 
-app.get('/api/token', function (req, res) {
-  return toneAuthenticator
-    .requestToken()
-    .then(({ result }) => {
-      res.json({ accessToken: result.access_token, url: process.env.TONE_ANALYZER_URL });
-    })
-    .catch(console.error);
-});
+app.get('/api/token', tokenVendor.handler());
 
 const port = process.env.PORT || process.env.VCAP_APP_PORT || 3000;
 app.listen(port, function () {
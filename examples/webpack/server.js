@@ -2,7 +2,7 @@ require('dotenv').config({ silent: true });
 const express = require('express');
 const app = express();
 
-const { IamTokenManager } = require('ibm-watson/auth');
+const { IamAuthenticator, TokenVendor } = require('ibm-watson/auth');
 
 const webpackDevMiddleware = require('webpack-dev-middleware');
 const webpack = require('webpack');
@@ -15,8 +15,10 @@ if (!process.env.TONE_ANALYZER_APIKEY) {
   process.exit(1);
 }
 
-const toneAuthenticator = new IamTokenManager({
-  apikey: process.env.TONE_ANALYZER_APIKEY,
+// caches the token until shortly before it expires
+const tokenVendor = new TokenVendor({
+  authenticator: new IamAuthenticator({ apikey: process.env.TONE_ANALYZER_APIKEY }),
+  serviceUrl: process.env.TONE_ANALYZER_URL,
 });
 
 app.use(
@@ -27,14 +29,7 @@ app.use(
 
 app.use(express.static('public/'));
 
-app.get('/api/token', function (req, res) {
-  return toneAuthenticator
-    .requestToken()
-    .then(({ result }) => {
-      res.json({ accessToken: result.access_token, url: process.env.TONE_ANALYZER_URL });
-    })
-    .catch(console.error);
-});
+app.get('/api/token', tokenVendor.handler());
 
 const port = process.env.PORT || 3000;
 app.listen(port, function () {
@@ -0,0 +1,278 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import fs = require('fs');
+import { Transform, TransformOptions } from 'stream';
+import {
+  getSampleFormat,
+  getWavSampleFormat,
+  parseContentType,
+  parseWavHeader,
+  SampleFormat,
+  WavFormat
+} from './audio-utils';
+
+const WAV_TYPES = ['audio/wav', 'audio/wave', 'audio/x-wav'];
+
+// size fields that aren't known yet while streaming
+const UNKNOWN_SIZE = 0xffffffff;
+
+// encoding codes of the AU format
+const AU_ENCODINGS = { mulaw: 1, pcm: 3, alaw: 27 };
+const AU_HEADER_LENGTH = 24;
+
+/**
+ * pipe()-able Node.js Transform stream - turns synthesized audio into a file that can be streamed.
+ *
+ * wav audio keeps its header, but with its size fields set to "unknown" so that players don't stop early. Headerless
+ * `audio/l16`, `audio/mulaw` and `audio/alaw` audio is wrapped in a wav (default) or AU container. Either way, nothing
+ * is held in memory except the header.
+ *
+ * When the output is piped into a file (`fs.createWriteStream()`), the header is rewritten with the real sizes once
+ * the file has been written, and a `finalized` event is emitted. For other outputs, `getHeader()` returns the final
+ * header after the stream has ended.
+ *
+ * The `format` event is emitted with the format of the audio before the first byte is pushed.
+ */
+class AudioContainerStream extends Transform {
+  static ERROR_UNSUPPORTED_FORMAT: string = 'UNSUPPORTED_FORMAT';
+
+  contentType: string;
+  private container: AudioContainerStream.Container;
+  private format: AudioContainerStream.Format;
+  private rawFormat: SampleFormat;
+  private header: Buffer;
+  private headerBuffer: Buffer;
+  private dataSizeOffset: number;
+  private dataLength: number;
+  private swapBytes: boolean;
+  private remainder: Buffer;
+
+  /**
+   * @param {Options} options
+   * @param {string} options.contentType - The MIME type of the input, i.e. the `accept` parameter of the synthesis
+   * @param {string} [options.container] - The container for headerless input, either `wav` or `au` (default='wav'). wav input always stays wav
+   * @constructor
+   */
+  constructor(options: AudioContainerStream.Options) {
+    super(options);
+    const { type, params } = parseContentType(options.contentType);
+    this.dataLength = 0;
+    this.remainder = Buffer.alloc(0);
+    this.swapBytes = false;
+
+    if (WAV_TYPES.indexOf(type) !== -1) {
+      this.container = 'wav';
+      this.headerBuffer = Buffer.alloc(0);
+    } else {
+      const format = getSampleFormat(options.contentType);
+      if (!format || !format.sampleRate) {
+        throw unsupported(`Unsupported content type: ${options.contentType}`);
+      }
+      // the text to speech service sends little-endian l16 unless asked otherwise
+      if (format.encoding === 'pcm' && !params.endianness) {
+        format.endianness = 'little';
+      }
+      this.container = options.container || 'wav';
+      // wav samples are little-endian, AU samples big-endian
+      this.swapBytes = format.bitDepth === 16 && format.endianness !== (this.container === 'wav' ? 'little' : 'big');
+      this.rawFormat = format;
+    }
+    this.contentType = this.container === 'wav' ? 'audio/wav' : 'audio/basic';
+  }
+
+  _transform(chunk: Buffer, encoding, callback): void {
+    if (!this.header && this.rawFormat) {
+      this.setFormat(this.rawFormat);
+    } else if (!this.header) {
+      // wait until the whole wav header has arrived
+      this.headerBuffer = Buffer.concat([this.headerBuffer, chunk]);
+      const wav = parseWavHeader(this.headerBuffer);
+      if (!wav) {
+        return callback();
+      }
+      const format = getWavSampleFormat(wav);
+      if (!format) {
+        return callback(unsupported(`Unsupported wav format ${wav.audioFormat}`));
+      }
+      this.setFormat(format, wav);
+      chunk = this.headerBuffer.slice(wav.dataOffset);
+      this.headerBuffer = null;
+    }
+
+    if (this.swapBytes) {
+      const data = this.remainder.length ? Buffer.concat([this.remainder, chunk]) : chunk;
+      const length = data.length - (data.length % 2);
+      this.remainder = data.slice(length);
+      chunk = Buffer.from(data.slice(0, length)).swap16();
+    }
+    this.dataLength += chunk.length;
+    if (chunk.length) {
+      this.push(chunk);
+    }
+    callback();
+  }
+
+  _flush(callback): void {
+    if (!this.header && this.rawFormat) {
+      this.setFormat(this.rawFormat);
+    }
+    if (!this.header) {
+      return callback(unsupported('Input ended before the end of the wav header.'));
+    }
+    callback();
+  }
+
+  /**
+   * Returns the header with the real sizes, once the stream has ended.
+   *
+   * @return {Buffer}
+   */
+  getHeader(): Buffer {
+    const header = Buffer.from(this.header);
+    if (this.container === 'wav') {
+      header.writeUInt32LE(this.header.length - 8 + this.dataLength, 4);
+      header.writeUInt32LE(this.dataLength, this.dataSizeOffset);
+    } else {
+      header.writeUInt32BE(this.dataLength, this.dataSizeOffset);
+    }
+    return header;
+  }
+
+  /**
+   * Writes the final header over the start of a file that the output was saved to.
+   *
+   * @param {string} path - the path of the file
+   * @return {Promise<void>}
+   */
+  async rewriteHeader(path: string): Promise<void> {
+    const file = await fs.promises.open(path, 'r+');
+    try {
+      const header = this.getHeader();
+      await file.write(header, 0, header.length, 0);
+    } finally {
+      await file.close();
+    }
+  }
+
+  pipe<T extends NodeJS.WritableStream>(destination: T, options?: { end?: boolean }): T {
+    if (fs.WriteStream && destination instanceof fs.WriteStream) {
+      const path = destination.path.toString();
+      destination.once('close', () =>
+        this.rewriteHeader(path).then(
+          () => {
+            /**
+             * Emitted once the header of a file that the output was piped into has been rewritten with the real sizes.
+             * @event AudioContainerStream#finalized
+             * @param {string} path
+             */
+            this.emit('finalized', path);
+          },
+          err => this.emit('error', err)
+        )
+      );
+    }
+    return super.pipe(destination, options);
+  }
+
+  private setFormat(sampleFormat: SampleFormat, wav?: WavFormat): void {
+    this.format = Object.assign({ container: this.container }, sampleFormat);
+    if (wav) {
+      // keep the original header, including any extra chunks, with the sizes marked as unknown
+      this.header = Buffer.from(this.headerBuffer.slice(0, wav.dataOffset));
+      this.dataSizeOffset = wav.dataOffset - 4;
+    } else if (this.container === 'wav') {
+      this.header = createWavHeader(sampleFormat);
+      this.dataSizeOffset = this.header.length - 4;
+    } else {
+      this.header = createAuHeader(sampleFormat);
+      this.dataSizeOffset = 8;
+    }
+    if (this.container === 'wav') {
+      this.header.writeUInt32LE(UNKNOWN_SIZE, 4);
+      this.header.writeUInt32LE(UNKNOWN_SIZE, this.dataSizeOffset);
+    }
+    /**
+     * Emitted with the format of the audio, before any of it is pushed.
+     * @event AudioContainerStream#format
+     * @param {Format} format
+     */
+    this.emit('format', this.format);
+    this.push(this.header);
+  }
+}
+
+/**
+ * @private
+ */
+function createWavHeader(format: SampleFormat): Buffer {
+  const pcm = format.encoding === 'pcm';
+  // non-PCM formats have an extra (empty) extension field in the fmt chunk
+  const fmtLength = pcm ? 16 : 18;
+  const header = Buffer.alloc(20 + fmtLength + 8);
+  const blockAlign = (format.bitDepth / 8) * format.channels;
+  header.write('RIFF', 0, 'ascii');
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(fmtLength, 16);
+  header.writeUInt16LE({ pcm: 1, alaw: 6, mulaw: 7 }[format.encoding], 20);
+  header.writeUInt16LE(format.channels, 22);
+  header.writeUInt32LE(format.sampleRate, 24);
+  header.writeUInt32LE(format.sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(format.bitDepth, 34);
+  header.write('data', 20 + fmtLength, 'ascii');
+  return header;
+}
+
+/**
+ * @private
+ */
+function createAuHeader(format: SampleFormat): Buffer {
+  const header = Buffer.alloc(AU_HEADER_LENGTH);
+  header.write('.snd', 0, 'ascii');
+  header.writeUInt32BE(AU_HEADER_LENGTH, 4);
+  // AU allows the data size to stay unknown
+  header.writeUInt32BE(UNKNOWN_SIZE, 8);
+  header.writeUInt32BE(AU_ENCODINGS[format.encoding], 12);
+  header.writeUInt32BE(format.sampleRate, 16);
+  header.writeUInt32BE(format.channels, 20);
+  return header;
+}
+
+/**
+ * @private
+ */
+function unsupported(message: string): Error {
+  const err = new Error(message);
+  err.name = AudioContainerStream.ERROR_UNSUPPORTED_FORMAT;
+  return err;
+}
+
+namespace AudioContainerStream {
+  export type Container = 'wav' | 'au';
+
+  export interface Format extends SampleFormat {
+    container: Container;
+  }
+
+  export interface Options extends TransformOptions {
+    contentType: string;
+    container?: Container;
+  }
+}
+
+export = AudioContainerStream;
@@ -0,0 +1,243 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import { Transform, TransformOptions } from 'stream';
+import { decodeFrames, getSampleFormat, getWavSampleFormat, parseWavHeader, SampleFormat } from './audio-utils';
+
+/**
+ * pipe()-able Node.js Transform stream - accepts audio in a variety of uncompressed formats and emits 16-bit mono
+ * `audio/l16` at the sample rate of the speech recognition model.
+ *
+ * Accepts wav files (8, 16, 24 or 32-bit integer PCM, 32 or 64-bit float, mu-law and a-law) and headerless audio
+ * whose format is declared with the `inputFormat` option. Multiple channels are mixed down to mono, and the audio is
+ * resampled with linear interpolation (after a moving average low-pass filter when downsampling), which is plenty for
+ * speech.
+ *
+ * The `contentType` property holds the MIME type of the output. A RecognizeStream that this stream is piped into
+ * picks it up automatically.
+ */
+class AudioConverterStream extends Transform {
+  static ERROR_UNSUPPORTED_FORMAT: string = 'UNSUPPORTED_FORMAT';
+
+  contentType: string;
+  private sampleRate: number;
+  private inputFormat: AudioConverterStream.InputFormat;
+  private headerBuffer: Buffer;
+  private remainder: Buffer;
+  private resample: (input: Float32Array) => Float32Array;
+
+  /**
+   * @param {Options} [options]
+   * @param {number} [options.sampleRate] - The sample rate of the output (default=8000 for narrowband and telephony models, otherwise 16000)
+   * @param {string} [options.model] - The speech recognition model the audio is meant for, used to pick the sample rate
+   * @param {InputFormat|string} [options.inputFormat] - The format of headerless input audio, either as an object or as a MIME type such as `audio/l16;rate=8000` or `audio/mulaw;rate=8000`. If omitted, the input must be a wav file
+   * @constructor
+   */
+  constructor(options?: AudioConverterStream.Options) {
+    options = options || {};
+    super(options);
+    this.sampleRate = options.sampleRate || getModelSampleRate(options.model);
+    this.contentType = `audio/l16;rate=${this.sampleRate};channels=1;endianness=little-endian`;
+    this.headerBuffer = Buffer.alloc(0);
+    this.remainder = Buffer.alloc(0);
+    if (typeof options.inputFormat === 'string') {
+      const format = getSampleFormat(options.inputFormat);
+      if (!format) {
+        throw unsupported(`Unsupported input content type: ${options.inputFormat}`);
+      }
+      this.setInputFormat(format);
+    } else if (options.inputFormat) {
+      this.setInputFormat(options.inputFormat);
+    }
+  }
+
+  _transform(chunk: Buffer, encoding, callback): void {
+    if (!this.inputFormat) {
+      // wait until the whole wav header has arrived
+      this.headerBuffer = Buffer.concat([this.headerBuffer, chunk]);
+      if (this.headerBuffer.length >= 4 && this.headerBuffer.toString('ascii', 0, 4) !== 'RIFF') {
+        return callback(
+          unsupported('Input is not a wav file, please specify the inputFormat option.')
+        );
+      }
+      const wav = parseWavHeader(this.headerBuffer);
+      if (!wav) {
+        return callback();
+      }
+      const format = getWavSampleFormat(wav);
+      if (!format) {
+        return callback(
+          unsupported(`Unsupported wav format ${wav.audioFormat} with ${wav.bitsPerSample} bits per sample.`)
+        );
+      }
+      try {
+        this.setInputFormat(format);
+      } catch (err) {
+        return callback(err);
+      }
+      chunk = this.headerBuffer.slice(wav.dataOffset);
+      this.headerBuffer = null;
+    }
+
+    const data = this.remainder.length ? Buffer.concat([this.remainder, chunk]) : chunk;
+    const frameSize = (this.inputFormat.bitDepth / 8) * this.inputFormat.channels;
+    const frames = Math.floor(data.length / frameSize);
+    this.remainder = data.slice(frames * frameSize);
+
+    const samples = this.resample(decodeFrames(data, frames, this.inputFormat));
+    if (samples.length) {
+      this.push(encodeL16(samples));
+    }
+    callback();
+  }
+
+  _flush(callback): void {
+    if (!this.inputFormat && this.headerBuffer.length) {
+      return callback(unsupported('Input ended before the end of the wav header.'));
+    }
+    callback();
+  }
+
+  private setInputFormat(format: AudioConverterStream.InputFormat): void {
+    const inputFormat: AudioConverterStream.InputFormat = Object.assign(
+      { channels: 1, endianness: 'little' },
+      format
+    );
+    if (inputFormat.encoding === 'mulaw' || inputFormat.encoding === 'alaw') {
+      inputFormat.bitDepth = 8;
+    }
+    if (!inputFormat.bitDepth && inputFormat.encoding === 'pcm') {
+      inputFormat.bitDepth = 16;
+    }
+    if (!inputFormat.bitDepth && inputFormat.encoding === 'float') {
+      inputFormat.bitDepth = 32;
+    }
+    const supported =
+      inputFormat.sampleRate > 0 &&
+      inputFormat.channels > 0 &&
+      ((inputFormat.encoding === 'pcm' && [8, 16, 24, 32].indexOf(inputFormat.bitDepth) !== -1) ||
+        (inputFormat.encoding === 'float' && [32, 64].indexOf(inputFormat.bitDepth) !== -1) ||
+        inputFormat.encoding === 'mulaw' ||
+        inputFormat.encoding === 'alaw');
+    if (!supported) {
+      throw unsupported(`Unsupported input format: ${JSON.stringify(inputFormat)}`);
+    }
+    this.inputFormat = inputFormat;
+    this.resample = createResampler(inputFormat.sampleRate, this.sampleRate);
+    /**
+     * Emitted once the format of the input audio is known.
+     * @event AudioConverterStream#format
+     * @param {InputFormat} format
+     */
+    this.emit('format', inputFormat);
+  }
+
+}
+
+/**
+ * Creates a function that resamples consecutive chunks of audio, keeping enough state between calls to continue
+ * seamlessly at chunk boundaries.
+ * @private
+ */
+function createResampler(inputRate: number, outputRate: number): (input: Float32Array) => Float32Array {
+  const ratio = inputRate / outputRate;
+  const filterWidth = ratio > 1 ? Math.round(ratio) : 1;
+  const history: number[] = [];
+  let position = 0;
+  let last = 0;
+
+  // moving average, so that frequencies above the new Nyquist rate don't alias when downsampling
+  const lowPass = (input: Float32Array): Float32Array => {
+    if (filterWidth === 1) {
+      return input;
+    }
+    const output = new Float32Array(input.length);
+    for (let i = 0; i < input.length; i++) {
+      history.push(input[i]);
+      if (history.length > filterWidth) {
+        history.shift();
+      }
+      let sum = 0;
+      history.forEach(sample => (sum += sample));
+      output[i] = sum / history.length;
+    }
+    return output;
+  };
+
+  return (input: Float32Array): Float32Array => {
+    if (ratio === 1) {
+      return input;
+    }
+    const filtered = lowPass(input);
+    const n = filtered.length;
+    const output: number[] = [];
+
+    // sample -1 is the last sample of the previous chunk
+    while (Math.floor(position) + 1 < n) {
+      const index = Math.floor(position);
+      const fraction = position - index;
+      const before = index < 0 ? last : filtered[index];
+      output.push(before + (filtered[index + 1] - before) * fraction);
+      position += ratio;
+    }
+    if (n) {
+      position -= n;
+      last = filtered[n - 1];
+    }
+    return Float32Array.from(output);
+  };
+}
+
+/**
+ * @private
+ */
+function encodeL16(samples: Float32Array): Buffer {
+  const output = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    // scale the same way the samples were decoded so that 16-bit input passes through unchanged
+    output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(samples[i] * 32768))), i * 2);
+  }
+  return output;
+}
+
+/**
+ * Narrowband and telephony models expect 8kHz audio, all others 16kHz.
+ * @private
+ */
+function getModelSampleRate(model?: string): number {
+  return /Narrowband|Telephony/.test(model || '') ? 8000 : 16000;
+}
+
+/**
+ * @private
+ */
+function unsupported(message: string): Error {
+  const err = new Error(message);
+  err.name = AudioConverterStream.ERROR_UNSUPPORTED_FORMAT;
+  return err;
+}
+
+namespace AudioConverterStream {
+  export type InputFormat = SampleFormat;
+
+  export interface Options extends TransformOptions {
+    sampleRate?: number;
+    model?: string;
+    inputFormat?: InputFormat | string;
+  }
+}
+
+export = AudioConverterStream;
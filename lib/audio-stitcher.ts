@@ -0,0 +1,273 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+// the Ogg page flags and checksums are bit fields
+/* tslint:disable:no-bitwise */
+
+import { isRawAudio, parseContentType, parseWavHeader } from './audio-utils';
+
+/**
+ * Joins audio files that were synthesized separately into one. The pieces must be written in order.
+ */
+export interface AudioStitcher {
+  /**
+   * Processes the next data of a file.
+   *
+   * @param {Buffer} data
+   * @param {number} file - the position of the file, starting at 0
+   * @returns {Buffer} - the data to output, which may be empty
+   */
+  write(data: Buffer, file: number): Buffer;
+  /**
+   * Marks the end of a file.
+   *
+   * @param {number} file - the position of the file, starting at 0
+   * @param {boolean} last - whether this is the last file
+   * @returns {Buffer} - the remaining data to output
+   */
+  end(file: number, last: boolean): Buffer;
+}
+
+const WAV_TYPES = ['audio/wav', 'audio/wave', 'audio/x-wav'];
+const OGG_TYPES = ['audio/ogg'];
+// formats that can simply be concatenated
+const CONCATENABLE_TYPES = ['audio/mp3', 'audio/mpeg'];
+// size fields that aren't known while streaming
+const UNKNOWN_SIZE = 0xffffffff;
+
+/**
+ * Returns true if files of this format can be joined.
+ *
+ * @param {string} contentType - the MIME type of the audio
+ * @returns {boolean}
+ */
+export function canStitch(contentType: string): boolean {
+  const { type } = parseContentType(contentType);
+  return (
+    WAV_TYPES.indexOf(type) !== -1 ||
+    OGG_TYPES.indexOf(type) !== -1 ||
+    CONCATENABLE_TYPES.indexOf(type) !== -1 ||
+    isRawAudio(contentType)
+  );
+}
+
+/**
+ * Creates a stitcher for the given format:
+ *
+ * - wav: only the header of the first file is kept, with its size fields set to "unknown" as the length of the joined
+ *   audio isn't known while streaming
+ * - Ogg: the pages are rewritten into one logical stream, with the header pages of all but the first file dropped,
+ *   continuous page sequence numbers and granule positions, and only one end-of-stream page
+ * - mp3 and headerless formats: the files are concatenated
+ *
+ * @param {string} contentType - the MIME type of the audio
+ * @returns {AudioStitcher} - or null if the format isn't supported
+ */
+export function createAudioStitcher(contentType: string): AudioStitcher {
+  const { type } = parseContentType(contentType);
+  if (WAV_TYPES.indexOf(type) !== -1) {
+    return createWavStitcher();
+  }
+  if (OGG_TYPES.indexOf(type) !== -1) {
+    return createOggStitcher();
+  }
+  if (canStitch(contentType)) {
+    return {
+      write: data => data,
+      end: () => Buffer.alloc(0),
+    };
+  }
+  return null;
+}
+
+/**
+ * @private
+ */
+function createWavStitcher(): AudioStitcher {
+  let header = Buffer.alloc(0);
+  let headerDone = false;
+  let currentFile = -1;
+
+  return {
+    write(data: Buffer, file: number): Buffer {
+      if (file !== currentFile) {
+        currentFile = file;
+        header = Buffer.alloc(0);
+        headerDone = false;
+      }
+      if (headerDone) {
+        return data;
+      }
+      header = Buffer.concat([header, data]);
+      const wav = parseWavHeader(header);
+      if (!wav) {
+        return Buffer.alloc(0);
+      }
+      headerDone = true;
+      if (file > 0) {
+        return header.slice(wav.dataOffset);
+      }
+      const output = Buffer.from(header);
+      output.writeUInt32LE(UNKNOWN_SIZE, 4);
+      output.writeUInt32LE(UNKNOWN_SIZE, wav.dataOffset - 4);
+      return output;
+    },
+    end: () => Buffer.alloc(0),
+  };
+}
+
+// Ogg page header fields
+const OGG_HEADER_LENGTH = 27;
+const FLAG_BOS = 0x02;
+const FLAG_EOS = 0x04;
+const TWO_32 = 4294967296;
+
+/**
+ * @private
+ */
+function createOggStitcher(): AudioStitcher {
+  let buffer = Buffer.alloc(0);
+  let currentFile = -1;
+  let held: Buffer = null;
+  let inHeaders = true;
+  let serial: number = null;
+  let sequence = 0;
+  // the granule position where the current file starts, and the last granule position seen in it
+  let granuleOffset = 0;
+  let lastGranule = 0;
+
+  const rewrite = (page: Buffer, file: number, eos: boolean): Buffer => {
+    page = Buffer.from(page);
+    if (serial === null) {
+      serial = page.readUInt32LE(14);
+    }
+    let flags = page[5];
+    flags = file === 0 ? flags : flags & ~FLAG_BOS;
+    flags = eos ? flags | FLAG_EOS : flags & ~FLAG_EOS;
+    page[5] = flags;
+    const granule = readGranule(page);
+    if (granule !== -1) {
+      lastGranule = granule;
+      writeGranule(page, granule + granuleOffset);
+    }
+    page.writeUInt32LE(serial, 14);
+    page.writeUInt32LE(sequence++, 18);
+    page.writeUInt32LE(0, 22);
+    page.writeUInt32LE(oggCrc(page), 22);
+    return page;
+  };
+
+  return {
+    write(data: Buffer, file: number): Buffer {
+      if (file !== currentFile) {
+        currentFile = file;
+        inHeaders = file > 0;
+      }
+      buffer = Buffer.concat([buffer, data]);
+      const output: Buffer[] = [];
+      let page = readPage(buffer);
+      while (page) {
+        buffer = buffer.slice(page.length);
+        // every file but the first starts with header pages (granule position 0, or -1 for a header spanning pages)
+        const granule = readGranule(page);
+        if (inHeaders && (granule === 0 || granule === -1)) {
+          page = readPage(buffer);
+          continue;
+        }
+        inHeaders = false;
+        // the last page might have to be marked as the end of the stream, so it is held back until the file ends
+        if (held) {
+          output.push(rewrite(held, file, false));
+        }
+        held = page;
+        page = readPage(buffer);
+      }
+      return Buffer.concat(output);
+    },
+    end(file: number, last: boolean): Buffer {
+      const page = held ? rewrite(held, file, last) : Buffer.alloc(0);
+      held = null;
+      buffer = Buffer.alloc(0);
+      granuleOffset += lastGranule;
+      lastGranule = 0;
+      return page;
+    },
+  };
+}
+
+/**
+ * Returns the first complete page in the buffer, or null.
+ * @private
+ */
+function readPage(buffer: Buffer): Buffer {
+  if (buffer.length < OGG_HEADER_LENGTH || buffer.toString('ascii', 0, 4) !== 'OggS') {
+    return null;
+  }
+  const segments = buffer[26];
+  if (buffer.length < OGG_HEADER_LENGTH + segments) {
+    return null;
+  }
+  let length = OGG_HEADER_LENGTH + segments;
+  for (let i = 0; i < segments; i++) {
+    length += buffer[OGG_HEADER_LENGTH + i];
+  }
+  return buffer.length < length ? null : buffer.slice(0, length);
+}
+
+/**
+ * Reads the 64-bit granule position, which is -1 for pages on which no packet ends.
+ * @private
+ */
+function readGranule(page: Buffer): number {
+  const low = page.readUInt32LE(6);
+  const high = page.readUInt32LE(10);
+  if (low === 0xffffffff && high === 0xffffffff) {
+    return -1;
+  }
+  return high * TWO_32 + low;
+}
+
+/**
+ * @private
+ */
+function writeGranule(page: Buffer, granule: number): void {
+  page.writeUInt32LE(granule % TWO_32, 6);
+  page.writeUInt32LE(Math.floor(granule / TWO_32), 10);
+}
+
+let crcTable: number[] = null;
+
+/**
+ * The CRC-32 variant used by Ogg (polynomial 0x04c11db7, no reflection, no final XOR).
+ * @private
+ */
+function oggCrc(page: Buffer): number {
+  if (!crcTable) {
+    crcTable = [];
+    for (let i = 0; i < 256; i++) {
+      let r = i << 24;
+      for (let j = 0; j < 8; j++) {
+        r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+      }
+      crcTable.push(r >>> 0);
+    }
+  }
+  let crc = 0;
+  page.forEach(byte => {
+    crc = ((crc << 8) ^ crcTable[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  });
+  return crc;
+}
@@ -0,0 +1,320 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+export interface ContentType {
+  /** the lowercased MIME type without parameters, e.g. `audio/l16` */
+  type: string;
+  /** the MIME type parameters, e.g. `{ rate: '16000' }` */
+  params: { [key: string]: string };
+}
+
+export interface WavFormat {
+  audioFormat: number;
+  channels: number;
+  sampleRate: number;
+  byteRate: number;
+  blockAlign: number;
+  bitsPerSample: number;
+  /** the offset of the first byte of audio data, i.e. the length of the header */
+  dataOffset: number;
+  /** the size of the audio data as declared in the header (may be a placeholder for streamed audio) */
+  dataLength: number;
+}
+
+export type SampleEncoding = 'pcm' | 'float' | 'mulaw' | 'alaw';
+
+export interface SampleFormat {
+  /** `pcm` for integer samples (8-bit is unsigned, the rest signed), `float`, `mulaw` or `alaw` */
+  encoding: SampleEncoding;
+  /** The sample rate in Hertz */
+  sampleRate: number;
+  /** The number of interleaved channels (default=1) */
+  channels?: number;
+  /** Bits per sample: 8, 16, 24 or 32 for pcm, 32 or 64 for float (default=16 for pcm, 32 for float) */
+  bitDepth?: number;
+  /** The byte order of multi-byte samples (default='little') */
+  endianness?: 'little' | 'big';
+}
+
+// format codes used in the `fmt ` chunk of wav files
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_ALAW = 6;
+const WAVE_FORMAT_MULAW = 7;
+
+// formats that contain nothing but samples, so they can be cut at any frame boundary
+const RAW_TYPES = ['audio/l16', 'audio/mulaw', 'audio/alaw', 'audio/basic'];
+
+/**
+ * Splits a MIME type like `audio/l16; rate=16000; channels=2` into its type and parameters.
+ *
+ * @param {string} contentType - the MIME type
+ * @returns {ContentType}
+ */
+export function parseContentType(contentType: string): ContentType {
+  const parts = (contentType || '').split(';');
+  const params = {};
+  parts.slice(1).forEach(part => {
+    const separator = part.indexOf('=');
+    if (separator > 0) {
+      params[part.slice(0, separator).trim().toLowerCase()] = part.slice(separator + 1).trim();
+    }
+  });
+  return { type: parts[0].trim().toLowerCase(), params };
+}
+
+/**
+ * Returns true for headerless formats that consist only of samples.
+ *
+ * @param {string} contentType - the MIME type
+ * @returns {boolean}
+ */
+export function isRawAudio(contentType: string): boolean {
+  return RAW_TYPES.indexOf(parseContentType(contentType).type) !== -1;
+}
+
+/**
+ * Reads the format information from a RIFF/WAVE header.
+ *
+ * @param {Buffer} buffer - the start of a wav file, containing at least the `fmt ` chunk and the `data` chunk header
+ * @returns {WavFormat} - the format, or null if the buffer does not contain a complete wav header
+ */
+export function parseWavHeader(buffer: Buffer): WavFormat {
+  if (
+    !buffer ||
+    buffer.length < 12 ||
+    buffer.toString('ascii', 0, 4) !== 'RIFF' ||
+    buffer.toString('ascii', 8, 12) !== 'WAVE'
+  ) {
+    return null;
+  }
+
+  let format: WavFormat = null;
+  // every subchunk has a 4 byte id followed by a 4 byte size field
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    if (chunkId === 'fmt ' && offset + 24 <= buffer.length) {
+      format = {
+        audioFormat: buffer.readUInt16LE(offset + 8),
+        channels: buffer.readUInt16LE(offset + 10),
+        sampleRate: buffer.readUInt32LE(offset + 12),
+        byteRate: buffer.readUInt32LE(offset + 16),
+        blockAlign: buffer.readUInt16LE(offset + 20),
+        bitsPerSample: buffer.readUInt16LE(offset + 22),
+        dataOffset: 0,
+        dataLength: 0,
+      };
+      // WAVE_FORMAT_EXTENSIBLE stores the real format code in the first two bytes of the sub-format GUID
+      if (format.audioFormat === 0xfffe && chunkSize >= 26 && offset + 34 <= buffer.length) {
+        format.audioFormat = buffer.readUInt16LE(offset + 32);
+      }
+    } else if (chunkId === 'data') {
+      if (!format) {
+        return null;
+      }
+      format.dataOffset = offset + 8;
+      format.dataLength = chunkSize;
+      return format;
+    }
+    // chunks are word-aligned
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  return null;
+}
+
+/**
+ * Calculates how many bytes make up one second of audio, if that can be known without decoding.
+ *
+ * @param {string} contentType - the MIME type of the audio
+ * @param {Buffer} [header] - the first bytes of the audio, used for formats that carry their own header (wav)
+ * @returns {number} - bytes per second, or 0 for compressed or unrecognized formats
+ */
+export function getBytesPerSecond(contentType: string, header?: Buffer): number {
+  const { type, params } = parseContentType(contentType);
+  const rate = parseInt(params.rate, 10) || 0;
+  const channels = parseInt(params.channels, 10) || 1;
+  switch (type) {
+    case 'audio/l16':
+      return rate * 2 * channels;
+    case 'audio/mulaw':
+    case 'audio/alaw':
+      return rate * channels;
+    case 'audio/basic':
+      return 8000;
+    case 'audio/wav':
+    case 'audio/wave':
+    case 'audio/x-wav': {
+      const format = parseWavHeader(header);
+      return format ? format.byteRate : 0;
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Determines how many leading bytes of a stream must be re-sent so that the service can decode audio that starts
+ * somewhere in the middle of the original stream.
+ *
+ * @param {string} contentType - the MIME type of the audio
+ * @param {Buffer} firstChunk - the first chunk of audio that was sent
+ * @returns {number} - 0 for raw formats, the header length for wav, and the whole first chunk for other containers
+ */
+export function getHeaderLength(contentType: string, firstChunk: Buffer): number {
+  if (isRawAudio(contentType)) {
+    return 0;
+  }
+  const format = parseWavHeader(firstChunk);
+  if (format) {
+    return format.dataOffset;
+  }
+  // ogg, webm and flac keep their stream headers at the start; without a parser the first chunk is the best guess
+  return firstChunk.length;
+}
+
+/**
+ * Describes the samples of a headerless format such as `audio/l16;rate=8000` or `audio/mulaw;rate=8000`.
+ *
+ * @param {string} contentType - the MIME type
+ * @returns {SampleFormat} - the format, or null if the content type isn't a headerless sample format
+ */
+export function getSampleFormat(contentType: string): SampleFormat {
+  const { type, params } = parseContentType(contentType);
+  const sampleRate = parseInt(params.rate, 10) || (type === 'audio/basic' ? 8000 : 0);
+  const channels = parseInt(params.channels, 10) || 1;
+  switch (type) {
+    case 'audio/l16':
+      // l16 is big-endian unless stated otherwise
+      return {
+        encoding: 'pcm',
+        bitDepth: 16,
+        sampleRate,
+        channels,
+        endianness: params.endianness === 'little-endian' ? 'little' : 'big',
+      };
+    case 'audio/mulaw':
+    case 'audio/basic':
+      return { encoding: 'mulaw', bitDepth: 8, sampleRate, channels };
+    case 'audio/alaw':
+      return { encoding: 'alaw', bitDepth: 8, sampleRate, channels };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Describes the samples of a wav file.
+ *
+ * @param {WavFormat} wav - the parsed wav header
+ * @returns {SampleFormat} - the format, or null for compressed wav formats
+ */
+export function getWavSampleFormat(wav: WavFormat): SampleFormat {
+  const format = { sampleRate: wav.sampleRate, channels: wav.channels, endianness: 'little' as 'little' };
+  switch (wav.audioFormat) {
+    case WAVE_FORMAT_PCM:
+      return Object.assign({ encoding: 'pcm' as SampleEncoding, bitDepth: wav.bitsPerSample }, format);
+    case WAVE_FORMAT_IEEE_FLOAT:
+      return Object.assign({ encoding: 'float' as SampleEncoding, bitDepth: wav.bitsPerSample }, format);
+    case WAVE_FORMAT_ALAW:
+      return Object.assign({ encoding: 'alaw' as SampleEncoding, bitDepth: 8 }, format);
+    case WAVE_FORMAT_MULAW:
+      return Object.assign({ encoding: 'mulaw' as SampleEncoding, bitDepth: 8 }, format);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Decodes whole frames into mono samples in the range -1 to 1, averaging the channels of each frame.
+ *
+ * @param {Buffer} data - the audio, starting at a frame boundary
+ * @param {number} frames - the number of frames to decode
+ * @param {SampleFormat} format - the format of the audio, with `channels` and `bitDepth` set
+ * @returns {Float32Array}
+ */
+export function decodeFrames(data: Buffer, frames: number, format: SampleFormat): Float32Array {
+  const { encoding, bitDepth, channels } = format;
+  const bytes = bitDepth / 8;
+  const bigEndian = format.endianness === 'big';
+  const samples = new Float32Array(frames);
+
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      const offset = (frame * channels + channel) * bytes;
+      sum += decodeSample(data, offset, encoding, bitDepth, bigEndian);
+    }
+    samples[frame] = sum / channels;
+  }
+  return samples;
+}
+
+/**
+ * @private
+ */
+function decodeSample(data: Buffer, offset: number, encoding: string, bitDepth: number, bigEndian: boolean): number {
+  switch (encoding) {
+    case 'mulaw':
+      return decodeMulaw(data[offset]) / 32768;
+    case 'alaw':
+      return decodeAlaw(data[offset]) / 32768;
+    case 'float':
+      return bitDepth === 32
+        ? bigEndian ? data.readFloatBE(offset) : data.readFloatLE(offset)
+        : bigEndian ? data.readDoubleBE(offset) : data.readDoubleLE(offset);
+    default:
+      // 8-bit pcm is unsigned, everything else is signed
+      if (bitDepth === 8) {
+        return (data[offset] - 128) / 128;
+      }
+      return (
+        (bigEndian ? data.readIntBE(offset, bitDepth / 8) : data.readIntLE(offset, bitDepth / 8)) /
+        Math.pow(2, bitDepth - 1)
+      );
+  }
+}
+
+/* tslint:disable:no-bitwise */
+
+/**
+ * G.711 mu-law expansion to a 16-bit sample.
+ * @private
+ */
+function decodeMulaw(value: number): number {
+  value = ~value & 0xff;
+  const sign = value & 0x80;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const sample = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+  return sign ? -sample : sample;
+}
+
+/**
+ * G.711 a-law expansion to a 16-bit sample.
+ * @private
+ */
+function decodeAlaw(value: number): number {
+  value ^= 0x55;
+  const sign = value & 0x80;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const sample = exponent === 0 ? (mantissa << 4) + 8 : ((mantissa << 4) + 0x108) << (exponent - 1);
+  return sign ? sample : -sample;
+}
+
+/* tslint:enable:no-bitwise */
@@ -0,0 +1,202 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import { BaseService as CoreBaseService, UserOptions } from 'ibm-cloud-sdk-core';
+import { getInterceptors, interceptAxios, Interceptor } from './interceptors';
+import Recorder = require('./recorder');
+import { RetryInfo, retryRequest, RetryOptions } from './retry';
+import { addRetryEvent, getOperation, getTracer, Span, traceOperation, Tracer } from './tracing';
+
+/**
+ * The base class of the services of this SDK. It adds what applies to every request of every service to the
+ * BaseService of the core library.
+ *
+ * Retries are off by default. Turn them on for a client with the `retry` option of the constructor or with
+ * `enableRetries()`, or for some calls only with `withRetries()`:
+ *
+ * ```js
+ * const assistant = new AssistantV1({ version, authenticator, retry: { maxAttempts: 5 } });
+ * await assistant.withRetries({ retryNonIdempotent: true }).createExample(params);
+ * ```
+ *
+ * Interceptors added with the `interceptors` option or `addInterceptor()`, and global ones added with
+ * `addGlobalInterceptor()` from `lib/interceptors`, see every request right before it is sent and every response, and
+ * the WebSocket handshakes of the streams that the client creates.
+ *
+ * With an OpenTelemetry tracer, passed with the `tracer` option or to `enableTracing()` from `lib/tracing`, every
+ * operation and every WebSocket stream gets a span.
+ *
+ * A Recorder passed with the `recorder` option records the requests and WebSocket sessions of the client to a fixture
+ * file, or replays them from one, for tests that run offline.
+ */
+class BaseService extends CoreBaseService {
+  protected retryOptions: RetryOptions;
+  protected interceptors: Interceptor[];
+  protected tracer: Tracer;
+  protected recorder: Recorder;
+
+  /**
+   * @param {Object} options - the options of the core BaseService
+   * @param {RetryOptions} [options.retry] - Retry failed requests, see `enableRetries()`
+   * @param {Interceptor[]} [options.interceptors] - Hooks for every request and response, see `addInterceptor()`
+   * @param {Tracer} [options.tracer] - An OpenTelemetry tracer, to create a span for every operation
+   * @param {Recorder} [options.recorder] - Records the requests to a fixture file, or replays them from one
+   * @constructor
+   */
+  constructor(options: BaseService.Options) {
+    super(options);
+    this.retryOptions = options && options.retry ? options.retry : null;
+    this.interceptors = options && options.interceptors ? options.interceptors.slice() : [];
+    this.tracer = options && options.tracer ? options.tracer : null;
+    this.recorder = options && options.recorder ? options.recorder : null;
+    this.interceptRequests();
+  }
+
+  /**
+   * Adds an interceptor for the requests of this client. Its request hook is called with the final method, URL,
+   * headers and body of each request, which it can change, and its response hook with the status, headers, body,
+   * `x-global-transaction-id` and duration of the response, or the error. Each attempt of a retried request is seen.
+   *
+   * @param {Interceptor} interceptor
+   * @param {Function} [interceptor.request] - Called with `{ serviceName, protocol, method, url, headers, body }`
+   * @param {Function} [interceptor.response] - Called with `{ request, status, headers, globalTransactionId, duration,
+   * body, error }`
+   */
+  addInterceptor(interceptor: Interceptor): void {
+    this.interceptors.push(interceptor);
+  }
+
+  /**
+   * Removes an interceptor added with `addInterceptor()` or the `interceptors` option.
+   *
+   * @param {Interceptor} interceptor
+   */
+  removeInterceptor(interceptor: Interceptor): void {
+    const index = this.interceptors.indexOf(interceptor);
+    if (index !== -1) {
+      this.interceptors.splice(index, 1);
+    }
+  }
+
+  /**
+   * Retries the requests of this client that fail with a 429 or 5xx status or get no response. Only idempotent
+   * requests are retried unless `retryNonIdempotent` is set, and never those with a stream as the body.
+   *
+   * @param {RetryOptions} [options]
+   * @param {number} [options.maxAttempts] - How many times to send a request, including the first time (default=4)
+   * @param {number} [options.initialDelay] - The delay before the first retry, in milliseconds (default=1000)
+   * @param {number} [options.maxDelay] - The longest delay of the backoff, in milliseconds (default=30000)
+   * @param {number} [options.backoffFactor] - The factor by which the delay grows with each retry (default=2)
+   * @param {boolean} [options.jitter] - Randomize the delays (default=true)
+   * @param {boolean} [options.respectRetryAfter] - Wait as long as the `Retry-After` header says (default=true)
+   * @param {number[]} [options.statusCodes] - The status codes to retry (default=[429, 500, 502, 503, 504])
+   * @param {string[]} [options.methods] - The methods to retry (default=['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'])
+   * @param {boolean} [options.retryNonIdempotent] - Retry all methods, including POST (default=false)
+   * @param {Function} [options.onRetry] - Called with `{ attempt, delay, error, method, url }` before each retry
+   */
+  enableRetries(options?: RetryOptions): void {
+    this.retryOptions = options || {};
+  }
+
+  /**
+   * Stops retrying the requests of this client.
+   */
+  disableRetries(): void {
+    this.retryOptions = null;
+  }
+
+  /**
+   * Returns a view of this client that retries its requests with the given options, on top of those of the client.
+   * The client itself is unchanged.
+   *
+   * @param {RetryOptions} [options] - see `enableRetries()`
+   * @return {this}
+   */
+  withRetries(options?: RetryOptions): this {
+    const view = Object.create(this);
+    view.retryOptions = Object.assign({}, this.retryOptions, options);
+    return view;
+  }
+
+  protected configureService(serviceName: string): void {
+    super.configureService(serviceName);
+    // the core replaces its HTTP client with one for the external configuration
+    this.interceptRequests();
+  }
+
+  protected createRequest(parameters: any): Promise<any> {
+    const tracer = getTracer(this.tracer);
+    if (!tracer) {
+      return this.sendRequest(parameters);
+    }
+    const operation = getOperation(parameters.defaultOptions && parameters.defaultOptions.headers);
+    return traceOperation(tracer, operation, parameters.options, span => this.sendRequest(parameters, span));
+  }
+
+  /**
+   * Sends a request, as often as the retry options allow.
+   *
+   * @private
+   * @param {Object} parameters - the parameters of createRequest()
+   * @param {Span} [span] - the span of the operation, which gets an event for every retry
+   * @return {Promise<any>}
+   */
+  private sendRequest(parameters: any, span?: Span): Promise<any> {
+    const send = (): Promise<any> =>
+      this.recorder && this.recorder.isReplaying()
+        ? // replayed requests don't need credentials
+          this['requestWrapperInstance'].sendRequest(parameters)
+        : super.createRequest(parameters);
+    if (!this.retryOptions) {
+      return send();
+    }
+    const { method, url, body, formData } = parameters.options;
+    const request = { method, url, body: body || formData };
+    let options = this.retryOptions;
+    if (span) {
+      options = Object.assign({}, options, {
+        onRetry: (info: RetryInfo) => {
+          addRetryEvent(span, info);
+          if (this.retryOptions.onRetry) {
+            this.retryOptions.onRetry(info);
+          }
+        },
+      });
+    }
+    return retryRequest(send, request, options);
+  }
+
+  private interceptRequests(): void {
+    const serviceName = (this.constructor as any).DEFAULT_SERVICE_NAME;
+    const axiosInstance = this['requestWrapperInstance'].axiosInstance;
+    interceptAxios(axiosInstance, serviceName, () => getInterceptors(this.interceptors));
+    // the recorder takes the place of the adapter, so the interceptors see the replayed requests too
+    if (this.recorder) {
+      axiosInstance.defaults.adapter = this.recorder.wrapAdapter(axiosInstance.defaults.adapter);
+    }
+  }
+}
+
+namespace BaseService {
+  export interface Options extends UserOptions {
+    retry?: RetryOptions;
+    interceptors?: Interceptor[];
+    tracer?: Tracer;
+    recorder?: Recorder;
+  }
+}
+
+export = BaseService;
@@ -0,0 +1,320 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import crypto = require('crypto');
+import { EventEmitter } from 'events';
+import http = require('http');
+import GeneratedSpeechToTextV1 = require('../speech-to-text/v1-generated');
+import TranscriptionJobManager = require('./transcription-job-manager');
+
+type Request = http.IncomingMessage & { body?: any; originalUrl?: string };
+type Next = (err?: Error) => void;
+
+interface JobWaiter {
+  resolve: (notification: CallbackReceiver.Notification) => void;
+  reject: (err: Error) => void;
+}
+
+/**
+ * Receives the notifications that the speech to text service sends to a callback URL registered with
+ * `registerCallback()`, for the jobs created with `createJob()`.
+ *
+ * - the verification request (GET with a `challenge_string`) is answered with the challenge
+ * - with a `userSecret`, the `X-Callback-Signature` header (a base64 HMAC-SHA1 of the challenge or of the body) of
+ *   every request is checked, and requests with a missing or wrong signature are rejected with a 401
+ * - each notification is emitted as an event named after it, like `recognitions.completed`, and as `notification`;
+ *   bodies that aren't notifications are rejected with a 400
+ *
+ * Use `handler()` with `http.createServer()`, or `middleware()` with Express. The signature is computed over the raw
+ * body, so mount the middleware before any JSON body parser, or use `express.raw({ type: 'application/json' })`.
+ */
+class CallbackReceiver extends EventEmitter {
+  static SIGNATURE_HEADER: string = 'x-callback-signature';
+  static DEFAULT_MAX_BODY_SIZE: number = 50 * 1024 * 1024;
+
+  private options: CallbackReceiver.Options;
+  private jobWaiters: { [id: string]: JobWaiter[] };
+
+  /**
+   * @param {Options} [options]
+   * @param {string} [options.userSecret] - The `userSecret` that the callback URL was registered with
+   * @param {string} [options.path] - Only handle requests for this path
+   * @param {TranscriptionJobManager} [options.jobManager] - Pass the notifications on to this job manager
+   * @param {number} [options.maxBodySize] - The largest notification to accept, in bytes (default=50 MB)
+   * @constructor
+   */
+  constructor(options?: CallbackReceiver.Options) {
+    super();
+    this.options = Object.assign({ maxBodySize: CallbackReceiver.DEFAULT_MAX_BODY_SIZE }, options);
+    this.jobWaiters = {};
+  }
+
+  /**
+   * Returns a request listener for `http.createServer()`. Other paths get a 404.
+   *
+   * @return {Function}
+   */
+  handler(): (req: http.IncomingMessage, res: http.ServerResponse) => void {
+    return (req, res) => this.handle(req, res);
+  }
+
+  /**
+   * Returns Express-compatible middleware. Requests that aren't callbacks are passed on with `next()`.
+   *
+   * @return {Function}
+   */
+  middleware(): (req: http.IncomingMessage, res: http.ServerResponse, next: Next) => void {
+    return (req, res, next) => this.handle(req, res, next);
+  }
+
+  /**
+   * Creates an HTTP server that receives the callbacks. Call `listen()` on it to start it.
+   *
+   * @return {http.Server}
+   */
+  createServer(): http.Server {
+    return http.createServer(this.handler());
+  }
+
+  /**
+   * Checks the signature of a request.
+   *
+   * @param {string|Buffer} payload - the challenge string of a verification request, or the body of a notification
+   * @param {string} signature - the value of the `X-Callback-Signature` header
+   * @return {boolean}
+   */
+  verifySignature(payload: string | Buffer, signature: string): boolean {
+    if (!this.options.userSecret) {
+      return true;
+    }
+    if (!signature) {
+      return false;
+    }
+    const expected = crypto
+      .createHmac('sha1', this.options.userSecret)
+      .update(payload)
+      .digest();
+    const actual = Buffer.from(signature, 'base64');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Waits for the notification that a job has completed.
+   *
+   * @param {string} id - the ID of the job, as returned by createJob()
+   * @return {Promise<Notification>} - rejects if the job fails
+   */
+  waitForJob(id: string): Promise<CallbackReceiver.Notification> {
+    return new Promise((resolve, reject) => {
+      this.jobWaiters[id] = (this.jobWaiters[id] || []).concat({ resolve, reject });
+    });
+  }
+
+  on(
+    event: 'notification' | CallbackReceiver.Event,
+    listener: (notification: CallbackReceiver.Notification) => void
+  ): this;
+  on(event: 'verification', listener: (challenge: string) => void): this;
+  on(event: 'rejected', listener: (reason: string, req: http.IncomingMessage) => void): this;
+  on(event: 'error', listener: (err: Error) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this {
+    return super.on(event, listener);
+  }
+
+  private handle(req: Request, res: http.ServerResponse, next?: Next): void {
+    const url = new URL(req.originalUrl || req.url, 'http://localhost');
+    if (this.options.path && url.pathname !== this.options.path) {
+      return next ? next() : respond(res, 404, 'Not Found');
+    }
+    const signature = req.headers[CallbackReceiver.SIGNATURE_HEADER] as string;
+
+    if (req.method === 'GET') {
+      const challenge = url.searchParams.get('challenge_string');
+      if (!challenge) {
+        return next ? next() : respond(res, 400, 'Missing challenge_string');
+      }
+      if (!this.verifySignature(challenge, signature)) {
+        return this.reject(req, res, 'Invalid signature');
+      }
+      /**
+       * Emitted when the service verifies the callback URL.
+       * @event CallbackReceiver#verification
+       * @param {string} challenge
+       */
+      this.emit('verification', challenge);
+      return respond(res, 200, challenge);
+    }
+
+    if (req.method !== 'POST') {
+      return next ? next() : respond(res, 405, 'Method Not Allowed');
+    }
+
+    readBody(req, this.options.maxBodySize)
+      .then(
+        body => {
+          let notification: CallbackReceiver.Notification;
+          if (typeof body === 'string' || Buffer.isBuffer(body)) {
+            if (!this.verifySignature(body, signature)) {
+              return this.reject(req, res, 'Invalid signature');
+            }
+            try {
+              notification = JSON.parse(body.toString());
+            } catch (err) {
+              return respond(res, 400, 'Invalid JSON');
+            }
+          } else if (this.options.userSecret) {
+            // the body was already parsed, so the signature can't be checked
+            const err = new Error(
+              'The raw request body is needed to check the signature, ' +
+                'mount the callback receiver before any body parser'
+            );
+            return next ? next(err) : respond(res, 500, err.message);
+          } else {
+            notification = body;
+          }
+          if (!isNotification(notification)) {
+            return respond(res, 400, 'Invalid notification');
+          }
+          respond(res, 200, 'OK');
+          this.dispatch(notification);
+        },
+        (err: Error & { statusCode?: number }) => respond(res, err.statusCode || 400, err.message)
+      )
+      // a listener or the job manager threw, after the notification was answered
+      .catch((err: Error) => {
+        if (next) {
+          return next(err);
+        }
+        /**
+         * Emitted when a listener or the job manager throws while a notification is dispatched. Like for any
+         * `EventEmitter`, the error is thrown if there is no listener for it.
+         * @event CallbackReceiver#error
+         * @param {Error} err
+         */
+        process.nextTick(() => this.emit('error', err));
+      });
+  }
+
+  private reject(req: http.IncomingMessage, res: http.ServerResponse, reason: string): void {
+    /**
+     * Emitted when a request is rejected because of its signature.
+     * @event CallbackReceiver#rejected
+     * @param {string} reason
+     * @param {http.IncomingMessage} req
+     */
+    this.emit('rejected', reason, req);
+    respond(res, 401, reason);
+  }
+
+  private dispatch(notification: CallbackReceiver.Notification): void {
+    /**
+     * Emitted for every notification.
+     * @event CallbackReceiver#notification
+     * @param {Notification} notification
+     */
+    this.emit('notification', notification);
+    /**
+     * Emitted for each kind of notification, with the name of the event: `recognitions.started`,
+     * `recognitions.completed`, `recognitions.completed_with_results` or `recognitions.failed`.
+     * @event CallbackReceiver#recognitions.completed
+     * @param {Notification} notification
+     */
+    this.emit(notification.event, notification);
+    if (this.options.jobManager) {
+      this.options.jobManager.handleCallback(notification);
+    }
+
+    const waiters = this.jobWaiters[notification.id];
+    const completed = /^recognitions\.completed/.test(notification.event);
+    const failed = notification.event === 'recognitions.failed';
+    if (waiters && (completed || failed)) {
+      delete this.jobWaiters[notification.id];
+      waiters.forEach(waiter =>
+        completed ? waiter.resolve(notification) : waiter.reject(new Error(`Job ${notification.id} failed`))
+      );
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function isNotification(value: any): value is CallbackReceiver.Notification {
+  return !!value && typeof value === 'object' && typeof value.id === 'string' && typeof value.event === 'string';
+}
+
+/**
+ * Reads the body of a request, unless a body parser already did.
+ * @private
+ */
+function readBody(req: Request, maxBodySize: number): Promise<any> {
+  if (req.body !== undefined) {
+    return Promise.resolve(req.body);
+  }
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    let size = 0;
+    req.on('data', (chunk: Buffer) => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        const err: Error & { statusCode?: number } = new Error('Payload Too Large');
+        err.statusCode = 413;
+        req.removeAllListeners('data');
+        req.resume();
+        return reject(err);
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * @private
+ */
+function respond(res: http.ServerResponse, statusCode: number, body: string): void {
+  res.writeHead(statusCode, { 'Content-Type': 'text/plain' });
+  res.end(body);
+}
+
+namespace CallbackReceiver {
+  export type Event =
+    | 'recognitions.started'
+    | 'recognitions.completed'
+    | 'recognitions.completed_with_results'
+    | 'recognitions.failed';
+
+  export interface Notification {
+    /** the ID of the job */
+    id: string;
+    event: Event;
+    /** the `userToken` of the job */
+    user_token?: string;
+    /** the results, for `recognitions.completed_with_results` */
+    results?: GeneratedSpeechToTextV1.SpeechRecognitionResults[];
+  }
+
+  export interface Options {
+    userSecret?: string;
+    path?: string;
+    jobManager?: TranscriptionJobManager;
+    maxBodySize?: number;
+  }
+}
+
+export = CallbackReceiver;
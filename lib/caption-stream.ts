@@ -0,0 +1,123 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import { Transform, TransformOptions } from 'stream';
+import { SpeechRecognitionResult, SpeechRecognitionResults } from '../speech-to-text/v1-generated';
+import { buildCues, CaptionOptions, CaptionWord, formatCue, formatHeader, getWords } from './captions';
+
+/**
+ * pipe()-able Node.js Transform stream - accepts SpeechRecognitionResults objects and emits the text of a WebVTT or
+ * SRT caption file.
+ *
+ * Pipe a RecognizeStream in object mode (with `timestamps: true`) into it. Cues are emitted as soon as they are
+ * complete, which is when the words that follow them no longer fit in the same cue.
+ */
+class CaptionStream extends Transform {
+  private captionOptions: CaptionStream.Options;
+  private results: SpeechRecognitionResult[];
+  private nextResult: number;
+  private speakers: { [from: string]: number };
+  private pending: CaptionWord[];
+  private cueCount: number;
+  private headerSent: boolean;
+
+  /**
+   * @param {Options} [options]
+   * @param {string} [options.format] - The caption file format, either `vtt` (WebVTT) or `srt` (SubRip) (default='vtt')
+   * @param {number} [options.maxCharsPerCue] - The maximum number of characters in a cue (default=84)
+   * @param {number} [options.maxLineLength] - The maximum number of characters per line (default=42)
+   * @param {number} [options.maxCueDuration] - The maximum duration of a cue in seconds (default=7)
+   * @param {boolean} [options.speakerPrefix] - Prefix cues with the speaker. Words are held back until their speaker
+   * label arrives, so only enable this for streams created with `speakerLabels: true` (default=false)
+   * @param {Function} [options.formatSpeaker] - Formats the name of a speaker for the prefix
+   * @constructor
+   */
+  constructor(options?: CaptionStream.Options) {
+    super(Object.assign({}, options, { writableObjectMode: true, readableObjectMode: false }));
+    this.captionOptions = Object.assign({}, options);
+    this.results = [];
+    this.nextResult = 0;
+    this.speakers = {};
+    this.pending = [];
+    this.cueCount = 0;
+    this.headerSent = false;
+  }
+
+  _transform(data: SpeechRecognitionResults, encoding, callback): void {
+    const resultIndex = data.result_index || 0;
+    (data.results || []).forEach((result, i) => {
+      this.results[resultIndex + i] = result;
+    });
+    (data.speaker_labels || []).forEach(label => {
+      this.speakers[label.from.toFixed(2)] = label.speaker;
+    });
+
+    // final results are never revised, so their words can be captioned in order
+    while (this.results[this.nextResult] && this.results[this.nextResult].final) {
+      this.pending.push(...getWords([this.results[this.nextResult]]));
+      this.nextResult++;
+    }
+
+    let ready = this.pending.length;
+    if (this.captionOptions.speakerPrefix) {
+      const unlabelled = this.pending.findIndex(word => this.speakerOf(word) === undefined);
+      ready = unlabelled === -1 ? ready : unlabelled;
+    }
+
+    const cues = buildCues(this.label(this.pending.slice(0, ready)), this.captionOptions);
+    // the last cue might still grow with the words that follow it
+    const held = cues.pop();
+    this.emitCues(cues);
+    if (held) {
+      this.pending = this.pending.filter(word => word.from >= held.from);
+    }
+    callback();
+  }
+
+  _flush(callback): void {
+    this.emitCues(buildCues(this.label(this.pending), this.captionOptions));
+    this.pending = [];
+    callback();
+  }
+
+  private speakerOf(word: CaptionWord): number {
+    return this.speakers[word.from.toFixed(2)];
+  }
+
+  private label(words: CaptionWord[]): CaptionWord[] {
+    return words.map(word => Object.assign({}, word, { speaker: this.speakerOf(word) }));
+  }
+
+  private emitCues(cues): void {
+    if (!this.headerSent) {
+      this.headerSent = true;
+      const header = formatHeader(this.captionOptions.format);
+      if (header) {
+        this.push(header);
+      }
+    }
+    cues.forEach(cue => {
+      this.cueCount++;
+      this.push(formatCue(cue, this.cueCount, this.captionOptions));
+    });
+  }
+}
+
+namespace CaptionStream {
+  export interface Options extends CaptionOptions, TransformOptions {}
+}
+
+export = CaptionStream;
@@ -0,0 +1,260 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import {
+  SpeakerLabelsResult,
+  SpeechRecognitionResult,
+  SpeechRecognitionResults
+} from '../speech-to-text/v1-generated';
+
+export type CaptionFormat = 'vtt' | 'srt';
+
+export interface CaptionOptions {
+  /** The caption file format, either `vtt` (WebVTT) or `srt` (SubRip) (default='vtt') */
+  format?: CaptionFormat;
+  /** The maximum number of characters in a cue, not counting the speaker prefix (default=84) */
+  maxCharsPerCue?: number;
+  /** The maximum number of characters per line; longer cues are broken into several lines (default=42) */
+  maxLineLength?: number;
+  /** The maximum duration of a cue in seconds (default=7) */
+  maxCueDuration?: number;
+  /** Prefix cues with the speaker, if `speaker_labels` are present. A new cue is started whenever the speaker changes */
+  speakerPrefix?: boolean;
+  /** Formats the name of a speaker for the prefix (default=`Speaker ${speaker}`) */
+  formatSpeaker?: (speaker: number) => string;
+}
+
+export interface CaptionWord {
+  word: string;
+  from: number;
+  to: number;
+  speaker?: number;
+}
+
+export interface Cue {
+  from: number;
+  to: number;
+  lines: string[];
+  speaker?: number;
+}
+
+const DEFAULTS = {
+  format: 'vtt' as CaptionFormat,
+  maxCharsPerCue: 84,
+  maxLineLength: 42,
+  maxCueDuration: 7,
+  formatSpeaker: (speaker: number) => `Speaker ${speaker}`,
+};
+
+/**
+ * Collects the timed words of final results, leaving out hesitation markers such as `%HESITATION`.
+ *
+ * @param {SpeechRecognitionResult[]} results - the results, in transcript order
+ * @param {SpeakerLabelsResult[]} [speakerLabels] - labels to assign speakers to the words by their start time
+ * @returns {CaptionWord[]}
+ */
+export function getWords(
+  results: SpeechRecognitionResult[],
+  speakerLabels?: SpeakerLabelsResult[]
+): CaptionWord[] {
+  const speakers = {};
+  (speakerLabels || []).forEach(label => {
+    speakers[label.from.toFixed(2)] = label.speaker;
+  });
+
+  const words: CaptionWord[] = [];
+  results.forEach(result => {
+    const alternative = result && result.final && (result.alternatives || [])[0];
+    ((alternative && alternative.timestamps) || []).forEach(([word, from, to]) => {
+      if (word.charAt(0) === '%') {
+        return;
+      }
+      words.push({ word, from, to, speaker: speakers[from.toFixed(2)] });
+    });
+  });
+  return words;
+}
+
+/**
+ * Groups words into cues, starting a new cue when the current one would get too long, would last too long or when the
+ * speaker changes.
+ *
+ * @param {CaptionWord[]} words
+ * @param {CaptionOptions} [options]
+ * @returns {Cue[]}
+ */
+export function buildCues(words: CaptionWord[], options?: CaptionOptions): Cue[] {
+  const opts = Object.assign({}, DEFAULTS, options);
+  const cues: Cue[] = [];
+  let cue: Cue;
+  let text: string;
+
+  const closeCue = () => {
+    if (cue) {
+      cue.lines = breakLines(text, opts.maxLineLength);
+      cues.push(cue);
+    }
+  };
+
+  words.forEach(word => {
+    const fits =
+      cue &&
+      text.length + 1 + word.word.length <= opts.maxCharsPerCue &&
+      word.to - cue.from <= opts.maxCueDuration &&
+      (!opts.speakerPrefix || word.speaker === cue.speaker);
+    if (fits) {
+      text += ' ' + word.word;
+      cue.to = word.to;
+    } else {
+      closeCue();
+      cue = { from: word.from, to: word.to, lines: [], speaker: word.speaker };
+      text = word.word;
+    }
+  });
+  closeCue();
+
+  return cues;
+}
+
+/**
+ * Breaks text into lines at word boundaries. Words longer than a line are kept whole.
+ *
+ * @param {string} text
+ * @param {number} maxLineLength
+ * @returns {string[]}
+ */
+export function breakLines(text: string, maxLineLength: number): string[] {
+  const lines: string[] = [];
+  text.split(' ').forEach(word => {
+    const last = lines.length - 1;
+    if (last >= 0 && lines[last].length + 1 + word.length <= maxLineLength) {
+      lines[last] += ' ' + word;
+    } else {
+      lines.push(word);
+    }
+  });
+  return lines;
+}
+
+/**
+ * Returns the header that starts a caption file - empty for SRT.
+ *
+ * @param {CaptionFormat} [format='vtt']
+ * @returns {string}
+ */
+export function formatHeader(format?: CaptionFormat): string {
+  return (format || DEFAULTS.format) === 'vtt' ? 'WEBVTT\n\n' : '';
+}
+
+/**
+ * Formats a single cue, including the blank line that ends it.
+ *
+ * @param {Cue} cue
+ * @param {number} index - the 1-based position of the cue in the file
+ * @param {CaptionOptions} [options]
+ * @returns {string}
+ */
+export function formatCue(cue: Cue, index: number, options?: CaptionOptions): string {
+  const opts = Object.assign({}, DEFAULTS, options);
+  const vtt = opts.format === 'vtt';
+  const lines = cue.lines.slice();
+  if (opts.speakerPrefix && cue.speaker !== undefined) {
+    const speaker = opts.formatSpeaker(cue.speaker);
+    lines[0] = vtt ? `<v ${speaker}>${lines[0]}` : `${speaker}: ${lines[0]}`;
+  }
+  const timing = `${formatTime(cue.from, vtt)} --> ${formatTime(cue.to, vtt)}`;
+  return `${index}\n${timing}\n${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Places the results of a list of recognition results in one transcript, by setting each `result_index` to the
+ * position of the results in it. A message continues the recognition before it when its `result_index` is higher
+ * than that of the previous message, or the same when the previous results were interim, as with the messages of
+ * `recognizeUsingWebSocket()`: its results replace those from that index on. Any other message, like the next
+ * element of the results of an asynchronous job, starts a new recognition, whose results are appended.
+ *
+ * @param {SpeechRecognitionResults|SpeechRecognitionResults[]} results
+ * @returns {SpeechRecognitionResults[]} - copies of the messages with the `result_index` in the whole transcript
+ */
+export function sequenceResults(
+  results: SpeechRecognitionResults | SpeechRecognitionResults[]
+): SpeechRecognitionResults[] {
+  let offset = 0;
+  let length = 0;
+  let previous: SpeechRecognitionResults = null;
+  return (Array.isArray(results) ? results : [results]).map(message => {
+    if (!Array.isArray(message.results)) {
+      // e.g. a message with only speaker labels
+      return message;
+    }
+    const resultIndex = message.result_index || 0;
+    if (previous) {
+      const previousIndex = previous.result_index || 0;
+      const interim = previous.results.some(result => !result.final);
+      if (resultIndex < previousIndex || (resultIndex === previousIndex && !interim)) {
+        offset = length;
+      }
+    }
+    previous = message;
+    length = Math.max(length, offset + resultIndex + message.results.length);
+    return Object.assign({}, message, { result_index: offset + resultIndex });
+  });
+}
+
+/**
+ * Converts recognition results with word `timestamps` into a WebVTT or SRT caption file.
+ *
+ * If the results contain `speaker_labels`, cues are prefixed with the speaker unless `speakerPrefix` is `false`.
+ *
+ * @param {SpeechRecognitionResults|SpeechRecognitionResults[]} results - the results of `recognize()`, an asynchronous
+ * job or the messages of `recognizeUsingWebSocket()` in object mode, placed as `sequenceResults()` describes
+ * @param {CaptionOptions} [options]
+ * @returns {string}
+ */
+export function createCaptions(
+  results: SpeechRecognitionResults | SpeechRecognitionResults[],
+  options?: CaptionOptions
+): string {
+  const merged: SpeechRecognitionResult[] = [];
+  const speakerLabels: SpeakerLabelsResult[] = [];
+  sequenceResults(results).forEach(message => {
+    const resultIndex = message.result_index || 0;
+    (message.results || []).forEach((result, i) => {
+      merged[resultIndex + i] = result;
+    });
+    speakerLabels.push(...(message.speaker_labels || []));
+  });
+
+  const opts: CaptionOptions = Object.assign({}, options);
+  if (opts.speakerPrefix === undefined) {
+    opts.speakerPrefix = speakerLabels.length > 0;
+  }
+  const cues = buildCues(getWords(merged, speakerLabels), opts);
+  return formatHeader(opts.format) + cues.map((cue, i) => formatCue(cue, i + 1, opts)).join('');
+}
+
+/**
+ * @private
+ */
+function formatTime(seconds: number, vtt: boolean): string {
+  const totalMs = Math.round(seconds * 1000);
+  const pad = (n: number, width: number) => ('000' + n).slice(-width);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  const ms = totalMs % 1000;
+  return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(secs, 2)}${vtt ? '.' : ','}${pad(ms, 3)}`;
+}
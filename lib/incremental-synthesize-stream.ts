@@ -0,0 +1,312 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import { Agent } from 'http';
+import { Authenticator } from 'ibm-cloud-sdk-core';
+import { Duplex, DuplexOptions } from 'stream';
+import { StringDecoder } from 'string_decoder';
+import { SynthesizeIncrementallyWebSocketParams } from '../text-to-speech/v1';
+import { AudioStitcher, createAudioStitcher } from './audio-stitcher';
+import { getBytesPerSecond, parseContentType, parseWavHeader } from './audio-utils';
+import { Interceptor } from './interceptors';
+import Recorder = require('./recorder');
+import SynthesizeStream = require('./synthesize-stream');
+import { splitSentences } from './text-segmenter';
+import { Tracer } from './tracing';
+
+interface Timing {
+  event: 'words' | 'marks';
+  message: any;
+  json: any;
+}
+
+interface Segment {
+  index: number;
+  text: string;
+  stream?: SynthesizeStream;
+  chunks: Buffer[];
+  timings: Timing[];
+  audioBytes: number;
+  /** the end of the last word or mark, in seconds from the start of the segment */
+  lastTime: number;
+  done: boolean;
+}
+
+const WAV_TYPES = ['audio/wav', 'audio/wave', 'audio/x-wav'];
+
+/**
+ * pipe()-able Node.js Duplex stream - accepts text as it is written and emits binary audio data.
+ *
+ * The text is split into sentences, and each sentence is synthesized over its own WebSocket connection as soon as it is
+ * complete. Up to `poolSize` connections are used at a time, including one that is opened ahead of time for the next
+ * sentence. The audio of the sentences is emitted in order as one continuous stream, see `createAudioStitcher()`: wav,
+ * Ogg, mp3 and the headerless `audio/l16`, `audio/mulaw` and `audio/alaw` formats are supported.
+ *
+ * The `words` and `marks` events carry the times of the whole stream rather than of the sentence. They are exact for
+ * wav and for `audio/l16`, `audio/mulaw` and `audio/alaw` with a `rate`; for other formats, each sentence is assumed to
+ * end with its last word.
+ */
+class IncrementalSynthesizeStream extends Duplex {
+  static ERROR_UNSUPPORTED_FORMAT: string = 'UNSUPPORTED_FORMAT';
+  static DEFAULT_POOL_SIZE: number = 2;
+  static DEFAULT_MAX_SEGMENT_LENGTH: number = 1000;
+
+  private options: IncrementalSynthesizeStream.Options;
+  private text: string;
+  /** keeps the bytes of a character that is split between two writes */
+  private decoder: StringDecoder;
+  private segments: Segment[];
+  private nextSegment: number;
+  private outputSegment: number;
+  private active: number;
+  private idle: SynthesizeStream[];
+  private inputEnded: boolean;
+  private outputEnded: boolean;
+  private timeOffset: number;
+  private stitcher: AudioStitcher;
+  private wav: boolean;
+  private bytesPerSecond: number;
+
+  /**
+   * @param {Options} options - the options of `synthesizeUsingWebSocket()` without `text`, plus:
+   * @param {number} [options.poolSize] - The maximum number of connections to use at a time (default=2)
+   * @param {number} [options.maxSegmentLength] - Sentences longer than this many characters are split at a space (default=1000)
+   * @constructor
+   */
+  constructor(options: IncrementalSynthesizeStream.Options) {
+    super(Object.assign({}, options, { decodeStrings: false }));
+    // the service sends Ogg by default
+    const contentType = options.accept || 'audio/ogg;codecs=opus';
+    this.stitcher = createAudioStitcher(contentType);
+    if (!this.stitcher) {
+      const err = new Error(`Audio of type ${contentType} can't be joined, please use wav, ogg, mp3 or l16.`);
+      err.name = IncrementalSynthesizeStream.ERROR_UNSUPPORTED_FORMAT;
+      throw err;
+    }
+    this.options = options;
+    this.text = '';
+    this.decoder = new StringDecoder('utf8');
+    this.segments = [];
+    this.nextSegment = 0;
+    this.outputSegment = 0;
+    this.active = 0;
+    this.idle = [];
+    this.inputEnded = false;
+    this.outputEnded = false;
+    this.timeOffset = 0;
+    this.wav = WAV_TYPES.indexOf(parseContentType(contentType).type) !== -1;
+    this.bytesPerSecond = this.wav ? 0 : getBytesPerSecond(contentType);
+  }
+
+  _write(chunk: string | Buffer, encoding, callback): void {
+    this.text += typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+    const maxLength = this.options.maxSegmentLength || IncrementalSynthesizeStream.DEFAULT_MAX_SEGMENT_LENGTH;
+    const { sentences, rest } = splitSentences(this.text, maxLength);
+    this.text = rest;
+    sentences.forEach(sentence => this.addSegment(sentence));
+    this.schedule();
+    callback();
+  }
+
+  _final(callback): void {
+    this.inputEnded = true;
+    this.addSegment(this.text + this.decoder.end());
+    this.text = '';
+    this.schedule();
+    this.flush();
+    callback();
+  }
+
+  _read(): void {
+    // audio is pushed as it arrives from the service
+  }
+
+  _destroy(err: Error, callback: (err: Error) => void): void {
+    this.idle.forEach(stream => stream.destroy());
+    this.idle = [];
+    this.segments.forEach(segment => {
+      if (segment.stream && !segment.done) {
+        segment.stream.destroy();
+      }
+    });
+    callback(err);
+  }
+
+  private addSegment(text: string): void {
+    text = text.trim();
+    if (!text) {
+      return;
+    }
+    this.segments.push({
+      index: this.segments.length,
+      text,
+      chunks: [],
+      timings: [],
+      audioBytes: 0,
+      lastTime: 0,
+      done: false,
+    });
+  }
+
+  /**
+   * Starts synthesizing as many segments as the pool allows, and keeps a connection ready for text still to come.
+   * @private
+   */
+  private schedule(): void {
+    const poolSize = this.options.poolSize || IncrementalSynthesizeStream.DEFAULT_POOL_SIZE;
+    while (this.active < poolSize && this.nextSegment < this.segments.length) {
+      this.startSegment(this.segments[this.nextSegment++]);
+    }
+    if (this.inputEnded) {
+      this.idle.forEach(stream => stream.destroy());
+      this.idle = [];
+      return;
+    }
+    while (this.active + this.idle.length < poolSize) {
+      this.idle.push(this.openConnection());
+    }
+  }
+
+  private openConnection(): SynthesizeStream {
+    const stream = new SynthesizeStream(Object.assign({}, this.options, { text: undefined }));
+    stream.on('error', err => this.destroy(err));
+    // the service closes connections that stay idle for too long
+    stream.on('end', () => {
+      const index = this.idle.indexOf(stream);
+      if (index !== -1) {
+        this.idle.splice(index, 1);
+      }
+    });
+    // reading opens the connection
+    stream.resume();
+    return stream;
+  }
+
+  private startSegment(segment: Segment): void {
+    let stream = this.idle.shift();
+    // the service may be closing an idle connection, which would drop the text
+    while (stream && !stream.canSetText()) {
+      stream.destroy();
+      stream = this.idle.shift();
+    }
+    stream = stream || this.openConnection();
+    segment.stream = stream;
+    this.active++;
+    stream.on('data', (data: Buffer) => {
+      segment.chunks.push(data);
+      this.flush();
+    });
+    stream.on('words', (message, json) => segment.timings.push({ event: 'words', message, json }));
+    stream.on('marks', (message, json) => segment.timings.push({ event: 'marks', message, json }));
+    stream.on('end', () => {
+      segment.done = true;
+      this.active--;
+      this.flush();
+      this.schedule();
+    });
+    stream.setText(segment.text);
+  }
+
+  /**
+   * Emits the audio and timings of the segments in order, as far as they have arrived.
+   * @private
+   */
+  private flush(): void {
+    while (this.outputSegment < this.segments.length) {
+      const segment = this.segments[this.outputSegment];
+      segment.chunks.splice(0).forEach(chunk => this.pushAudio(segment, chunk));
+      segment.timings.splice(0).forEach(timing => this.emitTiming(segment, timing));
+      if (!segment.done) {
+        return;
+      }
+      // the stitcher has to know whether more audio follows, which is only certain once the input has ended
+      const last = this.outputSegment === this.segments.length - 1;
+      if (last && !this.inputEnded) {
+        return;
+      }
+      this.pushData(this.stitcher.end(segment.index, last));
+      this.timeOffset += this.bytesPerSecond ? segment.audioBytes / this.bytesPerSecond : segment.lastTime;
+      this.outputSegment++;
+    }
+    if (this.inputEnded && !this.outputEnded) {
+      this.outputEnded = true;
+      this.push(null);
+    }
+  }
+
+  private pushAudio(segment: Segment, chunk: Buffer): void {
+    const data = this.stitcher.write(chunk, segment.index);
+    let headerLength = 0;
+    // the output starts with the only wav header, which tells the byte rate
+    if (this.wav && !this.bytesPerSecond && data.length) {
+      const wav = parseWavHeader(data);
+      this.bytesPerSecond = wav.byteRate;
+      headerLength = wav.dataOffset;
+    }
+    segment.audioBytes += data.length - headerLength;
+    this.pushData(data);
+  }
+
+  private pushData(data: Buffer): void {
+    if (data.length) {
+      this.push(data);
+    }
+  }
+
+  private emitTiming(segment: Segment, timing: Timing): void {
+    const offset = this.timeOffset;
+    const json = Object.assign({}, timing.json);
+    if (timing.event === 'words') {
+      json.words = timing.json.words.map(([word, start, end]) => {
+        segment.lastTime = Math.max(segment.lastTime, end);
+        return [word, start + offset, end + offset];
+      });
+    } else {
+      json.marks = timing.json.marks.map(([mark, time]) => {
+        segment.lastTime = Math.max(segment.lastTime, time);
+        return [mark, time + offset];
+      });
+    }
+    /**
+     * Word timings, in seconds from the start of the stream.
+     * @event IncrementalSynthesizeStream#words
+     * @param {Object} message - the frame received from the service for the sentence
+     * @param {Object} json - `{ words: [[word, start, end], ...] }`
+     */
+    /**
+     * SSML mark timings, in seconds from the start of the stream.
+     * @event IncrementalSynthesizeStream#marks
+     * @param {Object} message - the frame received from the service for the sentence
+     * @param {Object} json - `{ marks: [[name, time], ...] }`
+     */
+    this.emit(timing.event, timing.message, json);
+  }
+}
+
+namespace IncrementalSynthesizeStream {
+  export interface Options extends DuplexOptions, SynthesizeIncrementallyWebSocketParams {
+    /* base options */
+    authenticator: Authenticator;
+    serviceUrl?: string;
+    disableSslVerification?: boolean;
+    agent?: Agent;
+    interceptors?: Interceptor[];
+    tracer?: Tracer;
+    recorder?: Recorder;
+  }
+}
+
+export = IncrementalSynthesizeStream;
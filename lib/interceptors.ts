@@ -0,0 +1,284 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import { IncomingHttpHeaders, OutgoingHttpHeaders } from 'http';
+import { w3cwebsocket as w3cWebSocket } from 'websocket';
+
+/** what the request hooks see, and can change, before a request is sent */
+export interface RequestContext {
+  /** the name of the service, like `speech_to_text` */
+  serviceName: string;
+  /** `websocket` for the handshake of a WebSocket connection */
+  protocol: 'http' | 'websocket';
+  method: string;
+  /** the full URL, including the query string */
+  url: string;
+  /** the final headers, including the Authorization header */
+  headers: OutgoingHttpHeaders;
+  /** the request body, before it is serialized - a FormData for multipart requests */
+  body?: any;
+}
+
+/** what the response hooks see once a response is received, or the request failed */
+export interface ResponseContext {
+  request: RequestContext;
+  /** the status code, 101 for a WebSocket handshake - missing if no response was received */
+  status?: number;
+  headers?: IncomingHttpHeaders;
+  /** the `x-global-transaction-id` header, which identifies the request to IBM support */
+  globalTransactionId?: string;
+  /** (milliseconds) - the time between sending the request and receiving the response */
+  duration: number;
+  /** the response body, which can be replaced - not set for WebSocket handshakes */
+  body?: any;
+  /** set if the request failed */
+  error?: Error;
+}
+
+/**
+ * A pair of hooks that are called for every request. Either can return a Promise to finish asynchronously, and an
+ * error thrown by either fails the request.
+ */
+export interface Interceptor {
+  request?: (context: RequestContext) => void | Promise<void>;
+  response?: (context: ResponseContext) => void | Promise<void>;
+}
+
+const GLOBAL_TRANSACTION_ID = 'x-global-transaction-id';
+// the keys of the axios headers config that hold the defaults for each method
+const AXIOS_HEADER_GROUPS = ['common', 'delete', 'get', 'head', 'options', 'post', 'put', 'patch'];
+
+const globalInterceptors: Interceptor[] = [];
+
+/**
+ * Adds an interceptor for the requests of all service clients. Global interceptors see the requests before those
+ * added to a client, and the responses after them.
+ *
+ * @param {Interceptor} interceptor
+ */
+export function addGlobalInterceptor(interceptor: Interceptor): void {
+  globalInterceptors.push(interceptor);
+}
+
+/**
+ * Removes an interceptor added with `addGlobalInterceptor()`.
+ *
+ * @param {Interceptor} interceptor
+ */
+export function removeGlobalInterceptor(interceptor: Interceptor): void {
+  const index = globalInterceptors.indexOf(interceptor);
+  if (index !== -1) {
+    globalInterceptors.splice(index, 1);
+  }
+}
+
+/**
+ * Returns the global interceptors followed by the given ones, in the order in which their request hooks are called.
+ *
+ * @param {Interceptor[]} [interceptors] - the interceptors of a client
+ * @returns {Interceptor[]}
+ */
+export function getInterceptors(interceptors?: Interceptor[]): Interceptor[] {
+  return globalInterceptors.concat(interceptors || []);
+}
+
+/**
+ * Calls the request hooks one after the other.
+ *
+ * @param {Interceptor[]} interceptors
+ * @param {RequestContext} context
+ * @returns {Promise<void>}
+ */
+export function runRequestHooks(interceptors: Interceptor[], context: RequestContext): Promise<void> {
+  return interceptors.reduce(
+    (previous, interceptor) => (interceptor.request ? previous.then(() => interceptor.request(context)) : previous),
+    Promise.resolve()
+  );
+}
+
+/**
+ * Calls the response hooks one after the other, in the reverse order of the request hooks.
+ *
+ * @param {Interceptor[]} interceptors
+ * @param {ResponseContext} context
+ * @returns {Promise<void>}
+ */
+export function runResponseHooks(interceptors: Interceptor[], context: ResponseContext): Promise<void> {
+  return interceptors.reduceRight(
+    (previous, interceptor) => (interceptor.response ? previous.then(() => interceptor.response(context)) : previous),
+    Promise.resolve()
+  );
+}
+
+/**
+ * Runs the interceptors for every request sent through an axios instance, like the one of a service client. They run
+ * after the request has been authenticated, and see each attempt of a retried request.
+ *
+ * @param {Object} axiosInstance
+ * @param {string} serviceName
+ * @param {Function} getClientInterceptors - returns the interceptors to run, at the time of each request
+ */
+export function interceptAxios(
+  axiosInstance: any,
+  serviceName: string,
+  getClientInterceptors: () => Interceptor[]
+): void {
+  const pending = new WeakMap<object, { context: RequestContext; interceptors: Interceptor[]; start: number }>();
+
+  const finish = (config: any, response: any, error?: any): Promise<any> => {
+    const request = config && pending.get(config);
+    if (!request) {
+      return error ? Promise.reject(error) : Promise.resolve(response);
+    }
+    pending.delete(config);
+    const headers = response && response.headers;
+    const context: ResponseContext = {
+      request: request.context,
+      status: response && response.status,
+      headers,
+      globalTransactionId: headers && headers[GLOBAL_TRANSACTION_ID],
+      duration: Date.now() - request.start,
+      body: response && response.data,
+      error,
+    };
+    return runResponseHooks(request.interceptors, context).then(() => {
+      if (error) {
+        throw error;
+      }
+      response.data = context.body;
+      return response;
+    });
+  };
+
+  axiosInstance.interceptors.request.use((config: any) => {
+    const interceptors = getClientInterceptors();
+    if (!interceptors.length) {
+      return config;
+    }
+    const url = getFullUrl(config);
+    const context: RequestContext = {
+      serviceName,
+      protocol: 'http',
+      method: config.method.toUpperCase(),
+      url,
+      headers: flattenHeaders(config),
+      body: config.data,
+    };
+    return runRequestHooks(interceptors, context).then(() => {
+      config.method = context.method.toLowerCase();
+      if (context.url !== url) {
+        config.url = context.url;
+        config.params = undefined;
+      }
+      config.headers = context.headers;
+      config.data = context.body;
+      pending.set(config, { context, interceptors, start: Date.now() });
+      return config;
+    });
+  });
+
+  axiosInstance.interceptors.response.use(
+    (response: any) => finish(response.config, response),
+    (error: any) => finish(error && error.config, error && error.response, error)
+  );
+}
+
+/**
+ * Runs the interceptors for the handshake of a WebSocket connection: the request hooks before the connection is
+ * opened with the URL and headers they leave, and the response hooks once the handshake succeeds or fails. Without
+ * interceptors, the connection is opened right away.
+ *
+ * @param {Interceptor[]} interceptors
+ * @param {RequestContext} context
+ * @param {Function} open - opens the connection
+ * @param {Function} onError - called if a hook fails
+ */
+export function interceptWebSocket(
+  interceptors: Interceptor[],
+  context: RequestContext,
+  open: (url: string, headers: OutgoingHttpHeaders) => w3cWebSocket,
+  onError: (err: Error) => void
+): void {
+  if (!interceptors.length) {
+    open(context.url, context.headers);
+    return;
+  }
+  runRequestHooks(interceptors, context).then(() => {
+    const start = Date.now();
+    const socket = open(context.url, context.headers);
+    const finish = (status: number, headers: IncomingHttpHeaders, error?: Error) => {
+      const response: ResponseContext = {
+        request: context,
+        status,
+        headers,
+        globalTransactionId: headers && (headers[GLOBAL_TRANSACTION_ID] as string),
+        duration: Date.now() - start,
+        error,
+      };
+      runResponseHooks(interceptors, response).catch(onError);
+    };
+    // the w3c websocket for Node exposes its client, which knows the response to the handshake
+    const client: any = socket['_client'];
+    if (client) {
+      client.once('connect', () => finish(101, client.response && client.response.headers));
+      client.once('connectFailed', (err: Error) => finish(getHandshakeStatus(err), undefined, err));
+    } else {
+      // the WebSocket of browsers doesn't expose the response
+      const browserSocket: EventTarget = socket as any;
+      browserSocket.addEventListener('open', () => finish(101, undefined));
+      browserSocket.addEventListener('error', () =>
+        finish(undefined, undefined, new Error('WebSocket connection error'))
+      );
+    }
+  }, onError);
+}
+
+/**
+ * Returns the full URL of an axios request, including the query string.
+ *
+ * @param {Object} config - the axios request config
+ * @returns {string}
+ */
+export function getFullUrl(config: any): string {
+  const params = config.params;
+  if (!params || !Object.keys(params).length) {
+    return config.url;
+  }
+  const query = config.paramsSerializer ? config.paramsSerializer(params) : new URLSearchParams(params).toString();
+  return query ? config.url + (config.url.indexOf('?') === -1 ? '?' : '&') + query : config.url;
+}
+
+/**
+ * Merges the default headers of axios into those of the request, as axios does right before sending it.
+ * @private
+ */
+function flattenHeaders(config: any): OutgoingHttpHeaders {
+  const headers = config.headers || {};
+  const flat = Object.assign({}, headers.common, headers[config.method]);
+  Object.keys(headers)
+    .filter(name => AXIOS_HEADER_GROUPS.indexOf(name) === -1)
+    .forEach(name => (flat[name] = headers[name]));
+  return flat;
+}
+
+/**
+ * The websocket library only reports the status of a failed handshake in the message of its error.
+ * @private
+ */
+function getHandshakeStatus(err: Error): number {
+  const match = /non-101 status: (\d+)/.exec(err && err.message);
+  return match ? Number(match[1]) : undefined;
+}
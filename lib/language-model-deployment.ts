@@ -0,0 +1,363 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import crypto = require('crypto');
+import fs = require('fs');
+import { OutgoingHttpHeaders } from 'http';
+import path = require('path');
+import GeneratedSpeechToTextV1 = require('../speech-to-text/v1-generated');
+import { predicates, waitForResource, WaitOptions } from './resource-waiter';
+
+type Client = GeneratedSpeechToTextV1;
+
+export interface ManifestCorpus {
+  name: string;
+  /** the path of the text file, relative to the manifest file */
+  file?: string;
+  /** the text, instead of a file */
+  text?: string;
+}
+
+export interface ManifestGrammar extends ManifestCorpus {
+  /** `application/srgs` (ABNF) or `application/srgs+xml`, by default guessed from the file extension */
+  contentType?: string;
+}
+
+export interface ManifestWord {
+  word: string;
+  soundsLike?: string[];
+  displayAs?: string;
+}
+
+export interface LanguageModelManifest {
+  name: string;
+  baseModelName: string;
+  dialect?: string;
+  description?: string;
+  corpora?: ManifestCorpus[];
+  grammars?: ManifestGrammar[];
+  words?: ManifestWord[];
+}
+
+export interface DeploymentOptions {
+  /** the model to deploy to, instead of the model with the name of the manifest */
+  customizationId?: string;
+  /** only compute the changes */
+  dryRun?: boolean;
+  /** delete the corpora, grammars and custom words of the model that aren't in the manifest (default=true) */
+  deleteMissing?: boolean;
+  customizationWeight?: number;
+  /** how to wait for analysis and training */
+  wait?: WaitOptions;
+  headers?: OutgoingHttpHeaders;
+}
+
+export interface ResourceChanges {
+  added: string[];
+  updated: string[];
+  deleted: string[];
+  unchanged: string[];
+}
+
+export interface DeploymentResult {
+  customizationId: string;
+  created: boolean;
+  corpora: ResourceChanges;
+  grammars: ResourceChanges;
+  words: ResourceChanges;
+  trained: boolean;
+  dryRun: boolean;
+}
+
+interface LocalResource {
+  name: string;
+  /** the name in the service, which includes a hash of the content */
+  remoteName: string;
+  content: Buffer;
+  contentType?: string;
+}
+
+interface ResourcePlan {
+  add: LocalResource[];
+  delete: string[];
+  changes: ResourceChanges;
+}
+
+// the hash that is appended to the names of corpora and grammars, as in `medical-terms-3f2a9c81d0e4`
+const HASHED_NAME = /^(.+)-([0-9a-f]{12})$/;
+
+/**
+ * Reads a manifest from a JSON file. The paths of corpus and grammar files are relative to the manifest.
+ *
+ * @param {string} file
+ * @returns {Promise<LanguageModelManifest>}
+ */
+export async function loadManifest(file: string): Promise<LanguageModelManifest> {
+  const manifest: LanguageModelManifest = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  const dir = path.dirname(file);
+  const resolve = (resource: ManifestCorpus) =>
+    resource.file ? Object.assign({}, resource, { file: path.resolve(dir, resource.file) }) : resource;
+  manifest.corpora = (manifest.corpora || []).map(resolve);
+  manifest.grammars = (manifest.grammars || []).map(resolve);
+  return manifest;
+}
+
+/**
+ * Returns the name under which a corpus or grammar is stored in the service: its name in the manifest followed by a
+ * hash of its content, so that changed content can be told apart without downloading it.
+ *
+ * @param {string} name
+ * @param {Buffer|string} content
+ * @returns {string}
+ */
+export function getResourceName(name: string, content: Buffer | string): string {
+  const hash = crypto
+    .createHash('sha256')
+    .update(content)
+    .digest('hex');
+  return `${name}-${hash.slice(0, 12)}`;
+}
+
+/**
+ * Brings a custom language model in line with a manifest, see `SpeechToTextV1#deployLanguageModel()`.
+ *
+ * @param {SpeechToTextV1} client
+ * @param {LanguageModelManifest} manifest
+ * @param {DeploymentOptions} [options]
+ * @returns {Promise<DeploymentResult>}
+ */
+export async function deployLanguageModel(
+  client: Client,
+  manifest: LanguageModelManifest,
+  options: DeploymentOptions = {}
+): Promise<DeploymentResult> {
+  const headers = options.headers;
+  const deleteMissing = options.deleteMissing !== false;
+  const corpora = await readResources(manifest.corpora || []);
+  const grammars = await readResources(manifest.grammars || []);
+  const words = manifest.words || [];
+
+  let customizationId = options.customizationId;
+  if (!customizationId) {
+    const models = (await client.listLanguageModels({ headers })).result.customizations;
+    const existing = models.filter(customization => customization.name === manifest.name)[0];
+    customizationId = existing && existing.customization_id;
+  }
+
+  const created = !customizationId;
+  let remoteCorpora: string[] = [];
+  let remoteGrammars: string[] = [];
+  let remoteWords: GeneratedSpeechToTextV1.Word[] = [];
+  if (created && !options.dryRun) {
+    const { name, baseModelName, dialect, description } = manifest;
+    const res = await client.createLanguageModel({ name, baseModelName, dialect, description, headers });
+    customizationId = res.result.customization_id;
+  } else if (!created) {
+    const params = { customizationId, headers };
+    remoteCorpora = (await client.listCorpora(params)).result.corpora.map(corpus => corpus.name);
+    remoteGrammars = (await client.listGrammars(params)).result.grammars.map(grammar => grammar.name);
+    remoteWords = (await client.listWords({ customizationId, wordType: 'user', headers })).result.words;
+  }
+
+  const corporaPlan = planResources(corpora, remoteCorpora, deleteMissing);
+  const grammarsPlan = planResources(grammars, remoteGrammars, deleteMissing);
+  const wordsPlan = planWords(words, remoteWords, deleteMissing);
+  const changed = [corporaPlan.changes, grammarsPlan.changes, wordsPlan.changes].some(
+    changes => changes.added.length + changes.updated.length + changes.deleted.length > 0
+  );
+  const result: DeploymentResult = {
+    customizationId,
+    created,
+    corpora: corporaPlan.changes,
+    grammars: grammarsPlan.changes,
+    words: wordsPlan.changes,
+    trained: false,
+    dryRun: !!options.dryRun,
+  };
+  if (options.dryRun) {
+    return result;
+  }
+
+  const wait = options.wait;
+  const ids = { customizationId, headers };
+  const modelReady = () =>
+    waitForResource(
+      () => client.getLanguageModel(ids).then(res => res.result),
+      predicates.customModelReady,
+      wait
+    );
+
+  for (const corpusName of corporaPlan.delete) {
+    await client.deleteCorpus({ customizationId, corpusName, headers });
+  }
+  for (const grammarName of grammarsPlan.delete) {
+    await client.deleteGrammar({ customizationId, grammarName, headers });
+  }
+  for (const wordName of wordsPlan.delete) {
+    await client.deleteWord({ customizationId, wordName, headers });
+  }
+
+  // the service analyzes one resource at a time, and rejects new ones in the meantime
+  for (const corpus of corporaPlan.add) {
+    const corpusName = corpus.remoteName;
+    await client.addCorpus({ customizationId, corpusName, corpusFile: corpus.content, allowOverwrite: true, headers });
+    await waitForResource(
+      () => client.getCorpus({ customizationId, corpusName, headers }).then(res => res.result),
+      predicates.analyzed,
+      wait
+    );
+  }
+  for (const grammar of grammarsPlan.add) {
+    const grammarName = grammar.remoteName;
+    await client.addGrammar({
+      customizationId,
+      grammarName,
+      grammarFile: grammar.content,
+      contentType: grammar.contentType,
+      allowOverwrite: true,
+      headers,
+    });
+    await waitForResource(
+      () => client.getGrammar({ customizationId, grammarName, headers }).then(res => res.result),
+      predicates.analyzed,
+      wait
+    );
+  }
+  if (wordsPlan.add.length) {
+    await client.addWords({ customizationId, words: wordsPlan.add, headers });
+  }
+
+  // a model without any data stays pending and can't be trained, which also happens when everything was deleted
+  const keepsAny = (remote: string[], deleted: string[]) => remote.some(name => deleted.indexOf(name) === -1);
+  const hasData =
+    corpora.length + grammars.length + words.length > 0 ||
+    keepsAny(remoteCorpora, corporaPlan.delete) ||
+    keepsAny(remoteGrammars, grammarsPlan.delete) ||
+    keepsAny(remoteWords.map(word => word.word), wordsPlan.delete);
+  if (!hasData) {
+    return result;
+  }
+  const model = await modelReady();
+  if (changed || model.status !== 'available') {
+    await client.trainLanguageModel({ customizationId, customizationWeight: options.customizationWeight, headers });
+    await waitForResource(
+      () => client.getLanguageModel(ids).then(res => res.result),
+      predicates.customModelTrained,
+      wait
+    );
+    result.trained = true;
+  }
+  return result;
+}
+
+/**
+ * @private
+ */
+async function readResources(resources: ManifestGrammar[]): Promise<LocalResource[]> {
+  const local: LocalResource[] = [];
+  for (const resource of resources) {
+    if (!resource.name || (resource.file === undefined) === (resource.text === undefined)) {
+      throw new Error(`Manifest entry "${resource.name}" needs a name and either a file or a text`);
+    }
+    const content =
+      resource.file !== undefined ? await fs.promises.readFile(resource.file) : Buffer.from(resource.text, 'utf8');
+    const contentType =
+      resource.contentType || (/\.xml$/i.test(resource.file || '') ? 'application/srgs+xml' : 'application/srgs');
+    local.push({ name: resource.name, remoteName: getResourceName(resource.name, content), content, contentType });
+  }
+  return local;
+}
+
+/**
+ * @private
+ */
+function planResources(local: LocalResource[], remote: string[], deleteMissing: boolean): ResourcePlan {
+  const plan: ResourcePlan = { add: [], delete: [], changes: emptyChanges() };
+  const baseName = (name: string) => {
+    const match = HASHED_NAME.exec(name);
+    return match ? match[1] : name;
+  };
+  const claimed: string[] = [];
+
+  local.forEach(resource => {
+    if (remote.indexOf(resource.remoteName) !== -1) {
+      claimed.push(resource.remoteName);
+      plan.changes.unchanged.push(resource.name);
+      return;
+    }
+    const previous = remote.filter(name => baseName(name) === resource.name);
+    claimed.push(...previous);
+    plan.delete.push(...previous);
+    plan.add.push(resource);
+    (previous.length ? plan.changes.updated : plan.changes.added).push(resource.name);
+  });
+  if (deleteMissing) {
+    remote
+      .filter(name => claimed.indexOf(name) === -1)
+      .forEach(name => {
+        plan.delete.push(name);
+        plan.changes.deleted.push(name);
+      });
+  }
+  return plan;
+}
+
+/**
+ * @private
+ */
+function planWords(
+  local: ManifestWord[],
+  remote: GeneratedSpeechToTextV1.Word[],
+  deleteMissing: boolean
+): { add: GeneratedSpeechToTextV1.CustomWord[]; delete: string[]; changes: ResourceChanges } {
+  const plan = { add: [], delete: [], changes: emptyChanges() };
+  const remoteWords: { [word: string]: GeneratedSpeechToTextV1.Word } = {};
+  remote.forEach(word => (remoteWords[word.word] = word));
+  // the service lists the word itself as the spelling of words without a `display_as`
+  const key = (word: string, soundsLike: string[], displayAs: string) =>
+    JSON.stringify([(soundsLike || []).slice().sort(), displayAs || word]);
+
+  local.forEach(({ word, soundsLike, displayAs }) => {
+    const current = remoteWords[word];
+    delete remoteWords[word];
+    if (current && key(word, current.sounds_like, current.display_as) === key(word, soundsLike, displayAs)) {
+      return plan.changes.unchanged.push(word);
+    }
+    const customWord: GeneratedSpeechToTextV1.CustomWord = { word };
+    if (soundsLike && soundsLike.length) {
+      customWord.sounds_like = soundsLike;
+    }
+    if (displayAs) {
+      customWord.display_as = displayAs;
+    }
+    plan.add.push(customWord);
+    (current ? plan.changes.updated : plan.changes.added).push(word);
+  });
+  if (deleteMissing) {
+    Object.keys(remoteWords).forEach(word => {
+      plan.delete.push(word);
+      plan.changes.deleted.push(word);
+    });
+  }
+  return plan;
+}
+
+/**
+ * @private
+ */
+function emptyChanges(): ResourceChanges {
+  return { added: [], updated: [], deleted: [], unchanged: [] };
+}
@@ -0,0 +1,169 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import { Readable, ReadableOptions } from 'stream';
+import { AudioStitcher, createAudioStitcher } from './audio-stitcher';
+import { splitText } from './text-segmenter';
+
+interface Chunk {
+  data: Buffer[];
+  done: boolean;
+}
+
+/**
+ * pipe()-able Node.js Readable stream - synthesizes text of any length and emits it as one audio stream.
+ *
+ * The text (plain text or SSML) is split into chunks below the size limit of the service, at the end of a sentence or
+ * paragraph where possible. The chunks are synthesized with up to `concurrency` requests at a time, and their audio is
+ * joined in order as it arrives, see `createAudioStitcher()`. No further chunks are started while the audio isn't read
+ * as fast as it is synthesized.
+ *
+ * Cannot be instantiated directly, instead created by calling #synthesizeLong()
+ */
+class LongSynthesizeStream extends Readable {
+  static ERROR_UNSUPPORTED_FORMAT: string = 'UNSUPPORTED_FORMAT';
+  static DEFAULT_MAX_CHUNK_SIZE: number = 4000;
+  static DEFAULT_CONCURRENCY: number = 3;
+
+  /** the text of each chunk */
+  texts: string[];
+  private options: LongSynthesizeStream.Options;
+  private stitcher: AudioStitcher;
+  private chunks: Chunk[];
+  private nextChunk: number;
+  private outputChunk: number;
+  private active: number;
+  private started: boolean;
+  /** set while the output buffer is full */
+  private paused: boolean;
+
+  /**
+   * @param {Options} options
+   * @param {string} options.text - The plain text or SSML to synthesize
+   * @param {string} options.contentType - The format (MIME type) of the audio
+   * @param {Function} options.synthesize - Synthesizes one chunk, resolving with its audio as a Buffer or a stream
+   * @param {number} [options.maxChunkSize] - The maximum size of a chunk in bytes, leaving room below the 5 KB limit of the service (default=4000)
+   * @param {number} [options.concurrency] - The maximum number of chunks to synthesize at a time (default=3)
+   * @constructor
+   */
+  constructor(options: LongSynthesizeStream.Options) {
+    super(options);
+    this.options = options;
+    this.stitcher = createAudioStitcher(options.contentType);
+    if (!this.stitcher) {
+      const err = new Error(`Audio of type ${options.contentType} can't be joined, please use wav, ogg, mp3 or l16.`);
+      err.name = LongSynthesizeStream.ERROR_UNSUPPORTED_FORMAT;
+      throw err;
+    }
+    this.texts = splitText(options.text, options.maxChunkSize || LongSynthesizeStream.DEFAULT_MAX_CHUNK_SIZE);
+    this.chunks = [];
+    this.nextChunk = 0;
+    this.outputChunk = 0;
+    this.active = 0;
+    this.started = false;
+    this.paused = false;
+  }
+
+  _read(): void {
+    if (!this.started || this.paused) {
+      this.started = true;
+      this.paused = false;
+      this.schedule();
+      this.flush();
+    }
+  }
+
+  private schedule(): void {
+    const concurrency = this.options.concurrency || LongSynthesizeStream.DEFAULT_CONCURRENCY;
+    while (!this.paused && this.active < concurrency && this.nextChunk < this.texts.length) {
+      this.startChunk(this.nextChunk++);
+    }
+  }
+
+  private startChunk(index: number): void {
+    const chunk: Chunk = (this.chunks[index] = { data: [], done: false });
+    this.active++;
+    const done = () => {
+      chunk.done = true;
+      this.active--;
+      this.flush();
+      this.schedule();
+    };
+
+    this.options.synthesize(this.texts[index]).then(
+      audio => {
+        if (Buffer.isBuffer(audio)) {
+          chunk.data.push(audio);
+          return done();
+        }
+        audio.on('data', data => {
+          chunk.data.push(Buffer.from(data));
+          this.flush();
+        });
+        audio.on('end', done);
+        audio.on('error', err => this.destroy(err));
+      },
+      err => this.destroy(err)
+    );
+  }
+
+  /**
+   * Emits the audio of the chunks in order, as far as it has arrived.
+   * @private
+   */
+  private flush(): void {
+    while (this.outputChunk < this.texts.length) {
+      const index = this.outputChunk;
+      const chunk = this.chunks[index];
+      if (!chunk) {
+        return;
+      }
+      chunk.data.splice(0).forEach(data => this.pushData(this.stitcher.write(data, index)));
+      if (!chunk.done) {
+        return;
+      }
+      this.pushData(this.stitcher.end(index, index === this.texts.length - 1));
+      this.chunks[index] = null;
+      this.outputChunk++;
+      /**
+       * Emitted when all of the audio of a chunk has been emitted.
+       * @event LongSynthesizeStream#chunk
+       * @param {Number} index - the position of the chunk
+       * @param {Number} count - the number of chunks
+       */
+      this.emit('chunk', index, this.texts.length);
+    }
+    this.push(null);
+  }
+
+  private pushData(data: Buffer): void {
+    if (data.length && !this.push(data)) {
+      this.paused = true;
+    }
+  }
+}
+
+namespace LongSynthesizeStream {
+  export interface Options extends ReadableOptions {
+    text: string;
+    contentType: string;
+    synthesize: (text: string) => Promise<NodeJS.ReadableStream | Buffer>;
+    maxChunkSize?: number;
+    concurrency?: number;
+  }
+}
+
+export = LongSynthesizeStream;
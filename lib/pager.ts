@@ -0,0 +1,198 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+/**
+ * Goes through the results of a paginated list operation, one page at a time. The pagers of the services in
+ * `lib/pagers`, like `WorkspacesPager` for Assistant v1, build on this class:
+ *
+ * ```js
+ * const { WorkspacesPager } = require('ibm-watson/lib/pagers/assistant-v1');
+ *
+ * const pager = new WorkspacesPager(assistant, { pageLimit: 50 });
+ * for await (const workspace of pager) {
+ *   console.log(workspace.name);
+ * }
+ * // or
+ * const workspaces = await new WorkspacesPager(assistant).getAll();
+ * ```
+ *
+ * Pages are only requested as they are needed, so breaking out of the loop stops the requests.
+ */
+class Pager<T> implements AsyncIterable<T> {
+  private fetchPage: Pager.PageFetcher<T>;
+  private nextToken: Pager.PageToken;
+  private started: boolean;
+
+  /**
+   * @param {Function} fetchPage - requests the page that starts at the given token, which is undefined for the first
+   * page unless `first` is given
+   * @param {string|number} [first] - the token of the first page
+   * @constructor
+   */
+  constructor(fetchPage: Pager.PageFetcher<T>, first?: Pager.PageToken) {
+    this.fetchPage = fetchPage;
+    this.nextToken = first;
+    this.started = false;
+  }
+
+  /**
+   * Returns true if there are more pages to get.
+   *
+   * @return {boolean}
+   */
+  hasNext(): boolean {
+    return !this.started || (this.nextToken !== undefined && this.nextToken !== null);
+  }
+
+  /**
+   * Gets the next page.
+   *
+   * @return {Promise<T[]>} - the items of the page
+   */
+  getNext(): Promise<T[]> {
+    if (!this.hasNext()) {
+      return Promise.reject(new Error('No more results available'));
+    }
+    const token = this.nextToken;
+    const started = this.started;
+    this.started = true;
+    // a second call before the first one resolves must not request the same page again
+    this.nextToken = null;
+    return this.fetchPage(token).then(
+      page => {
+        this.nextToken = page.next;
+        return page.items;
+      },
+      err => {
+        // the page can be retried
+        this.started = started;
+        this.nextToken = token;
+        throw err;
+      }
+    );
+  }
+
+  /**
+   * Gets all remaining pages.
+   *
+   * @param {number} [limit] - stop once this many items have been fetched
+   * @return {Promise<T[]>} - the items of all pages, or the first `limit` of them
+   */
+  getAll(limit?: number): Promise<T[]> {
+    const items: T[] = [];
+    const next = (): Promise<T[]> => {
+      if (!this.hasNext() || (limit !== undefined && items.length >= limit)) {
+        return Promise.resolve(limit !== undefined ? items.slice(0, limit) : items);
+      }
+      return this.getNext().then(page => {
+        items.push(...page);
+        return next();
+      });
+    };
+    return next();
+  }
+
+  /**
+   * Iterates over the items of all remaining pages, for use with `for await`.
+   *
+   * @return {AsyncIterator<T>}
+   */
+  [Symbol.asyncIterator](): AsyncIterator<T> {
+    let buffer: T[] = [];
+    let done = false;
+    const next = (): Promise<IteratorResult<T>> => {
+      if (buffer.length) {
+        return Promise.resolve({ value: buffer.shift(), done: false });
+      }
+      if (done || !this.hasNext()) {
+        done = true;
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return this.getNext().then(page => {
+        buffer = page.slice();
+        return next();
+      });
+    };
+    return {
+      next,
+      return: (): Promise<IteratorResult<T>> => {
+        done = true;
+        buffer = [];
+        return Promise.resolve({ value: undefined, done: true });
+      },
+    };
+  }
+}
+
+namespace Pager {
+  /** a cursor, or an offset */
+  export type PageToken = string | number;
+
+  export interface Page<T> {
+    items: T[];
+    /** the token of the next page, or null if this is the last page */
+    next?: PageToken;
+  }
+
+  export type PageFetcher<T> = (token: PageToken) => Promise<Page<T>>;
+
+  interface Response<R> {
+    result: R;
+  }
+
+  /**
+   * Pages through an operation that takes a `cursor` and returns the next one in `pagination.next_cursor`.
+   *
+   * @param {Function} list - calls the operation with the given cursor
+   * @param {Function} getItems - returns the items in the result
+   * @return {PageFetcher<T>}
+   */
+  export function byCursor<T, R extends { pagination?: { next_cursor?: string } }>(
+    list: (cursor: string) => Promise<Response<R>>,
+    getItems: (result: R) => T[]
+  ): PageFetcher<T> {
+    return (cursor: string) =>
+      list(cursor).then(({ result }) => ({
+        items: getItems(result) || [],
+        next: (result.pagination && result.pagination.next_cursor) || null,
+      }));
+  }
+
+  /**
+   * Pages through an operation that takes an `offset`, until a page is empty or the total is reached.
+   *
+   * @param {Function} list - calls the operation with the given offset
+   * @param {Function} getItems - returns the items in the result
+   * @param {Function} [getTotal] - returns the total number of items
+   * @return {PageFetcher<T>}
+   */
+  export function byOffset<T, R>(
+    list: (offset: number) => Promise<Response<R>>,
+    getItems: (result: R) => T[],
+    getTotal?: (result: R) => number
+  ): PageFetcher<T> {
+    return (offset: number = 0) =>
+      list(offset).then(({ result }) => {
+        const items = getItems(result) || [];
+        const next = offset + items.length;
+        const total = getTotal ? getTotal(result) : undefined;
+        const last = items.length === 0 || (typeof total === 'number' && next >= total);
+        return { items, next: last ? null : next };
+      });
+  }
+}
+
+export = Pager;
@@ -0,0 +1,181 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+/* tslint:disable:max-classes-per-file */
+
+import extend = require('extend');
+import AssistantV1 = require('../../assistant/v1');
+import Pager = require('../pager');
+
+/**
+ * Pages through the workspaces of `listWorkspaces()`, following the `cursor`. The page size is the `pageLimit` of the
+ * params. See `Pager` for `getNext()`, `getAll()` and `for await`.
+ */
+export class WorkspacesPager extends Pager<AssistantV1.Workspace> {
+  constructor(client: AssistantV1, params?: AssistantV1.ListWorkspacesParams) {
+    super(
+      Pager.byCursor(
+        cursor => client.listWorkspaces(extend({}, params, { cursor })),
+        (result: AssistantV1.WorkspaceCollection) => result.workspaces
+      ),
+      params && params.cursor
+    );
+  }
+}
+
+/**
+ * Pages through the intents of `listIntents()`, following the `cursor`. The page size is the `pageLimit` of the
+ * params. See `Pager` for `getNext()`, `getAll()` and `for await`.
+ */
+export class IntentsPager extends Pager<AssistantV1.Intent> {
+  constructor(client: AssistantV1, params: AssistantV1.ListIntentsParams) {
+    super(
+      Pager.byCursor(
+        cursor => client.listIntents(extend({}, params, { cursor })),
+        (result: AssistantV1.IntentCollection) => result.intents
+      ),
+      params && params.cursor
+    );
+  }
+}
+
+/**
+ * Pages through the examples of `listExamples()`, following the `cursor`. The page size is the `pageLimit` of the
+ * params. See `Pager` for `getNext()`, `getAll()` and `for await`.
+ */
+export class ExamplesPager extends Pager<AssistantV1.Example> {
+  constructor(client: AssistantV1, params: AssistantV1.ListExamplesParams) {
+    super(
+      Pager.byCursor(
+        cursor => client.listExamples(extend({}, params, { cursor })),
+        (result: AssistantV1.ExampleCollection) => result.examples
+      ),
+      params && params.cursor
+    );
+  }
+}
+
+/**
+ * Pages through the counterexamples of `listCounterexamples()`, following the `cursor`. The page size is the
+ * `pageLimit` of the params. See `Pager` for `getNext()`, `getAll()` and `for await`.
+ */
+export class CounterexamplesPager extends Pager<AssistantV1.Counterexample> {
+  constructor(client: AssistantV1, params: AssistantV1.ListCounterexamplesParams) {
+    super(
+      Pager.byCursor(
+        cursor => client.listCounterexamples(extend({}, params, { cursor })),
+        (result: AssistantV1.CounterexampleCollection) => result.counterexamples
+      ),
+      params && params.cursor
+    );
+  }
+}
+
+/**
+ * Pages through the entities of `listEntities()`, following the `cursor`. The page size is the `pageLimit` of the
+ * params. See `Pager` for `getNext()`, `getAll()` and `for await`.
+ */
+export class EntitiesPager extends Pager<AssistantV1.Entity> {
+  constructor(client: AssistantV1, params: AssistantV1.ListEntitiesParams) {
+    super(
+      Pager.byCursor(
+        cursor => client.listEntities(extend({}, params, { cursor })),
+        (result: AssistantV1.EntityCollection) => result.entities
+      ),
+      params && params.cursor
+    );
+  }
+}
+
+/**
+ * Pages through the values of `listValues()`, following the `cursor`. The page size is the `pageLimit` of the
+ * params. See `Pager` for `getNext()`, `getAll()` and `for await`.
+ */
+export class ValuesPager extends Pager<AssistantV1.Value> {
+  constructor(client: AssistantV1, params: AssistantV1.ListValuesParams) {
+    super(
+      Pager.byCursor(
+        cursor => client.listValues(extend({}, params, { cursor })),
+        (result: AssistantV1.ValueCollection) => result.values
+      ),
+      params && params.cursor
+    );
+  }
+}
+
+/**
+ * Pages through the synonyms of `listSynonyms()`, following the `cursor`. The page size is the `pageLimit` of the
+ * params. See `Pager` for `getNext()`, `getAll()` and `for await`.
+ */
+export class SynonymsPager extends Pager<AssistantV1.Synonym> {
+  constructor(client: AssistantV1, params: AssistantV1.ListSynonymsParams) {
+    super(
+      Pager.byCursor(
+        cursor => client.listSynonyms(extend({}, params, { cursor })),
+        (result: AssistantV1.SynonymCollection) => result.synonyms
+      ),
+      params && params.cursor
+    );
+  }
+}
+
+/**
+ * Pages through the dialog nodes of `listDialogNodes()`, following the `cursor`. The page size is the
+ * `pageLimit` of the params. See `Pager` for `getNext()`, `getAll()` and `for await`.
+ */
+export class DialogNodesPager extends Pager<AssistantV1.DialogNode> {
+  constructor(client: AssistantV1, params: AssistantV1.ListDialogNodesParams) {
+    super(
+      Pager.byCursor(
+        cursor => client.listDialogNodes(extend({}, params, { cursor })),
+        (result: AssistantV1.DialogNodeCollection) => result.dialog_nodes
+      ),
+      params && params.cursor
+    );
+  }
+}
+
+/**
+ * Pages through the log events of `listLogs()`, following the `cursor`. The page size is the `pageLimit` of the
+ * params. See `Pager` for `getNext()`, `getAll()` and `for await`.
+ */
+export class LogsPager extends Pager<AssistantV1.Log> {
+  constructor(client: AssistantV1, params: AssistantV1.ListLogsParams) {
+    super(
+      Pager.byCursor(
+        cursor => client.listLogs(extend({}, params, { cursor })),
+        (result: AssistantV1.LogCollection) => result.logs
+      ),
+      params && params.cursor
+    );
+  }
+}
+
+/**
+ * Pages through the log events of `listAllLogs()`, following the `cursor`. The page size is the `pageLimit` of the
+ * params. See `Pager` for `getNext()`, `getAll()` and `for await`.
+ */
+export class AllLogsPager extends Pager<AssistantV1.Log> {
+  constructor(client: AssistantV1, params: AssistantV1.ListAllLogsParams) {
+    super(
+      Pager.byCursor(
+        cursor => client.listAllLogs(extend({}, params, { cursor })),
+        (result: AssistantV1.LogCollection) => result.logs
+      ),
+      params && params.cursor
+    );
+  }
+}
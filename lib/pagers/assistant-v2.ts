@@ -0,0 +1,35 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import extend = require('extend');
+import AssistantV2 = require('../../assistant/v2');
+import Pager = require('../pager');
+
+/**
+ * Pages through the log events of `listLogs()`, following the `cursor`. The page size is the `pageLimit` of the
+ * params. See `Pager` for `getNext()`, `getAll()` and `for await`.
+ */
+export class LogsPager extends Pager<AssistantV2.Log> {
+  constructor(client: AssistantV2, params: AssistantV2.ListLogsParams) {
+    super(
+      Pager.byCursor(
+        cursor => client.listLogs(extend({}, params, { cursor })),
+        (result: AssistantV2.LogCollection) => result.logs
+      ),
+      params && params.cursor
+    );
+  }
+}
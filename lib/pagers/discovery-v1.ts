@@ -0,0 +1,36 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import extend = require('extend');
+import DiscoveryV1 = require('../../discovery/v1');
+import Pager = require('../pager');
+
+/**
+ * Pages through the log entries of `queryLog()`, following the `offset`. The page size is the `count` of the
+ * params. See `Pager` for `getNext()`, `getAll()` and `for await`.
+ */
+export class QueryLogPager extends Pager<DiscoveryV1.LogQueryResponseResult> {
+  constructor(client: DiscoveryV1, params?: DiscoveryV1.QueryLogParams) {
+    super(
+      Pager.byOffset(
+        offset => client.queryLog(extend({}, params, { offset })),
+        (result: DiscoveryV1.LogQueryResponse) => result.results,
+        (result: DiscoveryV1.LogQueryResponse) => result.matching_results
+      ),
+      params && params.offset
+    );
+  }
+}
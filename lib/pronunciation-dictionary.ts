@@ -0,0 +1,222 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import fs = require('fs');
+import GeneratedTextToSpeechV1 = require('../text-to-speech/v1-generated');
+import SsmlBuilder = require('./ssml-builder');
+import { getVisibleText } from './text-alignment';
+
+type Word = GeneratedTextToSpeechV1.Word;
+
+/**
+ * A dictionary in JSON: a list of words, an object with a `words` list (the format of `listWords()`), or an object
+ * that maps each word to its translation.
+ */
+export type JsonDictionary = Word[] | { words: Word[] } | { [word: string]: string };
+
+export interface WordChange {
+  from: Word;
+  to: Word;
+}
+
+export interface WordsDiff {
+  /** words that are only in the local dictionary */
+  add: Word[];
+  /** words whose translation or part of speech differ */
+  update: WordChange[];
+  /** words that are only in the custom model */
+  delete: Word[];
+  unchanged: Word[];
+}
+
+/**
+ * Reads a dictionary file, either a PLS lexicon (`.pls` or `.xml`) or JSON.
+ *
+ * @param {string} path
+ * @returns {Promise<Word[]>}
+ */
+export async function loadDictionary(path: string): Promise<Word[]> {
+  const content = await fs.promises.readFile(path, 'utf8');
+  if (/\.(pls|xml)$/i.test(path) || content.trim().charAt(0) === '<') {
+    return parseLexicon(content);
+  }
+  return parseDictionary(JSON.parse(content));
+}
+
+/**
+ * Reads the words of a dictionary in JSON.
+ *
+ * @param {JsonDictionary} dictionary
+ * @returns {Word[]}
+ */
+export function parseDictionary(dictionary: JsonDictionary): Word[] {
+  let words: Word[];
+  if (Array.isArray(dictionary)) {
+    words = dictionary;
+  } else if (Array.isArray(dictionary.words)) {
+    words = dictionary.words as Word[];
+  } else {
+    words = Object.keys(dictionary).map(word => ({ word, translation: dictionary[word] }));
+  }
+  return checkWords(
+    words.map(({ word, translation, part_of_speech }) =>
+      part_of_speech ? { word, translation, part_of_speech } : { word, translation }
+    )
+  );
+}
+
+/**
+ * Reads the words of a Pronunciation Lexicon Specification (PLS) document. A lexeme with a `<phoneme>` becomes an SSML
+ * phoneme translation, in IPA or (for an alphabet like `x-ibm`) the IBM notation, and a lexeme with an `<alias>` becomes
+ * a sounds-like translation. Each `<grapheme>` of a lexeme becomes a word.
+ *
+ * @param {string} content - the XML of the lexicon
+ * @returns {Word[]}
+ */
+export function parseLexicon(content: string): Word[] {
+  const lexicon = /<lexicon\b([^>]*)>/.exec(content);
+  if (!lexicon) {
+    throw new Error('Not a PLS lexicon: missing the <lexicon> element');
+  }
+  const defaultAlphabet = getAttribute(lexicon[1], 'alphabet');
+  const words: Word[] = [];
+
+  const lexemePattern = /<lexeme\b[^>]*>([\s\S]*?)<\/lexeme>/g;
+  let lexeme = lexemePattern.exec(content);
+  for (; lexeme; lexeme = lexemePattern.exec(content)) {
+    const body = lexeme[1];
+    const graphemes = getElements(body, 'grapheme').map(grapheme => grapheme.text);
+    const phoneme = getElements(body, 'phoneme')[0];
+    const alias = getElements(body, 'alias')[0];
+    if (!graphemes.length || (!phoneme && !alias)) {
+      throw new Error(`Lexeme without a grapheme and a phoneme or alias: ${lexeme[0]}`);
+    }
+    graphemes.forEach(word => {
+      let translation: string;
+      if (phoneme) {
+        const alphabet = getAttribute(phoneme.attributes, 'alphabet') || defaultAlphabet || 'ipa';
+        translation = new SsmlBuilder()
+          .phoneme({ alphabet: /ibm/i.test(alphabet) ? 'ibm' : 'ipa', ph: phoneme.text }, word)
+          .toFragment();
+      } else {
+        translation = alias.text;
+      }
+      words.push({ word, translation });
+    });
+  }
+  return checkWords(words);
+}
+
+/**
+ * Compares a local dictionary with the words of a custom model, as returned by `listWords()`.
+ *
+ * @param {Word[]} local - the words that the model should have
+ * @param {Word[]} remote - the words that the model has
+ * @returns {WordsDiff}
+ */
+export function diffWords(local: Word[], remote: Word[]): WordsDiff {
+  const diff: WordsDiff = { add: [], update: [], delete: [], unchanged: [] };
+  const remoteWords: { [word: string]: Word } = {};
+  remote.forEach(word => (remoteWords[word.word] = word));
+
+  local.forEach(word => {
+    const current = remoteWords[word.word];
+    delete remoteWords[word.word];
+    if (!current) {
+      diff.add.push(word);
+    } else if (
+      normalize(current.translation) !== normalize(word.translation) ||
+      (current.part_of_speech || '') !== (word.part_of_speech || '')
+    ) {
+      diff.update.push({ from: current, to: word });
+    } else {
+      diff.unchanged.push(word);
+    }
+  });
+  remote.forEach(word => {
+    if (remoteWords[word.word]) {
+      diff.delete.push(word);
+    }
+  });
+  return diff;
+}
+
+/**
+ * Describes a diff with a line per change, for a dry run:
+ *
+ * ```
+ * + IEEE: I triple E
+ * ~ tomato: <phoneme ...>tomato</phoneme> -> <phoneme ...>tomato</phoneme>
+ * - NCAA
+ * ```
+ *
+ * @param {WordsDiff} diff
+ * @returns {string}
+ */
+export function formatWordsDiff(diff: WordsDiff): string {
+  return []
+    .concat(
+      diff.add.map(word => `+ ${word.word}: ${word.translation}`),
+      diff.update.map(change => `~ ${change.to.word}: ${change.from.translation} -> ${change.to.translation}`),
+      diff.delete.map(word => `- ${word.word}`)
+    )
+    .join('\n');
+}
+
+/**
+ * @private
+ */
+function checkWords(words: Word[]): Word[] {
+  const seen: { [word: string]: boolean } = {};
+  words.forEach(({ word, translation }) => {
+    if (!word || typeof translation !== 'string' || !translation.trim()) {
+      throw new Error(`Invalid dictionary entry for "${word}": a word and a translation are required`);
+    }
+    if (seen[word]) {
+      throw new Error(`Duplicate dictionary entry for "${word}"`);
+    }
+    seen[word] = true;
+  });
+  return words;
+}
+
+/**
+ * @private
+ */
+function getElements(xml: string, name: string): { attributes: string; text: string }[] {
+  const pattern = new RegExp(`<${name}\\b([^>]*)>([\\s\\S]*?)</${name}>`, 'g');
+  const elements = [];
+  let match = pattern.exec(xml);
+  for (; match; match = pattern.exec(xml)) {
+    elements.push({ attributes: match[1], text: getVisibleText(match[2]).text.trim() });
+  }
+  return elements;
+}
+
+/**
+ * @private
+ */
+function getAttribute(attributes: string, name: string): string {
+  const match = new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`).exec(attributes);
+  return match ? (match[2] !== undefined ? match[2] : match[3]) : undefined;
+}
+
+/**
+ * @private
+ */
+function normalize(translation: string): string {
+  return (translation || '').replace(/\s+/g, ' ').trim();
+}
@@ -14,20 +14,78 @@
  * limitations under the License
  */
 
-import { RequestOptions } from 'http';
+import { OutgoingHttpHeaders, RequestOptions } from 'http';
 import { Authenticator, contentType, qs } from 'ibm-cloud-sdk-core';
 import { Duplex, DuplexOptions } from 'stream';
 import { w3cwebsocket as w3cWebSocket } from 'websocket';
 import { RecognizeWebSocketParams } from '../speech-to-text/v1';
-import { extractTransactionId, processUserParameters } from './websocket-utils';
+import {
+  AudioMetrics,
+  KeywordResult,
+  ProcessingMetrics,
+  SpeakerLabelsResult,
+  SpeechRecognitionResult,
+  SpeechRecognitionResults
+} from '../speech-to-text/v1-generated';
+import { getBytesPerSecond, getHeaderLength } from './audio-utils';
+import { getInterceptors, Interceptor, interceptWebSocket, RequestContext } from './interceptors';
+import { getOperation, getTracer, traceStream, Tracer } from './tracing';
+import Recorder = require('./recorder');
+import VoiceActivityDetector = require('./voice-activity-detector');
+import { extractTransactionId, getTokenExpiry, processUserParameters } from './websocket-utils';
 
 interface WritableState {
   highWaterMark: number;
 }
 
+// the parameters that go into the `start` message rather than the query string
+const OPENING_MESSAGE_PARAMS: string[] = [
+  'customization_weight',
+  'processing_metrics',
+  'processing_metrics_interval',
+  'audio_metrics',
+  'inactivity_timeout',
+  'timestamps',
+  'word_confidence',
+  'content-type',
+  'interim_results',
+  'keywords',
+  'keywords_threshold',
+  'max_alternatives',
+  'word_alternatives_threshold',
+  'profanity_filter',
+  'smart_formatting',
+  'speaker_labels',
+  'grammar_name',
+  'redaction',
+  'end_of_phrase_silence_time',
+  'split_transcript_at_phrase_end',
+  'speech_detector_sensitivity',
+  'background_audio_suppression',
+];
+
 interface RecognizeStream extends Duplex {
   _writableState: WritableState;
   readableObjectMode: boolean;
+
+  on(event: 'interim' | 'final', listener: (result: SpeechRecognitionResult, index: number) => void): this;
+  on(event: 'keywords', listener: (keywords: { [keyword: string]: KeywordResult[] }, index: number) => void): this;
+  on(event: 'speakerLabels', listener: (speakerLabels: SpeakerLabelsResult[]) => void): this;
+  on(event: 'processingMetrics', listener: (processingMetrics: ProcessingMetrics) => void): this;
+  on(event: 'audioMetrics', listener: (audioMetrics: AudioMetrics) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  once(event: 'interim' | 'final', listener: (result: SpeechRecognitionResult, index: number) => void): this;
+  once(event: 'keywords', listener: (keywords: { [keyword: string]: KeywordResult[] }, index: number) => void): this;
+  once(event: 'speakerLabels', listener: (speakerLabels: SpeakerLabelsResult[]) => void): this;
+  once(event: 'processingMetrics', listener: (processingMetrics: ProcessingMetrics) => void): this;
+  once(event: 'audioMetrics', listener: (audioMetrics: AudioMetrics) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+interface ReplayChunk {
+  /** byte offset of this chunk from the start of the audio stream */
+  offset: number;
+  data: Buffer;
 }
 
 /**
@@ -43,6 +101,9 @@ interface RecognizeStream extends Duplex {
 class RecognizeStream extends Duplex {
   static WEBSOCKET_CONNECTION_ERROR: string = 'WebSocket connection error';
   static ERROR_UNRECOGNIZED_FORMAT: string = 'UNRECOGNIZED_FORMAT';
+  static DEFAULT_REPLAY_BUFFER_SIZE: number = 5 * 1024 * 1024;
+  /** how long before it expires a token is replaced when reconnecting */
+  static TOKEN_REFRESH_MARGIN: number = 30 * 1000;
 
   static getContentType(buffer: Buffer): string {
     // the substr really shouldn't be necessary, but there's a bug somewhere that can cause buffer.slice(0,4) to return
@@ -56,6 +117,29 @@ class RecognizeStream extends Duplex {
   private initialized: boolean;
   private finished: boolean;
   private socket: w3cWebSocket;
+  private url: string;
+  private openingMessage: any;
+  private closing: boolean;
+  private stopSent: boolean;
+  private reconnecting: boolean;
+  private reconnectAttempts: number;
+  private tokenExpiry: number;
+  private socketError: Error;
+  private serviceError: boolean;
+  private replayBuffer: ReplayChunk[];
+  private replayBufferLength: number;
+  private bytesSent: number;
+  private bytesPerSecond: number;
+  private header: Buffer;
+  private acknowledgedTime: number;
+  private finalizedResults: number;
+  private resultIndexOffset: number;
+  private timeOffset: number;
+  private pacingStart: number;
+  private results: SpeechRecognitionResult[];
+  private voiceActivityDetector: VoiceActivityDetector;
+  private utteranceState: 'active' | 'ending' | 'idle';
+  private utteranceCount: number;
 
   /**
    * pipe()-able Node.js Duplex stream - accepts binary audio and emits text/objects in it's `data` events.
@@ -67,6 +151,9 @@ class RecognizeStream extends Duplex {
    *
    * Note that the WebSocket connection is not established until the first chunk of data is recieved. This allows for auto-detection of content type (for wav/flac/opus audio).
    *
+   * The authenticator is asked for a token once, before the connection is established. If a reconnect happens after
+   * that token has expired, a fresh one is requested first and a `tokenRefreshed` event is emitted.
+   *
    * @param {Options} options
    * @param {Authenticator} options.authenticator - Authenticator to add Authorization header
    * @param {string} [options.serviceUrl] - Base url for service (default='wss://api.us-south.speech-to-text.watson.cloud.ibm.com')
@@ -75,6 +162,9 @@ class RecognizeStream extends Duplex {
    * @param {boolean} [options.objectMode] - Alias for readableObjectMode
    * @param {boolean} [options.disableSslVerification] - If true, disable SSL verification for the WebSocket connection (default=false)
    * @param {Agent} [options.agent] - custom http(s) agent, useful for using the sdk behind a proxy (Node only)
+   * @param {Interceptor[]} [options.interceptors] - Hooks for the WebSocket handshake, see `BaseService#addInterceptor()`
+   * @param {Tracer} [options.tracer] - An OpenTelemetry tracer, to trace the stream in a span
+   * @param {Recorder} [options.recorder] - Records the WebSocket session to a fixture file, or replays it from one
    * @param {string} [options.accessToken] - Bearer token to put in query string
    * @param {string} [options.watsonToken] - Valid Watson authentication token (for Cloud Foundry)
    * @param {string} [options.model] - The identifier of the model that is to be used for all recognition requests sent over the connection
@@ -105,6 +195,14 @@ class RecognizeStream extends Duplex {
    * @param {boolean} [options.splitTranscriptAtPhraseEnd] - If `true`, directs the service to split the transcript into multiple final results based on semantic features of the input
    * @param {number} [options.speechDetectorSensitivity] - The sensitivity of speech activity detection that the service is to perform
    * @param {number} [options.backgroundAudioSuppression] - The level to which the service is to suppress background audio based on its volume to prevent it from being transcribed as speech
+   * @param {boolean} [options.reconnect] - If true, reopen the connection when it drops unexpectedly and replay the audio that has not been finalized yet (default=false)
+   * @param {number} [options.maxReconnectAttempts] - How many consecutive reconnects to try before giving up (default=3)
+   * @param {number} [options.reconnectInterval] - (milliseconds) - How long to wait before reconnecting (default=1000)
+   * @param {number} [options.replayBufferSize] - Maximum number of bytes of unfinalized audio to keep for replay; older audio is discarded (default=5242880)
+   * @param {boolean} [options.pacing] - If true, send audio no faster than real time, as a live microphone would. Only supported for wav, l16, mulaw and alaw audio, emits `pacingUnsupported` otherwise (default=false)
+   * @param {number} [options.pacingRate] - How many times faster than real time to send audio when pacing is enabled (default=1)
+   * @param {boolean} [options.multiUtterance] - If true, keep the connection open between utterances, see `endUtterance()` and `startUtterance()` (default=false)
+   * @param {boolean|VoiceActivityDetector.Options} [options.voiceActivityDetection] - If set, emit `speechStart` and `speechEnd` events for the audio that is sent, and with `stopAfterSilence`, finish the stream once the speaker falls silent. Only supported for wav, l16, mulaw and alaw audio, emits `voiceActivityUnsupported` otherwise (default=false)
    * @constructor
    */
   constructor(options: RecognizeStream.Options) {
@@ -122,7 +220,48 @@ class RecognizeStream extends Duplex {
     this.listening = false;
     this.initialized = false;
     this.finished = false;
+    this.closing = false;
+    this.stopSent = false;
+    this.reconnecting = false;
+    this.reconnectAttempts = 0;
+    this.replayBuffer = [];
+    this.replayBufferLength = 0;
+    this.bytesSent = 0;
+    this.acknowledgedTime = 0;
+    this.finalizedResults = 0;
+    this.resultIndexOffset = 0;
+    this.timeOffset = 0;
+    this.results = [];
+    this.utteranceState = 'active';
+    this.utteranceCount = 1;
     this.authenticator = options.authenticator;
+
+    // pick up the content type from sources that declare it, such as the AudioConverterStream
+    this.on('pipe', source => {
+      if (!this.options.contentType && source.contentType) {
+        this.options.contentType = source.contentType;
+      }
+    });
+
+    if (options.voiceActivityDetection) {
+      const detectorOptions = options.voiceActivityDetection === true ? {} : options.voiceActivityDetection;
+      new VoiceActivityDetector(detectorOptions).attach(this);
+    }
+
+    const tracer = getTracer(options.tracer);
+    if (tracer) {
+      const defaults = { serviceName: 'speech_to_text', serviceVersion: 'v1', operationId: 'recognizeUsingWebSocket' };
+      traceStream(tracer, this, getOperation(options.headers, defaults));
+    }
+  }
+
+  /**
+   * Analyzes all audio sent from now on with the given detector. Usually called by `VoiceActivityDetector#attach()`.
+   *
+   * @param {VoiceActivityDetector} detector
+   */
+  setVoiceActivityDetector(detector: VoiceActivityDetector): void {
+    this.voiceActivityDetector = detector;
   }
 
   initialize() {
@@ -133,7 +272,28 @@ class RecognizeStream extends Duplex {
       options['X-Watson-Learning-Opt-Out'] = options['X-WDC-PL-OPT-OUT'];
     }
 
-    // process query params
+    // process opening payload params
+    const openingMessage = processUserParameters(options, OPENING_MESSAGE_PARAMS);
+    openingMessage.action = 'start';
+
+    this.url = this.buildUrl();
+    this.openingMessage = openingMessage;
+
+    // when the input stops, let the service know that we're done
+    this.on('finish', this.finish.bind(this));
+
+    this.connect();
+
+    this.initialized = true;
+  }
+
+  /**
+   * Builds the URL of the WebSocket from the options, including the access token if there is one.
+   *
+   * @private
+   * @return {string}
+   */
+  buildUrl(): string {
     const queryParamsAllowed: string[] = [
       'access_token',
       'watson-token',
@@ -144,47 +304,50 @@ class RecognizeStream extends Duplex {
       'x-watson-learning-opt-out',
       'x-watson-metadata',
     ];
-    const queryParams = processUserParameters(options, queryParamsAllowed);
+    const queryParams = processUserParameters(this.options, queryParamsAllowed);
     if (!queryParams.language_customization_id && !queryParams.model) {
       queryParams.model = 'en-US_BroadbandModel';
     }
-    const queryString = qs.stringify(queryParams);
-
-    // synthesize the url
-    const url =
-      (options.serviceUrl || 'wss://api.us-south.speech-to-text.watson.cloud.ibm.com'
-      ).replace(/^http/, 'ws') +
-      '/v1/recognize?' +
-      queryString;
+    const serviceUrl = this.options.serviceUrl || 'wss://api.us-south.speech-to-text.watson.cloud.ibm.com';
+    return serviceUrl.replace(/^http/, 'ws') + '/v1/recognize?' + qs.stringify(queryParams);
+  }
 
-    // process opening payload params
-    const openingMessageParamsAllowed: string[] = [
-      'customization_weight',
-      'processing_metrics',
-      'processing_metrics_interval',
-      'audio_metrics',
-      'inactivity_timeout',
-      'timestamps',
-      'word_confidence',
-      'content-type',
-      'interim_results',
-      'keywords',
-      'keywords_threshold',
-      'max_alternatives',
-      'word_alternatives_threshold',
-      'profanity_filter',
-      'smart_formatting',
-      'speaker_labels',
-      'grammar_name',
-      'redaction',
-      'end_of_phrase_silence_time',
-      'split_transcript_at_phrase_end',
-      'speech_detector_sensitivity',
-      'background_audio_suppression',
-    ];
-    const openingMessage = processUserParameters(options, openingMessageParamsAllowed);
-    openingMessage.action = 'start';
+  /**
+   * Opens the WebSocket connection, after the request hooks of the interceptors have seen the handshake. Called once
+   * from initialize() and again for every reconnect attempt when `options.reconnect` is enabled.
+   *
+   * @private
+   */
+  connect(): void {
+    const context: RequestContext = {
+      serviceName: 'speech_to_text',
+      protocol: 'websocket',
+      method: 'GET',
+      url: this.url,
+      headers: Object.assign({}, this.options.headers),
+    };
+    interceptWebSocket(
+      getInterceptors(this.options.interceptors),
+      context,
+      (url, headers) => this.openSocket(url, headers),
+      err => {
+        this.emit('error', err);
+        this.push(null);
+      }
+    );
+  }
 
+  /**
+   * Opens the WebSocket connection and wires up its event handlers.
+   *
+   * @private
+   * @param {string} url
+   * @param {OutgoingHttpHeaders} headers
+   * @return {w3cWebSocket}
+   */
+  openSocket(url: string, headers: OutgoingHttpHeaders): w3cWebSocket {
+    const options = this.options;
+    const openingMessage = this.openingMessage;
     const self = this;
 
     // node params: requestUrl, protocols, origin, headers, extraRequestOptions, clientConfig options
@@ -199,17 +362,15 @@ class RecognizeStream extends Duplex {
     const { agent } = options;
     const requestOptions: RequestOptions = agent ? { agent } : null;
 
-    const socket = (this.socket = new w3cWebSocket(
+    const connect = () => new w3cWebSocket(
       url,
       null,
       null,
-      options.headers,
+      headers,
       requestOptions,
       { tlsOptions: { rejectUnauthorized: !options.disableSslVerification }}
-    ));
-
-    // when the input stops, let the service know that we're done
-    self.on('finish', self.finish.bind(self));
+    );
+    const socket = (this.socket = options.recorder ? options.recorder.openWebSocket(url, headers, connect) : connect());
 
     /**
      * This can happen if the credentials are invalid - in that case, the response from DataPower doesn't include the
@@ -222,12 +383,35 @@ class RecognizeStream extends Duplex {
       const err = new Error('WebSocket connection error');
       err.name = RecognizeStream.WEBSOCKET_CONNECTION_ERROR;
       err['event'] = event;
+      if (options.reconnect) {
+        // a close event always follows - that is where we decide whether to reconnect or to give up
+        self.socketError = err;
+        return;
+      }
       self.emit('error', err);
       self.push(null);
     };
 
-    this.socket.onopen = () => {
-      self.sendJSON(openingMessage);
+    socket.onopen = () => {
+      // between utterances, the next start message is sent by startUtterance()
+      if (self.utteranceState !== 'idle') {
+        self.sendJSON(openingMessage);
+      }
+      if (self.reconnecting) {
+        self.reconnecting = false;
+        self.stopSent = false;
+        self.replay();
+        if (self.finished || self.utteranceState === 'ending') {
+          // the stop message was lost along with the old connection
+          self.sendStop();
+        }
+        /**
+         * emitted once the connection has been re-established and the unfinalized audio has been sent again
+         * @event RecognizeStream#reconnect
+         * @param {Number} attempt
+         */
+        self.emit('reconnect', self.reconnectAttempts);
+      }
       /**
        * emitted once the WebSocket connection has been established
        * @event RecognizeStream#open
@@ -235,8 +419,16 @@ class RecognizeStream extends Duplex {
       self.emit('open');
     };
 
-    this.socket.onclose = (e) => {
+    socket.onclose = (e) => {
       self.listening = false;
+      if (self.shouldReconnect(e.code)) {
+        self.reconnect(e.code, e.reason);
+        return;
+      }
+      if (self.socketError) {
+        self.emit('error', self.socketError);
+        self.socketError = null;
+      }
       self.push(null);
       /**
        * @event RecognizeStream#close
@@ -284,14 +476,29 @@ class RecognizeStream extends Duplex {
       self.emit('message', frame, data);
 
       if (data.error) {
+        // errors reported by the service are not connection problems, so a reconnect wouldn't help
+        self.serviceError = true;
         emitError(data.error, frame);
       } else if (data.state === 'listening') {
         // this is emitted both when the server is ready for audio, and after we send the close message to indicate that it's done processing
         if (self.listening) {
           self.listening = false;
-          socket.close();
+          if (options.multiUtterance && !self.finished) {
+            self.utteranceState = 'idle';
+            /**
+             * Emitted in multi-utterance mode once the service has sent the final results of an utterance.
+             * @event RecognizeStream#utteranceEnd
+             * @param {Number} utterance - the number of the utterance, starting at 1
+             * @param {SpeechRecognitionResult[]} results - the results of the utterance
+             */
+            self.emit('utteranceEnd', self.utteranceCount, self.getResults());
+          } else {
+            self.closing = true;
+            socket.close();
+          }
         } else {
           self.listening = true;
+          self.reconnectAttempts = 0;
           /**
            * Emitted when the Watson Service indicates readiness to transcribe audio. Any audio sent before this point will be buffered until now.
            * @event RecognizeStream#listening
@@ -299,6 +506,11 @@ class RecognizeStream extends Duplex {
           self.emit('listening');
         }
       } else {
+        if (options.reconnect) {
+          self.stitchResults(data);
+          self.acknowledge(data);
+        }
+        self.emitResults(data);
         if (options.readableObjectMode) {
           /**
            * Object with interim or final results, possibly including confidence scores, alternatives, and word timing.
@@ -321,7 +533,7 @@ class RecognizeStream extends Duplex {
       }
     };
 
-    this.initialized = true;
+    return socket;
   }
 
   sendJSON(msg): void {
@@ -344,32 +556,374 @@ class RecognizeStream extends Duplex {
     return this.socket.send(data);
   }
 
+  /**
+   * Sends a chunk of audio, keeping a copy for replay if the connection is resilient.
+   *
+   * @private
+   * @param {Buffer} chunk
+   */
+  sendAudio(chunk: Buffer): void {
+    if (this.bytesSent === 0) {
+      this.bytesPerSecond = getBytesPerSecond(this.options.contentType, chunk);
+      this.header = chunk.slice(0, getHeaderLength(this.options.contentType, chunk));
+      this.pacingStart = Date.now();
+      if (this.options.pacing && !this.bytesPerSecond) {
+        /**
+         * Emitted when `options.pacing` is set but the bitrate of the audio is unknown, so it is sent unthrottled.
+         * @event RecognizeStream#pacingUnsupported
+         * @param {String} contentType
+         */
+        this.emit('pacingUnsupported', this.options.contentType);
+      }
+    }
+    if (this.options.reconnect) {
+      this.replayBuffer.push({ offset: this.bytesSent, data: chunk });
+      this.replayBufferLength += chunk.length;
+      // it's a ring buffer - the oldest audio is discarded once the limit is reached
+      const limit = this.options.replayBufferSize || RecognizeStream.DEFAULT_REPLAY_BUFFER_SIZE;
+      while (this.replayBufferLength > limit && this.replayBuffer.length > 1) {
+        this.replayBufferLength -= this.replayBuffer.shift().data.length;
+      }
+    }
+    this.bytesSent += chunk.length;
+    this.sendData(chunk);
+    if (this.voiceActivityDetector) {
+      // may finish the stream, so only after the chunk itself has been sent
+      this.voiceActivityDetector.process(chunk, this.options.contentType);
+    }
+  }
+
+  /**
+   * Re-sends the audio that has not been finalized yet over a new connection. If the start of the stream has already
+   * been discarded, the stream header is sent first so the service can still decode the audio.
+   *
+   * The timestamps and indexes of the new session start at zero, so the offsets that stitchResults() applies are
+   * derived from where the replayed audio begins.
+   *
+   * @private
+   */
+  replay(): void {
+    const first = this.replayBuffer[0];
+    this.resultIndexOffset = this.finalizedResults;
+    if (!first) {
+      this.timeOffset = this.acknowledgedTime;
+      return;
+    }
+    const headerLength = this.header ? this.header.length : 0;
+    if (first.offset > 0 && headerLength) {
+      this.sendData(this.header);
+    }
+    this.timeOffset = this.bytesPerSecond
+      ? Math.max(first.offset - headerLength, 0) / this.bytesPerSecond
+      : this.acknowledgedTime;
+    this.replayBuffer.forEach(chunk => this.sendData(chunk.data));
+  }
+
+  /**
+   * Merges a results message into the transcript so far and emits a typed event for each part of it.
+   *
+   * @private
+   * @param {SpeechRecognitionResults} data - a SpeechRecognitionResults message
+   */
+  emitResults(data: SpeechRecognitionResults): void {
+    if (Array.isArray(data.results)) {
+      // the result_index is the lowest index that has changed - everything from there on is replaced
+      const resultIndex = data.result_index || 0;
+      this.results.length = Math.min(this.results.length, resultIndex);
+      data.results.forEach((result, i) => {
+        const index = resultIndex + i;
+        this.results[index] = result;
+        /**
+         * A result that may still be replaced by later interim or final results for the same index.
+         * @event RecognizeStream#interim
+         * @param {SpeechRecognitionResult} result
+         * @param {Number} index - the position of the result in the complete transcript
+         */
+        /**
+         * A result that will not change anymore.
+         * @event RecognizeStream#final
+         * @param {SpeechRecognitionResult} result
+         * @param {Number} index - the position of the result in the complete transcript
+         */
+        this.emit(result.final ? 'final' : 'interim', result, index);
+        if (result.keywords_result) {
+          /**
+           * The keywords spotted in a result, keyed by keyword.
+           * @event RecognizeStream#keywords
+           * @param {Object<string, KeywordResult[]>} keywords
+           * @param {Number} index - the position of the result in the complete transcript
+           */
+          this.emit('keywords', result.keywords_result, index);
+        }
+      });
+    }
+    if (data.speaker_labels) {
+      /**
+       * @event RecognizeStream#speakerLabels
+       * @param {SpeakerLabelsResult[]} speakerLabels
+       */
+      this.emit('speakerLabels', data.speaker_labels);
+    }
+    if (data.processing_metrics) {
+      /**
+       * @event RecognizeStream#processingMetrics
+       * @param {ProcessingMetrics} processingMetrics
+       */
+      this.emit('processingMetrics', data.processing_metrics);
+    }
+    if (data.audio_metrics) {
+      /**
+       * @event RecognizeStream#audioMetrics
+       * @param {AudioMetrics} audioMetrics
+       */
+      this.emit('audioMetrics', data.audio_metrics);
+    }
+  }
+
+  /**
+   * Returns the transcript received so far, with interim results already replaced by the results that superseded
+   * them. The position of each result matches the `index` passed to the `interim` and `final` events.
+   *
+   * @return {SpeechRecognitionResult[]}
+   */
+  getResults(): SpeechRecognitionResult[] {
+    return this.results.slice();
+  }
+
+  /**
+   * Moves the result indexes and times of a new session so that they continue where the dropped session left off.
+   *
+   * @private
+   * @param {Object} data - a SpeechRecognitionResults message, edited in place
+   */
+  stitchResults(data): void {
+    const offset = this.timeOffset;
+    const shift = (time: number) => Math.round((time + offset) * 100) / 100;
+
+    if (typeof data.result_index === 'number') {
+      data.result_index += this.resultIndexOffset;
+    }
+    if (offset) {
+      (data.results || []).forEach(result => {
+        (result.alternatives || []).forEach(alternative => {
+          (alternative.timestamps || []).forEach(timestamp => {
+            timestamp[1] = shift(timestamp[1]);
+            timestamp[2] = shift(timestamp[2]);
+          });
+        });
+        Object.keys(result.keywords_result || {}).forEach(keyword => {
+          result.keywords_result[keyword].forEach(match => {
+            match.start_time = shift(match.start_time);
+            match.end_time = shift(match.end_time);
+          });
+        });
+        (result.word_alternatives || []).forEach(alternatives => {
+          alternatives.start_time = shift(alternatives.start_time);
+          alternatives.end_time = shift(alternatives.end_time);
+        });
+      });
+      (data.speaker_labels || []).forEach(label => {
+        label.from = shift(label.from);
+        label.to = shift(label.to);
+      });
+    }
+  }
+
+  /**
+   * Discards the buffered audio that is covered by final results - it won't be replayed after a reconnect.
+   *
+   * When word timestamps are available and the audio format has a fixed bitrate, only the audio up to the end of the
+   * last final word is discarded. Otherwise everything sent before the final result arrived is treated as finalized.
+   *
+   * @private
+   * @param {Object} data - a (stitched) SpeechRecognitionResults message
+   */
+  acknowledge(data): void {
+    if (!Array.isArray(data.results)) {
+      return;
+    }
+    let finalResult;
+    data.results.forEach((result, i) => {
+      if (result.final) {
+        finalResult = result;
+        this.finalizedResults = Math.max(this.finalizedResults, data.result_index + i + 1);
+      }
+    });
+    if (!finalResult) {
+      return;
+    }
+
+    const alternative = (finalResult.alternatives || [])[0] || {};
+    const timestamps = alternative.timestamps || [];
+    const endTime = timestamps.length ? timestamps[timestamps.length - 1][2] : undefined;
+    if (endTime !== undefined) {
+      this.acknowledgedTime = endTime;
+    }
+
+    if (this.bytesPerSecond && endTime !== undefined) {
+      const headerLength = this.header ? this.header.length : 0;
+      const acknowledgedBytes = headerLength + endTime * this.bytesPerSecond;
+      while (
+        this.replayBuffer.length &&
+        this.replayBuffer[0].offset + this.replayBuffer[0].data.length <= acknowledgedBytes
+      ) {
+        this.replayBufferLength -= this.replayBuffer.shift().data.length;
+      }
+    } else {
+      this.replayBuffer = [];
+      this.replayBufferLength = 0;
+    }
+  }
+
+  /**
+   * Decides whether a closed connection should be reopened. Only unexpected closures of a resilient stream are
+   * retried - not the normal end of the session and not closures caused by an error reported by the service.
+   *
+   * @private
+   * @param {number} code - the close code
+   * @return {boolean}
+   */
+  shouldReconnect(code: number): boolean {
+    const maxAttempts =
+      typeof this.options.maxReconnectAttempts === 'number' ? this.options.maxReconnectAttempts : 3;
+    return (
+      !!this.options.reconnect &&
+      !this.closing &&
+      !this.serviceError &&
+      code !== 1000 &&
+      this.reconnectAttempts < maxAttempts
+    );
+  }
+
+  /**
+   * Schedules a new connection, sending the same opening message and replaying the unfinalized audio once it's open.
+   *
+   * @private
+   * @param {number} code - the close code of the dropped connection
+   * @param {string} reason - the close reason of the dropped connection
+   */
+  reconnect(code: number, reason: string): void {
+    this.reconnecting = true;
+    this.reconnectAttempts++;
+    this.socketError = null;
+    /**
+     * Emitted when the connection dropped unexpectedly and a new one is about to be opened.
+     * @event RecognizeStream#reconnecting
+     * @param {Number} attempt
+     * @param {Number} reasonCode
+     * @param {String} description
+     */
+    this.emit('reconnecting', this.reconnectAttempts, code, reason);
+    const interval =
+      typeof this.options.reconnectInterval === 'number' ? this.options.reconnectInterval : 1000;
+    setTimeout(() => {
+      if (!this.tokenExpiry || this.tokenExpiry - RecognizeStream.TOKEN_REFRESH_MARGIN > Date.now()) {
+        return this.connect();
+      }
+      this.refreshToken().then(
+        () => this.connect(),
+        err => {
+          this.reconnecting = false;
+          this.emit('error', err);
+          this.push(null);
+        }
+      );
+    }, interval);
+  }
+
+  /**
+   * Asks the authenticator for a token and remembers when it expires, if the token tells.
+   *
+   * @private
+   * @return {Promise<void>}
+   */
+  authenticate(): Promise<void> {
+    // a replayed session doesn't need credentials
+    if (this.options.recorder && this.options.recorder.isReplaying()) {
+      return Promise.resolve();
+    }
+    return this.authenticator.authenticate(this.options).then(() => {
+      const { accessToken, headers } = this.options;
+      this.tokenExpiry = getTokenExpiry(accessToken || (headers && (headers.Authorization as string)));
+    });
+  }
+
+  /**
+   * Replaces the expired token before a reconnect, in the headers and in the URL of the connection.
+   *
+   * @private
+   * @return {Promise<void>}
+   */
+  refreshToken(): Promise<void> {
+    return this.authenticate().then(() => {
+      this.url = this.buildUrl();
+      /**
+       * Emitted when the token had expired by the time of a reconnect and a fresh one was obtained.
+       * @event RecognizeStream#tokenRefreshed
+       * @param {Number} expiresAt - when the new token expires, in milliseconds since the epoch, if known
+       */
+      this.emit('tokenRefreshed', this.tokenExpiry);
+    });
+  }
+
   /**
    * Flow control - don't ask for more data until we've finished what we have
    *
    * Notes:
    *
-   * This limits upload speed to 100 * options.highWaterMark / second.
-   *
-   * The default highWaterMark is 16kB, so the default max upload speed is ~1.6MB/s.
+   * In Node.js, this waits for the `drain` event of the underlying connection whenever its output buffer is full.
+   * Browsers don't provide an event for that, so there the `bufferedAmount` is checked every 10ms until it drops
+   * below the highWaterMark.
    *
-   * Microphone input provides audio at a (downsampled) rate of:
-   *   16000 samples/s * 16-bits * 1 channel = 32kB/s
-   * (note the bits to Bytes conversion there)
+   * With `options.pacing`, the next chunk is also held back until the audio sent so far would have finished playing
+   * in real time (scaled by `options.pacingRate`), to reproduce the behavior of a live microphone.
    *
    * @private
    * @param {Function} next
    */
   afterSend(next): void {
-    if (
-      this.socket.bufferedAmount <= (this._writableState.highWaterMark || 0)
-    ) {
-      process.nextTick(next);
+    this.waitForDrain(() => {
+      const delay = this.getPacingDelay();
+      if (delay > 0) {
+        setTimeout(next, delay);
+      } else {
+        process.nextTick(next);
+      }
+    });
+  }
+
+  /**
+   * @private
+   * @param {Function} next
+   */
+  waitForDrain(next): void {
+    // the w3c websocket for Node always reports a bufferedAmount of 0, but its connection tells us when it's full
+    const connection = this.socket['_connection'];
+    if (connection && connection.outputBufferFull) {
+      connection.once('drain', next);
+    } else if (this.socket.bufferedAmount > (this._writableState.highWaterMark || 0)) {
+      setTimeout(this.waitForDrain.bind(this, next), 10);
     } else {
-      setTimeout(this.afterSend.bind(this, next), 10);
+      next();
     }
   }
 
+  /**
+   * Calculates how long to wait before sending more audio so that it arrives no faster than it would be spoken.
+   *
+   * @private
+   * @return {number} - milliseconds
+   */
+  getPacingDelay(): number {
+    if (!this.options.pacing || !this.bytesPerSecond) {
+      return 0;
+    }
+    const rate = this.options.pacingRate || 1;
+    const headerLength = this.header ? this.header.length : 0;
+    const audioMs = (Math.max(this.bytesSent - headerLength, 0) / this.bytesPerSecond / rate) * 1000;
+    return this.pacingStart + audioMs - Date.now();
+  }
+
   /**
    * Prevents any more audio from being sent over the WebSocket and gracefully closes the connection.
    * Additional data may still be emitted up until the `end` event is triggered.
@@ -390,40 +944,12 @@ class RecognizeStream extends Duplex {
 
 
   _write(chunk, encoding, callback): void {
-    this.authenticator.authenticate(this.options).then(
-      () => {
-        const self = this;
-        if (self.finished) {
-          // can't send any more data after the stop message (although this shouldn't happen normally...)
-          return;
-        }
-
-        if (!this.initialized) {
-          if (!this.options.contentType) {
-            const ct = RecognizeStream.getContentType(chunk);
-            if (ct) {
-              this.options.contentType = ct;
-            } else {
-              const error = new Error(
-                'Unable to determine content-type from file header, please specify manually.'
-              );
-              error.name = RecognizeStream.ERROR_UNRECOGNIZED_FORMAT;
-              this.emit('error', error);
-              this.push(null);
-              return;
-            }
-          }
-          this.initialize();
-
-          this.once('open', () => {
-            self.sendData(chunk);
-            self.afterSend(callback);
-          });
-        } else {
-          self.sendData(chunk);
-          this.afterSend(callback);
-        }
-      },
+    if (this.initialized) {
+      return this.writeAudio(chunk, encoding, callback);
+    }
+    // the token is only needed to open the connection, see reconnect() for what happens once it expires
+    this.authenticate().then(
+      () => this.writeAudio(chunk, encoding, callback),
       err => {
         this.emit('error', err);
         this.push(null);
@@ -431,6 +957,56 @@ class RecognizeStream extends Duplex {
     );
   }
 
+  /**
+   * @private
+   */
+  writeAudio(chunk, encoding, callback): void {
+    const self = this;
+    if (self.finished) {
+      // can't send any more data after the stop message, which is sent early when voice activity detection
+      // stops the stream - discard the audio so that the source isn't stalled
+      return callback();
+    }
+
+    if (this.initialized && this.utteranceState !== 'active') {
+      // audio for the next utterance waits until it has been started
+      this.once('utteranceStart', () => this._write(chunk, encoding, callback));
+      return;
+    }
+
+    if (!this.initialized) {
+      if (!this.options.contentType) {
+        const ct = RecognizeStream.getContentType(chunk);
+        if (ct) {
+          this.options.contentType = ct;
+        } else {
+          const error = new Error(
+            'Unable to determine content-type from file header, please specify manually.'
+          );
+          error.name = RecognizeStream.ERROR_UNRECOGNIZED_FORMAT;
+          this.emit('error', error);
+          this.push(null);
+          return;
+        }
+      }
+      this.initialize();
+
+      this.once('open', () => {
+        self.sendAudio(chunk);
+        self.afterSend(callback);
+      });
+    } else if (this.reconnecting) {
+      // hold on to the audio until the unfinalized audio has been replayed over the new connection
+      this.once('open', () => {
+        self.sendAudio(chunk);
+        self.afterSend(callback);
+      });
+    } else {
+      self.sendAudio(chunk);
+      this.afterSend(callback);
+    }
+  }
+
   finish(): void {
     // this is called both when the source stream finishes, and when .stop() is fired, but we only want to send the stop message once.
     if (this.finished) {
@@ -438,16 +1014,137 @@ class RecognizeStream extends Duplex {
     }
     this.finished = true;
     const self = this;
-    const closingMessage = { action: 'stop' };
-    if (self.socket && self.socket.readyState === self.socket.OPEN) {
-      self.sendJSON(closingMessage);
+    if (this.utteranceState === 'idle') {
+      // the last utterance is complete, so there is nothing left to wait for
+      this.closing = true;
+      if (this.socket) {
+        this.socket.close();
+      }
+      return;
+    }
+    if (this.utteranceState === 'ending') {
+      // the stop message has been sent already, the connection closes once the results are in
+      return;
+    }
+    if (self.socket && self.socket.readyState === self.socket.OPEN && !self.reconnecting) {
+      self.sendStop();
+    } else {
+      this.once('open', () => {
+        // a reconnect sends the stop message itself, right after the replayed audio
+        if (!self.stopSent) {
+          self.sendStop();
+        }
+      });
+    }
+  }
+
+  /**
+   * Ends the current utterance in multi-utterance mode. The service sends the remaining results, followed by an
+   * `utteranceEnd` event, but the connection stays open. Audio written afterwards is held back until
+   * `startUtterance()` is called.
+   */
+  endUtterance(): void {
+    if (!this.initialized || this.finished || this.utteranceState !== 'active') {
+      return;
+    }
+    this.utteranceState = 'ending';
+    const self = this;
+    if (self.socket && self.socket.readyState === self.socket.OPEN && !self.reconnecting) {
+      self.sendStop();
     } else {
       this.once('open', () => {
-        self.sendJSON(closingMessage);
+        if (!self.stopSent) {
+          self.sendStop();
+        }
       });
     }
   }
 
+  /**
+   * Starts a new utterance over the open connection in multi-utterance mode, ending the current one first if
+   * necessary. The opening-message parameters (such as `keywords` or `grammarName`) can be changed for each
+   * utterance; they are applied on top of the options the stream was created with. Parameters that are sent in the
+   * query string, such as `model`, can't change without a new connection.
+   *
+   * The results of each utterance are numbered and timed from its own start, and container formats like wav need
+   * their header again at the start of each utterance - headerless formats like `audio/l16` avoid that.
+   *
+   * @param {Object} [params] - the opening-message parameters for the new utterance, in lowerCamelCase
+   * @return {Promise<void>} - resolves once the start message has been sent
+   */
+  startUtterance(params?: RecognizeStream.UtteranceParams): Promise<void> {
+    if (!this.options.multiUtterance) {
+      return Promise.reject(new Error('startUtterance() requires the multiUtterance option.'));
+    }
+    if (this.finished) {
+      return Promise.reject(new Error('Cannot start an utterance after the stream has finished.'));
+    }
+    if (!this.initialized) {
+      // the first utterance starts with the connection
+      Object.assign(this.options, params);
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const start = () => {
+        this.removeListener('close', onClose);
+        this.openingMessage = processUserParameters(Object.assign({}, this.options, params), OPENING_MESSAGE_PARAMS);
+        this.openingMessage.action = 'start';
+        this.resetUtterance();
+        if (!this.reconnecting) {
+          // otherwise it's sent as soon as the new connection is open
+          this.sendJSON(this.openingMessage);
+        }
+        /**
+         * Emitted in multi-utterance mode when a new utterance has been started.
+         * @event RecognizeStream#utteranceStart
+         * @param {Number} utterance - the number of the utterance, starting at 1
+         */
+        this.emit('utteranceStart', this.utteranceCount);
+        resolve();
+      };
+      const onClose = () => {
+        this.removeListener('utteranceEnd', start);
+        reject(new Error('The connection closed before the utterance could be started.'));
+      };
+
+      if (this.utteranceState === 'idle') {
+        start();
+      } else {
+        this.once('utteranceEnd', start);
+        this.once('close', onClose);
+        this.endUtterance();
+      }
+    });
+  }
+
+  /**
+   * Forgets the audio and results of the previous utterance, as the service starts counting from zero again.
+   *
+   * @private
+   */
+  resetUtterance(): void {
+    this.utteranceState = 'active';
+    this.utteranceCount++;
+    this.stopSent = false;
+    this.results = [];
+    this.replayBuffer = [];
+    this.replayBufferLength = 0;
+    this.bytesSent = 0;
+    this.acknowledgedTime = 0;
+    this.finalizedResults = 0;
+    this.resultIndexOffset = 0;
+    this.timeOffset = 0;
+  }
+
+  /**
+   * @private
+   */
+  sendStop(): void {
+    this.stopSent = true;
+    this.sendJSON({ action: 'stop' });
+  }
+
   /**
    * Returns a Promise that resolves with Watson Transaction ID from the X-Transaction-ID header
    *
@@ -469,7 +1166,36 @@ namespace RecognizeStream {
     authenticator: Authenticator;
     disableSslVerification?: boolean;
     serviceUrl?: string;
+    interceptors?: Interceptor[];
+    tracer?: Tracer;
+    recorder?: Recorder;
   }
+
+  /** The opening-message parameters that can change between utterances */
+  export type UtteranceParams = Pick<
+    RecognizeWebSocketParams,
+    | 'customizationWeight'
+    | 'processingMetrics'
+    | 'processingMetricsInterval'
+    | 'audioMetrics'
+    | 'inactivityTimeout'
+    | 'timestamps'
+    | 'wordConfidence'
+    | 'interimResults'
+    | 'keywords'
+    | 'keywordsThreshold'
+    | 'maxAlternatives'
+    | 'wordAlternativesThreshold'
+    | 'profanityFilter'
+    | 'smartFormatting'
+    | 'speakerLabels'
+    | 'grammarName'
+    | 'redaction'
+    | 'endOfPhraseSilenceTime'
+    | 'splitTranscriptAtPhraseEnd'
+    | 'speechDetectorSensitivity'
+    | 'backgroundAudioSuppression'
+  >;
 }
 
 export = RecognizeStream;
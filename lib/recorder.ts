@@ -0,0 +1,621 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+/* tslint:disable:max-classes-per-file */
+
+import crypto = require('crypto');
+import { EventEmitter } from 'events';
+import fs = require('fs');
+import { OutgoingHttpHeaders } from 'http';
+import isStream = require('isstream');
+import path = require('path');
+import { PassThrough } from 'stream';
+import { isDeepStrictEqual } from 'util';
+import { w3cwebsocket as w3cWebSocket } from 'websocket';
+import { getFullUrl } from './interceptors';
+
+type Adapter = (config: any) => Promise<any>;
+
+/**
+ * Records the HTTP requests and WebSocket sessions of service clients to a fixture file, and replays them from it, so
+ * that code that uses the SDK can be tested without a service instance. Pass it to a client with the `recorder`
+ * option; the streams of `recognizeUsingWebSocket()` and `synthesizeUsingWebSocket()` use the recorder of their
+ * client.
+ *
+ * - in `record` mode, the requests are sent and the file is rewritten after each of them. Credentials and tokens are
+ *   replaced with `[REDACTED]` in headers, query parameters and JSON bodies.
+ * - in `replay` mode, nothing is sent and requests are not authenticated. Each request gets the response of the first
+ *   recorded request that matches it and hasn't been replayed yet: by default the method, URL and body must be the
+ *   same. A WebSocket session sends the recorded messages as the client catches up with what it had sent when they
+ *   were received: the same number of text messages and the same number of audio bytes.
+ *
+ * Streamed and multipart request bodies are not recorded and not compared. Only works in Node.js.
+ */
+class Recorder {
+  static REDACTED: string = '[REDACTED]';
+  static ERROR_NO_FIXTURE: string = 'NO_FIXTURE';
+  /** the names of the headers, query parameters and JSON fields that are always redacted */
+  static SENSITIVE_NAMES: string[] = [
+    'authorization',
+    'proxy-authorization',
+    'x-watson-authorization-token',
+    'cookie',
+    'set-cookie',
+    'access_token',
+    'watson-token',
+    'refresh_token',
+    'apikey',
+    'api_key',
+    'password',
+  ];
+
+  /**
+   * The default rule for matching a request with a recorded one: the same method and URL, and the same body unless
+   * it is streamed.
+   *
+   * @param {RecordedRequest} request
+   * @param {RecordedRequest} recorded
+   * @return {boolean}
+   */
+  static matchRequest(request: Recorder.RecordedRequest, recorded: Recorder.RecordedRequest): boolean {
+    if (request.method !== recorded.method || request.url !== recorded.url) {
+      return false;
+    }
+    const unrecorded = ['stream', 'multipart'];
+    if (unrecorded.indexOf(request.bodyEncoding) !== -1 || unrecorded.indexOf(recorded.bodyEncoding) !== -1) {
+      return true;
+    }
+    return request.bodyEncoding === recorded.bodyEncoding && isDeepStrictEqual(request.body, recorded.body);
+  }
+
+  private options: Recorder.Options;
+  private fixture: Recorder.Fixture;
+  private sensitiveNames: string[];
+  private replayedRequests: boolean[];
+  private replayedSessions: boolean[];
+
+  /**
+   * @param {Options} options
+   * @param {string} options.mode - `record` or `replay`
+   * @param {string} options.file - The path of the fixture file
+   * @param {string[]} [options.redact] - More headers, query parameters and JSON fields to redact
+   * @param {Function} [options.match] - Called with a request and a recorded request, returns whether they match
+   * (default=Recorder.matchRequest)
+   * @constructor
+   */
+  constructor(options: Recorder.Options) {
+    if (!options || (options.mode !== 'record' && options.mode !== 'replay')) {
+      throw new Error('The mode of a Recorder must be "record" or "replay"');
+    }
+    if (!options.file) {
+      throw new Error('Missing the fixture file of the Recorder');
+    }
+    this.options = Object.assign({ match: Recorder.matchRequest }, options);
+    this.sensitiveNames = Recorder.SENSITIVE_NAMES.concat(options.redact || []).map(name => name.toLowerCase());
+    this.fixture =
+      options.mode === 'replay' ? JSON.parse(fs.readFileSync(options.file, 'utf8')) : { http: [], websocket: [] };
+    this.replayedRequests = [];
+    this.replayedSessions = [];
+  }
+
+  /**
+   * @return {boolean} - whether requests are served from the fixture file
+   */
+  isReplaying(): boolean {
+    return this.options.mode === 'replay';
+  }
+
+  /**
+   * Returns the recorded requests and sessions.
+   *
+   * @return {Fixture}
+   */
+  getFixture(): Recorder.Fixture {
+    return this.fixture;
+  }
+
+  /**
+   * Wraps the adapter of an axios instance, which sends the requests, to record or replay them.
+   *
+   * @param {Function} adapter
+   * @return {Function}
+   */
+  wrapAdapter(adapter: Adapter): Adapter {
+    return config => (this.isReplaying() ? this.replayRequest(config) : this.recordRequest(adapter, config));
+  }
+
+  /**
+   * Opens a WebSocket connection that is recorded, or one that replays a recorded session.
+   *
+   * @param {string} url
+   * @param {OutgoingHttpHeaders} headers
+   * @param {Function} connect - opens the real connection
+   * @return {w3cWebSocket}
+   */
+  openWebSocket(url: string, headers: OutgoingHttpHeaders, connect: () => w3cWebSocket): w3cWebSocket {
+    if (!this.isReplaying()) {
+      return this.recordWebSocket(url, headers, connect());
+    }
+    const redactedUrl = this.redactUrl(url);
+    const index = this.fixture.websocket.findIndex(
+      (session, i) => !this.replayedSessions[i] && session.url === redactedUrl
+    );
+    if (index !== -1) {
+      this.replayedSessions[index] = true;
+    }
+    return new ReplayWebSocket(url, this.fixture.websocket[index]) as any;
+  }
+
+  private recordRequest(adapter: Adapter, config: any): Promise<any> {
+    const interaction: Recorder.HttpInteraction = { request: this.describeRequest(config) };
+    const done = (response: any) => {
+      if (!response) {
+        return Promise.resolve();
+      }
+      return readBody(response.data).then(body => {
+        // a streamed body has been read, so the client gets a copy
+        if (isStream(response.data)) {
+          const copy = new PassThrough();
+          copy.end(body);
+          response.data = copy;
+        }
+        interaction.response = Object.assign(
+          { status: response.status, statusText: response.statusText, headers: this.redactHeaders(response.headers) },
+          this.describeBody(body)
+        );
+      });
+    };
+    const save = () => {
+      this.fixture.http.push(interaction);
+      this.save();
+    };
+    return adapter(config).then(
+      response =>
+        done(response).then(() => {
+          save();
+          return response;
+        }),
+      err =>
+        done(err.response).then(() => {
+          if (!err.response) {
+            interaction.error = { message: err.message, code: err.code };
+          }
+          save();
+          throw err;
+        })
+    );
+  }
+
+  private replayRequest(config: any): Promise<any> {
+    const request = this.describeRequest(config);
+    const index = this.fixture.http.findIndex(
+      (interaction, i) => !this.replayedRequests[i] && this.options.match(request, interaction.request)
+    );
+    if (index === -1) {
+      const err = new Error(`No fixture matches ${request.method} ${request.url}`);
+      err.name = Recorder.ERROR_NO_FIXTURE;
+      return Promise.reject(err);
+    }
+    this.replayedRequests[index] = true;
+    const { response: recorded, error } = this.fixture.http[index];
+    if (error) {
+      // like a request that got no response
+      return Promise.reject(Object.assign(new Error(error.message), { code: error.code, config, request: {} }));
+    }
+    const response = {
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: recorded.headers,
+      data: toResponseData(recorded, config.responseType),
+      config,
+      request: {},
+    };
+    if (config.validateStatus && !config.validateStatus(response.status)) {
+      const err = new Error(`Request failed with status code ${response.status}`);
+      return Promise.reject(Object.assign(err, { config, response, isAxiosError: true }));
+    }
+    return Promise.resolve(response);
+  }
+
+  private recordWebSocket(url: string, headers: OutgoingHttpHeaders, socket: w3cWebSocket): w3cWebSocket {
+    const session: Recorder.WebSocketSession = {
+      url: this.redactUrl(url),
+      headers: this.redactHeaders(headers),
+      events: [],
+    };
+    this.fixture.websocket.push(session);
+
+    const target: any = socket;
+    const send = target.send;
+    target.send = (data: any) => {
+      if (typeof data === 'string') {
+        session.events.push({ type: 'send', data: this.redactText(data) });
+      } else {
+        session.events.push({ type: 'send', bytes: data.byteLength });
+      }
+      return send.call(socket, data);
+    };
+    // the events are recorded before the stream handles them, as that may send more messages
+    const dispatchEvent = target.dispatchEvent;
+    target.dispatchEvent = (event: any) => {
+      if (event.type === 'open') {
+        const client = target._client;
+        session.responseHeaders = this.redactHeaders(client && client.response && client.response.headers);
+      } else if (event.type === 'message') {
+        session.events.push(
+          typeof event.data === 'string'
+            ? { type: 'receive', data: event.data }
+            : { type: 'receive', data: Buffer.from(event.data).toString('base64'), binary: true }
+        );
+      } else if (event.type === 'close') {
+        session.events.push({ type: 'close', code: event.code, reason: event.reason });
+        this.save();
+      }
+      return dispatchEvent.call(socket, event);
+    };
+    return socket;
+  }
+
+  private describeRequest(config: any): Recorder.RecordedRequest {
+    const data = config.data;
+    let body: { body?: any; bodyEncoding?: Recorder.BodyEncoding } = {};
+    if (isStream(data) && typeof data.getBoundary === 'function') {
+      body = { bodyEncoding: 'multipart' };
+    } else if (isStream(data)) {
+      body = { bodyEncoding: 'stream' };
+    } else if (Buffer.isBuffer(data)) {
+      // binary bodies, like audio, are only recorded to be compared
+      body = { body: crypto.createHash('sha256').update(data).digest('hex'), bodyEncoding: 'sha256' };
+    } else if (data !== undefined && data !== null) {
+      body = this.describeBody(data);
+    }
+    return Object.assign(
+      {
+        method: (config.method || 'get').toUpperCase(),
+        url: this.redactUrl(getFullUrl(config)),
+        headers: this.redactHeaders(config.headers),
+      },
+      body
+    );
+  }
+
+  private describeBody(data: any): { body?: any; bodyEncoding?: Recorder.BodyEncoding } {
+    if (data === undefined || data === null || data === '') {
+      return {};
+    }
+    if (Buffer.isBuffer(data)) {
+      const text = data.toString('utf8');
+      // keep text readable, but not binary data like audio
+      if (Buffer.from(text, 'utf8').equals(data)) {
+        return this.describeBody(text);
+      }
+      return { body: data.toString('base64'), bodyEncoding: 'base64' };
+    }
+    if (typeof data !== 'string') {
+      return { body: this.redactJson(data), bodyEncoding: 'json' };
+    }
+    try {
+      return { body: this.redactJson(JSON.parse(data)), bodyEncoding: 'json' };
+    } catch (err) {
+      return { body: data, bodyEncoding: 'utf8' };
+    }
+  }
+
+  private isSensitive(name: string): boolean {
+    return this.sensitiveNames.indexOf(name.toLowerCase()) !== -1;
+  }
+
+  private redactHeaders(headers: { [name: string]: any }): { [name: string]: any } {
+    const redacted = {};
+    Object.keys(headers || {}).forEach(name => {
+      redacted[name] = this.isSensitive(name) ? Recorder.REDACTED : headers[name];
+    });
+    return redacted;
+  }
+
+  private redactUrl(url: string): string {
+    const parsed = new URL(url);
+    const names: string[] = [];
+    parsed.searchParams.forEach((value, name) => names.push(name));
+    const sensitive = names.filter(name => this.isSensitive(name));
+    if (!sensitive.length) {
+      return url;
+    }
+    sensitive.forEach(name => parsed.searchParams.set(name, Recorder.REDACTED));
+    return parsed.toString();
+  }
+
+  private redactJson(value: any): any {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactJson(item));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    const redacted = {};
+    Object.keys(value).forEach(key => {
+      redacted[key] = this.isSensitive(key) ? Recorder.REDACTED : this.redactJson(value[key]);
+    });
+    return redacted;
+  }
+
+  private redactText(text: string): string {
+    try {
+      return JSON.stringify(this.redactJson(JSON.parse(text)));
+    } catch (err) {
+      return text;
+    }
+  }
+
+  private save(): void {
+    fs.mkdirSync(path.dirname(this.options.file), { recursive: true });
+    fs.writeFileSync(this.options.file, JSON.stringify(this.fixture, null, 2) + '\n');
+  }
+}
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+/**
+ * A stand-in for the w3c websocket that replays a recorded session.
+ * @private
+ */
+class ReplayWebSocket {
+  CONNECTING: number = CONNECTING;
+  OPEN: number = OPEN;
+  CLOSING: number = CLOSING;
+  CLOSED: number = CLOSED;
+  readyState: number = CONNECTING;
+  bufferedAmount: number = 0;
+  binaryType: string = 'arraybuffer';
+  url: string;
+  onopen: (event: any) => void;
+  onmessage: (event: any) => void;
+  onerror: (event: any) => void;
+  onclose: (event: any) => void;
+  // like the client of the w3c websocket for Node, which tells about the handshake
+  _client: EventEmitter & { response?: { headers: { [name: string]: any } } };
+
+  private events: Recorder.WebSocketEvent[];
+  private cursor: number = 0;
+  private textSent: number = 0;
+  private bytesSent: number = 0;
+  private textReplayed: number = 0;
+  private bytesReplayed: number = 0;
+  private scheduled: boolean = false;
+
+  constructor(url: string, session: Recorder.WebSocketSession) {
+    this.url = url;
+    this._client = new EventEmitter();
+    if (!session) {
+      setImmediate(() => {
+        const error = new Error(`No fixture matches the WebSocket connection to ${url}`);
+        error.name = Recorder.ERROR_NO_FIXTURE;
+        this.readyState = CLOSED;
+        this._client.emit('connectFailed', error);
+        this.dispatch('onerror', { type: 'error', error });
+        this.dispatch('onclose', { type: 'close', code: 1006, reason: error.message });
+      });
+      return;
+    }
+    this.events = session.events;
+    this._client.response = { headers: session.responseHeaders || {} };
+    setImmediate(() => {
+      this.readyState = OPEN;
+      this._client.emit('connect');
+      this.dispatch('onopen', { type: 'open' });
+      this.schedule();
+    });
+  }
+
+  send(data: any): void {
+    if (this.readyState !== OPEN) {
+      throw new Error('cannot call send() while not connected');
+    }
+    if (typeof data === 'string') {
+      this.textSent++;
+    } else {
+      this.bytesSent += data.byteLength;
+    }
+    this.schedule();
+  }
+
+  close(code?: number, reason?: string): void {
+    if (this.readyState === CLOSING || this.readyState === CLOSED) {
+      return;
+    }
+    this.readyState = CLOSING;
+    const recorded = this.events && this.events.filter(event => event.type === 'close')[0];
+    setImmediate(() => this.finish(recorded ? recorded.code : code || 1000, recorded ? recorded.reason : reason || ''));
+  }
+
+  /**
+   * Replays the next recorded event, one per tick like messages from the network.
+   */
+  private schedule(): void {
+    if (this.scheduled) {
+      return;
+    }
+    this.scheduled = true;
+    setImmediate(() => {
+      this.scheduled = false;
+      if (this.step()) {
+        this.schedule();
+      }
+    });
+  }
+
+  private step(): boolean {
+    const event = this.events[this.cursor];
+    if (!event || this.readyState !== OPEN) {
+      return false;
+    }
+    if (event.type === 'send') {
+      // wait for the client to send as much as it had sent at this point of the recording - audio that was chunked
+      // differently, or cut short by a later text message like the stop message, is not waited for
+      const caughtUp =
+        event.bytes === undefined
+          ? this.textSent > this.textReplayed
+          : this.bytesSent >= this.bytesReplayed + event.bytes || this.textSent > this.textReplayed;
+      if (!caughtUp) {
+        return false;
+      }
+      if (event.bytes === undefined) {
+        this.textReplayed++;
+      } else {
+        this.bytesReplayed += event.bytes;
+      }
+    } else if (event.type === 'receive') {
+      const data = event.binary ? toArrayBuffer(Buffer.from(event.data, 'base64')) : event.data;
+      this.dispatch('onmessage', { type: 'message', data });
+    } else {
+      this.finish(event.code, event.reason);
+      return false;
+    }
+    this.cursor++;
+    return true;
+  }
+
+  private finish(code: number, reason: string): void {
+    if (this.readyState === CLOSED) {
+      return;
+    }
+    this.readyState = CLOSED;
+    this.dispatch('onclose', { type: 'close', code, reason });
+  }
+
+  private dispatch(handler: 'onopen' | 'onmessage' | 'onerror' | 'onclose', event: any): void {
+    if (this[handler]) {
+      this[handler](event);
+    }
+  }
+}
+
+/**
+ * Reads a response body that may be a stream.
+ * @private
+ */
+function readBody(data: any): Promise<any> {
+  if (!isStream(data)) {
+    return Promise.resolve(data);
+  }
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    data.on('data', (chunk: Buffer) => chunks.push(Buffer.from(chunk)));
+    data.on('end', () => resolve(Buffer.concat(chunks)));
+    data.on('error', reject);
+  });
+}
+
+/**
+ * Turns a recorded body into what the axios adapter returns for the response type.
+ * @private
+ */
+function toResponseData(recorded: Recorder.RecordedResponse, responseType: string): any {
+  let buffer: Buffer;
+  let text: string;
+  if (recorded.bodyEncoding === 'base64') {
+    buffer = Buffer.from(recorded.body, 'base64');
+  } else if (recorded.bodyEncoding === 'json') {
+    text = JSON.stringify(recorded.body);
+  } else {
+    text = recorded.body === undefined ? '' : recorded.body;
+  }
+  if (responseType === 'stream') {
+    const stream = new PassThrough();
+    stream.end(buffer || Buffer.from(text));
+    return stream;
+  }
+  if (responseType === 'arraybuffer') {
+    return buffer || Buffer.from(text);
+  }
+  return text !== undefined ? text : buffer.toString('utf8');
+}
+
+/**
+ * @private
+ */
+function toArrayBuffer(buffer: Buffer): ArrayBuffer {
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+}
+
+namespace Recorder {
+  export type Mode = 'record' | 'replay';
+
+  /**
+   * How a body is stored: `json` and `utf8` bodies as they are, `base64` for binary data, `sha256` for the digest of a
+   * binary request body, and `stream` and `multipart` for request bodies that are not recorded.
+   */
+  export type BodyEncoding = 'json' | 'utf8' | 'base64' | 'sha256' | 'stream' | 'multipart';
+
+  export interface Options {
+    mode: Mode;
+    file: string;
+    redact?: string[];
+    match?: (request: RecordedRequest, recorded: RecordedRequest) => boolean;
+  }
+
+  export interface RecordedRequest {
+    method: string;
+    url: string;
+    headers: { [name: string]: any };
+    body?: any;
+    bodyEncoding?: BodyEncoding;
+  }
+
+  export interface RecordedResponse {
+    status: number;
+    statusText: string;
+    headers: { [name: string]: any };
+    body?: any;
+    bodyEncoding?: BodyEncoding;
+  }
+
+  export interface HttpInteraction {
+    request: RecordedRequest;
+    response?: RecordedResponse;
+    /** for requests that got no response */
+    error?: { message: string; code?: string };
+  }
+
+  export interface WebSocketEvent {
+    type: 'send' | 'receive' | 'close';
+    /** the text of a message, or the base64 data of a binary message that was received */
+    data?: string;
+    binary?: boolean;
+    /** the length of a binary message that was sent, whose data is not recorded */
+    bytes?: number;
+    code?: number;
+    reason?: string;
+  }
+
+  export interface WebSocketSession {
+    url: string;
+    headers: { [name: string]: any };
+    /** the headers of the response to the handshake */
+    responseHeaders?: { [name: string]: any };
+    events: WebSocketEvent[];
+  }
+
+  export interface Fixture {
+    http: HttpInteraction[];
+    websocket: WebSocketSession[];
+  }
+}
+
+export = Recorder;
@@ -0,0 +1,239 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+/** whether a resource is done (`ready`), still changing (`pending`) or won't get ready (`failed`) */
+export type ResourceState = 'ready' | 'pending' | 'failed';
+
+/** decides the state of a resource from the result of its status request */
+export type ResourcePredicate<T> = (resource: T) => ResourceState;
+
+/** the part of an `AbortSignal` that is used, so that any implementation can be passed */
+export interface AbortSignalLike {
+  aborted: boolean;
+  addEventListener(type: 'abort', listener: () => void): void;
+  removeEventListener(type: 'abort', listener: () => void): void;
+}
+
+export interface WaitProgress {
+  /** the number of status requests so far, starting at 1 */
+  attempt: number;
+  state: ResourceState;
+  /** milliseconds since the wait started */
+  elapsed: number;
+}
+
+export interface WaitOptions<T = any> {
+  /** milliseconds to wait after the first check, multiplied by `backoffFactor` after each further check */
+  interval?: number;
+  /** the longest wait between two checks, in milliseconds */
+  maxInterval?: number;
+  backoffFactor?: number;
+  /** milliseconds after which to give up */
+  timeout?: number;
+  /** stops waiting when aborted */
+  signal?: AbortSignalLike;
+  /** called with the resource after each check */
+  onProgress?: (resource: T, progress: WaitProgress) => void;
+}
+
+export interface WaitError extends Error {
+  code: string;
+  /** the last state of the resource, if it was fetched */
+  resource?: any;
+}
+
+export const ERR_TIMEOUT = 'ERR_TIMEOUT';
+export const ERR_ABORTED = 'ERR_ABORTED';
+export const ERR_RESOURCE_FAILED = 'ERR_RESOURCE_FAILED';
+
+const DEFAULT_OPTIONS: WaitOptions = {
+  interval: 5000,
+  maxInterval: 60000,
+  backoffFactor: 1.5,
+  timeout: 30 * 60 * 1000,
+};
+
+/**
+ * Checks a resource until the predicate finds it ready, waiting longer between each check. The promise rejects with a
+ * `WaitError` when the resource fails (`code` is `ERR_RESOURCE_FAILED`), on timeout (`ERR_TIMEOUT`) or when the
+ * signal is aborted (`ERR_ABORTED`), and with the original error when a status request fails.
+ *
+ * ```
+ * const model = await waitForResource(
+ *   () => speechToText.getAcousticModel({ customizationId }).then(res => res.result),
+ *   predicates.customModelTrained,
+ *   { signal: controller.signal, onProgress: m => console.log(m.status, m.progress) }
+ * );
+ * ```
+ *
+ * @param {Function} check - requests the current state of the resource
+ * @param {ResourcePredicate} predicate - see `predicates` for the resources of the SDK
+ * @param {WaitOptions} [options]
+ * @param {number} [options.interval] - (milliseconds) - The wait after the first check (default=5000)
+ * @param {number} [options.maxInterval] - (milliseconds) - The longest wait between checks (default=60000)
+ * @param {number} [options.backoffFactor] - How much longer to wait after each check (default=1.5)
+ * @param {number} [options.timeout] - (milliseconds) - Give up after this long (default=30 minutes)
+ * @param {AbortSignal} [options.signal] - Stop waiting when this signal is aborted
+ * @param {Function} [options.onProgress] - Called with the resource and a `WaitProgress` after each check
+ * @returns {Promise<T>} - the resource once it is ready
+ */
+export function waitForResource<T>(
+  check: () => Promise<T>,
+  predicate: ResourcePredicate<T>,
+  options?: WaitOptions<T>
+): Promise<T> {
+  const opts: WaitOptions<T> = Object.assign({}, DEFAULT_OPTIONS, options);
+  const started = Date.now();
+  const signal = opts.signal;
+
+  return new Promise<T>((resolve, reject) => {
+    let timer: NodeJS.Timer = null;
+    let settled = false;
+    let attempt = 0;
+
+    const finish = (err: Error, resource?: T) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      return err ? reject(err) : resolve(resource);
+    };
+    const onAbort = () => finish(waitError('Stopped waiting for the resource', ERR_ABORTED));
+
+    // errors thrown by the check, the predicate or onProgress reject the promise too
+    const poll = (delay: number) => {
+      Promise.resolve().then(check).then(resource => {
+        if (settled) {
+          return;
+        }
+        attempt++;
+        const state = predicate(resource);
+        const elapsed = Date.now() - started;
+        if (opts.onProgress) {
+          opts.onProgress(resource, { attempt, state, elapsed });
+        }
+        if (state === 'ready') {
+          return finish(null, resource);
+        }
+        if (state === 'failed') {
+          return finish(waitError('The resource failed', ERR_RESOURCE_FAILED, resource));
+        }
+        if (elapsed + delay > opts.timeout) {
+          return finish(
+            waitError(`The resource was not ready after ${elapsed} ms, try increasing the timeout`, ERR_TIMEOUT, resource)
+          );
+        }
+        timer = setTimeout(() => poll(Math.min(delay * opts.backoffFactor, opts.maxInterval)), delay);
+      }).catch(finish);
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        return onAbort();
+      }
+      signal.addEventListener('abort', onAbort);
+    }
+    poll(opts.interval);
+  });
+}
+
+/**
+ * Creates a predicate for resources with a `status` field.
+ *
+ * @param {string[]} ready - the statuses in which the resource is ready
+ * @param {string[]} failed - the statuses in which it won't get ready
+ * @returns {ResourcePredicate}
+ */
+export function statusPredicate(ready: string[], failed: string[]): ResourcePredicate<{ status?: string }> {
+  return resource => listState([resource.status], ready, failed);
+}
+
+/**
+ * @private
+ */
+function listState(statuses: string[], ready: string[], failed: string[]): ResourceState {
+  const normalized = statuses.map(status => String(status).toLowerCase());
+  const includes = (list: string[], status: string) => list.map(s => s.toLowerCase()).indexOf(status) !== -1;
+  if (normalized.some(status => includes(failed, status))) {
+    return 'failed';
+  }
+  return normalized.every(status => includes(ready, status)) ? 'ready' : 'pending';
+}
+
+/**
+ * @private
+ */
+function listPredicate<T>(field: string, ready: string[], failed: string[]): ResourcePredicate<T> {
+  return resource => listState((resource[field] || []).map(item => item.status), ready, failed);
+}
+
+interface TrainableCollection {
+  training_status: { objects: { ready: boolean; in_progress: boolean; latest_failed: boolean } };
+}
+
+/**
+ * Predicates for the resources of the SDK that take time to get ready. The results of the list methods are ready
+ * once every item in them is.
+ */
+export const predicates = {
+  /** speech to text `getLanguageModel()` or `getAcousticModel()`: the added data has been analyzed, so that the model can be trained */
+  customModelReady: statusPredicate(['ready', 'available'], ['failed']),
+  /** speech to text `getLanguageModel()` or `getAcousticModel()`: training has finished */
+  customModelTrained: statusPredicate(['available'], ['failed']),
+  /** speech to text `getCorpus()` or `getGrammar()` */
+  analyzed: statusPredicate(['analyzed'], ['undetermined']),
+  /** speech to text `listCorpora()` */
+  corpora: listPredicate<{ corpora: { status: string }[] }>('corpora', ['analyzed'], ['undetermined']),
+  /** speech to text `listGrammars()` */
+  grammars: listPredicate<{ grammars: { status: string }[] }>('grammars', ['analyzed'], ['undetermined']),
+  /** speech to text `listAudio()` */
+  audioResources: listPredicate<{ audio: { status: string }[] }>('audio', ['ok'], ['invalid']),
+  /** speech to text `getAudio()`, for an audio file or an archive */
+  audioResource: (resource: { status?: string; container?: { status: string } }) =>
+    listState([resource.status || (resource.container && resource.container.status)], ['ok'], ['invalid']),
+  /** assistant v1 `getWorkspace()` and natural language classifier `getClassifier()` */
+  trained: statusPredicate(['Available'], ['Failed', 'Non Existent']),
+  /** language translator `getModel()` */
+  translationModel: statusPredicate(['available'], ['error', 'deleted']),
+  /** visual recognition v3 `getClassifier()` */
+  visualRecognitionClassifier: statusPredicate(['ready'], ['failed']),
+  /** visual recognition v4 `getCollection()` */
+  visualRecognitionCollection: (collection: TrainableCollection): ResourceState => {
+    const objects = collection.training_status.objects;
+    if (objects.in_progress) {
+      return 'pending';
+    }
+    return objects.latest_failed ? 'failed' : objects.ready ? 'ready' : 'pending';
+  },
+  /** a model from natural language understanding `listModels()` */
+  naturalLanguageUnderstandingModel: statusPredicate(['available'], ['error', 'deleted']),
+};
+
+/**
+ * @private
+ */
+function waitError(message: string, code: string, resource?: any): WaitError {
+  const err = new Error(message) as WaitError;
+  err.code = code;
+  if (resource !== undefined) {
+    err.resource = resource;
+  }
+  return err;
+}
@@ -0,0 +1,176 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import isStream = require('isstream');
+
+export interface RetryOptions {
+  /** how many times to send a request, including the first time (default=4) */
+  maxAttempts?: number;
+  /** (milliseconds) - the delay before the first retry, doubled for each further retry (default=1000) */
+  initialDelay?: number;
+  /** (milliseconds) - the longest delay before a retry, requests whose `Retry-After` is longer fail (default=30000) */
+  maxDelay?: number;
+  /** the factor by which the delay grows with each retry (default=2) */
+  backoffFactor?: number;
+  /** wait a random time between half the delay and the delay, so that clients don't retry in lockstep (default=true) */
+  jitter?: boolean;
+  /** wait as long as the `Retry-After` header of the response says instead of the backoff (default=true) */
+  respectRetryAfter?: boolean;
+  /** the status codes to retry, requests that got no response at all are retried too (default=[429, 500, 502, 503, 504]) */
+  statusCodes?: number[];
+  /** the HTTP methods that can safely be sent again (default=['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']) */
+  methods?: string[];
+  /** also retry other methods, such as the POST of `addDocument()`, which may then be processed twice (default=false) */
+  retryNonIdempotent?: boolean;
+  /** called before each retry */
+  onRetry?: (info: RetryInfo) => void;
+}
+
+export interface RetryInfo {
+  /** the number of the attempt that is about to be made, starting at 2 */
+  attempt: number;
+  /** (milliseconds) - how long until the attempt is made */
+  delay: number;
+  /** the error of the previous attempt */
+  error: RequestError;
+  method: string;
+  url: string;
+}
+
+export interface RequestError extends Error {
+  status?: number;
+  headers?: { [name: string]: any };
+}
+
+/** what retryRequest() needs to know about the request */
+export interface RetryableRequest {
+  method: string;
+  url: string;
+  /** the request body, or the form data - bodies that are streams can't be sent again */
+  body?: any;
+}
+
+export const DEFAULT_RETRY_OPTIONS: RetryOptions = {
+  maxAttempts: 4,
+  initialDelay: 1000,
+  maxDelay: 30000,
+  backoffFactor: 2,
+  jitter: true,
+  respectRetryAfter: true,
+  statusCodes: [429, 500, 502, 503, 504],
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  retryNonIdempotent: false,
+};
+
+/**
+ * Sends a request, and sends it again as the retry policy allows when it fails with a retryable status code or gets
+ * no response. A response whose `Retry-After` is longer than `maxDelay` fails right away.
+ *
+ * @param {Function} send - sends the request
+ * @param {RetryableRequest} request - the method, url and body of the request
+ * @param {RetryOptions} [options] - the retry policy
+ * @returns {Promise<T>}
+ */
+export function retryRequest<T>(
+  send: () => Promise<T>,
+  request: RetryableRequest,
+  options?: RetryOptions
+): Promise<T> {
+  const policy: RetryOptions = Object.assign({}, DEFAULT_RETRY_OPTIONS, options);
+  const attempt = (n: number): Promise<T> =>
+    send().catch((error: RequestError) => {
+      if (n >= policy.maxAttempts || !isRetryable(error, request, policy)) {
+        throw error;
+      }
+      const delay = getRetryDelay(n, error, policy);
+      // only a Retry-After header can ask for longer, and retrying sooner than it says would fail again
+      if (delay > policy.maxDelay) {
+        throw error;
+      }
+      if (policy.onRetry) {
+        policy.onRetry({ attempt: n + 1, delay, error, method: request.method, url: request.url });
+      }
+      return new Promise<T>(resolve => setTimeout(() => resolve(attempt(n + 1)), delay));
+    });
+  return attempt(1);
+}
+
+/**
+ * Returns how long to wait before the next attempt.
+ *
+ * @param {number} attempt - the number of the attempt that failed, starting at 1
+ * @param {RequestError} error - the error of that attempt
+ * @param {RetryOptions} options - the retry policy
+ * @returns {number} - milliseconds
+ */
+export function getRetryDelay(attempt: number, error: RequestError, options: RetryOptions): number {
+  const retryAfter = options.respectRetryAfter ? parseRetryAfter(error.headers && error.headers['retry-after']) : null;
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+  const delay = Math.min(options.initialDelay * Math.pow(options.backoffFactor, attempt - 1), options.maxDelay);
+  return options.jitter ? Math.round(delay / 2 + (Math.random() * delay) / 2) : delay;
+}
+
+/**
+ * Reads a `Retry-After` header, which is either a number of seconds or an HTTP date.
+ *
+ * @param {string} value
+ * @returns {number} - milliseconds, or null if there is no valid value
+ */
+export function parseRetryAfter(value: string | number): number {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\s*\d+(\.\d+)?\s*$/.test(String(value))) {
+    return Math.round(Number(value) * 1000);
+  }
+  const date = Date.parse(String(value));
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * @private
+ */
+function isRetryable(error: RequestError, request: RetryableRequest, options: RetryOptions): boolean {
+  const method = (request.method || 'GET').toUpperCase();
+  if (!options.retryNonIdempotent && options.methods.indexOf(method) === -1) {
+    return false;
+  }
+  if (hasStream(request.body)) {
+    // the stream has been consumed by the first attempt
+    return false;
+  }
+  // errors without a status never got a response, like a reset connection
+  return typeof error.status !== 'number' || options.statusCodes.indexOf(error.status) !== -1;
+}
+
+/**
+ * @private
+ */
+function hasStream(body: any): boolean {
+  if (!body || typeof body !== 'object') {
+    return false;
+  }
+  if (isStream(body)) {
+    return true;
+  }
+  // form data is an object of parts, each of which may be a stream or a `{ data, contentType }` object
+  return Object.keys(body).some(key => {
+    const part = body[key];
+    return part && (isStream(part) || (typeof part === 'object' && isStream(part.data)));
+  });
+}
@@ -0,0 +1,189 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import { EventEmitter } from 'events';
+import {
+  SpeakerLabelsResult,
+  SpeechRecognitionResult,
+  SpeechRecognitionResults
+} from '../speech-to-text/v1-generated';
+import RecognizeStream = require('./recognize-stream');
+
+interface TimedWord {
+  word: string;
+  from: number;
+  to: number;
+}
+
+/**
+ * Joins the word `timestamps` of speech recognition results with their `speaker_labels` to build speaker turns.
+ *
+ * The service matches each speaker label to a word by its start and end time, and may revise the speaker of earlier
+ * words as more audio is processed. The assembler keeps the latest label for each word, so calling getTurns() always
+ * reflects the most recent labelling. Words that have not been labelled yet are left out until their labels arrive.
+ *
+ * Requires results that were requested with `speakerLabels: true` (which implies `timestamps: true`).
+ */
+class SpeakerTurnAssembler extends EventEmitter {
+  private words: TimedWord[][];
+  private labels: { [from: string]: SpeakerLabelsResult };
+
+  /**
+   * @param {RecognizeStream} [stream] - a stream to follow; its results and speaker labels are added as they arrive
+   * @constructor
+   */
+  constructor(stream?: RecognizeStream) {
+    super();
+    this.words = [];
+    this.labels = {};
+    if (stream) {
+      stream.on('interim', (result, index) => this.addResult(result, index));
+      stream.on('final', (result, index) => this.addResult(result, index));
+      stream.on('speakerLabels', labels => this.addSpeakerLabels(labels));
+    }
+  }
+
+  /**
+   * Adds a complete or partial SpeechRecognitionResults object, such as the response of `recognize()` or a message
+   * from `recognizeUsingWebSocket()`.
+   *
+   * @param {SpeechRecognitionResults} results
+   */
+  addResults(results: SpeechRecognitionResults): void {
+    if (Array.isArray(results.results)) {
+      // the result_index is the lowest index that has changed - everything from there on is replaced
+      const resultIndex = results.result_index || 0;
+      this.words.length = Math.min(this.words.length, resultIndex);
+      results.results.forEach((result, i) => this.setResult(result, resultIndex + i));
+    }
+    if (results.speaker_labels) {
+      results.speaker_labels.forEach(label => this.setLabel(label));
+    }
+    this.update();
+  }
+
+  /**
+   * Adds or replaces the result at the given position of the transcript.
+   *
+   * @param {SpeechRecognitionResult} result
+   * @param {number} index - the position of the result in the transcript
+   */
+  addResult(result: SpeechRecognitionResult, index: number): void {
+    this.setResult(result, index);
+    this.update();
+  }
+
+  /**
+   * Adds speaker labels. Labels for words that already have one replace the earlier label.
+   *
+   * @param {SpeakerLabelsResult[]} labels
+   */
+  addSpeakerLabels(labels: SpeakerLabelsResult[]): void {
+    labels.forEach(label => this.setLabel(label));
+    this.update();
+  }
+
+  /**
+   * Returns the speaker turns for the words that have been labelled so far. A new turn starts whenever the speaker
+   * changes. The confidence of a turn is the average speaker label confidence of its words.
+   *
+   * @return {SpeakerTurn[]}
+   */
+  getTurns(): SpeakerTurnAssembler.SpeakerTurn[] {
+    const turns: SpeakerTurnAssembler.SpeakerTurn[] = [];
+    let turn: SpeakerTurnAssembler.SpeakerTurn;
+    let words = 0;
+
+    this.words.forEach(resultWords => {
+      (resultWords || []).forEach(word => {
+        const label = this.labels[timeKey(word.from)];
+        if (!label) {
+          return;
+        }
+        if (turn && turn.speaker === label.speaker) {
+          turn.to = word.to;
+          turn.text += ' ' + word.word;
+          turn.confidence += label.confidence;
+          words++;
+        } else {
+          if (turn) {
+            turn.confidence /= words;
+          }
+          turn = {
+            speaker: label.speaker,
+            from: word.from,
+            to: word.to,
+            text: word.word,
+            confidence: label.confidence,
+          };
+          words = 1;
+          turns.push(turn);
+        }
+      });
+    });
+    if (turn) {
+      turn.confidence /= words;
+    }
+
+    return turns;
+  }
+
+  private setResult(result: SpeechRecognitionResult, index: number): void {
+    const alternative = (result.alternatives || [])[0];
+    const timestamps = (alternative && alternative.timestamps) || [];
+    this.words[index] = timestamps.map(([word, from, to]) => ({ word, from, to }));
+  }
+
+  private setLabel(label: SpeakerLabelsResult): void {
+    this.labels[timeKey(label.from)] = label;
+  }
+
+  private update(): void {
+    /**
+     * Emitted whenever new results or labels have been added.
+     * @event SpeakerTurnAssembler#turns
+     * @param {SpeakerTurn[]} turns
+     */
+    if (this.listenerCount('turns')) {
+      this.emit('turns', this.getTurns());
+    }
+  }
+}
+
+/**
+ * Word start times are reported with a precision of 1/100 second - rounding avoids floating point mismatches.
+ * @private
+ */
+function timeKey(time: number): string {
+  return time.toFixed(2);
+}
+
+namespace SpeakerTurnAssembler {
+  export interface SpeakerTurn {
+    /** The numeric identifier that the service assigned to the speaker. */
+    speaker: number;
+    /** The start time of the first word of the turn, in seconds. */
+    from: number;
+    /** The end time of the last word of the turn, in seconds. */
+    to: number;
+    /** The words spoken in the turn, separated by spaces. */
+    text: string;
+    /** The average confidence of the speaker labels of the words in the turn. */
+    confidence: number;
+  }
+}
+
+export = SpeakerTurnAssembler;
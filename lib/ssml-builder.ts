@@ -0,0 +1,281 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import GeneratedTextToSpeechV1 = require('../text-to-speech/v1-generated');
+import { SsmlIssue, validateSsml } from './ssml-validator';
+
+/**
+ * Builds SSML for the text to speech service, escaping text and attribute values. Each method appends to the document
+ * and returns the builder, so that calls can be chained:
+ *
+ * ```
+ * new SsmlBuilder()
+ *   .text('Your order ')
+ *   .sayAs({ interpretAs: 'digits' }, '1234')
+ *   .text(' has shipped.')
+ *   .break({ time: '500ms' })
+ *   .prosody({ rate: 'slow' }, b => b.text('Thank you!'))
+ *   .toString();
+ * ```
+ *
+ * Elements that can contain other markup take either a string or a function that fills a nested builder.
+ */
+class SsmlBuilder {
+  private options: SsmlBuilder.Options;
+  private parts: string[];
+
+  /**
+   * @param {Options} [options]
+   * @param {string} [options.lang] - The `xml:lang` of the `<speak>` element, which must match the language of the voice
+   * @constructor
+   */
+  constructor(options: SsmlBuilder.Options = {}) {
+    this.options = options;
+    this.parts = [];
+  }
+
+  /**
+   * Appends text, escaping any characters that have a meaning in SSML.
+   *
+   * @param {string} text
+   * @return {SsmlBuilder}
+   */
+  text(text: string): this {
+    this.parts.push(escape(text));
+    return this;
+  }
+
+  /**
+   * Appends a paragraph, `<p>`.
+   *
+   * @param {Content} content
+   * @return {SsmlBuilder}
+   */
+  paragraph(content: SsmlBuilder.Content): this {
+    return this.element('p', {}, content);
+  }
+
+  /**
+   * Appends a sentence, `<s>`.
+   *
+   * @param {Content} content
+   * @return {SsmlBuilder}
+   */
+  sentence(content: SsmlBuilder.Content): this {
+    return this.element('s', {}, content);
+  }
+
+  /**
+   * Appends a pause, `<break>`.
+   *
+   * @param {BreakOptions} [options]
+   * @param {string} [options.strength] - The length of the pause, from `none` to `x-strong`
+   * @param {string} [options.time] - The length of the pause in seconds or milliseconds, like `1s` or `500ms`
+   * @return {SsmlBuilder}
+   */
+  break(options: SsmlBuilder.BreakOptions = {}): this {
+    return this.element('break', { strength: options.strength, time: options.time });
+  }
+
+  /**
+   * Changes the pitch, rate or volume of its content, `<prosody>`.
+   *
+   * @param {ProsodyOptions} options
+   * @param {string} [options.pitch] - like `high`, `+10%` or `150Hz`
+   * @param {string} [options.rate] - like `slow` or `-20%`
+   * @param {string} [options.volume] - like `loud` or `+6dB`
+   * @param {Content} content
+   * @return {SsmlBuilder}
+   */
+  prosody(options: SsmlBuilder.ProsodyOptions, content: SsmlBuilder.Content): this {
+    return this.element('prosody', { pitch: options.pitch, rate: options.rate, volume: options.volume }, content);
+  }
+
+  /**
+   * Says its text as a given type of value, `<say-as>`.
+   *
+   * @param {SayAsOptions} options
+   * @param {string} options.interpretAs - like `digits`, `date` or `vxml:currency`
+   * @param {string} [options.format] - the order of a `date`, like `mdy`
+   * @param {string} text
+   * @return {SsmlBuilder}
+   */
+  sayAs(options: SsmlBuilder.SayAsOptions, text: string): this {
+    return this.element('say-as', { 'interpret-as': options.interpretAs, format: options.format }, text);
+  }
+
+  /**
+   * Says its text with a given pronunciation, `<phoneme>`.
+   *
+   * @param {PhonemeOptions} options
+   * @param {string} [options.alphabet] - `ipa` or the IBM notation, `ibm` (default='ipa')
+   * @param {string} options.ph - the pronunciation
+   * @param {string} text
+   * @return {SsmlBuilder}
+   */
+  phoneme(options: SsmlBuilder.PhonemeOptions, text: string): this {
+    return this.element('phoneme', { alphabet: options.alphabet || 'ipa', ph: options.ph }, text);
+  }
+
+  /**
+   * Appends a named marker, `<mark>`, whose time is reported when the text is synthesized with `timings`.
+   *
+   * @param {string} name
+   * @return {SsmlBuilder}
+   */
+  mark(name: string): this {
+    return this.element('mark', { name });
+  }
+
+  /**
+   * Says its content with an expressive style, `<express-as>`. `en-US_AllisonV3Voice` takes a `type`, and the
+   * expressive neural voices take a `style`.
+   *
+   * @param {ExpressAsOptions} options
+   * @param {string} [options.type] - `GoodNews`, `Apology` or `Uncertainty`
+   * @param {string} [options.style] - `cheerful`, `empathetic`, `neutral` or `uncertain`
+   * @param {Content} content
+   * @return {SsmlBuilder}
+   */
+  expressAs(options: SsmlBuilder.ExpressAsOptions, content: SsmlBuilder.Content): this {
+    return this.element('express-as', { type: options.type, style: options.style }, content);
+  }
+
+  /**
+   * Returns the markup without the `<speak>` element, for example for the translation of a word in a custom model.
+   *
+   * @return {string}
+   */
+  toFragment(): string {
+    return this.parts.join('');
+  }
+
+  /**
+   * Returns the SSML document.
+   *
+   * @return {string}
+   */
+  toString(): string {
+    const attributes = formatAttributes({ version: '1.0', 'xml:lang': this.options.lang });
+    return `<speak${attributes}>${this.toFragment()}</speak>`;
+  }
+
+  /**
+   * Checks the SSML document, see `validateSsml()`.
+   *
+   * @param {Object} [voice] - the voice that will synthesize the text, as returned by `getVoice()`
+   * @return {SsmlIssue[]}
+   */
+  validate(voice?: GeneratedTextToSpeechV1.Voice): SsmlIssue[] {
+    return validateSsml(this.toString(), { voice });
+  }
+
+  private element(name: string, attributes: { [name: string]: string }, content?: SsmlBuilder.Content): this {
+    const start = `<${name}${formatAttributes(attributes)}`;
+    if (content === undefined) {
+      this.parts.push(`${start}/>`);
+      return this;
+    }
+    let inner: string;
+    if (typeof content === 'function') {
+      const builder = new SsmlBuilder(this.options);
+      content(builder);
+      inner = builder.toFragment();
+    } else {
+      inner = escape(content);
+    }
+    this.parts.push(`${start}>${inner}</${name}>`);
+    return this;
+  }
+}
+
+/**
+ * @private
+ */
+function escape(text: string): string {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @private
+ */
+function formatAttributes(attributes: { [name: string]: string }): string {
+  return Object.keys(attributes)
+    .filter(name => attributes[name] !== undefined && attributes[name] !== null)
+    .map(name => ` ${name}="${escape(attributes[name])}"`)
+    .join('');
+}
+
+namespace SsmlBuilder {
+  export interface Options {
+    lang?: string;
+  }
+
+  /** text, or a function that adds nested markup to the given builder */
+  export type Content = string | ((builder: SsmlBuilder) => any);
+
+  export type BreakStrength = 'none' | 'x-weak' | 'weak' | 'medium' | 'strong' | 'x-strong';
+
+  export interface BreakOptions {
+    strength?: BreakStrength;
+    time?: string;
+  }
+
+  export interface ProsodyOptions {
+    pitch?: string;
+    rate?: string;
+    volume?: string;
+  }
+
+  export type InterpretAs =
+    | 'letters'
+    | 'characters'
+    | 'spell-out'
+    | 'digits'
+    | 'cardinal'
+    | 'number'
+    | 'ordinal'
+    | 'date'
+    | 'interjection'
+    | 'vxml:boolean'
+    | 'vxml:currency'
+    | 'vxml:date'
+    | 'vxml:digits'
+    | 'vxml:number'
+    | 'vxml:phone'
+    | 'vxml:time';
+
+  export interface SayAsOptions {
+    interpretAs: InterpretAs;
+    format?: string;
+  }
+
+  export interface PhonemeOptions {
+    alphabet?: 'ipa' | 'ibm';
+    ph: string;
+  }
+
+  export interface ExpressAsOptions {
+    type?: 'GoodNews' | 'Apology' | 'Uncertainty';
+    style?: 'cheerful' | 'empathetic' | 'neutral' | 'uncertain';
+  }
+}
+
+export = SsmlBuilder;
@@ -0,0 +1,283 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import GeneratedTextToSpeechV1 = require('../text-to-speech/v1-generated');
+
+export interface SsmlIssue {
+  message: string;
+  /** the position in the text where the problem was found */
+  offset: number;
+  element?: string;
+  attribute?: string;
+}
+
+export interface SsmlValidationOptions {
+  /** the voice that will synthesize the text, as returned by `getVoice()` or `listVoices()` */
+  voice?: GeneratedTextToSpeechV1.Voice;
+  /** validate the `translation` of a word in a custom model, which only allows a `<phoneme>` element */
+  translation?: boolean;
+}
+
+interface ElementRule {
+  /** the allowed attributes, with the allowed values as a list or pattern (null allows any value) */
+  attributes: { [name: string]: string[] | RegExp };
+  required?: string[];
+}
+
+export const BREAK_STRENGTHS = ['none', 'x-weak', 'weak', 'medium', 'strong', 'x-strong'];
+export const INTERPRET_AS = [
+  'letters',
+  'characters',
+  'spell-out',
+  'digits',
+  'cardinal',
+  'number',
+  'ordinal',
+  'date',
+  'interjection',
+  'vxml:boolean',
+  'vxml:currency',
+  'vxml:date',
+  'vxml:digits',
+  'vxml:number',
+  'vxml:phone',
+  'vxml:time',
+];
+export const PHONETIC_ALPHABETS = ['ipa', 'ibm'];
+// `type` of <express-as> for en-US_AllisonV3Voice, and `style` for the expressive neural voices
+export const EXPRESSION_TYPES = ['GoodNews', 'Apology', 'Uncertainty'];
+export const EXPRESSION_STYLES = ['cheerful', 'empathetic', 'neutral', 'uncertain'];
+
+const TIME = /^\d+(\.\d+)?m?s$/;
+const PITCH = /^(x-low|low|medium|high|x-high|default|[+-]?\d+(\.\d+)?(Hz|st|%))$/;
+const RATE = /^(x-slow|slow|medium|fast|x-fast|default|[+-]?\d+(\.\d+)?%?)$/;
+const VOLUME = /^(silent|x-soft|soft|medium|loud|x-loud|default|[+-]?\d+(\.\d+)?(dB)?)$/;
+const TRANSFORMATION_VALUE = /^[+-]?\d+(\.\d+)?%?$/;
+
+const ELEMENTS: { [name: string]: ElementRule } = {
+  speak: { attributes: { version: ['1.0'], 'xml:lang': null, xmlns: null } },
+  p: { attributes: {} },
+  paragraph: { attributes: {} },
+  s: { attributes: {} },
+  sentence: { attributes: {} },
+  break: { attributes: { strength: BREAK_STRENGTHS, time: TIME } },
+  prosody: { attributes: { pitch: PITCH, rate: RATE, volume: VOLUME } },
+  'say-as': { attributes: { 'interpret-as': INTERPRET_AS, format: null }, required: ['interpret-as'] },
+  phoneme: { attributes: { alphabet: PHONETIC_ALPHABETS, ph: null }, required: ['ph'] },
+  mark: { attributes: { name: null }, required: ['name'] },
+  sub: { attributes: { alias: null }, required: ['alias'] },
+  'express-as': { attributes: { type: EXPRESSION_TYPES, style: EXPRESSION_STYLES } },
+  'voice-transformation': {
+    attributes: {
+      type: ['Young', 'Soft', 'Custom'],
+      strength: TRANSFORMATION_VALUE,
+      pitch: /^(low|medium|high|default|[+-]?\d+(\.\d+)?%?)$/,
+      pitch_range: /^(narrow|moderate|wide|default|[+-]?\d+(\.\d+)?%?)$/,
+      glottal_tension: /^(low|medium|high|default|[+-]?\d+(\.\d+)?%?)$/,
+      breathiness: /^(low|medium|high|default|[+-]?\d+(\.\d+)?%?)$/,
+      rate: /^(x-slow|slow|medium|fast|x-fast|default|[+-]?\d+(\.\d+)?%?)$/,
+      timbre: /^(Sunrise|Breeze)$/,
+      timbre_extent: TRANSFORMATION_VALUE,
+    },
+  },
+};
+
+const TAG = /^<(\/?)([^\s/>]+)([^>]*?)(\/?)>/;
+const ATTRIBUTE = /^\s*([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/;
+const ENTITY = /^&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/i;
+
+/**
+ * Checks SSML for mistakes that the service would reject: unknown elements and attributes, invalid attribute values,
+ * unbalanced tags and unescaped characters. With a voice, also checks the features that only some voices support,
+ * like `<express-as>` and `<voice-transformation>`.
+ *
+ * @param {string} text - the SSML, or plain text
+ * @param {SsmlValidationOptions} [options]
+ * @param {Object} [options.voice] - the voice that will synthesize the text, as returned by `getVoice()`
+ * @param {boolean} [options.translation] - validate the translation of a word in a custom model (default=false)
+ * @returns {SsmlIssue[]} - an empty list if no problems were found
+ */
+export function validateSsml(text: string, options: SsmlValidationOptions = {}): SsmlIssue[] {
+  const issues: SsmlIssue[] = [];
+  const open: { name: string; offset: number }[] = [];
+  const voice = options.voice;
+
+  if (options.translation && voice && !voice.customizable) {
+    issues.push({ message: `The voice ${voice.name} does not support custom models`, offset: 0 });
+  }
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text.charAt(i);
+    if (char === '&') {
+      if (!ENTITY.test(text.slice(i, i + 12))) {
+        issues.push({ message: 'Unescaped "&", use "&amp;"', offset: i });
+      }
+      i++;
+      continue;
+    }
+    if (char === '>') {
+      issues.push({ message: 'Unescaped ">", use "&gt;"', offset: i });
+      i++;
+      continue;
+    }
+    if (char !== '<') {
+      i++;
+      continue;
+    }
+
+    // comments, processing instructions and the XML declaration are skipped
+    const special = /^<(!--[\s\S]*?--|\?[\s\S]*?\?)>/.exec(text.slice(i));
+    if (special) {
+      i += special[0].length;
+      continue;
+    }
+    const match = TAG.exec(text.slice(i));
+    if (!match) {
+      issues.push({ message: 'Unescaped "<" or unterminated tag, use "&lt;" for a literal "<"', offset: i });
+      i++;
+      continue;
+    }
+    const [tag, slash, name, attributeText, selfClosing] = match;
+    const offset = i;
+    i += tag.length;
+
+    if (slash) {
+      const index = open.map(element => element.name).lastIndexOf(name);
+      if (index === -1) {
+        issues.push({ message: `Closing tag </${name}> has no opening tag`, offset, element: name });
+        continue;
+      }
+      open.splice(index).slice(1).forEach(element =>
+        issues.push({ message: `Element <${element.name}> is not closed`, offset: element.offset, element: element.name })
+      );
+      continue;
+    }
+
+    checkElement(name, parseAttributes(attributeText, offset, name, issues), offset, open, options, issues);
+    if (!selfClosing) {
+      open.push({ name, offset });
+    }
+  }
+
+  open.forEach(element =>
+    issues.push({ message: `Element <${element.name}> is not closed`, offset: element.offset, element: element.name })
+  );
+  return issues;
+}
+
+/**
+ * @private
+ */
+function parseAttributes(text: string, offset: number, element: string, issues: SsmlIssue[]): { [name: string]: string } {
+  const attributes = {};
+  let position = 0;
+  while (position < text.length) {
+    const match = ATTRIBUTE.exec(text.slice(position));
+    if (!match) {
+      if (text.slice(position).trim()) {
+        issues.push({ message: `Malformed attributes in <${element}>`, offset, element });
+      }
+      break;
+    }
+    attributes[match[1]] = match[3] !== undefined ? match[3] : match[4];
+    position += match[0].length;
+  }
+  return attributes;
+}
+
+/**
+ * @private
+ */
+function checkElement(
+  name: string,
+  attributes: { [name: string]: string },
+  offset: number,
+  open: { name: string; offset: number }[],
+  options: SsmlValidationOptions,
+  issues: SsmlIssue[]
+): void {
+  const voice = options.voice;
+  const rule = ELEMENTS[name];
+  const issue = (message: string, attribute?: string) => {
+    issues.push({ message, offset, element: name, attribute });
+  };
+
+  if (!rule) {
+    return issue(`Unsupported element <${name}>`);
+  }
+  if (options.translation && name !== 'phoneme') {
+    return issue(`Only a <phoneme> element is allowed in a translation, found <${name}>`);
+  }
+  if (name === 'speak' && open.length) {
+    issue('The <speak> element must be the root element');
+  }
+
+  Object.keys(attributes).forEach(attribute => {
+    if (!(attribute in rule.attributes)) {
+      return issue(`Unsupported attribute "${attribute}" in <${name}>`, attribute);
+    }
+    const allowed = rule.attributes[attribute];
+    const value = attributes[attribute];
+    const valid = !allowed || (Array.isArray(allowed) ? allowed.indexOf(value) !== -1 : allowed.test(value));
+    if (!valid) {
+      issue(`Invalid value "${value}" for attribute "${attribute}" in <${name}>`, attribute);
+    }
+  });
+  (rule.required || []).forEach(attribute => {
+    if (!(attribute in attributes)) {
+      issue(`Missing required attribute "${attribute}" in <${name}>`, attribute);
+    }
+  });
+
+  if (name === 'express-as') {
+    checkExpression(attributes, voice, issue);
+  }
+  if (!voice) {
+    return;
+  }
+  if (name === 'voice-transformation' && !voice.supported_features.voice_transformation) {
+    issue(`The voice ${voice.name} does not support <voice-transformation>`);
+  }
+  const lang = attributes['xml:lang'];
+  if (name === 'speak' && lang && lang.toLowerCase() !== voice.language.toLowerCase()) {
+    issue(`The language ${lang} does not match the voice ${voice.name} (${voice.language})`, 'xml:lang');
+  }
+}
+
+/**
+ * @private
+ */
+function checkExpression(
+  attributes: { [name: string]: string },
+  voice: GeneratedTextToSpeechV1.Voice,
+  issue: (message: string, attribute?: string) => void
+): void {
+  const attribute = 'type' in attributes ? 'type' : 'style' in attributes ? 'style' : null;
+  if (!attribute || ('type' in attributes && 'style' in attributes)) {
+    return issue('The <express-as> element needs either a "type" or a "style" attribute');
+  }
+  if (!voice) {
+    return;
+  }
+  // expressive SSML is limited to a few voices, and each kind uses its own attribute
+  const expressive = /Expressive$/.test(voice.name) ? 'style' : /^en-US_AllisonV3Voice$/.test(voice.name) ? 'type' : null;
+  if (!expressive) {
+    issue(`The voice ${voice.name} does not support <express-as>`);
+  } else if (attribute !== expressive) {
+    issue(`The voice ${voice.name} expects the "${expressive}" attribute in <express-as>`, attribute);
+  }
+}
@@ -14,11 +14,15 @@
  * limitations under the License
  */
 
-import { Agent, RequestOptions } from 'http';
+import { Agent, OutgoingHttpHeaders, RequestOptions } from 'http';
 import { Authenticator, qs } from 'ibm-cloud-sdk-core';
 import { Readable, ReadableOptions } from 'stream';
 import { w3cwebsocket as w3cWebSocket } from 'websocket';
 import { SynthesizeWebSocketParams } from '../text-to-speech/v1';
+import { getInterceptors, Interceptor, interceptWebSocket, RequestContext } from './interceptors';
+import Recorder = require('./recorder');
+import { alignMarks, alignWords, MarkAlignment, WordAlignment } from './text-alignment';
+import { getOperation, getTracer, traceStream, Tracer } from './tracing';
 import { extractTransactionId, processUserParameters } from './websocket-utils';
 
 /**
@@ -39,6 +43,9 @@ class SynthesizeStream extends Readable {
   private authenticator: Authenticator;
   private socket: w3cWebSocket;
   private initialized: boolean;
+  private complete: boolean;
+  private words: [string, number, number][];
+  private marks: [string, number][];
 
 
   /**
@@ -55,6 +62,9 @@ class SynthesizeStream extends Readable {
    * @param {OutgoingHttpHeaders} [options.headers] - Only works in Node.js, not in browsers. Allows for custom headers to be set, including an Authorization header (preventing the need for auth tokens)
    * @param {boolean} [options.disableSslVerification] - If true, disable SSL verification for the WebSocket connection (default=false)
    * @param {Agent} [options.agent] - custom http(s) agent, useful for using the sdk behind a proxy (Node only)
+   * @param {Interceptor[]} [options.interceptors] - Hooks for the WebSocket handshake, see `BaseService#addInterceptor()`
+   * @param {Tracer} [options.tracer] - An OpenTelemetry tracer, to trace the stream in a span
+   * @param {Recorder} [options.recorder] - Records the WebSocket session to a fixture file, or replays it from one
    * @param {string} options.text - The text that us to be synthesized
    * @param {string} options.accept - The requested format (MIME type) of the audio
    * @param {string[]} [options.timings] - An array that specifies whether the service is to return word timing information for all strings of the input text
@@ -70,7 +80,16 @@ class SynthesizeStream extends Readable {
     super(options);
     this.options = options;
     this.initialized = false;
+    this.complete = false;
+    this.words = [];
+    this.marks = [];
     this.authenticator = options.authenticator;
+
+    const tracer = getTracer(options.tracer);
+    if (tracer) {
+      const defaults = { serviceName: 'text_to_speech', serviceVersion: 'v1', operationId: 'synthesizeUsingWebSocket' };
+      traceStream(tracer, this, getOperation(options.headers, defaults));
+    }
   }
 
   initialize() {
@@ -95,32 +114,60 @@ class SynthesizeStream extends Readable {
         '/v1/synthesize?' +
         queryString;
 
+    const context: RequestContext = {
+      serviceName: 'text_to_speech',
+      protocol: 'websocket',
+      method: 'GET',
+      url,
+      headers: Object.assign({}, options.headers),
+    };
+    interceptWebSocket(
+      getInterceptors(options.interceptors),
+      context,
+      (finalUrl, headers) => this.openSocket(finalUrl, headers),
+      err => {
+        this.emit('error', err);
+        this.push(null);
+      }
+    );
+
+    this.initialized = true;
+  }
+
+  /**
+   * Opens the WebSocket connection and wires up its event handlers.
+   *
+   * @private
+   * @param {string} url
+   * @param {OutgoingHttpHeaders} headers
+   * @return {w3cWebSocket}
+   */
+  openSocket(url: string, headers: OutgoingHttpHeaders): w3cWebSocket {
+    const options = this.options;
+
     // add custom agent in the request options if given by user
     // default request options to null
     const { agent } = options;
     const requestOptions: RequestOptions = agent ? { agent } : null;
 
-    const socket = (this.socket = new w3cWebSocket(
+    const connect = () => new w3cWebSocket(
       url,
       null,
       null,
-      options.headers,
+      headers,
       requestOptions,
       { tlsOptions: { rejectUnauthorized: !options.disableSslVerification }}
-    ));
+    );
+    const socket = (this.socket = options.recorder ? options.recorder.openWebSocket(url, headers, connect) : connect());
 
     // use class context within arrow functions
     const self = this;
 
     socket.onopen = () => {
-      // process the payload params
-      const payloadParamsAllowed = [
-        'text',
-        'accept',
-        'timings',
-      ];
-      const payload = processUserParameters(options, payloadParamsAllowed);
-      socket.send(JSON.stringify(payload));
+      // without text, the payload is sent by setText()
+      if (options.text !== undefined) {
+        self.sendPayload();
+      }
       /**
        * emitted once the WebSocket connection has been established
        * @event SynthesizeStream#open
@@ -140,9 +187,11 @@ class SynthesizeStream extends Readable {
             self.emit('binary_streams', message, json);
           }
           else if (json['marks']) {
+            self.marks.push(...json['marks']);
             self.emit('marks', message, json);
           }
           else if (json['words']) {
+            self.words.push(...json['words']);
             self.emit('words', message, json);
           }
           else if (json['error']) {
@@ -183,6 +232,7 @@ class SynthesizeStream extends Readable {
     };
 
     socket.onclose = event => {
+      self.complete = true;
       self.push(null);
       /**
        * @event SynthesizeStream#close
@@ -192,14 +242,65 @@ class SynthesizeStream extends Readable {
       self.emit('close', event.code, event.reason);
     };
 
-    this.initialized = true;
+    return socket;
+  }
+
+  /**
+   * Sets the text to synthesize, for a stream that was created without `text` so that its connection could be opened
+   * ahead of time. The text is sent as soon as the connection is open.
+   *
+   * @param {string} text
+   */
+  setText(text: string): void {
+    this.options.text = text;
+    if (this.socket && this.socket.readyState === this.socket.OPEN) {
+      this.sendPayload();
+    }
+  }
+
+  /**
+   * Tells whether text given to setText() would still be synthesized: the connection hasn't been closed, or started
+   * closing, and the stream hasn't been destroyed.
+   *
+   * @return {boolean}
+   */
+  canSetText(): boolean {
+    if (this.complete || this.destroyed) {
+      return false;
+    }
+    const state = this.socket && this.socket.readyState;
+    return !this.socket || state === this.socket.CONNECTING || state === this.socket.OPEN;
+  }
+
+  /**
+   * @private
+   */
+  sendPayload(): void {
+    // process the payload params
+    const payloadParamsAllowed = [
+      'text',
+      'accept',
+      'timings',
+    ];
+    const payload = processUserParameters(this.options, payloadParamsAllowed);
+    this.socket.send(JSON.stringify(payload));
+  }
+
+  _destroy(err: Error, callback: (err: Error) => void): void {
+    if (this.socket) {
+      this.socket.close();
+    }
+    callback(err);
   }
 
   _read() {
     // even though we aren't controlling the read from websocket,
     // we can take advantage of the fact that _read is async and hack
-    // this funtion to retrieve a token if the service is using IAM auth
-    this.authenticator.authenticate(this.options).then(
+    // this funtion to retrieve a token if the service is using IAM auth - a replayed session doesn't need one
+    const { recorder } = this.options;
+    const authenticated =
+      recorder && recorder.isReplaying() ? Promise.resolve() : this.authenticator.authenticate(this.options);
+    authenticated.then(
       () => {
         if (!this.initialized) {
           this.initialize();
@@ -212,6 +313,28 @@ class SynthesizeStream extends Readable {
     );
   }
 
+  /**
+   * Returns a Promise that resolves once the synthesis is complete, with the timing of every word mapped back to its
+   * position in the text, even if the text is SSML, and the timing of every SSML `<mark>`.
+   *
+   * Word timings are only sent by the service if the stream was created with `timings: ['words']`.
+   *
+   * @return {Promise<Alignment>} - `{ words: [{ word, startSec, endSec, charOffset }], marks: [{ mark, timeSec }] }`
+   */
+  getAlignment(): Promise<SynthesizeStream.Alignment> {
+    const alignment = () => ({
+      words: alignWords(this.options.text, this.words),
+      marks: alignMarks(this.marks),
+    });
+    if (this.complete) {
+      return Promise.resolve(alignment());
+    }
+    return new Promise((resolve, reject) => {
+      this.once('close', () => resolve(alignment()));
+      this.once('error', reject);
+    });
+  }
+
   /**
    * Returns a Promise that resolves with Watson Transaction ID from the X-Transaction-ID header
    *
@@ -236,6 +359,14 @@ namespace SynthesizeStream {
     serviceUrl?: string;
     disableSslVerification?: boolean;
     agent?: Agent;
+    interceptors?: Interceptor[];
+    tracer?: Tracer;
+    recorder?: Recorder;
+  }
+
+  export interface Alignment {
+    words: WordAlignment[];
+    marks: MarkAlignment[];
   }
 }
 
@@ -0,0 +1,121 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+export interface WordAlignment {
+  word: string;
+  startSec: number;
+  endSec: number;
+  /** the position of the word in the original text (including any SSML markup), or -1 if it couldn't be found */
+  charOffset: number;
+}
+
+export interface MarkAlignment {
+  mark: string;
+  timeSec: number;
+}
+
+export interface VisibleText {
+  /** the text without SSML tags, with entities decoded */
+  text: string;
+  /** for each character of `text`, its position in the original text */
+  offsets: number[];
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Strips the SSML tags from text and decodes its entities, keeping track of where each remaining character came from.
+ *
+ * @param {string} text - plain text or SSML
+ * @returns {VisibleText}
+ */
+export function getVisibleText(text: string): VisibleText {
+  let visible = '';
+  const offsets: number[] = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text.charAt(i);
+    if (char === '<') {
+      const end = text.indexOf('>', i);
+      if (end !== -1) {
+        // a tag is read as a word boundary, as in `<break/>`
+        visible += ' ';
+        offsets.push(i);
+        i = end + 1;
+        continue;
+      }
+    } else if (char === '&') {
+      const entity = /^&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/i.exec(text.slice(i, i + 12));
+      const decoded = entity && decodeEntity(entity[1]);
+      if (decoded) {
+        visible += decoded;
+        // characters outside the basic plane take two code units
+        decoded.split('').forEach(() => offsets.push(i));
+        i += entity[0].length;
+        continue;
+      }
+    }
+    visible += char;
+    offsets.push(i);
+    i++;
+  }
+  return { text: visible, offsets };
+}
+
+/**
+ * Finds the timed words of a synthesis in the text they were synthesized from. The words are searched in order, so
+ * repeated words map to the right occurrence.
+ *
+ * @param {string} text - the plain text or SSML that was synthesized
+ * @param {Array} words - the word timings sent by the service, as `[word, start, end]`
+ * @returns {WordAlignment[]}
+ */
+export function alignWords(text: string, words: [string, number, number][]): WordAlignment[] {
+  const visible = getVisibleText(text || '');
+  const haystack = visible.text.toLowerCase();
+  let cursor = 0;
+  return words.map(([word, startSec, endSec]) => {
+    const index = haystack.indexOf(word.toLowerCase(), cursor);
+    if (index === -1) {
+      // the service may spell out words that it expanded, like numbers in a `say-as` element
+      return { word, startSec, endSec, charOffset: -1 };
+    }
+    cursor = index + word.length;
+    return { word, startSec, endSec, charOffset: visible.offsets[index] };
+  });
+}
+
+/**
+ * Converts the mark timings sent by the service.
+ *
+ * @param {Array} marks - the mark timings, as `[name, time]`
+ * @returns {MarkAlignment[]}
+ */
+export function alignMarks(marks: [string, number][]): MarkAlignment[] {
+  return marks.map(([mark, timeSec]) => ({ mark, timeSec }));
+}
+
+/**
+ * Returns undefined for unknown entities and invalid code points, which are kept as they are written.
+ * @private
+ */
+function decodeEntity(entity: string): string {
+  if (entity.charAt(0) === '#') {
+    const code = entity.charAt(1).toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return code >= 0 && code <= 0x10ffff ? String.fromCodePoint(code) : undefined;
+  }
+  return ENTITIES[entity.toLowerCase()];
+}
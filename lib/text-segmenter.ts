@@ -0,0 +1,266 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+export interface SplitText {
+  /** the complete sentences, including their trailing whitespace */
+  sentences: string[];
+  /** the text after the last complete sentence */
+  rest: string;
+}
+
+// sentence-ending punctuation, optionally followed by closing quotes or brackets, then whitespace - or a blank line
+const SENTENCE_END = /([.!?…。！？]+["'’”)\]]*\s+|\n\s*\n\s*)/g;
+
+// words that end with a period without ending the sentence
+const ABBREVIATIONS = ['mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'jr', 'sr', 'vs', 'etc', 'e.g', 'i.e', 'no', 'approx'];
+
+/**
+ * Splits text into complete sentences and the incomplete rest. A sentence is complete once the whitespace after its
+ * final punctuation has been seen, so text that is still being written can be split as it grows.
+ *
+ * @param {string} text
+ * @param {number} [maxLength] - sentences longer than this are split at the last space before the limit
+ * @returns {SplitText}
+ */
+export function splitSentences(text: string, maxLength?: number): SplitText {
+  const sentences: string[] = [];
+  let start = 0;
+  SENTENCE_END.lastIndex = 0;
+  let match = SENTENCE_END.exec(text);
+  for (; match; match = SENTENCE_END.exec(text)) {
+    const end = match.index + match[0].length;
+    if (match[0].charAt(0) === '.' && isAbbreviation(text.slice(start, match.index))) {
+      continue;
+    }
+    sentences.push(text.slice(start, end));
+    start = end;
+  }
+
+  let rest = text.slice(start);
+  if (maxLength) {
+    const split: string[] = [];
+    sentences.forEach(sentence => split.push(...splitLong(sentence, maxLength)));
+    const parts = splitLong(rest, maxLength);
+    rest = parts.pop();
+    split.push(...parts);
+    return { sentences: split, rest };
+  }
+  return { sentences, rest };
+}
+
+/**
+ * @private
+ */
+function isAbbreviation(sentence: string): boolean {
+  const lastWord = sentence.split(/\s+/).pop().toLowerCase();
+  // single letters are initials, as in "J. R. R. Tolkien"
+  return /^[a-z]$/.test(lastWord) || ABBREVIATIONS.indexOf(lastWord) !== -1;
+}
+
+/**
+ * Cuts text into pieces no longer than maxLength, preferably after a space.
+ * @private
+ */
+function splitLong(text: string, maxLength: number): string[] {
+  const parts: string[] = [];
+  while (text.length > maxLength) {
+    const space = text.lastIndexOf(' ', maxLength - 1);
+    const end = space > 0 ? space + 1 : maxLength;
+    parts.push(text.slice(0, end));
+    text = text.slice(end);
+  }
+  parts.push(text);
+  return parts;
+}
+
+interface Atom {
+  text: string;
+  /** the element name of a tag */
+  name?: string;
+  opening?: boolean;
+  closing?: boolean;
+  /** a split right after this atom keeps sentences and paragraphs whole */
+  boundary: boolean;
+}
+
+// elements whose end is a natural place to split
+const BLOCK_ELEMENTS = ['p', 's', 'paragraph', 'sentence', 'speak'];
+
+/**
+ * Splits plain text or SSML into chunks of at most `maxBytes` bytes (UTF-8), preferably at the end of a sentence or
+ * paragraph. SSML elements that are open at a split are closed at the end of the chunk and opened again at the start
+ * of the next one, so every chunk is well-formed on its own.
+ *
+ * @param {string} text - plain text or SSML
+ * @param {number} maxBytes - the maximum size of a chunk
+ * @returns {string[]}
+ */
+export function splitText(text: string, maxBytes: number): string[] {
+  // leave room for the elements that are opened again at the start of a chunk
+  const atoms = tokenize(text, Math.floor(maxBytes / 2));
+  const chunks: string[] = [];
+  const size = (value: string) => Buffer.byteLength(value, 'utf8');
+
+  let stack: Atom[] = [];
+  let chunk = '';
+  let atomCount = 0;
+  // the state right after the last boundary in the current chunk
+  let safe: { index: number; chunk: string; stack: Atom[] } = null;
+
+  const emit = (content: string, openElements: Atom[]) => {
+    const closers = openElements.map(atom => `</${atom.name}>`).reverse().join('');
+    if (content.trim()) {
+      chunks.push(content + closers);
+    }
+    stack = openElements.slice();
+    chunk = stack.map(atom => atom.text).join('');
+    atomCount = 0;
+    safe = null;
+  };
+
+  for (let i = 0; i < atoms.length; i++) {
+    const atom = atoms[i];
+    const nextStack = atom.opening ? stack.concat(atom) : atom.closing ? popElement(stack, atom.name) : stack;
+    const nextChunk = chunk + atom.text;
+    const closersSize = nextStack.reduce((total, open) => total + open.name.length + 3, 0);
+
+    if (atomCount > 0 && size(nextChunk) + closersSize > maxBytes) {
+      if (safe) {
+        i = safe.index;
+        emit(safe.chunk, safe.stack);
+      } else {
+        i--;
+        emit(chunk, stack);
+      }
+      continue;
+    }
+    // text that doesn't fit even at the start of a chunk, after the elements that are open again, is cut to fit
+    const end = isText(atom) ? fitBytes(atom.text, maxBytes - size(chunk) - closersSize) : 0;
+    if (end > 0 && end < atom.text.length) {
+      const head: Atom = { text: atom.text.slice(0, end), boundary: true };
+      atoms.splice(i, 1, head, { text: atom.text.slice(end), boundary: atom.boundary });
+      i--;
+      continue;
+    }
+
+    chunk = nextChunk;
+    stack = nextStack;
+    atomCount++;
+    if (atom.boundary) {
+      safe = { index: i, chunk, stack };
+    }
+  }
+  emit(chunk, stack);
+  return chunks;
+}
+
+/**
+ * Cuts text into tags and sentences, with sentences longer than `maxBytes` (UTF-8) cut at spaces.
+ * @private
+ */
+function tokenize(text: string, maxBytes: number): Atom[] {
+  const atoms: Atom[] = [];
+  const addText = (value: string) => {
+    const { sentences, rest } = splitSentences(value);
+    sentences.forEach(sentence =>
+      splitBytes(sentence, maxBytes).forEach(part => atoms.push({ text: part, boundary: true }))
+    );
+    if (rest) {
+      const parts = splitBytes(rest, maxBytes);
+      parts.forEach((part, i) => atoms.push({ text: part, boundary: i < parts.length - 1 }));
+    }
+  };
+
+  const tagPattern = /<[^>]*>/g;
+  let last = 0;
+  let match = tagPattern.exec(text);
+  for (; match; match = tagPattern.exec(text)) {
+    if (match.index > last) {
+      addText(text.slice(last, match.index));
+    }
+    const tag = match[0];
+    const name = (/^<\/?\s*([^\s/>]+)/.exec(tag) || [])[1];
+    if (!name || tag.charAt(1) === '?' || tag.charAt(1) === '!' || /\/\s*>$/.test(tag)) {
+      // processing instructions, comments and empty elements like <break/> don't need to be balanced
+      atoms.push({ text: tag, boundary: false });
+    } else if (tag.charAt(1) === '/') {
+      atoms.push({ text: tag, name, closing: true, boundary: BLOCK_ELEMENTS.indexOf(name) !== -1 });
+    } else {
+      atoms.push({ text: tag, name, opening: true, boundary: false });
+    }
+    last = match.index + tag.length;
+  }
+  if (last < text.length) {
+    addText(text.slice(last));
+  }
+  return atoms;
+}
+
+/**
+ * @private
+ */
+function isText(atom: Atom): boolean {
+  return atom.text.charAt(0) !== '<';
+}
+
+/**
+ * Cuts text into pieces of at most maxBytes bytes (UTF-8), preferably after a space.
+ * @private
+ */
+function splitBytes(text: string, maxBytes: number): string[] {
+  const parts: string[] = [];
+  let end = fitBytes(text, maxBytes);
+  while (end > 0 && end < text.length) {
+    parts.push(text.slice(0, end));
+    text = text.slice(end);
+    end = fitBytes(text, maxBytes);
+  }
+  parts.push(text);
+  return parts;
+}
+
+/**
+ * Returns the length of the longest start of the text that takes at most maxBytes bytes (UTF-8), ending after a space
+ * if there is one, without cutting a character in two.
+ * @private
+ */
+function fitBytes(text: string, maxBytes: number): number {
+  let bytes = 0;
+  let space = 0;
+  let i = 0;
+  while (i < text.length) {
+    const code = text.charCodeAt(i);
+    const pair = code >= 0xd800 && code <= 0xdbff && i + 1 < text.length;
+    const charBytes = pair ? 4 : code < 0x80 ? 1 : code < 0x800 ? 2 : 3;
+    if (bytes + charBytes > maxBytes) {
+      return space || i;
+    }
+    bytes += charBytes;
+    i += pair ? 2 : 1;
+    if (code === 0x20) {
+      space = i;
+    }
+  }
+  return i;
+}
+
+/**
+ * @private
+ */
+function popElement(stack: Atom[], name: string): Atom[] {
+  const index = stack.map(atom => atom.name).lastIndexOf(name);
+  return index === -1 ? stack : stack.slice(0, index);
+}
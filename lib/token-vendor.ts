@@ -0,0 +1,175 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import http = require('http');
+import { Authenticator, TokenRequestBasedAuthenticator } from 'ibm-cloud-sdk-core';
+import AuthorizationV1 = require('../authorization/v1');
+import { getTokenExpiry } from './websocket-utils';
+
+/**
+ * Hands out short-lived tokens to browsers, so that they can call a service without ever seeing its credentials:
+ *
+ * ```js
+ * const vendor = new TokenVendor({
+ *   authenticator: new IamAuthenticator({ apikey }),
+ *   services: { 'speech-to-text': sttUrl, 'text-to-speech': ttsUrl },
+ * });
+ * app.get('/api/token', vendor.handler()); // GET /api/token?service=speech-to-text
+ * ```
+ *
+ * Tokens are cached for each service URL until shortly before they expire, and concurrent requests for the same URL
+ * share one refresh. With an IAM or Cloud Pak for Data authenticator the tokens are access tokens, otherwise they are
+ * Cloud Foundry Watson tokens from the authorization service. Use `VendedTokenAuthenticator` in the browser.
+ */
+class TokenVendor {
+  /** how long tokens that don't state their expiry are used (Watson tokens last an hour) */
+  static DEFAULT_TTL: number = 60 * 60 * 1000;
+  static DEFAULT_REFRESH_MARGIN: number = 5 * 60 * 1000;
+
+  private options: TokenVendor.Options;
+  private authorization: AuthorizationV1;
+  private tokens: { [url: string]: TokenVendor.Token };
+  private pending: { [url: string]: Promise<TokenVendor.Token> };
+
+  /**
+   * @param {Options} options
+   * @param {Authenticator} [options.authenticator] - The credentials of the services
+   * @param {AuthorizationV1} [options.authorization] - The authorization service to get the tokens from, instead of one created with the authenticator
+   * @param {string} [options.serviceUrl] - The URL of the service to vend tokens for when a request doesn't name one
+   * @param {Object} [options.services] - The URLs of the services to vend tokens for, by name
+   * @param {number} [options.refreshMargin] - (milliseconds) - How long before they expire tokens are replaced (default=300000)
+   * @constructor
+   */
+  constructor(options: TokenVendor.Options) {
+    if (!options || (!options.authenticator && !options.authorization)) {
+      throw new Error('Either an authenticator or an authorization service is required');
+    }
+    this.options = Object.assign({ refreshMargin: TokenVendor.DEFAULT_REFRESH_MARGIN, services: {} }, options);
+    this.authorization =
+      options.authorization ||
+      new AuthorizationV1({
+        authenticator: options.authenticator,
+        url: options.serviceUrl || AuthorizationV1.URL,
+      });
+    this.tokens = {};
+    this.pending = {};
+  }
+
+  /**
+   * Returns a token for a service, from the cache unless it is about to expire.
+   *
+   * @param {string} [serviceUrl] - the URL of the service (default=options.serviceUrl)
+   * @return {Promise<Token>}
+   */
+  getToken(serviceUrl: string = this.options.serviceUrl): Promise<TokenVendor.Token> {
+    if (!serviceUrl) {
+      return Promise.reject(new Error('Missing required parameters: serviceUrl'));
+    }
+    const cached = this.tokens[serviceUrl];
+    if (cached && cached.expiresAt - this.options.refreshMargin > Date.now()) {
+      return Promise.resolve(cached);
+    }
+    if (!this.pending[serviceUrl]) {
+      this.pending[serviceUrl] = this.requestToken(serviceUrl).then(
+        token => {
+          delete this.pending[serviceUrl];
+          this.tokens[serviceUrl] = token;
+          return token;
+        },
+        err => {
+          delete this.pending[serviceUrl];
+          throw err;
+        }
+      );
+    }
+    return this.pending[serviceUrl];
+  }
+
+  /**
+   * Returns a request listener for `http.createServer()`, or a route handler for Express. It answers GET requests
+   * with the token of the service named in the `service` query parameter, or of `options.serviceUrl`, as JSON:
+   * `{ accessToken, url, expiresAt }`, or `{ watsonToken, url, expiresAt }` for Cloud Foundry services.
+   *
+   * @return {Function}
+   */
+  handler(): (req: http.IncomingMessage, res: http.ServerResponse) => void {
+    return (req, res) => {
+      if (req.method !== 'GET') {
+        return respond(res, 405, { error: 'Method Not Allowed' });
+      }
+      const service = new URL(req.url, 'http://localhost').searchParams.get('service');
+      const serviceUrl = service ? this.options.services[service] : this.options.serviceUrl;
+      if (!serviceUrl) {
+        return service
+          ? respond(res, 404, { error: `Unknown service: ${service}` })
+          : respond(res, 400, { error: 'Missing required parameters: service' });
+      }
+      this.getToken(serviceUrl).then(
+        token => respond(res, 200, token),
+        (err: Error) => respond(res, 500, { error: err.message })
+      );
+    };
+  }
+
+  private requestToken(serviceUrl: string): Promise<TokenVendor.Token> {
+    const isAccessToken = this.authorization.getAuthenticator() instanceof TokenRequestBasedAuthenticator;
+    return this.authorization.getToken({ url: serviceUrl }).then(res => {
+      // a CF token comes in the `result` of the response
+      const value = typeof res === 'string' ? res : res.result;
+      const token: TokenVendor.Token = {
+        url: serviceUrl,
+        expiresAt: getTokenExpiry(value) || Date.now() + TokenVendor.DEFAULT_TTL,
+      };
+      if (isAccessToken) {
+        token.accessToken = value;
+      } else {
+        token.watsonToken = value;
+      }
+      return token;
+    });
+  }
+}
+
+/**
+ * @private
+ */
+function respond(res: http.ServerResponse, statusCode: number, body: any): void {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+namespace TokenVendor {
+  export interface Token {
+    /** an IAM or Cloud Pak for Data access token, for the `accessToken` option of the WebSocket methods */
+    accessToken?: string;
+    /** a Cloud Foundry token, for the `watsonToken` option of the WebSocket methods */
+    watsonToken?: string;
+    /** the URL of the service */
+    url: string;
+    /** when the token expires, in milliseconds since the epoch */
+    expiresAt: number;
+  }
+
+  export interface Options {
+    authenticator?: Authenticator;
+    authorization?: AuthorizationV1;
+    serviceUrl?: string;
+    services?: { [name: string]: string };
+    refreshMargin?: number;
+  }
+}
+
+export = TokenVendor;
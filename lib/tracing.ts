@@ -0,0 +1,293 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import { EventEmitter } from 'events';
+import { OutgoingHttpHeaders } from 'http';
+import { RetryInfo } from './retry';
+
+/*
+ * The parts of the OpenTelemetry API that are used here. The SDK doesn't depend on the API package, so pass in a
+ * tracer from it, like `trace.getTracer('ibm-watson')`.
+ */
+
+export type SpanAttributes = { [key: string]: string | number | boolean };
+
+export interface Span {
+  setAttribute(key: string, value: string | number | boolean): any;
+  addEvent(name: string, attributes?: SpanAttributes): any;
+  setStatus(status: { code: number; message?: string }): any;
+  recordException(exception: Error): any;
+  end(): void;
+}
+
+export interface SpanOptions {
+  kind?: number;
+  attributes?: SpanAttributes;
+}
+
+export interface Tracer {
+  startSpan(name: string, options?: SpanOptions): Span;
+  /** makes the span the active one while `fn` runs, so that the spans of the outgoing HTTP request become children */
+  startActiveSpan?<T>(name: string, options: SpanOptions, fn: (span: Span) => T): T;
+}
+
+/** what a request or stream is, as told by the `X-IBMCloud-SDK-Analytics` header that getSdkHeaders() creates */
+export interface Operation {
+  serviceName: string;
+  serviceVersion: string;
+  operationId: string;
+}
+
+// SpanKind.CLIENT and SpanStatusCode.ERROR of the OpenTelemetry API
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
+
+const ANALYTICS_HEADER = 'X-IBMCloud-SDK-Analytics';
+const GLOBAL_TRANSACTION_ID = 'x-global-transaction-id';
+
+let globalTracer: Tracer = null;
+
+/**
+ * Creates a span for every operation of every service client, and for every WebSocket stream, with the given tracer.
+ * A tracer passed to a client with its `tracer` option takes precedence.
+ *
+ * ```js
+ * const { trace } = require('@opentelemetry/api');
+ * enableTracing(trace.getTracer('ibm-watson'));
+ * ```
+ *
+ * @param {Tracer} tracer - an OpenTelemetry tracer
+ */
+export function enableTracing(tracer: Tracer): void {
+  globalTracer = tracer;
+}
+
+/**
+ * Stops the tracing turned on by `enableTracing()`.
+ */
+export function disableTracing(): void {
+  globalTracer = null;
+}
+
+/**
+ * Returns the tracer to use.
+ *
+ * @param {Tracer} [tracer] - the tracer of a client
+ * @returns {Tracer} - or null if tracing is off
+ */
+export function getTracer(tracer?: Tracer): Tracer {
+  return tracer || globalTracer;
+}
+
+/**
+ * Reads the service and operation from the analytics header of a request.
+ *
+ * @param {OutgoingHttpHeaders} headers - the headers of the request
+ * @param {Operation} [defaults] - what to return for the values that aren't in the headers
+ * @returns {Operation}
+ */
+export function getOperation(headers: OutgoingHttpHeaders, defaults?: Operation): Operation {
+  const values: { [key: string]: string } = {};
+  const header = headers && headers[ANALYTICS_HEADER];
+  String(header || '')
+    .split(';')
+    .forEach(pair => {
+      const separator = pair.indexOf('=');
+      if (separator !== -1) {
+        values[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+      }
+    });
+  return Object.assign({}, defaults, {
+    serviceName: values.service_name || (defaults && defaults.serviceName),
+    serviceVersion: values.service_version || (defaults && defaults.serviceVersion),
+    operationId: values.operation_id || (defaults && defaults.operationId),
+  });
+}
+
+/**
+ * Runs an operation in a span named after it, like `speech_to_text.recognize`. The span is ended with the status code
+ * and `x-global-transaction-id` of the response, or the error.
+ *
+ * @param {Tracer} tracer
+ * @param {Operation} operation
+ * @param {Object} request - the `method` and `url` (the path template) of the request
+ * @param {Function} send - sends the request, which may take several attempts that are added to the span as events
+ * @returns {Promise<T>}
+ */
+export function traceOperation<T extends { status?: number; headers?: any }>(
+  tracer: Tracer,
+  operation: Operation,
+  request: { method: string; url: string },
+  send: (span: Span) => Promise<T>
+): Promise<T> {
+  const options: SpanOptions = {
+    kind: SPAN_KIND_CLIENT,
+    attributes: Object.assign(getOperationAttributes(operation), {
+      'http.method': (request.method || 'GET').toUpperCase(),
+      'http.route': request.url,
+    }),
+  };
+  const run = (span: Span): Promise<T> =>
+    send(span).then(
+      response => {
+        setResponseAttributes(span, response);
+        span.end();
+        return response;
+      },
+      err => {
+        setResponseAttributes(span, err);
+        fail(span, err);
+        span.end();
+        throw err;
+      }
+    );
+  const name = getSpanName(operation);
+  return tracer.startActiveSpan ? tracer.startActiveSpan(name, options, run) : run(tracer.startSpan(name, options));
+}
+
+/**
+ * Adds an event for a retry to the span of an operation.
+ *
+ * @param {Span} span
+ * @param {RetryInfo} info - what retryRequest() passes to `onRetry`
+ */
+export function addRetryEvent(span: Span, info: RetryInfo): void {
+  const attributes: SpanAttributes = { attempt: info.attempt, delay: info.delay };
+  if (typeof info.error.status === 'number') {
+    attributes['http.status_code'] = info.error.status;
+  }
+  span.addEvent('retry', attributes);
+}
+
+/**
+ * Traces a RecognizeStream or SynthesizeStream in a span that lasts until the connection closes. The span gets events
+ * for `open`, `listening`, the first result or audio (`firstResult`), reconnects and the close code, and the number of
+ * audio bytes sent and received as attributes.
+ *
+ * @param {Tracer} tracer
+ * @param {EventEmitter} stream
+ * @param {Operation} operation
+ */
+export function traceStream(tracer: Tracer, stream: EventEmitter, operation: Operation): void {
+  const span = tracer.startSpan(getSpanName(operation), {
+    kind: SPAN_KIND_CLIENT,
+    attributes: getOperationAttributes(operation),
+  });
+  let bytesSent = 0;
+  let bytesReceived = 0;
+  let firstResult = false;
+  let ended = false;
+
+  const end = () => {
+    if (ended) {
+      return;
+    }
+    ended = true;
+    span.setAttribute('watson.audio_bytes_sent', bytesSent);
+    span.setAttribute('watson.audio_bytes_received', bytesReceived);
+    span.end();
+  };
+
+  stream.once('open', () => {
+    span.addEvent('open');
+    // the w3c websocket for Node exposes the response to the handshake
+    const client = stream['socket'] && stream['socket']._client;
+    const headers = client && client.response && client.response.headers;
+    if (headers && headers[GLOBAL_TRANSACTION_ID]) {
+      span.setAttribute('watson.global_transaction_id', headers[GLOBAL_TRANSACTION_ID]);
+    }
+  });
+  stream.once('listening', () => span.addEvent('listening'));
+  stream.on('send-data', (data: Buffer) => {
+    bytesSent += data.length;
+  });
+  stream.on('message', (message: any, data: any) => {
+    const audio = Buffer.isBuffer(data);
+    if (audio) {
+      bytesReceived += data.length;
+    }
+    if (!firstResult && (audio || (data && Array.isArray(data.results)))) {
+      firstResult = true;
+      span.addEvent('firstResult');
+    }
+  });
+  stream.on('reconnecting', (attempt: number, code: number) => span.addEvent('reconnecting', { attempt, code }));
+  // errors are seen through emit(), since an error listener would keep the stream from throwing unhandled errors
+  const emit = stream.emit;
+  stream.emit = function(event: string | symbol, ...args: any[]): boolean {
+    if (event === 'error') {
+      fail(span, args[0]);
+      // a close event usually follows right away, which ends the span with the close code
+      setImmediate(end);
+    }
+    return emit.apply(this, [event].concat(args));
+  };
+  stream.on('close', (code?: number, reason?: string) => {
+    if (!ended && code !== undefined) {
+      span.addEvent('close', { code, reason: reason || '' });
+    }
+    end();
+  });
+}
+
+/**
+ * @private
+ */
+function getSpanName(operation: Operation): string {
+  return `${operation.serviceName}.${operation.operationId}`;
+}
+
+/**
+ * @private
+ */
+function getOperationAttributes(operation: Operation): SpanAttributes {
+  const attributes: SpanAttributes = {};
+  if (operation.serviceName) {
+    attributes['watson.service.name'] = operation.serviceName;
+  }
+  if (operation.serviceVersion) {
+    attributes['watson.service.version'] = operation.serviceVersion;
+  }
+  if (operation.operationId) {
+    attributes['watson.operation'] = operation.operationId;
+  }
+  return attributes;
+}
+
+/**
+ * Sets the attributes of a response, or of an error, which carries the status and headers of the response.
+ * @private
+ */
+function setResponseAttributes(span: Span, response: { status?: number; headers?: any }): void {
+  if (!response) {
+    return;
+  }
+  if (typeof response.status === 'number') {
+    span.setAttribute('http.status_code', response.status);
+  }
+  const transactionId = response.headers && response.headers[GLOBAL_TRANSACTION_ID];
+  if (transactionId) {
+    span.setAttribute('watson.global_transaction_id', transactionId);
+  }
+}
+
+/**
+ * @private
+ */
+function fail(span: Span, err: Error): void {
+  span.recordException(err);
+  span.setStatus({ code: SPAN_STATUS_ERROR, message: err.message });
+}
@@ -0,0 +1,496 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import { EventEmitter } from 'events';
+import extend = require('extend');
+import fs = require('fs');
+import { OutgoingHttpHeaders } from 'http';
+import GeneratedSpeechToTextV1 = require('../speech-to-text/v1-generated');
+
+interface Entry {
+  item: TranscriptionJobManager.Item;
+  attempts: number;
+  jobId?: string;
+  /** the timer of a retry that the entry is waiting for */
+  timer?: NodeJS.Timer;
+  settled?: boolean;
+  resolve: (outcome: TranscriptionJobManager.Outcome) => void;
+}
+
+/**
+ * Runs many asynchronous recognition jobs (`createJob()`) at a time.
+ *
+ * Items are submitted as they are added, with at most `concurrency` jobs in progress. The status of the jobs is
+ * polled with `checkJobs()`, or the notifications sent to a callback URL are passed to `handleCallback()`. The results
+ * of each job are fetched and the job is deleted once it is done. Jobs that fail, or that can't be created, are
+ * submitted again up to `maxRetries` times, waiting `retryDelay` (doubled for each attempt) in between.
+ *
+ * To retry an item, its audio must be read again, so it is passed as a file path, a Buffer or a function that returns
+ * a new stream. An item whose audio is a stream fails without being retried.
+ */
+class TranscriptionJobManager extends EventEmitter {
+  static DEFAULT_CONCURRENCY: number = 5;
+  static DEFAULT_POLL_INTERVAL: number = 10000;
+  static DEFAULT_MAX_RETRIES: number = 2;
+  static DEFAULT_RETRY_DELAY: number = 5000;
+
+  private client: GeneratedSpeechToTextV1;
+  private options: TranscriptionJobManager.Options;
+  private queue: Entry[];
+  private running: { [jobId: string]: Entry };
+  private inProgress: Entry[];
+  private total: number;
+  private outcomes: TranscriptionJobManager.Outcome[];
+  private waiters: (() => void)[];
+  private timer: NodeJS.Timer;
+  private stopped: boolean;
+
+  /**
+   * @param {SpeechToTextV1} client - the service client that the jobs are created with
+   * @param {Options} [options]
+   * @param {Object} [options.jobParams] - Parameters of createJob() for every job, like `model` or `callbackUrl`
+   * @param {number} [options.concurrency] - The maximum number of jobs in progress at a time (default=5)
+   * @param {number} [options.pollInterval] - (milliseconds) - How often to check the status of the jobs, or 0 to rely on handleCallback() (default=10000)
+   * @param {number} [options.maxRetries] - How many times to resubmit an item whose job failed (default=2)
+   * @param {number} [options.retryDelay] - (milliseconds) - How long to wait before the first retry, doubled for each further retry (default=5000)
+   * @param {boolean} [options.deleteFinishedJobs] - Delete each job once its results have been fetched (default=true)
+   * @param {OutgoingHttpHeaders} [options.headers] - Custom request headers
+   * @constructor
+   */
+  constructor(client: GeneratedSpeechToTextV1, options?: TranscriptionJobManager.Options) {
+    super();
+    this.client = client;
+    this.options = Object.assign(
+      {
+        concurrency: TranscriptionJobManager.DEFAULT_CONCURRENCY,
+        pollInterval: TranscriptionJobManager.DEFAULT_POLL_INTERVAL,
+        maxRetries: TranscriptionJobManager.DEFAULT_MAX_RETRIES,
+        retryDelay: TranscriptionJobManager.DEFAULT_RETRY_DELAY,
+        deleteFinishedJobs: true,
+      },
+      options
+    );
+    this.queue = [];
+    this.running = {};
+    this.inProgress = [];
+    this.total = 0;
+    this.outcomes = [];
+    this.waiters = [];
+    this.timer = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Adds an item to transcribe.
+   *
+   * @param {Item} item
+   * @param {string} item.id - Identifies the item in events and outcomes, such as the name of the recording
+   * @param {string|Buffer|Function} item.audio - The path of an audio file, the audio, or a function that returns a stream of it
+   * @param {Object} [item.params] - Parameters of createJob() for this item, in addition to `jobParams`
+   * @return {Promise<Outcome>} - resolves once the item has completed, finally failed or been stopped
+   */
+  add(item: TranscriptionJobManager.Item): Promise<TranscriptionJobManager.Outcome> {
+    return new Promise(resolve => {
+      const entry: Entry = { item, attempts: 0, resolve };
+      this.queue.push(entry);
+      this.total++;
+      this.emitProgress();
+      if (this.stopped) {
+        return this.complete(entry, { id: item.id, status: 'stopped', jobId: undefined, attempts: 0 });
+      }
+      this.schedule();
+    });
+  }
+
+  /**
+   * Resolves once every item added so far has completed, failed or been stopped.
+   *
+   * @return {Promise<Outcome[]>} - the outcomes of all items, in the order they finished
+   */
+  whenDone(): Promise<TranscriptionJobManager.Outcome[]> {
+    return new Promise(resolve => {
+      if (this.isIdle()) {
+        return resolve(this.outcomes.slice());
+      }
+      this.waiters.push(() => resolve(this.outcomes.slice()));
+    });
+  }
+
+  /**
+   * Passes on a notification that the service sent to the callback URL of a job. Jobs created with the
+   * `recognitions.completed_with_results` event finish without another request.
+   *
+   * @param {Object} notification - the body of the callback request
+   * @param {string} notification.id - the ID of the job
+   * @param {string} notification.event - like `recognitions.completed_with_results` or `recognitions.failed`
+   * @param {Object[]} [notification.results] - the results of the job
+   * @return {boolean} - whether the notification belongs to a job of this manager
+   */
+  handleCallback(notification: TranscriptionJobManager.CallbackNotification): boolean {
+    const entry = this.running[notification.id];
+    if (!entry) {
+      return false;
+    }
+    if (notification.event === 'recognitions.completed_with_results') {
+      this.finishJob(entry, notification.results);
+    } else if (notification.event === 'recognitions.completed') {
+      this.finishJob(entry);
+    } else if (notification.event === 'recognitions.failed') {
+      this.retry(entry, new Error(`Job ${entry.jobId} failed`));
+    }
+    return true;
+  }
+
+  /**
+   * Stops submitting and polling. The items that haven't finished yet get a `stopped` outcome, which has the ID of their
+   * job if one was created, and so do items added afterwards. Jobs that were already created keep running in the service.
+   */
+  stop(): void {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.queue.concat(this.inProgress).forEach(entry => {
+      clearTimeout(entry.timer);
+      delete this.running[entry.jobId];
+      this.complete(entry, {
+        id: entry.item.id,
+        status: 'stopped',
+        jobId: entry.jobId,
+        attempts: entry.attempts,
+      });
+    });
+  }
+
+  /**
+   * Returns the number of items in each state.
+   *
+   * @return {Progress}
+   */
+  getProgress(): TranscriptionJobManager.Progress {
+    const count = (status: string) => this.outcomes.filter(outcome => outcome.status === status).length;
+    return {
+      total: this.total,
+      queued: this.queue.length,
+      active: this.inProgress.length,
+      completed: count('completed'),
+      failed: count('failed'),
+      stopped: count('stopped'),
+    };
+  }
+
+  private schedule(): void {
+    while (!this.stopped && this.inProgress.length < this.options.concurrency && this.queue.length) {
+      const entry = this.queue.shift();
+      this.inProgress.push(entry);
+      this.submit(entry);
+    }
+  }
+
+  private submit(entry: Entry): void {
+    if (this.stopped) {
+      return;
+    }
+    entry.attempts++;
+    entry.jobId = undefined;
+    let params: GeneratedSpeechToTextV1.CreateJobParams;
+    try {
+      params = extend({}, this.options.jobParams, entry.item.params, {
+        audio: openAudio(entry.item.audio),
+        headers: this.options.headers,
+      });
+    } catch (err) {
+      return this.retry(entry, err);
+    }
+    this.client.createJob(params).then(
+      res => {
+        if (entry.settled) {
+          return;
+        }
+        const job = res.result;
+        entry.jobId = job.id;
+        this.running[job.id] = entry;
+        /**
+         * Emitted when the job of an item has been created.
+         * @event TranscriptionJobManager#submitted
+         * @param {Item} item
+         * @param {Object} job - the job, as returned by createJob()
+         * @param {number} attempt - starting at 1
+         */
+        this.emit('submitted', entry.item, job, entry.attempts);
+        this.updateJob(entry, job);
+        this.startPolling();
+      },
+      err => this.retry(entry, err)
+    );
+  }
+
+  private startPolling(): void {
+    if (!this.timer && !this.stopped && this.options.pollInterval > 0 && Object.keys(this.running).length) {
+      this.timer = setTimeout(() => this.poll(), this.options.pollInterval);
+    }
+  }
+
+  private poll(): void {
+    this.timer = null;
+    this.client
+      .checkJobs({ headers: this.options.headers })
+      .then(res => {
+        res.result.recognitions.forEach(job => {
+          const entry = this.running[job.id];
+          if (entry) {
+            this.updateJob(entry, job);
+          }
+        });
+        this.startPolling();
+      })
+      // a malformed response is reported like a failed request
+      .catch(err => {
+        /**
+         * Emitted when a request to check or clean up jobs, or to fetch the results of a job, fails. Polling
+         * continues, and fetching the results is tried again.
+         * @event TranscriptionJobManager#pollError
+         * @param {Error} err
+         */
+        this.emit('pollError', err);
+        this.startPolling();
+      });
+  }
+
+  private updateJob(entry: Entry, job: GeneratedSpeechToTextV1.RecognitionJob): void {
+    if (job.status === 'completed') {
+      this.finishJob(entry, job.results);
+    } else if (job.status === 'failed') {
+      this.retry(entry, new Error(`Job ${job.id} failed`));
+    }
+  }
+
+  private finishJob(entry: Entry, results?: GeneratedSpeechToTextV1.SpeechRecognitionResults[]): void {
+    delete this.running[entry.jobId];
+    if (results) {
+      this.completeJob(entry, results);
+    } else {
+      this.fetchResults(entry, 1);
+    }
+  }
+
+  /**
+   * Fetches the results of a completed job. A failed request is tried again for the same job, which is never
+   * submitted again once its audio has been transcribed.
+   */
+  private fetchResults(entry: Entry, attempt: number): void {
+    const jobId = entry.jobId;
+    this.client.checkJob({ id: jobId, headers: this.options.headers }).then(
+      res => this.completeJob(entry, res.result.results),
+      err => {
+        if (entry.settled) {
+          return;
+        }
+        if (attempt > this.options.maxRetries) {
+          // the job is kept, so that its results can still be fetched later
+          return this.complete(entry, {
+            id: entry.item.id,
+            status: 'failed',
+            jobId,
+            attempts: entry.attempts,
+            error: err,
+          });
+        }
+        this.emit('pollError', err);
+        entry.timer = setTimeout(() => this.fetchResults(entry, attempt + 1), this.getRetryDelay(attempt));
+      }
+    );
+  }
+
+  private completeJob(entry: Entry, results: GeneratedSpeechToTextV1.SpeechRecognitionResults[]): void {
+    if (entry.settled) {
+      return;
+    }
+    this.deleteJob(entry.jobId);
+    this.complete(entry, {
+      id: entry.item.id,
+      status: 'completed',
+      jobId: entry.jobId,
+      attempts: entry.attempts,
+      results,
+    });
+  }
+
+  private retry(entry: Entry, err: Error): void {
+    if (entry.settled) {
+      return;
+    }
+    if (entry.jobId) {
+      delete this.running[entry.jobId];
+      this.deleteJob(entry.jobId);
+    }
+    // a stream can only be read once, so its item can't be submitted again
+    if (entry.attempts > this.options.maxRetries || !canReopen(entry.item.audio)) {
+      return this.complete(entry, {
+        id: entry.item.id,
+        status: 'failed',
+        jobId: entry.jobId,
+        attempts: entry.attempts,
+        error: err,
+      });
+    }
+    /**
+     * Emitted when an item is going to be submitted again.
+     * @event TranscriptionJobManager#retry
+     * @param {Item} item
+     * @param {Error} err - why the last attempt failed
+     * @param {number} attempt - the attempt that failed, starting at 1
+     */
+    this.emit('retry', entry.item, err, entry.attempts);
+    entry.timer = setTimeout(() => this.submit(entry), this.getRetryDelay(entry.attempts));
+  }
+
+  private getRetryDelay(attempt: number): number {
+    return this.options.retryDelay * Math.pow(2, attempt - 1);
+  }
+
+  private deleteJob(jobId: string): void {
+    if (this.options.deleteFinishedJobs) {
+      this.client.deleteJob({ id: jobId, headers: this.options.headers }).catch(err => this.emit('pollError', err));
+    }
+  }
+
+  private complete(entry: Entry, outcome: TranscriptionJobManager.Outcome): void {
+    if (entry.settled) {
+      return;
+    }
+    entry.settled = true;
+    remove(this.queue, entry);
+    remove(this.inProgress, entry);
+    this.outcomes.push(outcome);
+    entry.resolve(outcome);
+    /**
+     * Emitted when an item has been transcribed.
+     * @event TranscriptionJobManager#completed
+     * @param {Outcome} outcome
+     */
+    /**
+     * Emitted when an item has failed for the last time.
+     * @event TranscriptionJobManager#failed
+     * @param {Outcome} outcome
+     */
+    /**
+     * Emitted for each item that hadn't finished when stop() was called.
+     * @event TranscriptionJobManager#stopped
+     * @param {Outcome} outcome
+     */
+    this.emit(outcome.status, outcome);
+    this.emitProgress();
+    this.schedule();
+    if (this.isIdle()) {
+      this.waiters.splice(0).forEach(waiter => waiter());
+      /**
+       * Emitted when every item added so far has completed, failed or been stopped.
+       * @event TranscriptionJobManager#done
+       * @param {Outcome[]} outcomes
+       */
+      this.emit('done', this.outcomes.slice());
+    }
+  }
+
+  private emitProgress(): void {
+    /**
+     * Emitted whenever an item is added or finishes.
+     * @event TranscriptionJobManager#progress
+     * @param {Progress} progress
+     */
+    this.emit('progress', this.getProgress());
+  }
+
+  private isIdle(): boolean {
+    return this.inProgress.length === 0 && this.queue.length === 0;
+  }
+}
+
+/**
+ * @private
+ */
+function remove(entries: Entry[], entry: Entry): void {
+  const index = entries.indexOf(entry);
+  if (index !== -1) {
+    entries.splice(index, 1);
+  }
+}
+
+/**
+ * @private
+ */
+function canReopen(audio: TranscriptionJobManager.Audio): boolean {
+  return typeof audio === 'string' || typeof audio === 'function' || Buffer.isBuffer(audio);
+}
+
+/**
+ * @private
+ */
+function openAudio(audio: TranscriptionJobManager.Audio): NodeJS.ReadableStream | Buffer {
+  if (typeof audio === 'string') {
+    return fs.createReadStream(audio);
+  }
+  return typeof audio === 'function' ? audio() : audio;
+}
+
+namespace TranscriptionJobManager {
+  /** a file path, the audio, or a function that returns a new stream of it for each attempt */
+  export type Audio = string | Buffer | (() => NodeJS.ReadableStream | Buffer);
+
+  export interface Item {
+    id: string;
+    audio: Audio;
+    params?: Partial<GeneratedSpeechToTextV1.CreateJobParams>;
+  }
+
+  export interface Outcome {
+    id: string;
+    status: 'completed' | 'failed' | 'stopped';
+    /** the ID of the last job of the item */
+    jobId?: string;
+    attempts: number;
+    results?: GeneratedSpeechToTextV1.SpeechRecognitionResults[];
+    error?: Error;
+  }
+
+  export interface Progress {
+    total: number;
+    queued: number;
+    active: number;
+    completed: number;
+    failed: number;
+    stopped: number;
+  }
+
+  export interface CallbackNotification {
+    id: string;
+    event: string;
+    user_token?: string;
+    results?: GeneratedSpeechToTextV1.SpeechRecognitionResults[];
+  }
+
+  export interface Options {
+    jobParams?: Partial<GeneratedSpeechToTextV1.CreateJobParams>;
+    concurrency?: number;
+    pollInterval?: number;
+    maxRetries?: number;
+    retryDelay?: number;
+    deleteFinishedJobs?: boolean;
+    headers?: OutgoingHttpHeaders;
+  }
+}
+
+export = TranscriptionJobManager;
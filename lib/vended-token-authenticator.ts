@@ -0,0 +1,136 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import { Authenticator } from 'ibm-cloud-sdk-core';
+import TokenVendor = require('./token-vendor');
+
+// provided by browsers and by newer versions of Node.js
+declare function fetch(url: string, init?: any): Promise<any>;
+
+/**
+ * Authenticates browser clients with the tokens of a `TokenVendor` endpoint on your server:
+ *
+ * ```js
+ * const speechToText = new SpeechToTextV1({
+ *   authenticator: new VendedTokenAuthenticator({ url: '/api/token?service=speech-to-text' }),
+ *   serviceUrl,
+ * });
+ * speechToText.recognizeUsingWebSocket({ objectMode: true });
+ * ```
+ *
+ * The token is fetched when first needed and again shortly before it expires. It is sent as a bearer token with
+ * regular requests, and passed to `recognizeUsingWebSocket()` and `synthesizeUsingWebSocket()` as the `accessToken`
+ * (or `watsonToken`) option, since browsers can't set headers on WebSocket connections.
+ */
+class VendedTokenAuthenticator extends Authenticator {
+  private options: VendedTokenAuthenticator.Options;
+  private token: TokenVendor.Token;
+  private pending: Promise<TokenVendor.Token>;
+
+  /**
+   * @param {Options} options
+   * @param {string} [options.url] - The URL of the token endpoint
+   * @param {Function} [options.fetchToken] - Gets a token some other way, instead of a GET request to the URL
+   * @param {number} [options.refreshMargin] - (milliseconds) - How long before it expires the token is replaced (default=60000)
+   * @constructor
+   */
+  constructor(options: VendedTokenAuthenticator.Options) {
+    super();
+    if (!options || (!options.url && !options.fetchToken)) {
+      throw new Error('Either the url of a token endpoint or fetchToken is required');
+    }
+    this.options = Object.assign({ refreshMargin: 60 * 1000 }, options);
+  }
+
+  /**
+   * Returns the current token, fetching a new one if it is about to expire.
+   *
+   * @return {Promise<Token>}
+   */
+  getToken(): Promise<TokenVendor.Token> {
+    if (this.token && this.token.expiresAt - this.options.refreshMargin > Date.now()) {
+      return Promise.resolve(this.token);
+    }
+    if (!this.pending) {
+      this.pending = this.fetchToken().then(
+        token => {
+          this.pending = null;
+          this.token = token;
+          return token;
+        },
+        err => {
+          this.pending = null;
+          throw err;
+        }
+      );
+    }
+    return this.pending;
+  }
+
+  /**
+   * Adds the token to a request, or to the options of a RecognizeStream or SynthesizeStream.
+   *
+   * @param {Object} requestOptions
+   * @return {Promise<void>}
+   */
+  authenticate(requestOptions: VendedTokenAuthenticator.AuthenticateOptions): Promise<void> {
+    return this.getToken().then(token => {
+      const headers = Object.assign({}, requestOptions.headers);
+      if (token.accessToken) {
+        headers.Authorization = `Bearer ${token.accessToken}`;
+        requestOptions.accessToken = token.accessToken;
+      } else {
+        headers['X-Watson-Authorization-Token'] = token.watsonToken;
+        requestOptions.watsonToken = token.watsonToken;
+      }
+      requestOptions.headers = headers;
+    });
+  }
+
+  private fetchToken(): Promise<TokenVendor.Token> {
+    if (this.options.fetchToken) {
+      return this.options.fetchToken();
+    }
+    if (typeof fetch !== 'function') {
+      return Promise.reject(new Error('fetch() is not available, provide fetchToken instead'));
+    }
+    return fetch(this.options.url, { credentials: 'same-origin' }).then(res => {
+      if (!res.ok) {
+        throw new Error(`Failed to get a token: ${res.status} ${res.statusText}`);
+      }
+      return res.json();
+    });
+  }
+}
+
+namespace VendedTokenAuthenticator {
+  export type Token = TokenVendor.Token;
+
+  export interface Options {
+    url?: string;
+    fetchToken?: () => Promise<Token>;
+    refreshMargin?: number;
+  }
+
+  export interface AuthenticateOptions {
+    headers?: { [name: string]: any };
+    accessToken?: string;
+    watsonToken?: string;
+    [key: string]: any;
+  }
+}
+
+export = VendedTokenAuthenticator;
@@ -0,0 +1,206 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License
+ */
+
+import { EventEmitter } from 'events';
+import { decodeFrames, getSampleFormat, getWavSampleFormat, parseWavHeader, SampleFormat } from './audio-utils';
+import RecognizeStream = require('./recognize-stream');
+
+/**
+ * Energy-based voice activity detector for uncompressed audio (wav, l16, mulaw and alaw).
+ *
+ * The audio is cut into short frames, and a frame counts as speech when its loudness is above the threshold. Speech
+ * starts after `minSpeechDuration` of consecutive loud frames and ends after `speechEndSilence` of quiet frames.
+ *
+ * When attached to a RecognizeStream, the detector sees all audio written to the stream, re-emits its events on the
+ * stream and, if `stopAfterSilence` is set, calls `finish()` on the stream once that much silence follows speech.
+ */
+class VoiceActivityDetector extends EventEmitter {
+  private detectorOptions: VoiceActivityDetector.Options;
+  private format: SampleFormat;
+  private configured: boolean;
+  private remainder: Buffer;
+  private frameSamples: number;
+  private frameSum: number;
+  private frameCount: number;
+  private samplesProcessed: number;
+  private speaking: boolean;
+  private heardSpeech: boolean;
+  private silenceReported: boolean;
+  private voicedMs: number;
+  private silentMs: number;
+
+  /**
+   * @param {Options} [options]
+   * @param {number} [options.threshold] - (dBFS) - Frames louder than this count as speech (default=-45)
+   * @param {number} [options.frameDuration] - (milliseconds) - The length of the frames that the audio is cut into (default=20)
+   * @param {number} [options.minSpeechDuration] - (milliseconds) - How long speech must last before `speechStart` is emitted (default=100)
+   * @param {number} [options.speechEndSilence] - (milliseconds) - How long silence must last before `speechEnd` is emitted (default=500)
+   * @param {number} [options.stopAfterSilence] - (milliseconds) - Emit `silence` (and finish an attached stream) once this much silence follows speech
+   * @constructor
+   */
+  constructor(options?: VoiceActivityDetector.Options) {
+    super();
+    this.detectorOptions = Object.assign(
+      {
+        threshold: -45,
+        frameDuration: 20,
+        minSpeechDuration: 100,
+        speechEndSilence: 500,
+      },
+      options
+    );
+    this.configured = false;
+    this.remainder = Buffer.alloc(0);
+    this.frameSum = 0;
+    this.frameCount = 0;
+    this.samplesProcessed = 0;
+    this.speaking = false;
+    this.heardSpeech = false;
+    this.silenceReported = false;
+    this.voicedMs = 0;
+    this.silentMs = 0;
+  }
+
+  /**
+   * Feeds the audio that is written to a RecognizeStream into the detector and re-emits `speechStart` and
+   * `speechEnd` on the stream, and `unsupported` as `voiceActivityUnsupported`. With `stopAfterSilence`, the stream is
+   * finished after trailing silence.
+   *
+   * @param {RecognizeStream} stream
+   * @return {VoiceActivityDetector}
+   */
+  attach(stream: RecognizeStream): this {
+    stream.setVoiceActivityDetector(this);
+    this.on('speechStart', time => stream.emit('speechStart', time));
+    this.on('speechEnd', time => stream.emit('speechEnd', time));
+    this.on('unsupported', contentType => stream.emit('voiceActivityUnsupported', contentType));
+    if (this.detectorOptions.stopAfterSilence) {
+      this.on('silence', () => stream.finish());
+    }
+    return this;
+  }
+
+  /**
+   * Returns true while speech is detected.
+   *
+   * @return {boolean}
+   */
+  isSpeaking(): boolean {
+    return this.speaking;
+  }
+
+  /**
+   * Analyzes the next chunk of audio.
+   *
+   * @param {Buffer} chunk
+   * @param {string} contentType - the MIME type of the audio, only needed for the first chunk
+   */
+  process(chunk: Buffer, contentType?: string): void {
+    if (!this.configured) {
+      this.configured = true;
+      const wav = parseWavHeader(chunk);
+      this.format = wav ? getWavSampleFormat(wav) : getSampleFormat(contentType);
+      if (wav) {
+        chunk = chunk.slice(wav.dataOffset);
+      }
+      if (!this.format || !this.format.sampleRate) {
+        this.format = null;
+        /**
+         * Emitted when the audio isn't uncompressed, so the detector disables itself.
+         * @event VoiceActivityDetector#unsupported
+         * @param {String} contentType
+         */
+        this.emit('unsupported', contentType);
+      } else {
+        this.frameSamples = Math.max(
+          Math.round((this.format.sampleRate * this.detectorOptions.frameDuration) / 1000),
+          1
+        );
+      }
+    }
+    if (!this.format) {
+      return;
+    }
+
+    const data = this.remainder.length ? Buffer.concat([this.remainder, chunk]) : chunk;
+    const frameSize = (this.format.bitDepth / 8) * this.format.channels;
+    const frames = Math.floor(data.length / frameSize);
+    this.remainder = data.slice(frames * frameSize);
+
+    decodeFrames(data, frames, this.format).forEach(sample => {
+      this.frameSum += sample * sample;
+      this.frameCount++;
+      this.samplesProcessed++;
+      if (this.frameCount === this.frameSamples) {
+        this.analyzeFrame(Math.sqrt(this.frameSum / this.frameCount));
+        this.frameSum = 0;
+        this.frameCount = 0;
+      }
+    });
+  }
+
+  private analyzeFrame(rms: number): void {
+    const { threshold, frameDuration, minSpeechDuration, speechEndSilence, stopAfterSilence } = this.detectorOptions;
+    const time = this.samplesProcessed / this.format.sampleRate;
+    const loudness = 20 * Math.log10(Math.max(rms, 1e-10));
+
+    if (loudness >= threshold) {
+      this.voicedMs += frameDuration;
+      this.silentMs = 0;
+      if (!this.speaking && this.voicedMs >= minSpeechDuration) {
+        this.speaking = true;
+        this.heardSpeech = true;
+        this.silenceReported = false;
+        /**
+         * @event VoiceActivityDetector#speechStart
+         * @param {Number} time - the position in the audio where speech started, in seconds
+         */
+        this.emit('speechStart', time - this.voicedMs / 1000);
+      }
+    } else {
+      this.voicedMs = 0;
+      this.silentMs += frameDuration;
+      if (this.speaking && this.silentMs >= speechEndSilence) {
+        this.speaking = false;
+        /**
+         * @event VoiceActivityDetector#speechEnd
+         * @param {Number} time - the position in the audio where speech ended, in seconds
+         */
+        this.emit('speechEnd', time - this.silentMs / 1000);
+      }
+      if (this.heardSpeech && stopAfterSilence && this.silentMs >= stopAfterSilence && !this.silenceReported) {
+        this.silenceReported = true;
+        /**
+         * @event VoiceActivityDetector#silence
+         * @param {Number} time - the position in the audio, in seconds
+         */
+        this.emit('silence', time);
+      }
+    }
+  }
+}
+
+namespace VoiceActivityDetector {
+  export interface Options {
+    threshold?: number;
+    frameDuration?: number;
+    minSpeechDuration?: number;
+    speechEndSilence?: number;
+    stopAfterSilence?: number;
+  }
+}
+
+export = VoiceActivityDetector;
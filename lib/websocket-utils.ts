@@ -73,3 +73,22 @@ export function extractTransactionId(streamContext: any) {
     }
   });
 }
+
+/**
+ * Reads the expiry of a JWT, such as an IAM access token.
+ *
+ * @param {string} token - the token, optionally prefixed by its type, as in an Authorization header
+ * @returns {number} - milliseconds since the epoch, or null if the token isn't a JWT with an `exp` claim
+ */
+export function getTokenExpiry(token: string): number {
+  const payload = (token || '').replace(/^bearer\s+/i, '').split('.')[1];
+  if (!payload) {
+    return null;
+  }
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+    return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+  } catch (err) {
+    return null;
+  }
+}
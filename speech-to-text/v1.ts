@@ -1,32 +1,28 @@
-import async = require('async');
 import extend = require('extend');
 import { Agent, OutgoingHttpHeaders } from 'http';
 import { UserOptions } from 'ibm-cloud-sdk-core';
 import isStream = require('isstream');
+import AudioConverterStream = require('../lib/audio-converter-stream');
+import CaptionStream = require('../lib/caption-stream');
+import CallbackReceiver = require('../lib/callback-receiver');
+import * as captions from '../lib/captions';
 import { getSdkHeaders } from '../lib/common';
+import * as deployment from '../lib/language-model-deployment';
 import RecognizeStream = require('../lib/recognize-stream');
+import { predicates, waitForResource, WaitOptions } from '../lib/resource-waiter';
+import SpeakerTurnAssembler = require('../lib/speaker-turn-assembler');
+import TranscriptionJobManager = require('../lib/transcription-job-manager');
+import VoiceActivityDetector = require('../lib/voice-activity-detector');
 import GeneratedSpeechToTextV1 = require('./v1-generated');
 
 /**
- * Check if there is a corpus that is still being processed
+ * Maps the `times` option of the older waiters onto a timeout, so that they give up after about as long as they did
+ * with fixed intervals.
  * @private
- * @param corporaList
- * @return {boolean}
  */
-function isProcessing(corporaList: GeneratedSpeechToTextV1.Corpora): boolean {
-  return corporaList.corpora.some(
-    record => record['status'] === 'being_processed'
-  );
-}
-
-/**
- * Check if corpora has been analyzed
- * @private
- * @param corporaList
- * @return {boolean}
- */
-function isAnalyzed(corporaList: GeneratedSpeechToTextV1.Corpora): boolean {
-  return corporaList.corpora.some(record => record['status'] === 'analyzed');
+function checkOptions<T>(params: SpeechToTextV1.CheckParams<T>): WaitOptions<T> {
+  const interval = params.interval || 5000;
+  return extend({ interval, timeout: interval * (params.times || 30) }, params);
 }
 
 class SpeechToTextV1 extends GeneratedSpeechToTextV1 {
@@ -38,73 +34,78 @@ class SpeechToTextV1 extends GeneratedSpeechToTextV1 {
   }
 
   /**
-   * Waits while corpora analysis status is 'being_processes', fires callback once the status is 'analyzed'
+   * Waits while corpora analysis status is 'being_processed', resolves once the status of every corpus is 'analyzed'.
+   * The status is checked with increasing intervals, like in `whenAcousticModelReady()`.
    *
    * Note: the code will throw an error in case there in no corpus in the customization
    *
-   *
-   * @param {Object} params The parameters
-   * @param {String} params.customization_id - The GUID of the custom language model
-   * @param {Number} [params.interval=5000] - (milliseconds) - how long to wait between status checks
-   * @param {Number} [params.times=30] - maximum number of attempts
-   * @param {Function} callback
+   * @param {Object} params - the parameters of listCorpora(), plus the options of whenAcousticModelReady() and:
+   * @param {number} [params.times] - Give up after about this many checks at `interval`, if `timeout` is not set
+   * @return {Promise<Corpora>}
    */
   async whenCorporaAnalyzed(params: SpeechToTextV1.WhenCorporaAnalyzedParams): Promise<any> {
-    const self = this;
-
-    try {
-      const res = await self.listCorpora(params)
-      const result = res.result;
-      if (!result.corpora.length) {
-        const sttError: SpeechToTextV1.SpeechToTextError = new Error(
-          'Customization has no corpa and therefore corpus cannot be analyzed'
-        );
-        sttError.code = SpeechToTextV1.ERR_NO_CORPORA;
-        return Promise.reject<any>(sttError);
-      }
-    } catch(err) {
-      return Promise.reject<any>(err);
+    const res = await this.listCorpora(params);
+    if (!res.result.corpora.length) {
+      const sttError: SpeechToTextV1.SpeechToTextError = new Error(
+        'Customization has no corpa and therefore corpus cannot be analyzed'
+      );
+      sttError.code = SpeechToTextV1.ERR_NO_CORPORA;
+      throw sttError;
     }
 
-    const options: SpeechToTextV1.WhenCorporaAnalyzedOptions = extend(
-      {
-        interval: 5000,
-        times: 30
-      },
-      params,
-      {
-        errorFilter: (err: SpeechToTextV1.SpeechToTextError): boolean => {
-        // if it's a timeout error, then listCorpora is called again after params.interval
-        // otherwise the error is passed back to the user
-        // if the params.times limit is reached, the error will be passed to the user regardless
-          return err.code === SpeechToTextV1.ERR_TIMEOUT;
-        }
-      }
+    return waitForResource<GeneratedSpeechToTextV1.Corpora>(
+      () => this.listCorpora(params).then(result => result.result),
+      predicates.corpora,
+      checkOptions(params)
     );
+  }
 
-    return async.retry(
-      options,
-      async (done) => {
-        try {
-          const res = await self.listCorpora(params);
-          const corpora = res.result;
-          
-          if (corpora !== undefined && isProcessing(corpora)) {
-            // if the loop times out, async returns the last error, which will be this one.
-            const sttError: SpeechToTextV1.SpeechToTextError = new Error(
-              'Corpora is still being processed, try increasing interval or times params'
-            );
-            sttError.code = SpeechToTextV1.ERR_TIMEOUT;
-            done(sttError);
-          } else if (corpora !== undefined && isAnalyzed(corpora)) {
-            done(null, corpora);
-          } else {
-            done(new Error('Unexpected corpus analysis status'));
-          }
-        } catch(err) {
-          done(err);
-        }
-      }
+  /**
+   * Waits until a custom acoustic model is ready to be trained, or trained. The status is checked with increasing
+   * intervals, see `waitForResource()` in `lib/resource-waiter` for waiting on other resources.
+   *
+   * @param {Object} params - the parameters of getAcousticModel(), plus:
+   * @param {number} [params.interval] - (milliseconds) - The wait after the first check (default=5000)
+   * @param {number} [params.timeout] - (milliseconds) - Give up after this long (default=30 minutes)
+   * @param {AbortSignal} [params.signal] - Stop waiting when this signal is aborted
+   * @param {Function} [params.onProgress] - Called with the model after each check
+   * @return {Promise<AcousticModel>}
+   */
+  whenAcousticModelReady(
+    params: SpeechToTextV1.WhenAcousticModelReadyParams
+  ): Promise<GeneratedSpeechToTextV1.AcousticModel> {
+    return waitForResource<GeneratedSpeechToTextV1.AcousticModel>(
+      () => this.getAcousticModel(params).then(res => res.result),
+      predicates.customModelReady,
+      params
+    );
+  }
+
+  /**
+   * Waits until all grammars of a custom language model have been analyzed.
+   *
+   * @param {Object} params - the parameters of listGrammars(), plus the options of whenAcousticModelReady()
+   * @return {Promise<Grammars>}
+   */
+  whenGrammarsAnalyzed(params: SpeechToTextV1.WhenGrammarsAnalyzedParams): Promise<GeneratedSpeechToTextV1.Grammars> {
+    return waitForResource<GeneratedSpeechToTextV1.Grammars>(
+      () => this.listGrammars(params).then(res => res.result),
+      predicates.grammars,
+      params
+    );
+  }
+
+  /**
+   * Waits until all audio resources of a custom acoustic model have been analyzed.
+   *
+   * @param {Object} params - the parameters of listAudio(), plus the options of whenAcousticModelReady()
+   * @return {Promise<AudioResources>}
+   */
+  whenAudioAnalyzed(params: SpeechToTextV1.WhenAudioAnalyzedParams): Promise<GeneratedSpeechToTextV1.AudioResources> {
+    return waitForResource<GeneratedSpeechToTextV1.AudioResources>(
+      () => this.listAudio(params).then(res => res.result),
+      predicates.audioResources,
+      params
     );
   }
 
@@ -120,7 +121,11 @@ class SpeechToTextV1 extends GeneratedSpeechToTextV1 {
         // let httpsAgent take precedence, default to null
         agent: this.baseOptions.httpsAgent || this.baseOptions.httpAgent || null,
         // allow user to disable ssl verification when using websockets
-        disableSslVerification: this.baseOptions.disableSslVerification
+        disableSslVerification: this.baseOptions.disableSslVerification,
+        // the interceptors of the client see the handshake
+        interceptors: this.interceptors,
+        tracer: this.tracer,
+        recorder: this.recorder
       }
     );
 
@@ -136,6 +141,161 @@ class SpeechToTextV1 extends GeneratedSpeechToTextV1 {
     return new RecognizeStream(streamParams);
   }
 
+  /**
+   * Joins the word timestamps and speaker labels of recognition results into speaker turns.
+   *
+   * Pass the results of `recognize()` or of an asynchronous job. The results must have been requested with
+   * `speakerLabels: true`. Arrays are placed in one transcript like in `createCaptions()`.
+   *
+   * @param {SpeechRecognitionResults|SpeechRecognitionResults[]} results - the results to join
+   * @return {SpeakerTurn[]} - the turns, each shaped as `{ speaker, from, to, text, confidence }`
+   */
+  getSpeakerTurns(
+    results: GeneratedSpeechToTextV1.SpeechRecognitionResults | GeneratedSpeechToTextV1.SpeechRecognitionResults[]
+  ): SpeechToTextV1.SpeakerTurn[] {
+    const assembler = new SpeakerTurnAssembler();
+    captions.sequenceResults(results).forEach(message => assembler.addResults(message));
+    return assembler.getTurns();
+  }
+
+  /**
+   * Follows a stream created by `recognizeUsingWebSocket()` and keeps its speaker turns up to date as results and
+   * (possibly revised) speaker labels arrive. Listen for the `turns` event or call `getTurns()` on the returned object.
+   *
+   * @param {RecognizeStream} stream - a stream created with `speakerLabels: true`
+   * @return {SpeakerTurnAssembler}
+   */
+  assembleSpeakerTurns(stream: RecognizeStream): SpeakerTurnAssembler {
+    return new SpeakerTurnAssembler(stream);
+  }
+
+  /**
+   * Converts recognition results into a WebVTT or SRT caption file. The results must have been requested with
+   * `timestamps: true`. If they include `speaker_labels`, the cues are prefixed with the speaker.
+   *
+   * @param {SpeechRecognitionResults|SpeechRecognitionResults[]} results - the results of `recognize()`, an
+   * asynchronous job, or the messages of `recognizeUsingWebSocket()` in object mode
+   * @param {CaptionOptions} [options]
+   * @param {string} [options.format] - The caption file format, either `vtt` (WebVTT) or `srt` (SubRip) (default='vtt')
+   * @param {number} [options.maxCharsPerCue] - The maximum number of characters in a cue (default=84)
+   * @param {number} [options.maxLineLength] - The maximum number of characters per line (default=42)
+   * @param {number} [options.maxCueDuration] - The maximum duration of a cue in seconds (default=7)
+   * @param {boolean} [options.speakerPrefix] - Prefix cues with the speaker (default=true if speaker labels are present)
+   * @param {Function} [options.formatSpeaker] - Formats the name of a speaker for the prefix
+   * @return {string}
+   */
+  createCaptions(
+    results: GeneratedSpeechToTextV1.SpeechRecognitionResults | GeneratedSpeechToTextV1.SpeechRecognitionResults[],
+    options?: SpeechToTextV1.CaptionOptions
+  ): string {
+    return captions.createCaptions(results, options);
+  }
+
+  /**
+   * Creates a Transform stream that turns the output of `recognizeUsingWebSocket()` in object mode into a WebVTT or
+   * SRT caption file, for example: `recognizeStream.pipe(speechToText.createCaptionStream()).pipe(fs.createWriteStream('out.vtt'))`
+   *
+   * @param {CaptionStream.Options} [options] - see createCaptions(). `speakerPrefix` defaults to false, because the
+   * stream has to hold back words until their speaker labels arrive
+   * @return {CaptionStream}
+   */
+  createCaptionStream(options?: CaptionStream.Options): CaptionStream {
+    return new CaptionStream(options);
+  }
+
+  /**
+   * Creates a Transform stream that converts wav files of any bit depth, or headerless PCM, mu-law and a-law audio,
+   * into mono `audio/l16` at the sample rate of the model. Pipe its output into `recognizeUsingWebSocket()`, which
+   * picks up the content type automatically:
+   * `fs.createReadStream('call.raw').pipe(speechToText.createAudioConverter({ inputFormat: 'audio/mulaw;rate=8000' })).pipe(recognizeStream)`
+   *
+   * @param {AudioConverterStream.Options} [options]
+   * @param {number} [options.sampleRate] - The sample rate of the output (default=8000 for narrowband and telephony models, otherwise 16000)
+   * @param {string} [options.model] - The speech recognition model the audio is meant for, used to pick the sample rate
+   * @param {InputFormat|string} [options.inputFormat] - The format of headerless input audio, as an object or as a MIME type. If omitted, the input must be a wav file
+   * @return {AudioConverterStream}
+   */
+  createAudioConverter(options?: AudioConverterStream.Options): AudioConverterStream {
+    return new AudioConverterStream(options);
+  }
+
+  /**
+   * Creates an energy-based voice activity detector. Attach it to the stream returned by `recognizeUsingWebSocket()`
+   * to get `speechStart` and `speechEnd` events, and to stop recognition once the speaker falls silent:
+   * `speechToText.createVoiceActivityDetector({ stopAfterSilence: 1500 }).attach(recognizeStream)`
+   *
+   * The same can be done with the `voiceActivityDetection` parameter of `recognizeUsingWebSocket()`.
+   *
+   * @param {VoiceActivityDetector.Options} [options]
+   * @param {number} [options.threshold] - (dBFS) - Frames louder than this count as speech (default=-45)
+   * @param {number} [options.speechEndSilence] - (milliseconds) - How long silence must last before `speechEnd` is emitted (default=500)
+   * @param {number} [options.stopAfterSilence] - (milliseconds) - Finish the attached stream once this much silence follows speech
+   * @return {VoiceActivityDetector}
+   */
+  createVoiceActivityDetector(options?: VoiceActivityDetector.Options): VoiceActivityDetector {
+    return new VoiceActivityDetector(options);
+  }
+
+  /**
+   * Creates a manager that transcribes many recordings with asynchronous jobs, keeping at most `concurrency` jobs in
+   * progress. It polls the status of the jobs (or takes callback notifications via `handleCallback()`), collects the
+   * results, deletes finished jobs and resubmits failed ones:
+   * `const manager = speechToText.createJobManager({ jobParams: { model: 'en-US_NarrowbandModel' } });`
+   * `files.forEach(file => manager.add({ id: file, audio: file }));`
+   * `const outcomes = await manager.whenDone();`
+   *
+   * @param {TranscriptionJobManager.Options} [options]
+   * @param {Object} [options.jobParams] - Parameters of createJob() for every job
+   * @param {number} [options.concurrency] - The maximum number of jobs in progress at a time (default=5)
+   * @param {number} [options.pollInterval] - (milliseconds) - How often to check the status of the jobs, or 0 to rely on callbacks (default=10000)
+   * @param {number} [options.maxRetries] - How many times to resubmit an item whose job failed (default=2)
+   * @return {TranscriptionJobManager}
+   */
+  createJobManager(options?: TranscriptionJobManager.Options): TranscriptionJobManager {
+    return new TranscriptionJobManager(this, options);
+  }
+
+  /**
+   * Creates a receiver for the notifications that the service sends to a callback URL registered with
+   * registerCallback(). It answers the verification request, checks the `X-Callback-Signature` of each request
+   * against the `userSecret`, and emits each notification as an event like `recognitions.completed`:
+   * `http.createServer(speechToText.createCallbackReceiver({ userSecret }).handler()).listen(8080)`
+   * or, with Express, `app.use('/results', receiver.middleware())`.
+   *
+   * @param {CallbackReceiver.Options} [options]
+   * @param {string} [options.userSecret] - The `userSecret` that the callback URL was registered with
+   * @param {string} [options.path] - Only handle requests for this path
+   * @param {TranscriptionJobManager} [options.jobManager] - Pass the notifications on to this job manager
+   * @return {CallbackReceiver}
+   */
+  createCallbackReceiver(options?: CallbackReceiver.Options): CallbackReceiver {
+    return new CallbackReceiver(options);
+  }
+
+  /**
+   * Brings a custom language model in line with a manifest of corpora, grammars and custom words, creating the model
+   * if there is none with the name of the manifest. Only the differences are uploaded: corpora and grammars are
+   * compared by name and by a hash of their content, which is part of their name in the service. After each upload
+   * the analysis is awaited, then the model is trained if anything changed, including deletions, and its training is
+   * awaited. A model whose data was all deleted is left untrained. Running it again with the same manifest changes
+   * nothing, so it can run in a release pipeline.
+   *
+   * @param {Object} params
+   * @param {string|LanguageModelManifest} params.manifest - The manifest, or the path of a JSON manifest file
+   * @param {string} [params.customizationId] - Deploy to this model instead of the one named in the manifest
+   * @param {boolean} [params.dryRun] - Only report the changes that would be made (default=false)
+   * @param {boolean} [params.deleteMissing] - Delete corpora, grammars and custom words that aren't in the manifest (default=true)
+   * @param {number} [params.customizationWeight] - Passed on to trainLanguageModel()
+   * @param {WaitOptions} [params.wait] - How to wait for analysis and training, see `waitForResource()`
+   * @param {OutgoingHttpHeaders} [params.headers] - Custom request headers
+   * @return {Promise<DeploymentResult>}
+   */
+  async deployLanguageModel(params: SpeechToTextV1.DeployLanguageModelParams): Promise<SpeechToTextV1.DeploymentResult> {
+    const { manifest } = params;
+    const loaded = typeof manifest === 'string' ? await deployment.loadManifest(manifest) : manifest;
+    return deployment.deployLanguageModel(this, loaded, params);
+  }
+
   recognize(params: GeneratedSpeechToTextV1.RecognizeParams): Promise<GeneratedSpeechToTextV1.Response<GeneratedSpeechToTextV1.SpeechRecognitionResults>> {
     if (params && params.audio && isStream(params.audio) && !params.contentType) {
       return Promise.reject(new Error('If providing `audio` as a Stream, `contentType` is required.'));
@@ -145,74 +305,21 @@ class SpeechToTextV1 extends GeneratedSpeechToTextV1 {
   }
 
   /**
-   * Waits while a customization status is 'pending' or 'training', fires callback once the status is 'ready' or 'available'.
+   * Waits while a customization status is 'pending' or 'training', resolves once the status is 'ready' or 'available'.
+   * The status is checked with increasing intervals, like in `whenAcousticModelReady()`.
    *
    * Note: the customization will remain in 'pending' status until at least one word corpus is added.
    *
    * See http://www.ibm.com/watson/developercloud/speech-to-text/api/v1/#list_models for status details.
    *
-   * @param {Object} params The parameters
-   * @param {String} params.customization_id - The GUID of the custom language model
-   * @param {Number} [params.interval=5000] - (milliseconds) - how log to wait between status checks
-   * @param {Number} [params.times=30] - maximum number of attempts
-   * @param {Function} callback
+   * @param {Object} params - the parameters of getLanguageModel(), plus the options of whenCorporaAnalyzed()
+   * @return {Promise<LanguageModel>}
    */
-  async whenCustomizationReady(params: SpeechToTextV1.WhenCustomizationReadyParams): Promise<any> {
-    const self = this;
-
-    // check the customization status repeatedly until it's ready or available
-    const options: SpeechToTextV1.WhenCustomizationReadyOptions = extend(
-      {
-        interval: 5000,
-        times: 30
-      },
-      params,
-      {
-        errorFilter: (err: SpeechToTextV1.SpeechToTextError) => {
-          // if it's a timeout error, then getLanguageModel is called again after params.interval
-          // otherwise the error is passed back to the user
-          // if the params.times limit is reached, the error will be passed to the user regardless
-          return err.code === SpeechToTextV1.ERR_TIMEOUT;
-        }
-      }
-    );
-    return async.retry(
-      options,
-      async (done) => {
-        try {
-          const res = await self.getLanguageModel(params);
-          const customization = res.result;
-            if (
-              customization.status === 'pending' ||
-              customization.status === 'training'
-            ){
-              // if the loop times out, async returns the last error, which will be this one.
-              const sttError: SpeechToTextV1.SpeechToTextError = new Error(
-                'Customization is still pending, try increasing interval or times params',
-              );
-              sttError.code = SpeechToTextV1.ERR_TIMEOUT;
-              done(sttError);
-            }
-  
-            else if (customization.status === 'ready' ||
-            customization.status === 'available'){
-              done(null, customization);
-            }
-  
-            else if (customization.status === 'failed'){
-              done(new Error('Customization training failed'));
-            }
-            else{
-              done(
-                new Error(
-                  'Unexpected customization status: ' + customization.status
-                )
-              );
-            }
-        } catch(err) {
-          done(err);
-        }
-      }
+  whenCustomizationReady(params: SpeechToTextV1.WhenCustomizationReadyParams): Promise<any> {
+    return waitForResource<GeneratedSpeechToTextV1.LanguageModel>(
+      () => this.getLanguageModel(params).then(res => res.result),
+      predicates.customModelReady,
+      checkOptions(params)
     );
   }
 }
@@ -223,22 +330,31 @@ namespace SpeechToTextV1 {
     code?: string;
   }
 
-  export interface CheckParams {
-    /** How long to wait in milliseconds between status checks, defaults to 5000 milliseconds */
-    interval: number;
-    /** maximum number of attempts to check, defaults to 30 */
-    times: number;
+  export interface CheckParams<T = any> extends WaitOptions<T> {
+    /** give up after about this many checks at `interval` when `timeout` is not set, defaults to 30 */
+    times?: number;
   }
 
-  export type WhenCorporaAnalyzedParams = GeneratedSpeechToTextV1.ListCorporaParams & CheckParams;
-  export interface WhenCorporaAnalyzedOptions extends WhenCorporaAnalyzedParams {
-    errorFilter: (err: SpeechToTextError) => boolean;
-  }
+  export type WhenCorporaAnalyzedParams = GeneratedSpeechToTextV1.ListCorporaParams &
+    CheckParams<GeneratedSpeechToTextV1.Corpora>;
+  export type WhenCustomizationReadyParams = GeneratedSpeechToTextV1.GetLanguageModelParams &
+    CheckParams<GeneratedSpeechToTextV1.LanguageModel>;
+
+  export type WhenAcousticModelReadyParams = GeneratedSpeechToTextV1.GetAcousticModelParams &
+    WaitOptions<GeneratedSpeechToTextV1.AcousticModel>;
+  export type WhenGrammarsAnalyzedParams = GeneratedSpeechToTextV1.ListGrammarsParams &
+    WaitOptions<GeneratedSpeechToTextV1.Grammars>;
+  export type WhenAudioAnalyzedParams = GeneratedSpeechToTextV1.ListAudioParams &
+    WaitOptions<GeneratedSpeechToTextV1.AudioResources>;
 
-  export type WhenCustomizationReadyParams = GeneratedSpeechToTextV1.GetLanguageModelParams & CheckParams;
-  export interface WhenCustomizationReadyOptions extends WhenCorporaAnalyzedParams {
-    errorFilter: (err: SpeechToTextError) => boolean;
+  export type LanguageModelManifest = deployment.LanguageModelManifest;
+  export interface DeployLanguageModelParams extends deployment.DeploymentOptions {
+    manifest: string | LanguageModelManifest;
   }
+  export type DeploymentResult = deployment.DeploymentResult;
+
+  export type SpeakerTurn = SpeakerTurnAssembler.SpeakerTurn;
+  export type CaptionOptions = captions.CaptionOptions;
 
   export interface RecognizeWebSocketParams {
     headers?: OutgoingHttpHeaders;
@@ -279,6 +395,22 @@ namespace SpeechToTextV1 {
     splitTranscriptAtPhraseEnd?: boolean;
     speechDetectorSensitivity?: number;
     backgroundAudioSuppression?: number;
+
+    /* Resilience */
+    reconnect?: boolean;
+    maxReconnectAttempts?: number;
+    reconnectInterval?: number;
+    replayBufferSize?: number;
+
+    /* Pacing */
+    pacing?: boolean;
+    pacingRate?: number;
+
+    /* Sessions */
+    multiUtterance?: boolean;
+
+    /* Voice activity detection */
+    voiceActivityDetection?: boolean | VoiceActivityDetector.Options;
   }
 }
 
@@ -0,0 +1,147 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AudioContainerStream = require('../../dist/lib/audio-container-stream');
+const { parseWavHeader } = require('../../dist/lib/audio-utils');
+
+function wav(data) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(0, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(22050, 24);
+  header.writeUInt32LE(44100, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(0, 40);
+  return Buffer.concat([header, data]);
+}
+
+function run(options, chunks) {
+  return new Promise((resolve, reject) => {
+    const stream = new AudioContainerStream(options);
+    const output = [];
+    const events = [];
+    stream.on('format', format => events.push(['format', format]));
+    stream.on('data', chunk => {
+      events.push(['data']);
+      output.push(chunk);
+    });
+    stream.on('end', () => resolve({ stream, output: Buffer.concat(output), events }));
+    stream.on('error', reject);
+    chunks.forEach(chunk => stream.write(chunk));
+    stream.end();
+  });
+}
+
+describe('AudioContainerStream', () => {
+  it('should stream wav with unknown sizes', async () => {
+    const file = wav(Buffer.from([1, 2, 3, 4]));
+    // split inside the header
+    const { stream, output, events } = await run({ contentType: 'audio/wav' }, [
+      file.slice(0, 30),
+      file.slice(30),
+    ]);
+    expect(output.length).toBe(48);
+    expect(output.readUInt32LE(4)).toBe(0xffffffff);
+    expect(output.readUInt32LE(40)).toBe(0xffffffff);
+    expect(Array.from(output.slice(44))).toEqual([1, 2, 3, 4]);
+
+    const header = stream.getHeader();
+    expect(header.readUInt32LE(4)).toBe(40);
+    expect(header.readUInt32LE(40)).toBe(4);
+    expect(events[0]).toEqual([
+      'format',
+      {
+        container: 'wav',
+        encoding: 'pcm',
+        sampleRate: 22050,
+        channels: 1,
+        bitDepth: 16,
+        endianness: 'little',
+      },
+    ]);
+  });
+
+  it('should wrap l16 in a wav container', async () => {
+    const { output, events } = await run(
+      { contentType: 'audio/l16;rate=16000;endianness=big-endian' },
+      [Buffer.from([0x01, 0x02, 0x03]), Buffer.from([0x04])]
+    );
+    const format = parseWavHeader(output);
+    expect(format).toMatchObject({
+      audioFormat: 1,
+      channels: 1,
+      sampleRate: 16000,
+      bitsPerSample: 16,
+    });
+    // the samples are converted to little-endian
+    expect(Array.from(output.slice(format.dataOffset))).toEqual([0x02, 0x01, 0x04, 0x03]);
+    // the format is known before any audio is emitted
+    expect(events[0][0]).toBe('format');
+  });
+
+  it('should wrap mulaw in an AU container', async () => {
+    const { stream, output } = await run(
+      { contentType: 'audio/mulaw;rate=8000', container: 'au' },
+      [Buffer.from([0xff, 0x7f])]
+    );
+    expect(stream.contentType).toBe('audio/basic');
+    expect(output.toString('ascii', 0, 4)).toBe('.snd');
+    expect(output.readUInt32BE(4)).toBe(24);
+    expect(output.readUInt32BE(8)).toBe(0xffffffff);
+    expect(output.readUInt32BE(12)).toBe(1);
+    expect(output.readUInt32BE(16)).toBe(8000);
+    expect(Array.from(output.slice(24))).toEqual([0xff, 0x7f]);
+  });
+
+  it('should convert little-endian l16 to big-endian for AU', async () => {
+    const { output } = await run({ contentType: 'audio/l16;rate=22050', container: 'au' }, [
+      Buffer.from([0x01, 0x02]),
+    ]);
+    expect(output.readUInt32BE(12)).toBe(3);
+    expect(Array.from(output.slice(24))).toEqual([0x02, 0x01]);
+  });
+
+  it('should reject formats it cannot wrap', () => {
+    expect(() => new AudioContainerStream({ contentType: 'audio/ogg' })).toThrow(/Unsupported/);
+  });
+
+  it('should rewrite the header of a file', async () => {
+    const file = path.join(os.tmpdir(), `audio-container-${process.pid}.wav`);
+    const stream = new AudioContainerStream({ contentType: 'audio/l16;rate=8000' });
+    const finalized = new Promise(resolve => stream.on('finalized', resolve));
+    stream.pipe(fs.createWriteStream(file));
+    stream.end(Buffer.alloc(100));
+    expect(await finalized).toBe(file);
+
+    const output = fs.readFileSync(file);
+    fs.unlinkSync(file);
+    expect(output.length).toBe(144);
+    expect(parseWavHeader(output).dataLength).toBe(100);
+    expect(output.readUInt32LE(4)).toBe(136);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { NoAuthAuthenticator } = require('ibm-cloud-sdk-core');
+const AudioConverterStream = require('../../dist/lib/audio-converter-stream');
+const RecognizeStream = require('../../dist/lib/recognize-stream');
+
+function wav({ audioFormat = 1, channels, sampleRate, bitsPerSample }, data) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(audioFormat, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE((sampleRate * channels * bitsPerSample) / 8, 28);
+  header.writeUInt16LE((channels * bitsPerSample) / 8, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+function convert(options, chunks) {
+  return new Promise((resolve, reject) => {
+    const converter = new AudioConverterStream(options);
+    const output = [];
+    converter.on('data', chunk => output.push(chunk));
+    converter.on('end', () => resolve(Buffer.concat(output)));
+    converter.on('error', reject);
+    chunks.forEach(chunk => converter.write(chunk));
+    converter.end();
+  });
+}
+
+function samples(buffer) {
+  const result = [];
+  for (let i = 0; i < buffer.length; i += 2) {
+    result.push(buffer.readInt16LE(i));
+  }
+  return result;
+}
+
+describe('AudioConverterStream', () => {
+  it('should label the output with the target sample rate', () => {
+    expect(new AudioConverterStream().contentType).toBe(
+      'audio/l16;rate=16000;channels=1;endianness=little-endian'
+    );
+    expect(new AudioConverterStream({ model: 'en-US_NarrowbandModel' }).contentType).toMatch(
+      /rate=8000/
+    );
+  });
+
+  it('should downmix and resample a 16-bit stereo wav file', async () => {
+    // one second of 48kHz stereo, left channel at half scale, right channel silent
+    const data = Buffer.alloc(48000 * 4);
+    for (let i = 0; i < 48000; i++) {
+      data.writeInt16LE(16384, i * 4);
+    }
+    const file = wav({ channels: 2, sampleRate: 48000, bitsPerSample: 16 }, data);
+    // split the file at awkward places, including inside the header and inside a frame
+    const output = await convert({}, [file.slice(0, 20), file.slice(20, 1001), file.slice(1001)]);
+    const result = samples(output);
+    expect(Math.abs(result.length - 16000)).toBeLessThanOrEqual(1);
+    result.slice(10).forEach(sample => expect(Math.abs(sample - 8192)).toBeLessThanOrEqual(1));
+  });
+
+  it('should convert 24-bit and float wav files', async () => {
+    const pcm24 = Buffer.alloc(16000 * 3);
+    const float = Buffer.alloc(16000 * 4);
+    for (let i = 0; i < 16000; i++) {
+      pcm24.writeIntLE(-4194304, i * 3, 3);
+      float.writeFloatLE(-0.5, i * 4);
+    }
+    const fromPcm24 = await convert({}, [
+      wav({ channels: 1, sampleRate: 16000, bitsPerSample: 24 }, pcm24),
+    ]);
+    const fromFloat = await convert({}, [
+      wav({ audioFormat: 3, channels: 1, sampleRate: 16000, bitsPerSample: 32 }, float),
+    ]);
+    expect(samples(fromPcm24).every(sample => sample === -16384)).toBe(true);
+    expect(samples(fromFloat).every(sample => sample === -16384)).toBe(true);
+  });
+
+  it('should convert headerless mu-law audio', async () => {
+    // 0xff is mu-law silence, 0x80 is the largest positive value
+    const output = await convert({ inputFormat: 'audio/mulaw;rate=8000', sampleRate: 8000 }, [
+      Buffer.from([0xff, 0x80]),
+    ]);
+    expect(samples(output)).toEqual([0, 32124]);
+  });
+
+  it('should convert headerless a-law audio', async () => {
+    const output = await convert(
+      { inputFormat: { encoding: 'alaw', sampleRate: 8000 }, sampleRate: 8000 },
+      [Buffer.from([0xd5, 0xaa])]
+    );
+    expect(samples(output)).toEqual([8, 32256]);
+  });
+
+  it('should treat l16 without endianness as big-endian', async () => {
+    const output = await convert({ inputFormat: 'audio/l16;rate=16000' }, [
+      Buffer.from([0x01, 0x02]),
+    ]);
+    expect(samples(output)).toEqual([0x0102]);
+  });
+
+  it('should convert a real wav file', async () => {
+    const file = fs.readFileSync(path.join(__dirname, '../resources/weather.wav'));
+    const output = await convert({ sampleRate: 8000 }, [file]);
+    expect(output.length).toBeGreaterThan(0);
+  });
+
+  it('should reject input that is not a wav file without an inputFormat', async () => {
+    await expect(convert({}, [Buffer.from('OggS')])).rejects.toMatchObject({
+      name: AudioConverterStream.ERROR_UNSUPPORTED_FORMAT,
+    });
+  });
+
+  it('should reject unsupported input formats', () => {
+    expect(() => new AudioConverterStream({ inputFormat: 'audio/ogg' })).toThrow(
+      /Unsupported input content type/
+    );
+    expect(
+      () =>
+        new AudioConverterStream({
+          inputFormat: { encoding: 'pcm', bitDepth: 12, sampleRate: 8000 },
+        })
+    ).toThrow(/Unsupported input format/);
+  });
+
+  it('should set the content type of a RecognizeStream it is piped into', () => {
+    const converter = new AudioConverterStream({ model: 'en-US_NarrowbandModel' });
+    const recognizeStream = new RecognizeStream({ authenticator: new NoAuthAuthenticator() });
+    converter.pipe(recognizeStream);
+    expect(recognizeStream.options.contentType).toBe(converter.contentType);
+  });
+});
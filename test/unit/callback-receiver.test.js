@@ -0,0 +1,283 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { NoAuthAuthenticator } = require('ibm-cloud-sdk-core');
+const SpeechToTextV1 = require('../../dist/speech-to-text/v1');
+const CallbackReceiver = require('../../dist/lib/callback-receiver');
+
+const userSecret = 'ThisIsMySecret';
+const sign = payload => crypto.createHmac('sha1', userSecret).update(payload).digest('base64');
+
+function request(server, { method = 'GET', path = '/', headers = {}, body }) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { host: '127.0.0.1', port: server.address().port, method, path, headers },
+      res => {
+        let data = '';
+        res.on('data', chunk => (data += chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: data }));
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+const notification = {
+  id: 'job-1',
+  event: 'recognitions.completed_with_results',
+  user_token: 'token',
+  results: [{ result_index: 0 }],
+};
+
+describe('CallbackReceiver', () => {
+  let receiver;
+  let server;
+
+  beforeEach(done => {
+    receiver = new CallbackReceiver({ userSecret, path: '/results' });
+    server = receiver.createServer();
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  afterEach(done => server.close(done));
+
+  it('should answer the verification request', async () => {
+    const verification = jest.fn();
+    receiver.on('verification', verification);
+    const res = await request(server, {
+      path: '/results?challenge_string=abc123',
+      headers: { 'X-Callback-Signature': sign('abc123') },
+    });
+    expect(res).toEqual({ status: 200, body: 'abc123' });
+    expect(verification).toHaveBeenCalledWith('abc123');
+  });
+
+  it('should reject a verification request with a wrong signature', async () => {
+    const rejected = jest.fn();
+    receiver.on('rejected', rejected);
+    const res = await request(server, {
+      path: '/results?challenge_string=abc123',
+      headers: { 'X-Callback-Signature': sign('other') },
+    });
+    expect(res.status).toBe(401);
+    expect(rejected).toHaveBeenCalledWith('Invalid signature', expect.anything());
+  });
+
+  it('should emit signed notifications', async () => {
+    const events = [];
+    receiver.on('notification', n => events.push(['notification', n.id]));
+    receiver.on('recognitions.completed_with_results', n => events.push([n.event, n.results]));
+    const completed = receiver.waitForJob('job-1');
+
+    const body = JSON.stringify(notification);
+    const res = await request(server, {
+      method: 'POST',
+      path: '/results',
+      headers: { 'Content-Type': 'application/json', 'X-Callback-Signature': sign(body) },
+      body,
+    });
+    expect(res.status).toBe(200);
+    expect(events).toEqual([
+      ['notification', 'job-1'],
+      ['recognitions.completed_with_results', [{ result_index: 0 }]],
+    ]);
+    expect(await completed).toEqual(notification);
+  });
+
+  it('should reject notifications without a valid signature', async () => {
+    const listener = jest.fn();
+    receiver.on('notification', listener);
+    const body = JSON.stringify(notification);
+    expect((await request(server, { method: 'POST', path: '/results', body })).status).toBe(401);
+    const tampered = await request(server, {
+      method: 'POST',
+      path: '/results',
+      headers: { 'X-Callback-Signature': sign(body) },
+      body: body.replace('job-1', 'job-2'),
+    });
+    expect(tampered.status).toBe(401);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('should reject failed jobs that are waited for', async () => {
+    const failed = expect(receiver.waitForJob('job-2')).rejects.toThrow('Job job-2 failed');
+    const body = JSON.stringify({ id: 'job-2', event: 'recognitions.failed' });
+    await request(server, {
+      method: 'POST',
+      path: '/results',
+      headers: { 'X-Callback-Signature': sign(body) },
+      body,
+    });
+    await failed;
+  });
+
+  it('should answer other requests with errors', async () => {
+    expect((await request(server, { path: '/other?challenge_string=a' })).status).toBe(404);
+    expect((await request(server, { path: '/results' })).status).toBe(400);
+    expect((await request(server, { method: 'PUT', path: '/results' })).status).toBe(405);
+    const body = 'not json';
+    const res = await request(server, {
+      method: 'POST',
+      path: '/results',
+      headers: { 'X-Callback-Signature': sign(body) },
+      body,
+    });
+    expect(res.status).toBe(400);
+  });
+
+  it('should reject bodies that are not notifications', async () => {
+    const listener = jest.fn();
+    receiver.on('notification', listener);
+    for (const body of ['null', '"completed"', '{"id":"job-1"}']) {
+      const res = await request(server, {
+        method: 'POST',
+        path: '/results',
+        headers: { 'X-Callback-Signature': sign(body) },
+        body,
+      });
+      expect(res).toEqual({ status: 400, body: 'Invalid notification' });
+    }
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('should emit the errors of listeners', async () => {
+    const error = new Promise(resolve => receiver.on('error', resolve));
+    receiver.on('notification', () => {
+      throw new Error('listener failed');
+    });
+    const body = JSON.stringify(notification);
+    const res = await request(server, {
+      method: 'POST',
+      path: '/results',
+      headers: { 'X-Callback-Signature': sign(body) },
+      body,
+    });
+    expect(res.status).toBe(200);
+    expect(await error).toEqual(new Error('listener failed'));
+  });
+
+  it('should reject bodies that are too large', async () => {
+    server.close();
+    receiver = new CallbackReceiver({ maxBodySize: 10 });
+    server = receiver.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const res = await request(server, { method: 'POST', body: JSON.stringify(notification) });
+    expect(res.status).toBe(413);
+  });
+});
+
+describe('CallbackReceiver middleware', () => {
+  function createResponse() {
+    return {
+      writeHead: jest.fn(),
+      end: jest.fn(),
+    };
+  }
+
+  it('should pass on requests that are not callbacks', () => {
+    const middleware = new CallbackReceiver({ path: '/results' }).middleware();
+    const next = jest.fn();
+    middleware(
+      { method: 'GET', url: '/', originalUrl: '/health', headers: {} },
+      createResponse(),
+      next
+    );
+    middleware({ method: 'GET', url: '/results', headers: {} }, createResponse(), next);
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  it('should use a raw body from a body parser', done => {
+    const receiver = new CallbackReceiver({ userSecret });
+    const body = Buffer.from(JSON.stringify(notification));
+    receiver.on('recognitions.completed_with_results', n => {
+      expect(n.id).toBe('job-1');
+      done();
+    });
+    receiver.middleware()(
+      { method: 'POST', url: '/', headers: { 'x-callback-signature': sign(body) }, body },
+      createResponse(),
+      done
+    );
+  });
+
+  it('should fail if the body was parsed and needs to be verified', done => {
+    const receiver = new CallbackReceiver({ userSecret });
+    receiver.middleware()(
+      { method: 'POST', url: '/', headers: {}, body: notification },
+      createResponse(),
+      err => {
+        expect(err.message).toMatch(/raw request body is needed/);
+        done();
+      }
+    );
+  });
+
+  it('should accept a parsed body without a secret', done => {
+    const receiver = new CallbackReceiver();
+    receiver.on('notification', n => {
+      expect(n).toEqual(notification);
+      done();
+    });
+    receiver.middleware()(
+      { method: 'POST', url: '/', headers: {}, body: notification },
+      createResponse(),
+      done
+    );
+  });
+
+  it('should pass notifications on to a job manager', done => {
+    const jobManager = { handleCallback: jest.fn() };
+    const receiver = new CallbackReceiver({ jobManager });
+    receiver.on('notification', () =>
+      setImmediate(() => {
+        expect(jobManager.handleCallback).toHaveBeenCalledWith(notification);
+        done();
+      })
+    );
+    receiver.middleware()(
+      { method: 'POST', url: '/', headers: {}, body: notification },
+      createResponse(),
+      done
+    );
+  });
+
+  it('should pass the errors of the job manager on to next', done => {
+    const jobManager = {
+      handleCallback: () => {
+        throw new Error('Unknown job');
+      },
+    };
+    const receiver = new CallbackReceiver({ jobManager });
+    receiver.middleware()(
+      { method: 'POST', url: '/', headers: {}, body: notification },
+      createResponse(),
+      err => {
+        expect(err.message).toBe('Unknown job');
+        done();
+      }
+    );
+  });
+
+  it('should be created by the service', () => {
+    const speechToText = new SpeechToTextV1({ authenticator: new NoAuthAuthenticator() });
+    expect(speechToText.createCallbackReceiver({ userSecret })).toBeInstanceOf(CallbackReceiver);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { createCaptions, breakLines } = require('../../dist/lib/captions');
+const CaptionStream = require('../../dist/lib/caption-stream');
+
+function result(words, final = true) {
+  return {
+    final,
+    alternatives: [
+      {
+        transcript: words.map(w => w[0]).join(' '),
+        timestamps: words,
+      },
+    ],
+  };
+}
+
+const results = {
+  result_index: 0,
+  results: [
+    result([
+      ['hello', 0.5, 1.0],
+      ['%HESITATION', 1.0, 1.2],
+      ['world', 1.2, 1.75],
+    ]),
+    result([['goodbye', 10.0, 10.5]]),
+  ],
+};
+
+describe('captions', () => {
+  describe('createCaptions', () => {
+    it('should create WebVTT captions', () => {
+      expect(createCaptions(results)).toBe(
+        'WEBVTT\n\n' +
+          '1\n00:00:00.500 --> 00:00:01.750\nhello world\n\n' +
+          '2\n00:00:10.000 --> 00:00:10.500\ngoodbye\n\n'
+      );
+    });
+
+    it('should create SRT captions', () => {
+      expect(createCaptions(results, { format: 'srt', maxCueDuration: 20 })).toBe(
+        '1\n00:00:00,500 --> 00:00:10,500\nhello world goodbye\n\n'
+      );
+    });
+
+    it('should respect the maximum characters per cue and line length', () => {
+      const captions = createCaptions(results, {
+        format: 'srt',
+        maxCueDuration: 20,
+        maxCharsPerCue: 13,
+        maxLineLength: 5,
+      });
+      expect(captions).toBe(
+        '1\n00:00:00,500 --> 00:00:01,750\nhello\nworld\n\n' +
+          '2\n00:00:10,000 --> 00:00:10,500\ngoodbye\n\n'
+      );
+    });
+
+    it('should append the results of each element of a job', () => {
+      const job = [
+        { result_index: 0, results: [result([['hello', 0.5, 1.0]])] },
+        { result_index: 0, results: [result([['goodbye', 10.0, 10.5]])] },
+      ];
+      expect(createCaptions(job, { format: 'srt' })).toBe(
+        '1\n00:00:00,500 --> 00:00:01,000\nhello\n\n' +
+          '2\n00:00:10,000 --> 00:00:10,500\ngoodbye\n\n'
+      );
+    });
+
+    it('should replace interim results of WebSocket messages', () => {
+      const messages = [
+        { result_index: 0, results: [result([['hel', 0.5, 1.0]], false)] },
+        { result_index: 0, results: [result([['hello', 0.5, 1.0]])] },
+        { result_index: 1, results: [result([['there', 1.0, 1.5]])] },
+      ];
+      expect(createCaptions(messages, { format: 'srt' })).toBe(
+        '1\n00:00:00,500 --> 00:00:01,500\nhello there\n\n'
+      );
+    });
+
+    it('should prefix cues with speakers', () => {
+      const labelled = Object.assign({}, results, {
+        speaker_labels: [
+          { from: 0.5, to: 1.0, speaker: 0, confidence: 1, final: true },
+          { from: 1.2, to: 1.75, speaker: 1, confidence: 1, final: true },
+          { from: 10.0, to: 10.5, speaker: 1, confidence: 1, final: true },
+        ],
+      });
+      const captions = createCaptions(labelled, { maxCueDuration: 20 });
+      expect(captions).toBe(
+        'WEBVTT\n\n' +
+          '1\n00:00:00.500 --> 00:00:01.000\n<v Speaker 0>hello\n\n' +
+          '2\n00:00:01.200 --> 00:00:10.500\n<v Speaker 1>world goodbye\n\n'
+      );
+      expect(createCaptions(labelled, { format: 'srt', speakerPrefix: false })).not.toMatch(
+        /Speaker/
+      );
+    });
+  });
+
+  describe('breakLines', () => {
+    it('should keep long words whole', () => {
+      expect(breakLines('a extraordinarily b c', 5)).toEqual(['a', 'extraordinarily', 'b c']);
+    });
+  });
+
+  describe('CaptionStream', () => {
+    function collect(stream, messages) {
+      return new Promise(resolve => {
+        let output = '';
+        stream.on('data', chunk => (output += chunk));
+        stream.on('end', () => resolve(output));
+        messages.forEach(message => stream.write(message));
+        stream.end();
+      });
+    }
+
+    it('should only caption final results', async () => {
+      const output = await collect(new CaptionStream({ format: 'srt' }), [
+        { result_index: 0, results: [result([['hel', 0.5, 1.0]], false)] },
+        { result_index: 0, results: [result([['hello', 0.5, 1.0]])] },
+        { result_index: 1, results: [result([['there', 1.0, 1.5]])] },
+      ]);
+      expect(output).toBe('1\n00:00:00,500 --> 00:00:01,500\nhello there\n\n');
+    });
+
+    it('should emit a cue once it is complete', () => {
+      const stream = new CaptionStream({ maxCueDuration: 1 });
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk.toString()));
+      stream.write({ result_index: 0, results: [result([['one', 0, 0.5]])] });
+      expect(chunks).toEqual(['WEBVTT\n\n']);
+      stream.write({ result_index: 1, results: [result([['two', 3, 3.5]])] });
+      expect(chunks).toEqual(['WEBVTT\n\n', '1\n00:00:00.000 --> 00:00:00.500\none\n\n']);
+    });
+
+    it('should wait for speaker labels when speaker prefixes are enabled', async () => {
+      const output = await collect(new CaptionStream({ speakerPrefix: true, format: 'srt' }), [
+        { result_index: 0, results: [result([['hi', 0, 0.5]])] },
+        { result_index: 1, results: [result([['yo', 0.5, 1.0]])] },
+        {
+          speaker_labels: [
+            { from: 0, to: 0.5, speaker: 0, confidence: 1, final: false },
+            { from: 0.5, to: 1.0, speaker: 2, confidence: 1, final: true },
+          ],
+        },
+      ]);
+      expect(output).toBe(
+        '1\n00:00:00,000 --> 00:00:00,500\nSpeaker 0: hi\n\n' +
+          '2\n00:00:00,500 --> 00:00:01,000\nSpeaker 2: yo\n\n'
+      );
+    });
+  });
+});
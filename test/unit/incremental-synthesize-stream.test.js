@@ -0,0 +1,286 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { NoAuthAuthenticator } = require('ibm-cloud-sdk-core');
+const websocket = require('websocket');
+const IncrementalSynthesizeStream = require('../../dist/lib/incremental-synthesize-stream');
+const { splitSentences } = require('../../dist/lib/text-segmenter');
+
+// a stand-in for the w3c websocket that opens right away and lets the tests play the service
+const sockets = [];
+class FakeSocket {
+  constructor() {
+    this.CONNECTING = 0;
+    this.OPEN = 1;
+    this.readyState = 0;
+    this.sent = [];
+    sockets.push(this);
+    setImmediate(() => {
+      this.readyState = this.OPEN;
+      this.onopen();
+    });
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.finish();
+  }
+
+  receive(data) {
+    this.onmessage({ data });
+  }
+
+  finish() {
+    if (this.readyState !== 3) {
+      this.readyState = 3;
+      this.onclose({ code: 1000, reason: '' });
+    }
+  }
+}
+
+jest.spyOn(websocket, 'w3cwebsocket').mockImplementation(() => new FakeSocket());
+
+afterEach(() => {
+  sockets.length = 0;
+});
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+function createStream(options) {
+  return new IncrementalSynthesizeStream(
+    Object.assign(
+      {
+        authenticator: new NoAuthAuthenticator(),
+        accept: 'audio/l16;rate=1000',
+        timings: ['words'],
+      },
+      options
+    )
+  );
+}
+
+function collect(stream) {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  return new Promise((resolve, reject) => {
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+// the socket that has been given a particular text
+const socketFor = text =>
+  sockets.find(socket => socket.sent.some(payload => payload.text === text));
+
+describe('splitSentences', () => {
+  it('should only return complete sentences', () => {
+    expect(splitSentences('Hello there. How are you? I am')).toEqual({
+      sentences: ['Hello there. ', 'How are you? '],
+      rest: 'I am',
+    });
+    // the end of a sentence is only certain once the whitespace after it arrives
+    expect(splitSentences('Hello there.').sentences).toEqual([]);
+  });
+
+  it('should not split after abbreviations and initials', () => {
+    expect(splitSentences('Ask Dr. Smith about J. R. R. Tolkien. Then').sentences).toEqual([
+      'Ask Dr. Smith about J. R. R. Tolkien. ',
+    ]);
+  });
+
+  it('should split at blank lines and closing quotes', () => {
+    expect(splitSentences('A heading\n\n"Really?" she said. ').sentences).toEqual([
+      'A heading\n\n',
+      '"Really?" ',
+      'she said. ',
+    ]);
+  });
+
+  it('should split long sentences at spaces', () => {
+    expect(splitSentences('one two three four', 8)).toEqual({
+      sentences: ['one two ', 'three '],
+      rest: 'four',
+    });
+  });
+});
+
+describe('IncrementalSynthesizeStream', () => {
+  it('should synthesize sentences as they are completed', async () => {
+    const stream = createStream();
+    const output = collect(stream);
+    stream.write('Hello wor');
+    await tick();
+    await tick();
+    // a connection is opened ahead of time, but nothing is synthesized yet
+    expect(sockets.length).toBe(2);
+    expect(sockets[0].sent).toEqual([]);
+
+    stream.write('ld. How are');
+    await tick();
+    expect(sockets[0].sent).toEqual([
+      { text: 'Hello world.', accept: 'audio/l16;rate=1000', timings: ['words'] },
+    ]);
+
+    stream.end(' you?');
+    await tick();
+    expect(socketFor('How are you?')).toBe(sockets[1]);
+
+    // the second sentence finishes first, but its audio waits for the first one
+    sockets[1].receive(Buffer.from([3, 4]));
+    sockets[1].finish();
+    sockets[0].receive(Buffer.from([1, 2]));
+    sockets[0].finish();
+    expect(Array.from(await output)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('should keep characters that are split between writes', async () => {
+    const stream = createStream();
+    const output = collect(stream);
+    const text = Buffer.from('Café. Über.');
+    // the bytes of 'é' end up in two writes
+    stream.write(text.slice(0, 4));
+    stream.end(text.slice(4));
+    await tick();
+    await tick();
+
+    expect(socketFor('Café.')).toBeDefined();
+    expect(socketFor('Über.')).toBeDefined();
+    sockets.forEach(socket => socket.finish());
+    await output;
+  });
+
+  it('should offset word timings by the audio of earlier sentences', async () => {
+    const stream = createStream();
+    const output = collect(stream);
+    const words = [];
+    stream.on('words', (message, json) => words.push(...json.words));
+    stream.end('One. Two.');
+    await tick();
+    await tick();
+
+    const first = socketFor('One.');
+    const second = socketFor('Two.');
+    second.receive(JSON.stringify({ words: [['Two', 0.1, 0.5]] }));
+    second.finish();
+    first.receive(JSON.stringify({ words: [['One', 0.2, 0.6]] }));
+    // one second of 1kHz l16 audio
+    first.receive(Buffer.alloc(2000));
+    first.finish();
+    await output;
+    expect(words).toEqual([
+      ['One', 0.2, 0.6],
+      ['Two', 1.1, 1.5],
+    ]);
+  });
+
+  it('should keep only the first wav header', async () => {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(1000, 24);
+    header.writeUInt32LE(2000, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+
+    const stream = createStream({ accept: 'audio/wav' });
+    const output = collect(stream);
+    stream.end('One. Two.');
+    await tick();
+    await tick();
+    const first = socketFor('One.');
+    const second = socketFor('Two.');
+    first.receive(Buffer.concat([header, Buffer.from([1, 2])]));
+    first.finish();
+    // the header of the second sentence arrives in two pieces
+    second.receive(header.slice(0, 20));
+    second.receive(Buffer.concat([header.slice(20), Buffer.from([3, 4])]));
+    second.finish();
+    const audio = await output;
+    expect(audio.length).toBe(48);
+    expect(Array.from(audio.slice(44))).toEqual([1, 2, 3, 4]);
+    // the length of the joined audio isn't known while streaming
+    expect(audio.readUInt32LE(4)).toBe(0xffffffff);
+    expect(audio.readUInt32LE(40)).toBe(0xffffffff);
+  });
+
+  it('should reject formats that cannot be joined', () => {
+    expect(() => createStream({ accept: 'audio/webm' })).toThrow(
+      expect.objectContaining({ name: IncrementalSynthesizeStream.ERROR_UNSUPPORTED_FORMAT })
+    );
+  });
+
+  it('should not give text to a connection that the service has closed', async () => {
+    const stream = createStream();
+    const output = collect(stream);
+    stream.write('One. ');
+    await tick();
+    await tick();
+    expect(sockets.length).toBe(2);
+
+    // the service closes the idle connection right before the next sentence arrives
+    sockets[1].finish();
+    stream.end('Two. ');
+    await tick();
+    await tick();
+    expect(sockets[1].sent).toEqual([]);
+    expect(socketFor('Two.')).toBe(sockets[2]);
+    sockets[0].finish();
+    sockets[2].finish();
+    await output;
+  });
+
+  it('should use no more connections than the pool size', async () => {
+    const stream = createStream({ poolSize: 1 });
+    const output = collect(stream);
+    stream.end('One. Two. Three.');
+    await tick();
+    await tick();
+    expect(sockets.length).toBe(1);
+    sockets[0].finish();
+    await tick();
+    await tick();
+    expect(sockets.length).toBe(2);
+    sockets[1].finish();
+    await tick();
+    await tick();
+    sockets[2].finish();
+    await output;
+    expect(sockets.map(socket => socket.sent[0].text)).toEqual(['One.', 'Two.', 'Three.']);
+  });
+
+  it('should close unused connections when the input ends', async () => {
+    const stream = createStream();
+    const output = collect(stream);
+    stream.write('One. ');
+    await tick();
+    await tick();
+    expect(sockets.length).toBe(2);
+    stream.end();
+    expect(sockets[1].readyState).toBe(3);
+    sockets[0].finish();
+    await output;
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+const { NoAuthAuthenticator } = require('ibm-cloud-sdk-core');
+const websocket = require('websocket');
+const AssistantV1 = require('../../dist/assistant/v1');
+const SpeechToTextV1 = require('../../dist/speech-to-text/v1');
+const {
+  addGlobalInterceptor,
+  interceptWebSocket,
+  removeGlobalInterceptor,
+} = require('../../dist/lib/interceptors');
+
+// answers the requests of a client without sending them, the way an axios adapter does
+function respondWith(assistant, ...responses) {
+  const adapter = jest.fn(config => {
+    const { status, headers = {}, data = {} } = responses.shift() || { status: 200 };
+    const response = { status, statusText: String(status), headers, data, config, request: {} };
+    if (status >= 400) {
+      return Promise.reject(
+        Object.assign(new Error(`Request failed with status code ${status}`), { config, response })
+      );
+    }
+    return Promise.resolve(response);
+  });
+  assistant.requestWrapperInstance.axiosInstance.defaults.adapter = adapter;
+  return adapter;
+}
+
+function createAssistant(options) {
+  return new AssistantV1(
+    Object.assign(
+      {
+        authenticator: new NoAuthAuthenticator(),
+        version: '2020-04-01',
+        serviceUrl: 'https://assistant.example.com',
+      },
+      options
+    )
+  );
+}
+
+describe('interceptors', () => {
+  describe('http', () => {
+    it('should let request hooks see and change the final request', async () => {
+      const request = jest.fn(context => {
+        context.headers['X-Correlation-Id'] = 'abc';
+      });
+      const assistant = createAssistant({ interceptors: [{ request }] });
+      const adapter = respondWith(assistant);
+
+      await assistant.createWorkspace({ name: 'test' });
+      const context = request.mock.calls[0][0];
+      expect(context).toMatchObject({
+        serviceName: 'conversation',
+        protocol: 'http',
+        method: 'POST',
+        url: 'https://assistant.example.com/v1/workspaces?version=2020-04-01',
+        body: { name: 'test' },
+      });
+      expect(context.headers['X-IBMCloud-SDK-Analytics']).toMatch('operation_id=createWorkspace');
+      expect(context.headers['Content-Type']).toBe('application/json');
+      expect(adapter.mock.calls[0][0].headers['X-Correlation-Id']).toBe('abc');
+    });
+
+    it('should let response hooks see the response and replace its body', async () => {
+      const response = jest.fn(context => {
+        context.body = { redacted: true };
+      });
+      const assistant = createAssistant();
+      assistant.addInterceptor({ response });
+      respondWith(assistant, {
+        status: 200,
+        headers: { 'x-global-transaction-id': 'tx-1' },
+        data: { secret: 'value' },
+      });
+
+      const res = await assistant.listWorkspaces();
+      expect(res.result).toEqual({ redacted: true });
+      const context = response.mock.calls[0][0];
+      expect(context).toMatchObject({
+        status: 200,
+        globalTransactionId: 'tx-1',
+        body: { redacted: true },
+        request: { method: 'GET' },
+      });
+      expect(context.duration).toBeGreaterThanOrEqual(0);
+      expect(context.error).toBeUndefined();
+    });
+
+    it('should let response hooks see errors', async () => {
+      const response = jest.fn();
+      const assistant = createAssistant({ interceptors: [{ response }] });
+      respondWith(assistant, { status: 404, headers: { 'x-global-transaction-id': 'tx-2' } });
+
+      await expect(assistant.getWorkspace({ workspaceId: 'missing' })).rejects.toMatchObject({
+        status: 404,
+      });
+      expect(response.mock.calls[0][0]).toMatchObject({
+        status: 404,
+        globalTransactionId: 'tx-2',
+        error: expect.any(Error),
+      });
+    });
+
+    it('should fail the request if a hook throws', async () => {
+      const assistant = createAssistant({
+        interceptors: [
+          {
+            request: () => Promise.reject(new Error('not allowed')),
+          },
+        ],
+      });
+      const adapter = respondWith(assistant);
+      await expect(assistant.listWorkspaces()).rejects.toThrow('not allowed');
+      expect(adapter).not.toHaveBeenCalled();
+    });
+
+    it('should run global interceptors around those of the client', async () => {
+      const calls = [];
+      const record = name => ({
+        request: () => calls.push(`${name} request`),
+        response: () => calls.push(`${name} response`),
+      });
+      const global = record('global');
+      addGlobalInterceptor(global);
+      try {
+        const client = record('client');
+        const assistant = createAssistant({ interceptors: [client] });
+        respondWith(assistant);
+        await assistant.listWorkspaces();
+        expect(calls).toEqual([
+          'global request',
+          'client request',
+          'client response',
+          'global response',
+        ]);
+
+        calls.length = 0;
+        assistant.removeInterceptor(client);
+        await assistant.listWorkspaces();
+        expect(calls).toEqual(['global request', 'global response']);
+      } finally {
+        removeGlobalInterceptor(global);
+      }
+    });
+
+    it('should see each attempt of a retried request', async () => {
+      const response = jest.fn();
+      const assistant = createAssistant({
+        interceptors: [{ response }],
+        retry: { initialDelay: 1, jitter: false },
+      });
+      respondWith(assistant, { status: 503 }, { status: 200 });
+      await assistant.listWorkspaces();
+      expect(response.mock.calls.map(call => call[0].status)).toEqual([503, 200]);
+    });
+  });
+
+  describe('websocket', () => {
+    function createSocket(responseHeaders) {
+      const client = new EventEmitter();
+      client.response = { headers: responseHeaders };
+      return { _client: client, close() {} };
+    }
+
+    const context = () => ({
+      serviceName: 'speech_to_text',
+      protocol: 'websocket',
+      method: 'GET',
+      url: 'wss://stt.example.com/v1/recognize',
+      headers: {},
+    });
+
+    it('should open the connection right away without interceptors', () => {
+      const open = jest.fn(() => createSocket());
+      interceptWebSocket([], context(), open, jest.fn());
+      expect(open).toHaveBeenCalledWith('wss://stt.example.com/v1/recognize', {});
+    });
+
+    it('should run the hooks around the handshake', async () => {
+      const response = jest.fn();
+      const interceptor = {
+        request: ctx => {
+          ctx.headers['X-Correlation-Id'] = 'abc';
+        },
+        response,
+      };
+      const socket = createSocket({ 'x-global-transaction-id': 'tx-3' });
+      const open = jest.fn(() => socket);
+      interceptWebSocket([interceptor], context(), open, jest.fn());
+      await new Promise(setImmediate);
+
+      expect(open).toHaveBeenCalledWith('wss://stt.example.com/v1/recognize', {
+        'X-Correlation-Id': 'abc',
+      });
+      socket._client.emit('connect');
+      await new Promise(setImmediate);
+      expect(response.mock.calls[0][0]).toMatchObject({ status: 101, globalTransactionId: 'tx-3' });
+    });
+
+    it('should report a failed handshake', async () => {
+      const response = jest.fn();
+      const socket = createSocket();
+      interceptWebSocket([{ response }], context(), () => socket, jest.fn());
+      await new Promise(setImmediate);
+
+      const err = new Error('Server responded with a non-101 status: 401 Unauthorized');
+      socket._client.emit('connectFailed', err);
+      await new Promise(setImmediate);
+      expect(response.mock.calls[0][0]).toMatchObject({ status: 401, error: err });
+    });
+
+    it('should report a failing hook', async () => {
+      const open = jest.fn();
+      const onError = jest.fn();
+      const interceptor = {
+        request: () => {
+          throw new Error('not allowed');
+        },
+      };
+      interceptWebSocket([interceptor], context(), open, onError);
+      await new Promise(setImmediate);
+      expect(open).not.toHaveBeenCalled();
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'not allowed' }));
+    });
+
+    it('should run the interceptors of the client for the streams it creates', async () => {
+      const sockets = [];
+      const spy = jest.spyOn(websocket, 'w3cwebsocket').mockImplementation(() => {
+        const socket = createSocket();
+        sockets.push(socket);
+        return socket;
+      });
+      try {
+        const speechToText = new SpeechToTextV1({ authenticator: new NoAuthAuthenticator() });
+        const request = jest.fn(ctx => {
+          ctx.headers['X-Correlation-Id'] = 'abc';
+        });
+        speechToText.addInterceptor({ request });
+        const stream = speechToText.recognizeUsingWebSocket({
+          contentType: 'audio/l16; rate=16000',
+        });
+        stream.on('error', () => {});
+        stream.write(Buffer.alloc(16));
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        expect(request.mock.calls[0][0]).toMatchObject({
+          serviceName: 'speech_to_text',
+          protocol: 'websocket',
+        });
+        expect(request.mock.calls[0][0].url).toMatch(/^wss:.*\/v1\/recognize\?/);
+        const headers = spy.mock.calls[0][3];
+        expect(headers['X-Correlation-Id']).toBe('abc');
+        expect(headers['X-IBMCloud-SDK-Analytics']).toMatch('operation_id=recognizeUsingWebSocket');
+        expect(sockets).toHaveLength(1);
+        stream.destroy();
+      } finally {
+        spy.mockRestore();
+      }
+    });
+  });
+});
@@ -0,0 +1,502 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NoAuthAuthenticator } = require('ibm-cloud-sdk-core');
+const SpeechToTextV1 = require('../../dist/speech-to-text/v1');
+const {
+  deployLanguageModel,
+  getResourceName,
+  loadManifest,
+} = require('../../dist/lib/language-model-deployment');
+
+const wait = { interval: 1, maxInterval: 1, timeout: 1000 };
+
+// an in-memory speech to text service that analyzes resources and trains models on the next status check
+function createFakeService() {
+  const models = {};
+  let nextId = 1;
+  const respond = result => Promise.resolve({ result });
+  // like the service, a model needs training after a deletion, and has nothing to train once it is empty
+  const removed = model => {
+    const empty = [model.corpora, model.grammars, model.words].every(
+      resources => Object.keys(resources).length === 0
+    );
+    model.status = empty ? 'pending' : 'ready';
+    return respond({});
+  };
+  const settle = resource => {
+    if (resource.status === 'being_processed') {
+      resource.status = 'analyzed';
+    }
+    return resource;
+  };
+  const service = {
+    models,
+    listLanguageModels: jest.fn(() =>
+      respond({
+        customizations: Object.keys(models).map(id => ({
+          customization_id: id,
+          name: models[id].name,
+        })),
+      })
+    ),
+    createLanguageModel: jest.fn(params => {
+      const id = `model-${nextId++}`;
+      models[id] = { name: params.name, status: 'pending', corpora: {}, grammars: {}, words: {} };
+      return respond({ customization_id: id });
+    }),
+    getLanguageModel: jest.fn(({ customizationId }) => {
+      const model = models[customizationId];
+      if (model.status === 'training') {
+        model.status = 'available';
+      }
+      return respond({ customization_id: customizationId, status: model.status });
+    }),
+    listCorpora: jest.fn(({ customizationId }) =>
+      respond({ corpora: Object.values(models[customizationId].corpora) })
+    ),
+    getCorpus: jest.fn(({ customizationId, corpusName }) =>
+      respond(settle(models[customizationId].corpora[corpusName]))
+    ),
+    addCorpus: jest.fn(({ customizationId, corpusName, corpusFile }) => {
+      const model = models[customizationId];
+      model.corpora[corpusName] = {
+        name: corpusName,
+        status: 'being_processed',
+        content: corpusFile.toString(),
+      };
+      model.status = 'ready';
+      return respond({});
+    }),
+    deleteCorpus: jest.fn(({ customizationId, corpusName }) => {
+      delete models[customizationId].corpora[corpusName];
+      return removed(models[customizationId]);
+    }),
+    listGrammars: jest.fn(({ customizationId }) =>
+      respond({ grammars: Object.values(models[customizationId].grammars) })
+    ),
+    getGrammar: jest.fn(({ customizationId, grammarName }) =>
+      respond(settle(models[customizationId].grammars[grammarName]))
+    ),
+    addGrammar: jest.fn(({ customizationId, grammarName, contentType }) => {
+      const model = models[customizationId];
+      model.grammars[grammarName] = { name: grammarName, status: 'being_processed', contentType };
+      model.status = 'ready';
+      return respond({});
+    }),
+    deleteGrammar: jest.fn(({ customizationId, grammarName }) => {
+      delete models[customizationId].grammars[grammarName];
+      return removed(models[customizationId]);
+    }),
+    listWords: jest.fn(({ customizationId }) =>
+      respond({ words: Object.values(models[customizationId].words) })
+    ),
+    addWords: jest.fn(({ customizationId, words }) => {
+      const model = models[customizationId];
+      words.forEach(word => {
+        model.words[word.word] = {
+          word: word.word,
+          sounds_like: word.sounds_like || [word.word],
+          display_as: word.display_as || word.word,
+          source: ['user'],
+        };
+      });
+      model.status = 'ready';
+      return respond({});
+    }),
+    deleteWord: jest.fn(({ customizationId, wordName }) => {
+      delete models[customizationId].words[wordName];
+      return removed(models[customizationId]);
+    }),
+    trainLanguageModel: jest.fn(({ customizationId }) => {
+      models[customizationId].status = 'training';
+      return respond({});
+    }),
+  };
+  return service;
+}
+
+const manifest = {
+  name: 'medical',
+  baseModelName: 'en-US_BroadbandModel',
+  description: 'Medical terms',
+  corpora: [
+    { name: 'cardiology', text: 'The patient has atrial fibrillation.' },
+    { name: 'oncology', text: 'Metastatic carcinoma was ruled out.' },
+  ],
+  grammars: [{ name: 'dosage', text: '#ABNF 1.0;\nroot $dose;\n$dose = one | two;' }],
+  words: [
+    { word: 'NCAA', soundsLike: ['N. C. A. A.', 'N. C. double A.'], displayAs: 'NCAA' },
+    { word: 'tachycardia', soundsLike: ['tacky cardia'] },
+  ],
+};
+
+function withManifest(changes) {
+  return Object.assign({}, manifest, changes);
+}
+
+describe('getResourceName', () => {
+  it('should append a hash of the content', () => {
+    expect(getResourceName('cardiology', 'text')).toMatch(/^cardiology-[0-9a-f]{12}$/);
+    expect(getResourceName('cardiology', 'text')).toBe(
+      getResourceName('cardiology', Buffer.from('text'))
+    );
+    expect(getResourceName('cardiology', 'text')).not.toBe(getResourceName('cardiology', 'text!'));
+  });
+});
+
+describe('deployLanguageModel', () => {
+  it('should create, fill and train a new model', async () => {
+    const service = createFakeService();
+    const result = await deployLanguageModel(service, manifest, { wait });
+
+    expect(service.createLanguageModel).toHaveBeenCalledWith(
+      expect.objectContaining({
+        name: 'medical',
+        baseModelName: 'en-US_BroadbandModel',
+        description: 'Medical terms',
+      })
+    );
+    expect(result).toMatchObject({
+      customizationId: 'model-1',
+      created: true,
+      trained: true,
+      dryRun: false,
+      corpora: { added: ['cardiology', 'oncology'], updated: [], deleted: [], unchanged: [] },
+      grammars: { added: ['dosage'] },
+      words: { added: ['NCAA', 'tachycardia'] },
+    });
+
+    const model = service.models['model-1'];
+    expect(model.status).toBe('available');
+    expect(Object.keys(model.corpora)).toEqual([
+      getResourceName('cardiology', manifest.corpora[0].text),
+      getResourceName('oncology', manifest.corpora[1].text),
+    ]);
+    expect(Object.values(model.grammars)[0].contentType).toBe('application/srgs');
+    expect(service.addWords).toHaveBeenCalledWith(
+      expect.objectContaining({
+        words: [
+          { word: 'NCAA', sounds_like: ['N. C. A. A.', 'N. C. double A.'], display_as: 'NCAA' },
+          { word: 'tachycardia', sounds_like: ['tacky cardia'] },
+        ],
+      })
+    );
+  });
+
+  it('should wait for each upload to be analyzed before the next one', async () => {
+    const service = createFakeService();
+    const calls = [];
+    ['addCorpus', 'getCorpus', 'addGrammar', 'getGrammar', 'trainLanguageModel'].forEach(name => {
+      const original = service[name].getMockImplementation();
+      service[name].mockImplementation(params => {
+        calls.push(name);
+        return original(params);
+      });
+    });
+    await deployLanguageModel(service, manifest, { wait });
+
+    expect(calls).toEqual([
+      'addCorpus',
+      'getCorpus',
+      'addCorpus',
+      'getCorpus',
+      'addGrammar',
+      'getGrammar',
+      'trainLanguageModel',
+    ]);
+  });
+
+  it('should change nothing when deployed again', async () => {
+    const service = createFakeService();
+    await deployLanguageModel(service, manifest, { wait });
+    jest.clearAllMocks();
+
+    const result = await deployLanguageModel(service, manifest, { wait });
+    expect(result).toMatchObject({
+      customizationId: 'model-1',
+      created: false,
+      trained: false,
+      corpora: { added: [], updated: [], deleted: [], unchanged: ['cardiology', 'oncology'] },
+      grammars: { unchanged: ['dosage'] },
+      words: { added: [], updated: [], deleted: [], unchanged: ['NCAA', 'tachycardia'] },
+    });
+    expect(service.createLanguageModel).not.toHaveBeenCalled();
+    expect(service.addCorpus).not.toHaveBeenCalled();
+    expect(service.deleteCorpus).not.toHaveBeenCalled();
+    expect(service.addGrammar).not.toHaveBeenCalled();
+    expect(service.addWords).not.toHaveBeenCalled();
+    expect(service.deleteWord).not.toHaveBeenCalled();
+    expect(service.trainLanguageModel).not.toHaveBeenCalled();
+  });
+
+  it('should upload only what changed and delete what was removed', async () => {
+    const service = createFakeService();
+    await deployLanguageModel(service, manifest, { wait });
+    jest.clearAllMocks();
+
+    const changed = withManifest({
+      corpora: [
+        { name: 'cardiology', text: 'The patient has atrial flutter.' },
+        { name: 'neurology', text: 'An MRI showed no lesions.' },
+      ],
+      words: [{ word: 'NCAA', soundsLike: ['N. C. double A.', 'N. C. A. A.'], displayAs: 'NCAA' }],
+    });
+    const result = await deployLanguageModel(service, changed, { wait });
+
+    expect(result.corpora).toEqual({
+      added: ['neurology'],
+      updated: ['cardiology'],
+      deleted: [getResourceName('oncology', manifest.corpora[1].text)],
+      unchanged: [],
+    });
+    // the order of the sounds-like entries doesn't matter
+    expect(result.words).toEqual({
+      added: [],
+      updated: [],
+      deleted: ['tachycardia'],
+      unchanged: ['NCAA'],
+    });
+    expect(result.trained).toBe(true);
+    expect(service.addCorpus).toHaveBeenCalledTimes(2);
+    expect(service.deleteCorpus).toHaveBeenCalledWith(
+      expect.objectContaining({
+        corpusName: getResourceName('cardiology', manifest.corpora[0].text),
+      })
+    );
+    expect(service.addGrammar).not.toHaveBeenCalled();
+    expect(service.deleteWord).toHaveBeenCalledWith(
+      expect.objectContaining({ wordName: 'tachycardia' })
+    );
+    expect(Object.keys(service.models['model-1'].corpora).sort()).toEqual(
+      [
+        getResourceName('cardiology', changed.corpora[0].text),
+        getResourceName('neurology', changed.corpora[1].text),
+      ].sort()
+    );
+  });
+
+  it('should update words whose spelling changed', async () => {
+    const service = createFakeService();
+    await deployLanguageModel(service, manifest, { wait });
+
+    const changed = withManifest({
+      words: [
+        manifest.words[0],
+        { word: 'tachycardia', soundsLike: ['tacky cardia'], displayAs: 'Tachycardia' },
+      ],
+    });
+    const result = await deployLanguageModel(service, changed, { wait });
+    expect(result.words).toEqual({
+      added: [],
+      updated: ['tachycardia'],
+      deleted: [],
+      unchanged: ['NCAA'],
+    });
+  });
+
+  it('should keep resources that are not in the manifest with deleteMissing false', async () => {
+    const service = createFakeService();
+    await deployLanguageModel(service, manifest, { wait });
+    jest.clearAllMocks();
+
+    const result = await deployLanguageModel(
+      service,
+      withManifest({ corpora: [manifest.corpora[0]], words: [] }),
+      { wait, deleteMissing: false }
+    );
+    expect(result.corpora.deleted).toEqual([]);
+    expect(result.words.deleted).toEqual([]);
+    expect(result.trained).toBe(false);
+    expect(service.deleteCorpus).not.toHaveBeenCalled();
+    expect(service.deleteWord).not.toHaveBeenCalled();
+  });
+
+  it('should train after a run that only deletes', async () => {
+    const service = createFakeService();
+    await deployLanguageModel(service, manifest, { wait });
+    jest.clearAllMocks();
+
+    const result = await deployLanguageModel(
+      service,
+      withManifest({ corpora: [manifest.corpora[0]], grammars: [], words: [] }),
+      { wait }
+    );
+    expect(result.corpora).toMatchObject({ added: [], updated: [], unchanged: ['cardiology'] });
+    expect(result.corpora.deleted).toHaveLength(1);
+    expect(service.addCorpus).not.toHaveBeenCalled();
+    expect(result.trained).toBe(true);
+    expect(service.models['model-1'].status).toBe('available');
+  });
+
+  it('should train the data that is kept when the manifest has none', async () => {
+    const service = createFakeService();
+    await deployLanguageModel(service, manifest, { wait });
+    service.models['model-1'].status = 'ready';
+
+    const result = await deployLanguageModel(
+      service,
+      withManifest({ corpora: [], grammars: [], words: [] }),
+      { wait, deleteMissing: false }
+    );
+    expect(result.trained).toBe(true);
+  });
+
+  it('should not wait for a model whose data was all deleted', async () => {
+    const service = createFakeService();
+    await deployLanguageModel(service, manifest, { wait });
+
+    const result = await deployLanguageModel(
+      service,
+      withManifest({ corpora: [], grammars: [], words: [] }),
+      { wait }
+    );
+    expect(result.trained).toBe(false);
+    expect(service.models['model-1'].status).toBe('pending');
+  });
+
+  it('should replace a corpus that was added without a hash', async () => {
+    const service = createFakeService();
+    const { customization_id: customizationId } = (
+      await service.createLanguageModel({ name: 'medical' })
+    ).result;
+    await service.addCorpus({ customizationId, corpusName: 'cardiology', corpusFile: 'old' });
+
+    const result = await deployLanguageModel(service, manifest, { wait });
+    expect(result.created).toBe(false);
+    expect(result.corpora.updated).toEqual(['cardiology']);
+    expect(service.deleteCorpus).toHaveBeenCalledWith(
+      expect.objectContaining({ customizationId, corpusName: 'cardiology' })
+    );
+  });
+
+  it('should only report the changes in a dry run', async () => {
+    const service = createFakeService();
+    const result = await deployLanguageModel(service, manifest, { wait, dryRun: true });
+
+    expect(result).toMatchObject({
+      customizationId: undefined,
+      created: true,
+      dryRun: true,
+      trained: false,
+      corpora: { added: ['cardiology', 'oncology'] },
+    });
+    expect(service.createLanguageModel).not.toHaveBeenCalled();
+    expect(service.addCorpus).not.toHaveBeenCalled();
+    expect(service.trainLanguageModel).not.toHaveBeenCalled();
+  });
+
+  it('should deploy to the given model', async () => {
+    const service = createFakeService();
+    await service.createLanguageModel({ name: 'another name' });
+
+    const result = await deployLanguageModel(service, manifest, {
+      wait,
+      customizationId: 'model-1',
+    });
+    expect(result.customizationId).toBe('model-1');
+    expect(result.created).toBe(false);
+    expect(service.listLanguageModels).not.toHaveBeenCalled();
+    expect(service.createLanguageModel).toHaveBeenCalledTimes(1);
+  });
+
+  it('should train a model that is not available yet, even without changes', async () => {
+    const service = createFakeService();
+    await deployLanguageModel(service, manifest, { wait });
+    service.models['model-1'].status = 'ready';
+
+    const result = await deployLanguageModel(service, manifest, { wait });
+    expect(result.trained).toBe(true);
+    expect(service.models['model-1'].status).toBe('available');
+  });
+
+  it('should fail when a corpus cannot be analyzed', async () => {
+    const service = createFakeService();
+    service.getCorpus.mockImplementation(({ corpusName }) =>
+      Promise.resolve({ result: { name: corpusName, status: 'undetermined' } })
+    );
+    await expect(deployLanguageModel(service, manifest, { wait })).rejects.toMatchObject({
+      code: 'ERR_RESOURCE_FAILED',
+    });
+    expect(service.trainLanguageModel).not.toHaveBeenCalled();
+  });
+
+  it('should reject entries without a file or a text', async () => {
+    const service = createFakeService();
+    await expect(
+      deployLanguageModel(service, withManifest({ corpora: [{ name: 'empty' }] }), { wait })
+    ).rejects.toThrow('Manifest entry "empty" needs a name and either a file or a text');
+    expect(service.createLanguageModel).not.toHaveBeenCalled();
+  });
+});
+
+describe('loadManifest', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'language-model-'));
+    fs.mkdirSync(path.join(dir, 'corpora'));
+    fs.writeFileSync(
+      path.join(dir, 'corpora', 'cardiology.txt'),
+      'The patient has atrial fibrillation.'
+    );
+    fs.writeFileSync(path.join(dir, 'dosage.xml'), '<grammar root="dose"></grammar>');
+    fs.writeFileSync(
+      path.join(dir, 'manifest.json'),
+      JSON.stringify({
+        name: 'medical',
+        baseModelName: 'en-US_BroadbandModel',
+        corpora: [{ name: 'cardiology', file: 'corpora/cardiology.txt' }],
+        grammars: [{ name: 'dosage', file: 'dosage.xml' }],
+      })
+    );
+  });
+
+  afterEach(() => {
+    fs.rmdirSync(dir, { recursive: true });
+  });
+
+  it('should resolve files relative to the manifest', async () => {
+    const loaded = await loadManifest(path.join(dir, 'manifest.json'));
+    expect(loaded.corpora[0].file).toBe(path.join(dir, 'corpora', 'cardiology.txt'));
+    expect(loaded.grammars[0].file).toBe(path.join(dir, 'dosage.xml'));
+  });
+
+  it('should be used by SpeechToTextV1#deployLanguageModel', async () => {
+    const speechToText = new SpeechToTextV1({ authenticator: new NoAuthAuthenticator() });
+    const service = createFakeService();
+    Object.keys(service)
+      .filter(name => typeof service[name] === 'function')
+      .forEach(name => (speechToText[name] = service[name]));
+
+    const result = await speechToText.deployLanguageModel({
+      manifest: path.join(dir, 'manifest.json'),
+      wait,
+    });
+    expect(result.corpora.added).toEqual(['cardiology']);
+    expect(service.addCorpus.mock.calls[0][0].corpusFile.toString()).toBe(
+      'The patient has atrial fibrillation.'
+    );
+    // the content type of grammars is guessed from the file extension
+    expect(service.addGrammar.mock.calls[0][0].contentType).toBe('application/srgs+xml');
+    expect(service.models['model-1'].status).toBe('available');
+  });
+});
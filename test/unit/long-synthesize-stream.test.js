@@ -0,0 +1,401 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { NoAuthAuthenticator } = require('ibm-cloud-sdk-core');
+const { PassThrough } = require('stream');
+const TextToSpeechV1 = require('../../dist/text-to-speech/v1');
+const LongSynthesizeStream = require('../../dist/lib/long-synthesize-stream');
+const { createAudioStitcher } = require('../../dist/lib/audio-stitcher');
+const { splitText } = require('../../dist/lib/text-segmenter');
+
+function collect(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+function wavFile(data) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(1000, 24);
+  header.writeUInt32LE(2000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+function crc(page) {
+  let value = 0;
+  page.forEach(byte => {
+    value ^= byte << 24;
+    for (let i = 0; i < 8; i++) {
+      value = value & 0x80000000 ? (value << 1) ^ 0x04c11db7 : value << 1;
+    }
+    value >>>= 0;
+  });
+  return value;
+}
+
+function oggPage({ serial, sequence, granule, flags = 0, payload }) {
+  const page = Buffer.alloc(28 + payload.length);
+  page.write('OggS', 0, 'ascii');
+  page[5] = flags;
+  page.writeUInt32LE(granule, 6);
+  page.writeUInt32LE(0, 10);
+  page.writeUInt32LE(serial, 14);
+  page.writeUInt32LE(sequence, 18);
+  page[26] = 1;
+  page[27] = payload.length;
+  payload.copy(page, 28);
+  page.writeUInt32LE(crc(page), 22);
+  return page;
+}
+
+function oggFile(serial, granules) {
+  const pages = [
+    oggPage({ serial, sequence: 0, granule: 0, flags: 0x02, payload: Buffer.from('OpusHead') }),
+    oggPage({ serial, sequence: 1, granule: 0, payload: Buffer.from('OpusTags') }),
+  ];
+  granules.forEach((granule, i) =>
+    pages.push(
+      oggPage({
+        serial,
+        sequence: i + 2,
+        granule,
+        flags: i === granules.length - 1 ? 0x04 : 0,
+        payload: Buffer.from(`audio ${serial}-${i}`),
+      })
+    )
+  );
+  return Buffer.concat(pages);
+}
+
+function readPages(buffer) {
+  const pages = [];
+  while (buffer.length) {
+    const length = 28 + buffer[27];
+    const page = buffer.slice(0, length);
+    const copy = Buffer.from(page);
+    copy.writeUInt32LE(0, 22);
+    pages.push({
+      flags: page[5],
+      granule: page.readUInt32LE(6),
+      serial: page.readUInt32LE(14),
+      sequence: page.readUInt32LE(18),
+      crcValid: page.readUInt32LE(22) === crc(copy),
+      payload: page.slice(28).toString(),
+    });
+    buffer = buffer.slice(length);
+  }
+  return pages;
+}
+
+describe('splitText', () => {
+  const sentence = 'This is a sentence of some length. ';
+
+  it('should keep short text in one chunk', () => {
+    expect(splitText('Hello world.', 100)).toEqual(['Hello world.']);
+  });
+
+  it('should split plain text at sentence boundaries', () => {
+    const text = sentence.repeat(10);
+    const chunks = splitText(text, 100);
+    expect(chunks.join('')).toBe(text);
+    chunks.forEach(chunk => {
+      expect(Buffer.byteLength(chunk)).toBeLessThanOrEqual(100);
+      expect(chunk).toMatch(/\. $/);
+    });
+  });
+
+  it('should measure the size in bytes', () => {
+    const text = 'Ça été très réussi. '.repeat(6);
+    splitText(text, 60).forEach(chunk => expect(Buffer.byteLength(chunk)).toBeLessThanOrEqual(60));
+  });
+
+  it('should keep text with three-byte characters within the limit', () => {
+    const text = '日本語の文章です'.repeat(20) + '。次の文です。';
+    const chunks = splitText(text, 60);
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join('')).toBe(text);
+    chunks.forEach(chunk => expect(Buffer.byteLength(chunk)).toBeLessThanOrEqual(60));
+  });
+
+  it('should cut text that does not fit after the reopened elements', () => {
+    const text = `<speak><prosody rate="slow">${'長'.repeat(40)}</prosody></speak>`;
+    const chunks = splitText(text, 80);
+    chunks.forEach(chunk => expect(Buffer.byteLength(chunk)).toBeLessThanOrEqual(80));
+    expect(chunks.join('').replace(/<[^>]*>/g, '')).toBe('長'.repeat(40));
+  });
+
+  it('should not cut characters in two', () => {
+    const text = '😀'.repeat(30);
+    const chunks = splitText(text, 20);
+    expect(chunks.join('')).toBe(text);
+    chunks.forEach(chunk => expect(Buffer.byteLength(chunk)).toBeLessThanOrEqual(20));
+  });
+
+  it('should split a sentence that is too long at a space', () => {
+    const text = 'word '.repeat(40);
+    const chunks = splitText(text, 50);
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join('')).toBe(text);
+    chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(50));
+  });
+
+  it('should prefer to split after a paragraph', () => {
+    const text = `<speak><p>${sentence}Short.</p><p>${sentence}</p></speak>`;
+    const chunks = splitText(text, 80);
+    expect(chunks[0]).toBe(`<speak><p>${sentence}Short.</p></speak>`);
+    expect(chunks[1]).toBe(`<speak><p>${sentence}</p></speak>`);
+  });
+
+  it('should close and reopen elements that span chunks', () => {
+    const text = `<speak><prosody rate="slow">${sentence.repeat(
+      4
+    )}</prosody><break time="1s"/>End.</speak>`;
+    const chunks = splitText(text, 120);
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      expect(Buffer.byteLength(chunk)).toBeLessThanOrEqual(120);
+      expect(chunk).toMatch(/^<speak>/);
+      expect(chunk).toMatch(/<\/speak>$/);
+      expect((chunk.match(/<prosody/g) || []).length).toBe(
+        (chunk.match(/<\/prosody>/g) || []).length
+      );
+    });
+    expect(chunks[1]).toMatch(/^<speak><prosody rate="slow">/);
+    expect(chunks[chunks.length - 1]).toMatch(/<break time="1s"\/>End\.<\/speak>$/);
+  });
+});
+
+describe('createAudioStitcher', () => {
+  it('should return null for formats that cannot be joined', () => {
+    expect(createAudioStitcher('audio/flac')).toBeNull();
+    expect(createAudioStitcher('audio/webm')).toBeNull();
+  });
+
+  it('should concatenate mp3 and headerless audio', () => {
+    const stitcher = createAudioStitcher('audio/l16;rate=22050');
+    expect(stitcher.write(Buffer.from('ab'), 0)).toEqual(Buffer.from('ab'));
+    expect(stitcher.write(Buffer.from('cd'), 1)).toEqual(Buffer.from('cd'));
+    expect(stitcher.end(1, true).length).toBe(0);
+  });
+
+  it('should keep only the first wav header, with unknown sizes', () => {
+    const stitcher = createAudioStitcher('audio/wav');
+    const first = wavFile(Buffer.from('abcd'));
+    const second = wavFile(Buffer.from('efgh'));
+    const output = [
+      stitcher.write(first, 0),
+      stitcher.end(0, false),
+      // the header of the second file arrives in pieces
+      stitcher.write(second.slice(0, 10), 1),
+      stitcher.write(second.slice(10), 1),
+      stitcher.end(1, true),
+    ];
+    const header = Buffer.from(first.slice(0, 44));
+    header.writeUInt32LE(0xffffffff, 4);
+    header.writeUInt32LE(0xffffffff, 40);
+    expect(Buffer.concat(output)).toEqual(Buffer.concat([header, Buffer.from('abcdefgh')]));
+  });
+
+  it('should join Ogg files into one logical stream', () => {
+    const stitcher = createAudioStitcher('audio/ogg;codecs=opus');
+    const first = oggFile(1, [960, 1920]);
+    const second = oggFile(2, [480, 960]);
+    const output = Buffer.concat([
+      stitcher.write(first.slice(0, 50), 0),
+      stitcher.write(first.slice(50), 0),
+      stitcher.end(0, false),
+      stitcher.write(second, 1),
+      stitcher.end(1, true),
+    ]);
+
+    const pages = readPages(output);
+    expect(pages.map(page => page.payload)).toEqual([
+      'OpusHead',
+      'OpusTags',
+      'audio 1-0',
+      'audio 1-1',
+      'audio 2-0',
+      'audio 2-1',
+    ]);
+    expect(pages.map(page => page.sequence)).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(pages.map(page => page.granule)).toEqual([0, 0, 960, 1920, 2400, 2880]);
+    expect(pages.map(page => page.flags)).toEqual([0x02, 0, 0, 0, 0, 0x04]);
+    pages.forEach(page => {
+      expect(page.serial).toBe(1);
+      expect(page.crcValid).toBe(true);
+    });
+  });
+});
+
+describe('LongSynthesizeStream', () => {
+  it('should reject formats that cannot be joined', () => {
+    expect(
+      () =>
+        new LongSynthesizeStream({ text: 'Hi.', contentType: 'audio/flac', synthesize: jest.fn() })
+    ).toThrow(expect.objectContaining({ name: LongSynthesizeStream.ERROR_UNSUPPORTED_FORMAT }));
+  });
+
+  it('should emit the audio of the chunks in order with bounded concurrency', async () => {
+    const pending = [];
+    let active = 0;
+    let maxActive = 0;
+    const synthesize = text => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      const audio = new PassThrough();
+      pending.push({ text, audio });
+      return Promise.resolve(audio);
+    };
+    const stream = new LongSynthesizeStream({
+      text: 'One. Two. Three. Four.',
+      contentType: 'audio/mp3',
+      maxChunkSize: 7,
+      concurrency: 2,
+      synthesize,
+    });
+    const chunkEvents = [];
+    stream.on('chunk', (index, count) => chunkEvents.push([index, count]));
+    const result = collect(stream);
+    expect(stream.texts).toEqual(['One. ', 'Two. ', 'Three. ', 'Four.']);
+
+    const finish = async index => {
+      await new Promise(resolve => setImmediate(resolve));
+      const { text, audio } = pending[index];
+      active--;
+      audio.end(`[${text.trim()}]`);
+    };
+    await finish(1);
+    await finish(0);
+    await finish(2);
+    await finish(3);
+
+    expect((await result).toString()).toBe('[One.][Two.][Three.][Four.]');
+    expect(maxActive).toBe(2);
+    expect(chunkEvents).toEqual([
+      [0, 4],
+      [1, 4],
+      [2, 4],
+      [3, 4],
+    ]);
+  });
+
+  it('should accept audio as a Buffer', async () => {
+    const stream = new LongSynthesizeStream({
+      text: 'One. Two.',
+      contentType: 'audio/l16;rate=22050',
+      maxChunkSize: 5,
+      synthesize: text => Promise.resolve(Buffer.from(text.trim())),
+    });
+    expect((await collect(stream)).toString()).toBe('One.Two.');
+  });
+
+  it('should not synthesize further chunks while the output is not read', async () => {
+    const synthesize = jest.fn(text => Promise.resolve(Buffer.alloc(10, text[0])));
+    const stream = new LongSynthesizeStream({
+      text: 'a. b. c. d. e. f.',
+      contentType: 'audio/mp3',
+      maxChunkSize: 3,
+      concurrency: 1,
+      highWaterMark: 10,
+      synthesize,
+    });
+    stream.once('readable', () => {});
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(synthesize).toHaveBeenCalledTimes(1);
+
+    expect((await collect(stream)).toString()).toBe(
+      ['a', 'b', 'c', 'd', 'e', 'f'].map(letter => letter.repeat(10)).join('')
+    );
+    expect(synthesize).toHaveBeenCalledTimes(6);
+  });
+
+  it('should emit an error if a chunk fails', async () => {
+    const stream = new LongSynthesizeStream({
+      text: 'One. Two.',
+      contentType: 'audio/mp3',
+      maxChunkSize: 5,
+      synthesize: text =>
+        text === 'Two.' ? Promise.reject(new Error('boom')) : Promise.resolve(Buffer.from('x')),
+    });
+    await expect(collect(stream)).rejects.toThrow('boom');
+  });
+});
+
+describe('synthesizeLong', () => {
+  const textToSpeech = new TextToSpeechV1({ authenticator: new NoAuthAuthenticator() });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should synthesize each chunk with the same parameters', async () => {
+    const synthesize = jest
+      .spyOn(textToSpeech, 'synthesize')
+      .mockImplementation(params => Promise.resolve({ result: Buffer.from(params.text) }));
+    const stream = textToSpeech.synthesizeLong({
+      text: 'One. Two.',
+      voice: 'en-US_AllisonV3Voice',
+      accept: 'audio/mp3',
+      maxChunkSize: 5,
+    });
+    expect((await collect(stream)).toString()).toBe('One. Two.');
+    expect(synthesize).toHaveBeenCalledTimes(2);
+    expect(synthesize.mock.calls[1][0]).toEqual({
+      text: 'Two.',
+      voice: 'en-US_AllisonV3Voice',
+      accept: 'audio/mp3',
+    });
+  });
+
+  it('should default to Ogg', async () => {
+    const synthesize = jest
+      .spyOn(textToSpeech, 'synthesize')
+      .mockImplementation(() => Promise.resolve({ result: oggFile(1, [960]) }));
+    const pages = readPages(await collect(textToSpeech.synthesizeLong({ text: 'Hello.' })));
+    expect(pages.length).toBe(3);
+    expect(synthesize.mock.calls[0][0].accept).toBe('audio/ogg;codecs=opus');
+  });
+
+  it('should stream wav with a header of unknown size', async () => {
+    jest
+      .spyOn(textToSpeech, 'synthesize')
+      .mockImplementation(params =>
+        Promise.resolve({ result: wavFile(Buffer.from(params.text.trim())) })
+      );
+    const stream = textToSpeech.synthesizeLong({
+      text: 'ab. cd.',
+      accept: 'audio/wav',
+      maxChunkSize: 4,
+    });
+    const output = await collect(stream);
+    expect(output.readUInt32LE(40)).toBe(0xffffffff);
+    expect(output.slice(44).toString()).toBe('ab.cd.');
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { NoAuthAuthenticator } = require('ibm-cloud-sdk-core');
+const AssistantV1 = require('../../dist/assistant/v1');
+const AssistantV2 = require('../../dist/assistant/v2');
+const DiscoveryV1 = require('../../dist/discovery/v1');
+const Pager = require('../../dist/lib/pager');
+const assistantV1Pagers = require('../../dist/lib/pagers/assistant-v1');
+const assistantV2Pagers = require('../../dist/lib/pagers/assistant-v2');
+const discoveryV1Pagers = require('../../dist/lib/pagers/discovery-v1');
+
+const options = { authenticator: new NoAuthAuthenticator(), version: '2020-04-01' };
+
+// responds to list calls with the given pages, chained by cursor
+function cursorPages(field, pages) {
+  return jest.fn(({ cursor }) => {
+    const index = cursor ? Number(cursor.replace('page', '')) : 0;
+    const pagination = index < pages.length - 1 ? { next_cursor: `page${index + 1}` } : {};
+    return Promise.resolve({ result: { [field]: pages[index], pagination } });
+  });
+}
+
+describe('Pager', () => {
+  it('should get one page at a time', async () => {
+    const fetchPage = jest.fn(token =>
+      Promise.resolve(token ? { items: [3], next: null } : { items: [1, 2], next: 'b' })
+    );
+    const pager = new Pager(fetchPage);
+
+    expect(pager.hasNext()).toBe(true);
+    await expect(pager.getNext()).resolves.toEqual([1, 2]);
+    expect(pager.hasNext()).toBe(true);
+    await expect(pager.getNext()).resolves.toEqual([3]);
+    expect(pager.hasNext()).toBe(false);
+    await expect(pager.getNext()).rejects.toThrow('No more results available');
+    expect(fetchPage.mock.calls).toEqual([[undefined], ['b']]);
+  });
+
+  it('should let a failed page be retried', async () => {
+    const fetchPage = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new Error('Service Unavailable')))
+      .mockImplementationOnce(() => Promise.resolve({ items: [1], next: null }));
+    const pager = new Pager(fetchPage);
+
+    await expect(pager.getNext()).rejects.toThrow('Service Unavailable');
+    expect(pager.hasNext()).toBe(true);
+    await expect(pager.getAll()).resolves.toEqual([1]);
+  });
+
+  it('should stop getAll() at the limit', async () => {
+    const fetchPage = jest.fn((token = 0) =>
+      Promise.resolve({ items: [token, token + 1], next: token + 2 })
+    );
+    const pager = new Pager(fetchPage);
+    await expect(pager.getAll(3)).resolves.toEqual([0, 1, 2]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop requesting pages when a for await loop ends early', async () => {
+    const fetchPage = jest.fn((token = 0) =>
+      Promise.resolve({ items: [token, token + 1], next: token + 2 })
+    );
+    const items = [];
+    for await (const item of new Pager(fetchPage)) {
+      items.push(item);
+      if (items.length === 3) {
+        break;
+      }
+    }
+    expect(items).toEqual([0, 1, 2]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  describe('byOffset', () => {
+    it('should stop at the total', async () => {
+      const list = jest.fn(offset =>
+        Promise.resolve({ result: { results: [offset, offset + 1], matching_results: 4 } })
+      );
+      const pager = new Pager(
+        Pager.byOffset(
+          list,
+          result => result.results,
+          result => result.matching_results
+        )
+      );
+      await expect(pager.getAll()).resolves.toEqual([0, 1, 2, 3]);
+      expect(list.mock.calls).toEqual([[0], [2]]);
+    });
+
+    it('should stop at an empty page without a total', async () => {
+      const list = jest.fn(offset =>
+        Promise.resolve({ result: { results: offset < 2 ? [offset, offset + 1] : [] } })
+      );
+      const pager = new Pager(Pager.byOffset(list, result => result.results));
+      await expect(pager.getAll()).resolves.toEqual([0, 1]);
+      expect(list).toHaveBeenCalledTimes(2);
+    });
+  });
+});
+
+describe('AssistantV1 pagers', () => {
+  const assistant = new AssistantV1(options);
+
+  it('should follow the cursor through all workspaces', async () => {
+    const listWorkspaces = jest
+      .spyOn(assistant, 'listWorkspaces')
+      .mockImplementation(
+        cursorPages('workspaces', [[{ name: 'a' }, { name: 'b' }], [{ name: 'c' }]])
+      );
+
+    const workspaces = await new assistantV1Pagers.WorkspacesPager(assistant, {
+      pageLimit: 2,
+    }).getAll();
+    expect(workspaces.map(workspace => workspace.name)).toEqual(['a', 'b', 'c']);
+    expect(listWorkspaces).toHaveBeenCalledTimes(2);
+    expect(listWorkspaces.mock.calls[0][0]).toEqual({ pageLimit: 2, cursor: undefined });
+    expect(listWorkspaces.mock.calls[1][0]).toEqual({ pageLimit: 2, cursor: 'page1' });
+  });
+
+  it('should iterate over the examples of an intent with for await', async () => {
+    const listExamples = jest
+      .spyOn(assistant, 'listExamples')
+      .mockImplementation(cursorPages('examples', [[{ text: 'hi' }], [{ text: 'hello' }], []]));
+
+    const texts = [];
+    const params = { workspaceId: 'ws', intent: 'greeting' };
+    for await (const example of new assistantV1Pagers.ExamplesPager(assistant, params)) {
+      texts.push(example.text);
+    }
+    expect(texts).toEqual(['hi', 'hello']);
+    expect(listExamples).toHaveBeenCalledTimes(3);
+    expect(listExamples.mock.calls[2][0]).toMatchObject({ workspaceId: 'ws', intent: 'greeting' });
+    // the params aren't changed
+    expect(params).toEqual({ workspaceId: 'ws', intent: 'greeting' });
+  });
+
+  it('should start at the cursor of the params', async () => {
+    const listAllLogs = jest
+      .spyOn(assistant, 'listAllLogs')
+      .mockImplementation(cursorPages('logs', [[{ log_id: '1' }], [{ log_id: '2' }]]));
+
+    const pager = new assistantV1Pagers.AllLogsPager(assistant, {
+      filter: 'language::en',
+      cursor: 'page1',
+    });
+    await expect(pager.getNext()).resolves.toEqual([{ log_id: '2' }]);
+    expect(pager.hasNext()).toBe(false);
+    expect(listAllLogs).toHaveBeenCalledWith({ filter: 'language::en', cursor: 'page1' });
+  });
+
+  it('should have a pager for each paginated operation', () => {
+    [
+      'WorkspacesPager',
+      'IntentsPager',
+      'ExamplesPager',
+      'CounterexamplesPager',
+      'EntitiesPager',
+      'ValuesPager',
+      'SynonymsPager',
+      'DialogNodesPager',
+      'LogsPager',
+      'AllLogsPager',
+    ].forEach(name => {
+      expect(new assistantV1Pagers[name](assistant, {})).toBeInstanceOf(Pager);
+    });
+  });
+});
+
+describe('AssistantV2 LogsPager', () => {
+  it('should follow the cursor through the logs', async () => {
+    const assistant = new AssistantV2(options);
+    jest
+      .spyOn(assistant, 'listLogs')
+      .mockImplementation(cursorPages('logs', [[{ log_id: '1' }], [{ log_id: '2' }]]));
+
+    const logs = await new assistantV2Pagers.LogsPager(assistant, { assistantId: 'id' }).getAll();
+    expect(logs).toEqual([{ log_id: '1' }, { log_id: '2' }]);
+  });
+});
+
+describe('DiscoveryV1 QueryLogPager', () => {
+  it('should page through the query log by offset', async () => {
+    const discovery = new DiscoveryV1(options);
+    const queryLog = jest.spyOn(discovery, 'queryLog').mockImplementation(({ offset, count }) =>
+      Promise.resolve({
+        result: {
+          matching_results: 5,
+          results: [0, 1, 2, 3, 4].slice(offset, offset + count).map(i => ({ query_id: `q${i}` })),
+        },
+      })
+    );
+
+    const pager = new discoveryV1Pagers.QueryLogPager(discovery, { count: 2, query: 'watson' });
+    const results = await pager.getAll();
+    expect(results.map(result => result.query_id)).toEqual(['q0', 'q1', 'q2', 'q3', 'q4']);
+    expect(queryLog.mock.calls.map(call => call[0].offset)).toEqual([0, 2, 4]);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NoAuthAuthenticator } = require('ibm-cloud-sdk-core');
+const TextToSpeechV1 = require('../../dist/text-to-speech/v1');
+const {
+  diffWords,
+  formatWordsDiff,
+  loadDictionary,
+  parseDictionary,
+  parseLexicon,
+} = require('../../dist/lib/pronunciation-dictionary');
+
+const LEXICON = `<?xml version="1.0" encoding="UTF-8"?>
+<lexicon version="1.0" xmlns="http://www.w3.org/2005/01/pronunciation-lexicon" alphabet="ipa" xml:lang="en-US">
+  <lexeme>
+    <grapheme>tomato</grapheme>
+    <phoneme>təˈmɑːtoʊ</phoneme>
+  </lexeme>
+  <lexeme>
+    <grapheme>IEEE</grapheme>
+    <grapheme>I.E.E.E.</grapheme>
+    <alias>I triple E</alias>
+  </lexeme>
+  <lexeme>
+    <grapheme>AT&amp;T</grapheme>
+    <phoneme alphabet="x-ibm">.1e.0ti.1en.0ti</phoneme>
+  </lexeme>
+</lexicon>`;
+
+describe('pronunciation dictionary', () => {
+  describe('parseLexicon', () => {
+    it('should read phonemes and aliases', () => {
+      expect(parseLexicon(LEXICON)).toEqual([
+        { word: 'tomato', translation: '<phoneme alphabet="ipa" ph="təˈmɑːtoʊ">tomato</phoneme>' },
+        { word: 'IEEE', translation: 'I triple E' },
+        { word: 'I.E.E.E.', translation: 'I triple E' },
+        {
+          word: 'AT&T',
+          translation: '<phoneme alphabet="ibm" ph=".1e.0ti.1en.0ti">AT&amp;T</phoneme>',
+        },
+      ]);
+    });
+
+    it('should reject documents that are not lexicons', () => {
+      expect(() => parseLexicon('<speak>hi</speak>')).toThrow(/missing the <lexicon> element/);
+    });
+
+    it('should reject incomplete lexemes', () => {
+      expect(() =>
+        parseLexicon('<lexicon><lexeme><grapheme>a</grapheme></lexeme></lexicon>')
+      ).toThrow(/Lexeme without/);
+    });
+  });
+
+  describe('parseDictionary', () => {
+    it('should accept each JSON format', () => {
+      const expected = [{ word: 'IEEE', translation: 'I triple E' }];
+      expect(parseDictionary({ IEEE: 'I triple E' })).toEqual(expected);
+      expect(parseDictionary({ words: expected })).toEqual(expected);
+      expect(parseDictionary([{ word: 'IEEE', translation: 'I triple E', extra: 1 }])).toEqual(
+        expected
+      );
+      expect(
+        parseDictionary([{ word: '天', translation: 'てん', part_of_speech: 'Mesi' }])
+      ).toEqual([{ word: '天', translation: 'てん', part_of_speech: 'Mesi' }]);
+    });
+
+    it('should reject duplicate and incomplete entries', () => {
+      expect(() =>
+        parseDictionary([
+          { word: 'a', translation: 'x' },
+          { word: 'a', translation: 'y' },
+        ])
+      ).toThrow('Duplicate dictionary entry for "a"');
+      expect(() => parseDictionary({ a: ' ' })).toThrow(/a word and a translation are required/);
+    });
+  });
+
+  describe('loadDictionary', () => {
+    const files = [];
+    const write = (name, content) => {
+      const file = path.join(os.tmpdir(), `dictionary-${process.pid}-${name}`);
+      fs.writeFileSync(file, content);
+      files.push(file);
+      return file;
+    };
+
+    afterAll(() => files.forEach(file => fs.unlinkSync(file)));
+
+    it('should load PLS and JSON files', async () => {
+      expect(await loadDictionary(write('lexicon.pls', LEXICON))).toHaveLength(4);
+      expect(await loadDictionary(write('words.json', '{"NCAA": "N C double A"}'))).toEqual([
+        { word: 'NCAA', translation: 'N C double A' },
+      ]);
+    });
+  });
+
+  describe('diffWords', () => {
+    it('should find the words to add, update and delete', () => {
+      const diff = diffWords(
+        [
+          { word: 'IEEE', translation: 'I triple E' },
+          { word: 'NCAA', translation: 'N C double A' },
+          { word: 'tomato', translation: 'toe   mah toe' },
+        ],
+        [
+          { word: 'NCAA', translation: 'N C A A' },
+          { word: 'tomato', translation: 'toe mah toe' },
+          { word: 'SQL', translation: 'sequel' },
+        ]
+      );
+      expect(diff).toEqual({
+        add: [{ word: 'IEEE', translation: 'I triple E' }],
+        update: [
+          {
+            from: { word: 'NCAA', translation: 'N C A A' },
+            to: { word: 'NCAA', translation: 'N C double A' },
+          },
+        ],
+        delete: [{ word: 'SQL', translation: 'sequel' }],
+        unchanged: [{ word: 'tomato', translation: 'toe   mah toe' }],
+      });
+      expect(formatWordsDiff(diff)).toBe(
+        '+ IEEE: I triple E\n~ NCAA: N C A A -> N C double A\n- SQL'
+      );
+    });
+
+    it('should treat a new part of speech as an update', () => {
+      const diff = diffWords(
+        [{ word: '天', translation: 'てん', part_of_speech: 'Mesi' }],
+        [{ word: '天', translation: 'てん' }]
+      );
+      expect(diff.update).toHaveLength(1);
+    });
+  });
+});
+
+describe('syncWords', () => {
+  const textToSpeech = new TextToSpeechV1({ authenticator: new NoAuthAuthenticator() });
+  const customizationId = 'custom-id';
+  let addWords;
+  let deleteWord;
+
+  beforeEach(() => {
+    jest.spyOn(textToSpeech, 'listWords').mockResolvedValue({
+      result: {
+        words: [
+          { word: 'NCAA', translation: 'N C A A' },
+          { word: 'SQL', translation: 'sequel' },
+          { word: 'IBM', translation: 'I B M' },
+        ],
+      },
+    });
+    addWords = jest.spyOn(textToSpeech, 'addWords').mockResolvedValue({ result: {} });
+    deleteWord = jest.spyOn(textToSpeech, 'deleteWord').mockResolvedValue({ result: {} });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const dictionary = { IEEE: 'I triple E', NCAA: 'N C double A', IBM: 'I B M' };
+
+  it('should apply only the changes', async () => {
+    const result = await textToSpeech.syncWords({ customizationId, dictionary });
+    expect(addWords).toHaveBeenCalledWith({
+      customizationId,
+      words: [
+        { word: 'IEEE', translation: 'I triple E' },
+        { word: 'NCAA', translation: 'N C double A' },
+      ],
+      headers: undefined,
+    });
+    expect(deleteWord).toHaveBeenCalledTimes(1);
+    expect(deleteWord).toHaveBeenCalledWith({ customizationId, word: 'SQL', headers: undefined });
+    expect(result.dryRun).toBe(false);
+    expect(result.unchanged).toEqual([{ word: 'IBM', translation: 'I B M' }]);
+  });
+
+  it('should not change anything in a dry run', async () => {
+    const result = await textToSpeech.syncWords({ customizationId, dictionary, dryRun: true });
+    expect(addWords).not.toHaveBeenCalled();
+    expect(deleteWord).not.toHaveBeenCalled();
+    expect(result.dryRun).toBe(true);
+    expect(result.summary).toBe('+ IEEE: I triple E\n~ NCAA: N C A A -> N C double A\n- SQL');
+  });
+
+  it('should keep missing words if asked to', async () => {
+    const result = await textToSpeech.syncWords({
+      customizationId,
+      dictionary,
+      deleteMissing: false,
+    });
+    expect(result.delete).toEqual([]);
+    expect(deleteWord).not.toHaveBeenCalled();
+  });
+
+  it('should not make requests when nothing changed', async () => {
+    await textToSpeech.syncWords({
+      customizationId,
+      dictionary: { NCAA: 'N C A A', SQL: 'sequel', IBM: 'I B M' },
+    });
+    expect(addWords).not.toHaveBeenCalled();
+    expect(deleteWord).not.toHaveBeenCalled();
+  });
+
+  it('should reject invalid translations before making requests', async () => {
+    await expect(
+      textToSpeech.syncWords({
+        customizationId,
+        dictionary: { tomato: '<phoneme alphabet="sampa" ph="x">tomato</phoneme>' },
+      })
+    ).rejects.toThrow('Invalid translations in the dictionary: tomato: Invalid value "sampa"');
+    expect(textToSpeech.listWords).not.toHaveBeenCalled();
+  });
+});
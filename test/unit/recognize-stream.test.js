@@ -0,0 +1,555 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+const { NoAuthAuthenticator } = require('ibm-cloud-sdk-core');
+const websocket = require('websocket');
+const RecognizeStream = require('../../dist/lib/recognize-stream');
+
+// a stand-in for the w3c websocket that records what was sent and lets the tests drive the server side
+const sockets = [];
+class FakeSocket {
+  constructor() {
+    this.OPEN = 1;
+    this.readyState = 0;
+    this.bufferedAmount = 0;
+    this.sent = [];
+    sockets.push(this);
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  close() {
+    this.drop(1000);
+  }
+
+  open() {
+    this.readyState = this.OPEN;
+    this.onopen();
+  }
+
+  receive(json) {
+    this.onmessage({ data: JSON.stringify(json) });
+  }
+
+  drop(code) {
+    this.readyState = 3;
+    this.onclose({ code, reason: '' });
+  }
+}
+
+jest.spyOn(websocket, 'w3cwebsocket').mockImplementation(() => new FakeSocket());
+
+function createStream(options) {
+  return new RecognizeStream(
+    Object.assign(
+      {
+        authenticator: new NoAuthAuthenticator(),
+        contentType: 'audio/l16; rate=16000',
+        objectMode: true,
+      },
+      options
+    )
+  );
+}
+
+function write(stream, chunk) {
+  return new Promise(resolve => stream.write(chunk, resolve));
+}
+
+function finalResult(index, start, end) {
+  return {
+    result_index: index,
+    results: [
+      {
+        final: true,
+        alternatives: [{ transcript: 'word ', timestamps: [['word', start, end]] }],
+      },
+    ],
+  };
+}
+
+// one second of 16kHz l16 audio
+const second = () => Buffer.alloc(32000);
+
+afterEach(() => {
+  sockets.length = 0;
+});
+
+describe('RecognizeStream', () => {
+  describe('reconnect', () => {
+    it('should end the stream when the connection drops without reconnect enabled', done => {
+      const stream = createStream();
+      stream.on('close', code => {
+        expect(code).toBe(1006);
+        expect(sockets.length).toBe(1);
+        done();
+      });
+      stream.write(second());
+      setImmediate(() => {
+        sockets[0].open();
+        sockets[0].drop(1006);
+      });
+    });
+
+    it('should reopen the connection and replay the unfinalized audio', async () => {
+      const stream = createStream({ reconnect: true, reconnectInterval: 0 });
+      const results = [];
+      stream.on('data', data => results.push(data));
+
+      const first = write(stream, second());
+      await new Promise(setImmediate);
+      sockets[0].open();
+      await first;
+      await write(stream, second());
+
+      // the first second of audio is finalized, the second one isn't
+      sockets[0].receive(finalResult(0, 0.2, 1.0));
+      const reconnecting = new Promise(resolve => stream.once('reconnecting', resolve));
+      sockets[0].drop(1006);
+
+      await reconnecting;
+      await new Promise(resolve => setTimeout(resolve, 5));
+      expect(sockets.length).toBe(2);
+      sockets[1].open();
+
+      expect(sockets[1].sent[0]).toBe(sockets[0].sent[0]);
+      // only the second chunk is replayed
+      expect(sockets[1].sent.length).toBe(2);
+      expect(sockets[1].sent[1]).toBe(sockets[0].sent[2]);
+
+      sockets[1].receive(finalResult(0, 0.1, 0.5));
+      expect(results[1].result_index).toBe(1);
+      expect(results[1].results[0].alternatives[0].timestamps[0]).toEqual(['word', 1.1, 1.5]);
+    });
+
+    it('should not reconnect after an error reported by the service', done => {
+      const stream = createStream({ reconnect: true, reconnectInterval: 0 });
+      stream.on('error', () => {});
+      stream.on('reconnecting', () => done.fail('should not reconnect'));
+      stream.on('close', () => {
+        expect(sockets.length).toBe(1);
+        done();
+      });
+      stream.write(second());
+      setImmediate(() => {
+        sockets[0].open();
+        sockets[0].receive({ error: 'Session timed out.' });
+        sockets[0].drop(1011);
+      });
+    });
+
+    it('should give up after maxReconnectAttempts', done => {
+      const stream = createStream({
+        reconnect: true,
+        reconnectInterval: 0,
+        maxReconnectAttempts: 1,
+      });
+      stream.on('error', err => {
+        expect(err.name).toBe(RecognizeStream.WEBSOCKET_CONNECTION_ERROR);
+      });
+      stream.on('reconnecting', () => {
+        setTimeout(() => {
+          sockets[1].onerror({});
+          sockets[1].drop(1006);
+        }, 5);
+      });
+      stream.on('close', () => {
+        expect(sockets.length).toBe(2);
+        done();
+      });
+      stream.write(second());
+      setImmediate(() => {
+        sockets[0].open();
+        sockets[0].drop(1006);
+      });
+    });
+  });
+
+  describe('token refresh', () => {
+    // a JWT that expires in the given number of seconds
+    function createJwt(name, expiresIn) {
+      const encode = value => Buffer.from(JSON.stringify(value)).toString('base64');
+      const exp = Math.floor(Date.now() / 1000) + expiresIn;
+      return [encode({ alg: 'none' }), encode({ exp, name }), 'signature'].join('.');
+    }
+
+    // hands out the given tokens in turn
+    function createAuthenticator(...tokens) {
+      return {
+        authenticate: jest.fn(options => {
+          options.accessToken = tokens.shift();
+          return Promise.resolve();
+        }),
+      };
+    }
+
+    async function openAndDrop(stream) {
+      const first = write(stream, second());
+      await new Promise(setImmediate);
+      sockets[0].open();
+      await first;
+      await write(stream, second());
+      sockets[0].drop(1006);
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    it('should only authenticate once for the connection', async () => {
+      const authenticator = createAuthenticator(createJwt('first', 3600));
+      const stream = createStream({ authenticator });
+      const first = write(stream, second());
+      await new Promise(setImmediate);
+      sockets[0].open();
+      await first;
+      await write(stream, second());
+      await write(stream, second());
+      expect(authenticator.authenticate).toHaveBeenCalledTimes(1);
+      expect(sockets[0].sent.length).toBe(4);
+    });
+
+    it('should get a fresh token when reconnecting after the token expired', async () => {
+      const expired = createJwt('expired', -10);
+      const fresh = createJwt('fresh', 3600);
+      const authenticator = createAuthenticator(expired, fresh);
+      const stream = createStream({ authenticator, reconnect: true, reconnectInterval: 0 });
+      const refreshed = jest.fn();
+      stream.on('tokenRefreshed', refreshed);
+
+      await openAndDrop(stream);
+      expect(authenticator.authenticate).toHaveBeenCalledTimes(2);
+      expect(refreshed).toHaveBeenCalledWith(expect.any(Number));
+      expect(refreshed.mock.calls[0][0]).toBeGreaterThan(Date.now());
+
+      const urls = websocket.w3cwebsocket.mock.calls.slice(-2).map(call => call[0]);
+      expect(urls[0]).toContain(`access_token=${encodeURIComponent(expired)}`);
+      expect(urls[1]).toContain(`access_token=${encodeURIComponent(fresh)}`);
+      expect(sockets.length).toBe(2);
+
+      // the stream carries on over the new connection
+      sockets[1].open();
+      expect(sockets[1].sent.length).toBe(3);
+    });
+
+    it('should keep the token when reconnecting before it expires', async () => {
+      const authenticator = createAuthenticator(createJwt('first', 3600));
+      const stream = createStream({ authenticator, reconnect: true, reconnectInterval: 0 });
+      stream.on('tokenRefreshed', () => {
+        throw new Error('should not refresh the token');
+      });
+
+      await openAndDrop(stream);
+      expect(authenticator.authenticate).toHaveBeenCalledTimes(1);
+      expect(sockets.length).toBe(2);
+    });
+
+    it('should end the stream when no fresh token can be had', async () => {
+      const authenticator = createAuthenticator(createJwt('expired', -10));
+      const stream = createStream({ authenticator, reconnect: true, reconnectInterval: 0 });
+      const errors = [];
+      stream.on('error', err => errors.push(err));
+      authenticator.authenticate.mockImplementationOnce(options => {
+        options.accessToken = createJwt('expired', -10);
+        return Promise.resolve();
+      });
+      authenticator.authenticate.mockImplementationOnce(() =>
+        Promise.reject(new Error('IAM is down'))
+      );
+
+      await openAndDrop(stream);
+      expect(errors.map(err => err.message)).toEqual(['IAM is down']);
+      expect(sockets.length).toBe(1);
+    });
+  });
+
+  describe('result events', () => {
+    async function openStream(options) {
+      const stream = createStream(options);
+      const written = write(stream, second());
+      await new Promise(setImmediate);
+      sockets[0].open();
+      await written;
+      return stream;
+    }
+
+    it('should emit interim and final results with merged indexes', async () => {
+      const stream = await openStream();
+      const events = [];
+      stream.on('interim', (result, index) => events.push(['interim', index]));
+      stream.on('final', (result, index) => events.push(['final', index]));
+
+      sockets[0].receive({
+        result_index: 0,
+        results: [{ final: false, alternatives: [{ transcript: 'hel' }] }],
+      });
+      sockets[0].receive({
+        result_index: 0,
+        results: [
+          { final: true, alternatives: [{ transcript: 'hello ' }] },
+          { final: false, alternatives: [{ transcript: 'wor' }] },
+        ],
+      });
+      sockets[0].receive({
+        result_index: 1,
+        results: [{ final: true, alternatives: [{ transcript: 'world ' }] }],
+      });
+
+      expect(events).toEqual([
+        ['interim', 0],
+        ['final', 0],
+        ['interim', 1],
+        ['final', 1],
+      ]);
+      expect(stream.getResults().map(result => result.alternatives[0].transcript)).toEqual([
+        'hello ',
+        'world ',
+      ]);
+    });
+
+    it('should drop interim results that were superseded by fewer results', async () => {
+      const stream = await openStream();
+      sockets[0].receive({
+        result_index: 0,
+        results: [
+          { final: false, alternatives: [{ transcript: 'a' }] },
+          { final: false, alternatives: [{ transcript: 'b' }] },
+        ],
+      });
+      sockets[0].receive({
+        result_index: 0,
+        results: [{ final: true, alternatives: [{ transcript: 'ab' }] }],
+      });
+      expect(stream.getResults().length).toBe(1);
+    });
+
+    it('should emit keywords, speaker labels and metrics', async () => {
+      const stream = await openStream({ readableObjectMode: false, objectMode: false });
+      const keywords = jest.fn();
+      const speakerLabels = jest.fn();
+      const processingMetrics = jest.fn();
+      const audioMetrics = jest.fn();
+      stream.on('keywords', keywords);
+      stream.on('speakerLabels', speakerLabels);
+      stream.on('processingMetrics', processingMetrics);
+      stream.on('audioMetrics', audioMetrics);
+
+      const keywordsResult = { hello: [{ normalized_text: 'hello', start_time: 0, end_time: 1 }] };
+      const labels = [{ from: 0, to: 1, speaker: 0, confidence: 0.5, final: false }];
+      const metrics = { periodic: true };
+      const audio = { sampling_interval: 1 };
+      sockets[0].receive({
+        result_index: 2,
+        results: [
+          { final: true, alternatives: [{ transcript: 'hello' }], keywords_result: keywordsResult },
+        ],
+        speaker_labels: labels,
+        processing_metrics: metrics,
+      });
+      sockets[0].receive({ audio_metrics: audio });
+
+      expect(keywords).toHaveBeenCalledWith(keywordsResult, 2);
+      expect(speakerLabels).toHaveBeenCalledWith(labels);
+      expect(processingMetrics).toHaveBeenCalledWith(metrics);
+      expect(audioMetrics).toHaveBeenCalledWith(audio);
+    });
+  });
+
+  describe('flow control', () => {
+    it('should wait for the connection to drain', async () => {
+      const stream = createStream();
+      const first = write(stream, second());
+      await new Promise(setImmediate);
+      sockets[0]._connection = new EventEmitter();
+      sockets[0]._connection.outputBufferFull = true;
+      sockets[0].open();
+
+      let written = false;
+      first.then(() => (written = true));
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(written).toBe(false);
+
+      sockets[0]._connection.outputBufferFull = false;
+      sockets[0]._connection.emit('drain');
+      await first;
+    });
+
+    it('should send audio in real time when pacing is enabled', async () => {
+      const stream = createStream({ pacing: true, pacingRate: 10 });
+      const start = Date.now();
+      const first = write(stream, second());
+      await new Promise(setImmediate);
+      sockets[0].open();
+      await first;
+      await write(stream, second());
+      // two seconds of audio at ten times real time
+      expect(Date.now() - start).toBeGreaterThanOrEqual(190);
+    });
+
+    it('should not pace audio without a known bitrate', async () => {
+      const stream = createStream({ pacing: true, contentType: 'audio/ogg' });
+      const pacingUnsupported = jest.fn();
+      stream.on('pacingUnsupported', pacingUnsupported);
+      const start = Date.now();
+      const first = write(stream, second());
+      await new Promise(setImmediate);
+      sockets[0].open();
+      await first;
+      await write(stream, second());
+      expect(Date.now() - start).toBeLessThan(100);
+      expect(pacingUnsupported).toHaveBeenCalledTimes(1);
+      expect(pacingUnsupported).toHaveBeenCalledWith('audio/ogg');
+    });
+  });
+
+  describe('voice activity detection', () => {
+    // half a second of a loud 440Hz tone
+    function speech() {
+      const buffer = Buffer.alloc(16000);
+      for (let i = 0; i < 8000; i++) {
+        buffer.writeInt16BE(Math.round(Math.sin((2 * Math.PI * 440 * i) / 16000) * 16000), i * 2);
+      }
+      return buffer;
+    }
+
+    it('should emit speechStart and speechEnd', async () => {
+      const stream = createStream({ voiceActivityDetection: true });
+      const events = [];
+      stream.on('speechStart', time => events.push(['speechStart', time]));
+      stream.on('speechEnd', time => events.push(['speechEnd', time]));
+      const first = write(stream, speech());
+      await new Promise(setImmediate);
+      sockets[0].open();
+      await first;
+      await write(stream, second());
+      expect(events).toEqual([
+        ['speechStart', 0],
+        ['speechEnd', 0.5],
+      ]);
+    });
+
+    it('should stop the stream after trailing silence', async () => {
+      const stream = createStream({ voiceActivityDetection: { stopAfterSilence: 1000 } });
+      const first = write(stream, speech());
+      await new Promise(setImmediate);
+      sockets[0].open();
+      await first;
+      await write(stream, second());
+      // the audio after the stop message is discarded
+      await write(stream, second());
+      const sent = sockets[0].sent.filter(data => typeof data !== 'string');
+      expect(sent.length).toBe(2);
+      expect(JSON.parse(sockets[0].sent[sockets[0].sent.length - 1])).toEqual({ action: 'stop' });
+    });
+
+    it('should report audio that it cannot analyze', async () => {
+      const stream = createStream({ voiceActivityDetection: true, contentType: 'audio/ogg' });
+      const unsupported = jest.fn();
+      stream.on('voiceActivityUnsupported', unsupported);
+      const first = write(stream, second());
+      await new Promise(setImmediate);
+      sockets[0].open();
+      await first;
+      expect(unsupported).toHaveBeenCalledWith('audio/ogg');
+    });
+  });
+
+  describe('multi-utterance', () => {
+    const json = socket => socket.sent.filter(data => typeof data === 'string').map(JSON.parse);
+
+    async function openStream(options) {
+      const stream = createStream(Object.assign({ multiUtterance: true }, options));
+      const first = write(stream, second());
+      await new Promise(setImmediate);
+      sockets[0].open();
+      sockets[0].receive({ state: 'listening' });
+      await first;
+      return stream;
+    }
+
+    it('should keep the connection open after an utterance', async () => {
+      const stream = await openStream();
+      const ended = new Promise(resolve =>
+        stream.on('utteranceEnd', (utterance, results) => resolve([utterance, results]))
+      );
+      stream.endUtterance();
+      expect(json(sockets[0]).pop()).toEqual({ action: 'stop' });
+      sockets[0].receive(finalResult(0, 0, 1));
+      sockets[0].receive({ state: 'listening' });
+      const [utterance, results] = await ended;
+      expect(utterance).toBe(1);
+      expect(results.length).toBe(1);
+      expect(sockets[0].readyState).toBe(1);
+    });
+
+    it('should start the next utterance with new options', async () => {
+      const stream = await openStream({ keywords: ['one'], keywordsThreshold: 0.5 });
+      const starting = stream.startUtterance({ keywords: ['two'], grammarName: 'digits' });
+      sockets[0].receive({ state: 'listening' });
+      await starting;
+      expect(json(sockets[0])).toEqual([
+        {
+          action: 'start',
+          'content-type': 'audio/l16; rate=16000',
+          keywords: ['one'],
+          keywords_threshold: 0.5,
+        },
+        { action: 'stop' },
+        {
+          action: 'start',
+          'content-type': 'audio/l16; rate=16000',
+          keywords: ['two'],
+          keywords_threshold: 0.5,
+          grammar_name: 'digits',
+        },
+      ]);
+      expect(stream.getResults()).toEqual([]);
+    });
+
+    it('should hold back audio until the next utterance starts', async () => {
+      const stream = await openStream();
+      stream.endUtterance();
+      sockets[0].receive({ state: 'listening' });
+
+      let written = false;
+      const held = write(stream, second()).then(() => (written = true));
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(written).toBe(false);
+      expect(sockets[0].sent.filter(data => typeof data !== 'string').length).toBe(1);
+
+      await stream.startUtterance();
+      await held;
+      expect(typeof sockets[0].sent[sockets[0].sent.length - 1]).not.toBe('string');
+    });
+
+    it('should close the connection when the stream finishes between utterances', async () => {
+      const stream = await openStream();
+      stream.endUtterance();
+      sockets[0].receive({ state: 'listening' });
+      const closed = new Promise(resolve => stream.on('close', resolve));
+      stream.end();
+      expect(await closed).toBe(1000);
+      expect(json(sockets[0]).filter(msg => msg.action === 'stop').length).toBe(1);
+    });
+
+    it('should require the multiUtterance option', async () => {
+      const stream = createStream();
+      await expect(stream.startUtterance()).rejects.toThrow('multiUtterance');
+    });
+  });
+});
@@ -0,0 +1,314 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BearerTokenAuthenticator, IamAuthenticator } = require('ibm-cloud-sdk-core');
+const AssistantV1 = require('../../dist/assistant/v1');
+const SpeechToTextV1 = require('../../dist/speech-to-text/v1');
+const RecognizeStream = require('../../dist/lib/recognize-stream');
+const Recorder = require('../../dist/lib/recorder');
+
+const SERVICE_URL = 'https://assistant.example.com';
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-'));
+});
+afterEach(() => {
+  fs.rmdirSync(dir, { recursive: true });
+});
+
+function readFixture(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function createAssistant(recorder, authenticator) {
+  return new AssistantV1({
+    authenticator: authenticator || new BearerTokenAuthenticator({ bearerToken: 'secret-token' }),
+    version: '2020-04-01',
+    serviceUrl: SERVICE_URL,
+    recorder,
+  });
+}
+
+// records the requests of a client, answered by a fake adapter in place of the network
+function record(file, ...responses) {
+  const recorder = new Recorder({ mode: 'record', file, redact: ['x-session-id'] });
+  const assistant = createAssistant(recorder);
+  const adapter = jest.fn(config => {
+    const { status, headers = {}, data = '{}' } = responses.shift() || { status: 200 };
+    const response = { status, statusText: String(status), headers, data, config, request: {} };
+    if (status >= 400) {
+      return Promise.reject(
+        Object.assign(new Error(`Request failed with status code ${status}`), { config, response })
+      );
+    }
+    return Promise.resolve(response);
+  });
+  assistant.requestWrapperInstance.axiosInstance.defaults.adapter = recorder.wrapAdapter(adapter);
+  return assistant;
+}
+
+describe('Recorder', () => {
+  it('should require a mode and a file', () => {
+    expect(() => new Recorder({ file: 'fixture.json' })).toThrow('mode');
+    expect(() => new Recorder({ mode: 'record' })).toThrow('file');
+  });
+
+  describe('http', () => {
+    it('should record requests and responses without credentials', async () => {
+      const file = path.join(dir, 'nested', 'assistant.json');
+      const assistant = record(file, {
+        status: 201,
+        headers: {
+          'content-type': 'application/json',
+          'set-cookie': 'session=1',
+          'x-session-id': 'abc',
+        },
+        data: '{"workspace_id":"w1","password":"hunter2"}',
+      });
+
+      await assistant.createWorkspace({ name: 'test' });
+      const { http } = readFixture(file);
+      expect(http).toHaveLength(1);
+      expect(http[0].request).toMatchObject({
+        method: 'POST',
+        url: `${SERVICE_URL}/v1/workspaces?version=2020-04-01`,
+        body: { name: 'test' },
+        bodyEncoding: 'json',
+      });
+      expect(http[0].request.headers.Authorization).toBe(Recorder.REDACTED);
+      expect(http[0].response).toEqual({
+        status: 201,
+        statusText: '201',
+        headers: {
+          'content-type': 'application/json',
+          'set-cookie': Recorder.REDACTED,
+          'x-session-id': Recorder.REDACTED,
+        },
+        body: { workspace_id: 'w1', password: Recorder.REDACTED },
+        bodyEncoding: 'json',
+      });
+      expect(fs.readFileSync(file, 'utf8')).not.toMatch('secret-token');
+    });
+
+    it('should replay the recorded responses without sending requests or authenticating', async () => {
+      const file = path.join(dir, 'assistant.json');
+      const recording = record(
+        file,
+        { status: 200, data: '{"workspaces":[]}' },
+        { status: 404, data: '{"error":"Resource not found","code":404}' }
+      );
+      await recording.listWorkspaces();
+      await expect(recording.getWorkspace({ workspaceId: 'missing' })).rejects.toThrow();
+
+      const authenticator = new IamAuthenticator({ apikey: 'apikey' });
+      const authenticate = jest.spyOn(authenticator, 'authenticate');
+      const assistant = createAssistant(new Recorder({ mode: 'replay', file }), authenticator);
+      const { result } = await assistant.listWorkspaces();
+      expect(result).toEqual({ workspaces: [] });
+      await expect(assistant.getWorkspace({ workspaceId: 'missing' })).rejects.toMatchObject({
+        status: 404,
+        message: 'Resource not found',
+      });
+      expect(authenticate).not.toHaveBeenCalled();
+    });
+
+    it('should replay each recording once, in order', async () => {
+      const file = path.join(dir, 'assistant.json');
+      const recording = record(
+        file,
+        { status: 200, data: '{"page":1}' },
+        { status: 200, data: '{"page":2}' }
+      );
+      await recording.listWorkspaces();
+      await recording.listWorkspaces();
+
+      const assistant = createAssistant(new Recorder({ mode: 'replay', file }));
+      expect((await assistant.listWorkspaces()).result).toEqual({ page: 1 });
+      expect((await assistant.listWorkspaces()).result).toEqual({ page: 2 });
+      await expect(assistant.listWorkspaces()).rejects.toMatchObject({
+        message: expect.stringMatching('No fixture'),
+      });
+    });
+
+    it('should only replay requests with the same body', async () => {
+      const file = path.join(dir, 'assistant.json');
+      await record(file).createWorkspace({ name: 'recorded' });
+
+      const assistant = createAssistant(new Recorder({ mode: 'replay', file }));
+      await expect(assistant.createWorkspace({ name: 'other' })).rejects.toThrow(
+        `No fixture matches POST ${SERVICE_URL}/v1/workspaces?version=2020-04-01`
+      );
+    });
+
+    it('should use a custom match rule', async () => {
+      const file = path.join(dir, 'assistant.json');
+      await record(file, { status: 200, data: '{"name":"recorded"}' }).createWorkspace({
+        name: 'recorded',
+      });
+
+      const match = jest.fn((request, recorded) => request.url === recorded.url);
+      const assistant = createAssistant(new Recorder({ mode: 'replay', file, match }));
+      expect((await assistant.createWorkspace({ name: 'other' })).result).toEqual({
+        name: 'recorded',
+      });
+      expect(match.mock.calls[0][0].body).toEqual({ name: 'other' });
+    });
+
+    it('should record and replay binary responses', async () => {
+      const file = path.join(dir, 'binary.json');
+      const audio = Buffer.from([0, 255, 1, 254]);
+      const recorder = new Recorder({ mode: 'record', file });
+      const wrapped = recorder.wrapAdapter(config =>
+        Promise.resolve({ status: 200, statusText: 'OK', headers: {}, data: audio, config })
+      );
+      await wrapped({ method: 'get', url: 'https://tts.example.com/v1/synthesize', headers: {} });
+      expect(readFixture(file).http[0].response).toMatchObject({
+        body: audio.toString('base64'),
+        bodyEncoding: 'base64',
+      });
+
+      const replay = new Recorder({ mode: 'replay', file }).wrapAdapter(() =>
+        Promise.reject(new Error('sent'))
+      );
+      const response = await replay({
+        method: 'get',
+        url: 'https://tts.example.com/v1/synthesize',
+        headers: {},
+        responseType: 'arraybuffer',
+      });
+      expect(response.data).toEqual(audio);
+    });
+  });
+
+  describe('websocket', () => {
+    const url = 'wss://stream.example.com/v1/recognize?model=en-US_BroadbandModel';
+
+    it('should record the messages of a session', () => {
+      const file = path.join(dir, 'stream.json');
+      const recorder = new Recorder({ mode: 'record', file });
+      const send = jest.fn();
+      const dispatchEvent = jest.fn();
+      const socket = {
+        send,
+        dispatchEvent,
+        _client: { response: { headers: { 'x-global-transaction-id': 'tx' } } },
+      };
+      const opened = recorder.openWebSocket(
+        `${url}&access_token=secret`,
+        { Authorization: 'Bearer secret' },
+        () => socket
+      );
+      expect(opened).toBe(socket);
+
+      opened.dispatchEvent({ type: 'open' });
+      opened.send('{"action":"start","watson-token":"secret"}');
+      opened.send(Buffer.alloc(8));
+      opened.dispatchEvent({ type: 'message', data: '{"state":"listening"}' });
+      opened.dispatchEvent({ type: 'close', code: 1000, reason: '' });
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(dispatchEvent).toHaveBeenCalledTimes(3);
+
+      const [session] = readFixture(file).websocket;
+      expect(session).toEqual({
+        url: `${url}&access_token=%5BREDACTED%5D`,
+        headers: { Authorization: Recorder.REDACTED },
+        responseHeaders: { 'x-global-transaction-id': 'tx' },
+        events: [
+          { type: 'send', data: '{"action":"start","watson-token":"[REDACTED]"}' },
+          { type: 'send', bytes: 8 },
+          { type: 'receive', data: '{"state":"listening"}' },
+          { type: 'close', code: 1000, reason: '' },
+        ],
+      });
+    });
+
+    it('should replay a session to a RecognizeStream', async () => {
+      const file = path.join(dir, 'stream.json');
+      fs.writeFileSync(
+        file,
+        JSON.stringify({
+          http: [],
+          websocket: [
+            {
+              url,
+              headers: {},
+              responseHeaders: { 'x-global-transaction-id': 'tx' },
+              events: [
+                { type: 'send', data: '{"action":"start"}' },
+                { type: 'receive', data: '{"state":"listening"}' },
+                { type: 'send', bytes: 4 },
+                { type: 'send', data: '{"action":"stop"}' },
+                {
+                  type: 'receive',
+                  data:
+                    '{"results":[{"alternatives":[{"transcript":"hello "}],"final":true}],"result_index":0}',
+                },
+                { type: 'receive', data: '{"state":"listening"}' },
+                { type: 'close', code: 1000, reason: '' },
+              ],
+            },
+          ],
+        })
+      );
+      const authenticator = new IamAuthenticator({ apikey: 'apikey' });
+      const authenticate = jest.spyOn(authenticator, 'authenticate');
+      const speechToText = new SpeechToTextV1({
+        authenticator,
+        serviceUrl: 'https://stream.example.com',
+        recorder: new Recorder({ mode: 'replay', file }),
+      });
+      const stream = speechToText.recognizeUsingWebSocket({
+        contentType: 'audio/l16; rate=16000',
+        model: 'en-US_BroadbandModel',
+      });
+
+      const text = await new Promise((resolve, reject) => {
+        let transcript = '';
+        stream.on('data', data => (transcript += data));
+        stream.on('error', reject);
+        stream.on('close', () => resolve(transcript));
+        stream.end(Buffer.alloc(4));
+      });
+      expect(text).toBe('hello ');
+      expect(await stream.getTransactionId()).toBe('tx');
+      expect(authenticate).not.toHaveBeenCalled();
+    });
+
+    it('should fail a stream without a recorded session', async () => {
+      const file = path.join(dir, 'empty.json');
+      fs.writeFileSync(file, JSON.stringify({ http: [], websocket: [] }));
+      const speechToText = new SpeechToTextV1({
+        authenticator: new IamAuthenticator({ apikey: 'apikey' }),
+        serviceUrl: 'https://stream.example.com',
+        recorder: new Recorder({ mode: 'replay', file }),
+      });
+      const stream = speechToText.recognizeUsingWebSocket({ contentType: 'audio/l16; rate=16000' });
+
+      const err = await new Promise(resolve => {
+        stream.on('error', resolve);
+        stream.end(Buffer.alloc(4));
+      });
+      expect(err.name).toBe(RecognizeStream.WEBSOCKET_CONNECTION_ERROR);
+      expect(err.event.error.name).toBe(Recorder.ERROR_NO_FIXTURE);
+    });
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+const { NoAuthAuthenticator } = require('ibm-cloud-sdk-core');
+const SpeechToTextV1 = require('../../dist/speech-to-text/v1');
+const {
+  waitForResource,
+  predicates,
+  statusPredicate,
+  ERR_ABORTED,
+  ERR_RESOURCE_FAILED,
+  ERR_TIMEOUT,
+} = require('../../dist/lib/resource-waiter');
+
+// returns each status in turn, then keeps returning the last one
+function statuses(...list) {
+  const check = jest.fn(() =>
+    Promise.resolve({ status: list.length > 1 ? list.shift() : list[0] })
+  );
+  return check;
+}
+
+// a minimal AbortController, since not every supported Node version has one
+function createSignal() {
+  const emitter = new EventEmitter();
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => emitter.on(type, listener),
+    removeEventListener: (type, listener) => emitter.removeListener(type, listener),
+  };
+  return {
+    signal,
+    emitter,
+    abort: () => {
+      signal.aborted = true;
+      emitter.emit('abort');
+    },
+  };
+}
+
+// lets the pending check and its handlers run, which takes a few microtasks
+async function settleChecks() {
+  for (let i = 0; i < 5; i++) {
+    await Promise.resolve();
+  }
+}
+
+describe('waitForResource', () => {
+  it('should check until the resource is ready, with backoff', async () => {
+    const check = statuses('pending', 'training', 'training', 'available');
+    const progress = [];
+    const resource = await waitForResource(check, predicates.customModelTrained, {
+      interval: 2,
+      backoffFactor: 2,
+      onProgress: (r, p) => progress.push([r.status, p.attempt, p.state]),
+    });
+    expect(resource).toEqual({ status: 'available' });
+    expect(check).toHaveBeenCalledTimes(4);
+    expect(progress).toEqual([
+      ['pending', 1, 'pending'],
+      ['training', 2, 'pending'],
+      ['training', 3, 'pending'],
+      ['available', 4, 'ready'],
+    ]);
+  });
+
+  it('should grow the interval up to the maximum', async () => {
+    jest.useFakeTimers();
+    try {
+      const check = statuses('training');
+      const delays = [];
+      const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+      const { signal, abort } = createSignal();
+      const waiting = waitForResource(check, predicates.customModelTrained, {
+        interval: 100,
+        backoffFactor: 3,
+        maxInterval: 500,
+        signal,
+      });
+      for (let i = 0; i < 4; i++) {
+        await settleChecks();
+        delays.push(setTimeoutSpy.mock.calls[setTimeoutSpy.mock.calls.length - 1][1]);
+        jest.runOnlyPendingTimers();
+      }
+      expect(delays).toEqual([100, 300, 500, 500]);
+      abort();
+      await expect(waiting).rejects.toMatchObject({ code: ERR_ABORTED });
+      setTimeoutSpy.mockRestore();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should reject when the resource fails', async () => {
+    const err = await waitForResource(
+      statuses('training', 'failed'),
+      predicates.customModelTrained,
+      {
+        interval: 1,
+      }
+    ).catch(e => e);
+    expect(err.code).toBe(ERR_RESOURCE_FAILED);
+    expect(err.resource).toEqual({ status: 'failed' });
+  });
+
+  it('should reject on timeout', async () => {
+    const err = await waitForResource(statuses('training'), predicates.customModelTrained, {
+      interval: 5,
+      timeout: 12,
+    }).catch(e => e);
+    expect(err.code).toBe(ERR_TIMEOUT);
+    expect(err.resource).toEqual({ status: 'training' });
+  });
+
+  it('should pass on errors of the status request', async () => {
+    const check = () => Promise.reject(new Error('Not Found'));
+    await expect(waitForResource(check, predicates.customModelTrained)).rejects.toThrow(
+      'Not Found'
+    );
+  });
+
+  it('should reject when the predicate throws', async () => {
+    const check = () => Promise.resolve({});
+    await expect(
+      waitForResource(check, predicates.visualRecognitionCollection, { interval: 1 })
+    ).rejects.toThrow(TypeError);
+  });
+
+  it('should reject when onProgress throws', async () => {
+    const onProgress = () => {
+      throw new Error('progress failed');
+    };
+    await expect(
+      waitForResource(statuses('training'), predicates.customModelTrained, {
+        interval: 1,
+        onProgress,
+      })
+    ).rejects.toThrow('progress failed');
+  });
+
+  it('should reject when the status request throws on a later check', async () => {
+    const check = jest
+      .fn()
+      .mockReturnValueOnce(Promise.resolve({ status: 'training' }))
+      .mockImplementation(() => {
+        throw new Error('Invalid argument');
+      });
+    await expect(
+      waitForResource(check, predicates.customModelTrained, { interval: 1 })
+    ).rejects.toThrow('Invalid argument');
+    expect(check).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop when the signal is aborted', async () => {
+    const { signal, emitter, abort } = createSignal();
+    const check = statuses('training');
+    const waiting = waitForResource(check, predicates.customModelTrained, {
+      interval: 1000,
+      signal,
+    });
+    setTimeout(abort, 5);
+    const err = await waiting.catch(e => e);
+    expect(err.code).toBe(ERR_ABORTED);
+    expect(check).toHaveBeenCalledTimes(1);
+    expect(emitter.listenerCount('abort')).toBe(0);
+  });
+
+  it('should not check at all if the signal is already aborted', async () => {
+    const { signal, abort } = createSignal();
+    abort();
+    const check = statuses('available');
+    await expect(
+      waitForResource(check, predicates.customModelTrained, { signal })
+    ).rejects.toMatchObject({
+      code: ERR_ABORTED,
+    });
+    expect(check).not.toHaveBeenCalled();
+  });
+});
+
+describe('predicates', () => {
+  it('should read statuses without regard to case', () => {
+    const predicate = statusPredicate(['Available'], ['Failed']);
+    expect(predicate({ status: 'available' })).toBe('ready');
+    expect(predicate({ status: 'FAILED' })).toBe('failed');
+    expect(predicate({ status: 'Training' })).toBe('pending');
+  });
+
+  it('should cover speech to text models and resources', () => {
+    expect(predicates.customModelReady({ status: 'ready' })).toBe('ready');
+    expect(predicates.customModelReady({ status: 'pending' })).toBe('pending');
+    expect(predicates.customModelTrained({ status: 'ready' })).toBe('pending');
+    expect(predicates.analyzed({ status: 'undetermined' })).toBe('failed');
+    expect(
+      predicates.corpora({ corpora: [{ status: 'analyzed' }, { status: 'being_processed' }] })
+    ).toBe('pending');
+    expect(predicates.grammars({ grammars: [{ status: 'analyzed' }] })).toBe('ready');
+    expect(
+      predicates.grammars({ grammars: [{ status: 'analyzed' }, { status: 'undetermined' }] })
+    ).toBe('failed');
+    expect(predicates.audioResources({ audio: [{ status: 'ok' }, { status: 'invalid' }] })).toBe(
+      'failed'
+    );
+    expect(predicates.audioResource({ container: { status: 'being_processed' } })).toBe('pending');
+  });
+
+  it('should cover the other services', () => {
+    expect(predicates.trained({ status: 'Available' })).toBe('ready');
+    expect(predicates.trained({ status: 'Non Existent' })).toBe('failed');
+    expect(predicates.translationModel({ status: 'training' })).toBe('pending');
+    expect(predicates.visualRecognitionClassifier({ status: 'retraining' })).toBe('pending');
+    expect(predicates.naturalLanguageUnderstandingModel({ status: 'deploying' })).toBe('pending');
+    const collection = objects => ({ training_status: { objects } });
+    expect(
+      predicates.visualRecognitionCollection(collection({ ready: true, in_progress: false }))
+    ).toBe('ready');
+    expect(
+      predicates.visualRecognitionCollection(collection({ ready: true, in_progress: true }))
+    ).toBe('pending');
+    expect(
+      predicates.visualRecognitionCollection(
+        collection({ ready: false, latest_failed: true, in_progress: false })
+      )
+    ).toBe('failed');
+  });
+});
+
+describe('SpeechToTextV1 waiters', () => {
+  const speechToText = new SpeechToTextV1({ authenticator: new NoAuthAuthenticator() });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should wait for an acoustic model', async () => {
+    const getAcousticModel = jest
+      .spyOn(speechToText, 'getAcousticModel')
+      .mockResolvedValueOnce({ result: { customization_id: 'id', status: 'pending' } })
+      .mockResolvedValue({ result: { customization_id: 'id', status: 'ready' } });
+    const model = await speechToText.whenAcousticModelReady({ customizationId: 'id', interval: 1 });
+    expect(model.status).toBe('ready');
+    expect(getAcousticModel).toHaveBeenCalledTimes(2);
+    expect(getAcousticModel.mock.calls[0][0].customizationId).toBe('id');
+  });
+
+  it('should wait for grammars and audio resources', async () => {
+    jest
+      .spyOn(speechToText, 'listGrammars')
+      .mockResolvedValue({ result: { grammars: [{ status: 'analyzed' }] } });
+    jest
+      .spyOn(speechToText, 'listAudio')
+      .mockResolvedValue({ result: { audio: [{ status: 'invalid' }] } });
+    expect(await speechToText.whenGrammarsAnalyzed({ customizationId: 'id' })).toEqual({
+      grammars: [{ status: 'analyzed' }],
+    });
+    await expect(speechToText.whenAudioAnalyzed({ customizationId: 'id' })).rejects.toMatchObject({
+      code: ERR_RESOURCE_FAILED,
+    });
+  });
+
+  it('should wait for corpora with a timeout from interval and times', async () => {
+    const listCorpora = jest
+      .spyOn(speechToText, 'listCorpora')
+      .mockResolvedValue({ result: { corpora: [{ status: 'being_processed' }] } });
+    await expect(
+      speechToText.whenCorporaAnalyzed({ customizationId: 'id', interval: 5, times: 3 })
+    ).rejects.toMatchObject({ code: SpeechToTextV1.ERR_TIMEOUT });
+    // the check for empty corpora, then backing off from 5 ms until 15 ms have passed
+    expect(listCorpora.mock.calls.length).toBeGreaterThan(2);
+    expect(listCorpora.mock.calls.length).toBeLessThan(6);
+
+    listCorpora.mockResolvedValue({ result: { corpora: [] } });
+    await expect(
+      speechToText.whenCorporaAnalyzed({ customizationId: 'id' })
+    ).rejects.toMatchObject({ code: SpeechToTextV1.ERR_NO_CORPORA });
+  });
+
+  it('should stop waiting for a customization when aborted', async () => {
+    jest
+      .spyOn(speechToText, 'getLanguageModel')
+      .mockResolvedValue({ result: { customization_id: 'id', status: 'training' } });
+    const { signal, abort } = createSignal();
+    const ready = speechToText.whenCustomizationReady({
+      customizationId: 'id',
+      interval: 5,
+      signal,
+    });
+    abort();
+    await expect(ready).rejects.toMatchObject({ code: ERR_ABORTED });
+  });
+});
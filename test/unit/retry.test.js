@@ -0,0 +1,223 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { Readable } = require('stream');
+const { NoAuthAuthenticator } = require('ibm-cloud-sdk-core');
+const AssistantV1 = require('../../dist/assistant/v1');
+const DiscoveryV1 = require('../../dist/discovery/v1');
+const {
+  getRetryDelay,
+  parseRetryAfter,
+  retryRequest,
+  DEFAULT_RETRY_OPTIONS,
+} = require('../../dist/lib/retry');
+
+const fast = { initialDelay: 1, maxDelay: 10, jitter: false };
+
+function httpError(status, headers = {}) {
+  const err = new Error(`HTTP ${status}`);
+  err.status = status;
+  err.headers = headers;
+  return err;
+}
+
+// fails with the given errors in turn, then succeeds
+function failing(...errors) {
+  return jest.fn(() =>
+    errors.length ? Promise.reject(errors.shift()) : Promise.resolve({ status: 200, result: {} })
+  );
+}
+
+describe('parseRetryAfter', () => {
+  it('should read seconds and dates', () => {
+    expect(parseRetryAfter('2')).toBe(2000);
+    expect(parseRetryAfter(0.5)).toBe(500);
+    const inFiveSeconds = new Date(Date.now() + 5000).toUTCString();
+    expect(parseRetryAfter(inFiveSeconds)).toBeGreaterThan(3000);
+    expect(parseRetryAfter(inFiveSeconds)).toBeLessThanOrEqual(5000);
+    expect(parseRetryAfter(new Date(Date.now() - 5000).toUTCString())).toBe(0);
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('getRetryDelay', () => {
+  const options = Object.assign({}, DEFAULT_RETRY_OPTIONS, { jitter: false });
+
+  it('should back off exponentially up to the maximum', () => {
+    const err = httpError(503);
+    expect(getRetryDelay(1, err, options)).toBe(1000);
+    expect(getRetryDelay(2, err, options)).toBe(2000);
+    expect(getRetryDelay(3, err, options)).toBe(4000);
+    expect(getRetryDelay(10, err, options)).toBe(30000);
+  });
+
+  it('should add jitter', () => {
+    const delays = [1, 2, 3, 4, 5].map(() =>
+      getRetryDelay(3, httpError(503), DEFAULT_RETRY_OPTIONS)
+    );
+    delays.forEach(delay => {
+      expect(delay).toBeGreaterThanOrEqual(2000);
+      expect(delay).toBeLessThanOrEqual(4000);
+    });
+  });
+
+  it('should use the Retry-After header', () => {
+    expect(getRetryDelay(1, httpError(429, { 'retry-after': '7' }), options)).toBe(7000);
+    const ignoring = Object.assign({}, options, { respectRetryAfter: false });
+    expect(getRetryDelay(1, httpError(429, { 'retry-after': '7' }), ignoring)).toBe(1000);
+  });
+});
+
+describe('retryRequest', () => {
+  const get = { method: 'GET', url: '/v1/workspaces' };
+
+  it('should retry 429 and 5xx responses until one succeeds', async () => {
+    const send = failing(httpError(429), httpError(503));
+    const onRetry = jest.fn();
+    await expect(retryRequest(send, get, Object.assign({ onRetry }, fast))).resolves.toEqual({
+      status: 200,
+      result: {},
+    });
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(call => call[0].attempt)).toEqual([2, 3]);
+    expect(onRetry.mock.calls[0][0]).toMatchObject({
+      delay: 1,
+      method: 'GET',
+      url: '/v1/workspaces',
+      error: expect.objectContaining({ status: 429 }),
+    });
+  });
+
+  it('should retry requests that got no response', async () => {
+    const send = failing(new Error('socket hang up'));
+    await retryRequest(send, get, fast);
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  it('should give up after maxAttempts', async () => {
+    const send = failing(httpError(500), httpError(502), httpError(504));
+    await expect(
+      retryRequest(send, get, Object.assign({ maxAttempts: 2 }, fast))
+    ).rejects.toMatchObject({
+      status: 502,
+    });
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fail when Retry-After asks for longer than maxDelay', async () => {
+    const send = failing(httpError(429, { 'retry-after': '3600' }));
+    const onRetry = jest.fn();
+    await expect(retryRequest(send, get, Object.assign({ onRetry }, fast))).rejects.toMatchObject({
+      status: 429,
+    });
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(onRetry).not.toHaveBeenCalled();
+  });
+
+  it('should not retry other errors', async () => {
+    const send = failing(httpError(400));
+    await expect(retryRequest(send, get, fast)).rejects.toMatchObject({ status: 400 });
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only retry non-idempotent methods when allowed', async () => {
+    const post = { method: 'POST', url: '/v1/environments/env/collections/col/documents' };
+    const send = failing(httpError(503));
+    await expect(retryRequest(send, post, fast)).rejects.toMatchObject({ status: 503 });
+    expect(send).toHaveBeenCalledTimes(1);
+
+    const sendAgain = failing(httpError(503));
+    await retryRequest(sendAgain, post, Object.assign({ retryNonIdempotent: true }, fast));
+    expect(sendAgain).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not retry requests with a stream as the body', async () => {
+    const stream = new Readable({ read() {} });
+    const post = { method: 'POST', url: '/documents', body: { file: { data: stream } } };
+    const send = failing(httpError(503));
+    const options = Object.assign({ retryNonIdempotent: true }, fast);
+    await expect(retryRequest(send, post, options)).rejects.toMatchObject({ status: 503 });
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('BaseService retries', () => {
+  function createAssistant(options) {
+    const assistant = new AssistantV1(
+      Object.assign({ authenticator: new NoAuthAuthenticator(), version: '2020-04-01' }, options)
+    );
+    const sendRequest = jest.spyOn(assistant.requestWrapperInstance, 'sendRequest');
+    return { assistant, sendRequest };
+  }
+
+  it('should not retry by default', async () => {
+    const { assistant, sendRequest } = createAssistant();
+    sendRequest.mockImplementation(failing(httpError(503)));
+    await expect(assistant.listWorkspaces()).rejects.toMatchObject({ status: 503 });
+    expect(sendRequest).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry with the retry option of the constructor', async () => {
+    const { assistant, sendRequest } = createAssistant({ retry: fast });
+    sendRequest.mockImplementation(failing(httpError(429, { 'retry-after': '0' })));
+    await expect(assistant.listWorkspaces()).resolves.toMatchObject({ status: 200 });
+    expect(sendRequest).toHaveBeenCalledTimes(2);
+  });
+
+  it('should turn retries on and off', async () => {
+    const { assistant, sendRequest } = createAssistant();
+    assistant.enableRetries(fast);
+    sendRequest.mockImplementation(failing(httpError(503)));
+    await assistant.listWorkspaces();
+    expect(sendRequest).toHaveBeenCalledTimes(2);
+
+    assistant.disableRetries();
+    sendRequest.mockClear();
+    sendRequest.mockImplementation(failing(httpError(503)));
+    await expect(assistant.listWorkspaces()).rejects.toMatchObject({ status: 503 });
+    expect(sendRequest).toHaveBeenCalledTimes(1);
+  });
+
+  it('should apply the options of withRetries() to the calls made through it only', async () => {
+    const { assistant, sendRequest } = createAssistant({ retry: fast });
+    const params = { workspaceId: 'ws', intent: 'greeting', text: 'hi' };
+
+    sendRequest.mockImplementation(failing(httpError(503)));
+    await expect(assistant.createExample(params)).rejects.toMatchObject({ status: 503 });
+    expect(sendRequest).toHaveBeenCalledTimes(1);
+
+    sendRequest.mockClear();
+    sendRequest.mockImplementation(failing(httpError(503)));
+    const onRetry = jest.fn();
+    await assistant.withRetries({ retryNonIdempotent: true, onRetry }).createExample(params);
+    expect(sendRequest).toHaveBeenCalledTimes(2);
+    expect(onRetry).toHaveBeenCalledWith(
+      expect.objectContaining({ attempt: 2, delay: 1, method: 'POST' })
+    );
+  });
+
+  it('should be available on every service', () => {
+    const discovery = new DiscoveryV1({
+      authenticator: new NoAuthAuthenticator(),
+      version: '2019-04-30',
+    });
+    expect(typeof discovery.enableRetries).toBe('function');
+    expect(typeof discovery.withRetries).toBe('function');
+  });
+});
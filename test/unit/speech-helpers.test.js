@@ -79,6 +79,87 @@ describe('speech to text helpers', () => {
   });
 });
 
+describe('speech to text speaker turns', () => {
+  const results = {
+    result_index: 0,
+    results: [
+      {
+        final: true,
+        alternatives: [
+          {
+            transcript: 'hello there hi ',
+            timestamps: [
+              ['hello', 0.1, 0.4],
+              ['there', 0.4, 0.8],
+              ['hi', 1.2, 1.4],
+            ],
+          },
+        ],
+      },
+    ],
+    speaker_labels: [
+      { from: 0.1, to: 0.4, speaker: 0, confidence: 0.5, final: false },
+      { from: 0.4, to: 0.8, speaker: 0, confidence: 0.7, final: false },
+      { from: 1.2, to: 1.4, speaker: 1, confidence: 0.9, final: false },
+    ],
+  };
+
+  it('should join words and speaker labels into turns', () => {
+    const turns = speechToText.getSpeakerTurns(results);
+    expect(turns).toEqual([
+      { speaker: 0, from: 0.1, to: 0.8, text: 'hello there', confidence: 0.6 },
+      { speaker: 1, from: 1.2, to: 1.4, text: 'hi', confidence: 0.9 },
+    ]);
+  });
+
+  it('should append the results of each element of a job', () => {
+    const second = {
+      result_index: 0,
+      results: [
+        {
+          final: true,
+          alternatives: [{ transcript: 'bye ', timestamps: [['bye', 2.0, 2.3]] }],
+        },
+      ],
+      speaker_labels: [{ from: 2.0, to: 2.3, speaker: 0, confidence: 0.4, final: true }],
+    };
+    const turns = speechToText.getSpeakerTurns([results, second]);
+    expect(turns.map(turn => [turn.speaker, turn.text])).toEqual([
+      [0, 'hello there'],
+      [1, 'hi'],
+      [0, 'bye'],
+    ]);
+  });
+
+  it('should apply later relabelling of earlier words', () => {
+    const stream = speechToText.recognizeUsingWebSocket({ speakerLabels: true });
+    const assembler = speechToText.assembleSpeakerTurns(stream);
+    const updates = jest.fn();
+    assembler.on('turns', updates);
+
+    stream.emit('final', results.results[0], 0);
+    stream.emit('speakerLabels', results.speaker_labels);
+    expect(assembler.getTurns().length).toBe(2);
+
+    stream.emit('speakerLabels', [
+      { from: 0.4, to: 0.8, speaker: 1, confidence: 0.8, final: true },
+    ]);
+    const turns = assembler.getTurns();
+    expect(turns.map(turn => [turn.speaker, turn.text])).toEqual([
+      [0, 'hello'],
+      [1, 'there hi'],
+    ]);
+    expect(updates).toHaveBeenCalledTimes(3);
+  });
+
+  it('should leave out words that have not been labelled yet', () => {
+    const turns = speechToText.getSpeakerTurns(
+      Object.assign({}, results, { speaker_labels: results.speaker_labels.slice(0, 1) })
+    );
+    expect(turns).toEqual([{ speaker: 0, from: 0.1, to: 0.4, text: 'hello', confidence: 0.5 }]);
+  });
+});
+
 describe('text to speech helpers', () => {
   describe('synthesizeUsingWebSocket()', () => {
     it('should return a stream', () => {
@@ -0,0 +1,209 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { NoAuthAuthenticator } = require('ibm-cloud-sdk-core');
+const TextToSpeechV1 = require('../../dist/text-to-speech/v1');
+const SsmlBuilder = require('../../dist/lib/ssml-builder');
+const { validateSsml } = require('../../dist/lib/ssml-validator');
+
+function voice(name, overrides) {
+  return Object.assign(
+    {
+      name,
+      language: name.split('_')[0],
+      customizable: true,
+      supported_features: { custom_pronunciation: true, voice_transformation: false },
+    },
+    overrides
+  );
+}
+
+const allison = voice('en-US_AllisonV3Voice');
+const michael = voice('en-US_MichaelV3Voice');
+const emma = voice('en-US_EmmaExpressive');
+const messages = issues => issues.map(issue => issue.message);
+
+describe('SsmlBuilder', () => {
+  it('should build a speak document', () => {
+    const ssml = new SsmlBuilder({ lang: 'en-US' })
+      .text('Your order ')
+      .sayAs({ interpretAs: 'digits' }, '1234')
+      .text(' has shipped.')
+      .break({ time: '500ms' })
+      .prosody({ rate: 'slow', pitch: '+10%' }, b => b.text('Thank you').mark('end'))
+      .toString();
+    expect(ssml).toBe(
+      '<speak version="1.0" xml:lang="en-US">Your order <say-as interpret-as="digits">1234</say-as> has shipped.' +
+        '<break time="500ms"/><prosody pitch="+10%" rate="slow">Thank you<mark name="end"/></prosody></speak>'
+    );
+  });
+
+  it('should escape text and attribute values', () => {
+    const ssml = new SsmlBuilder()
+      .text('Tom & Jerry <3')
+      .sayAs({ interpretAs: 'letters' }, 'a<b')
+      .mark('say "hi"')
+      .toFragment();
+    expect(ssml).toBe(
+      'Tom &amp; Jerry &lt;3<say-as interpret-as="letters">a&lt;b</say-as><mark name="say &quot;hi&quot;"/>'
+    );
+    expect(validateSsml(ssml)).toEqual([]);
+  });
+
+  it('should build phonemes in both notations', () => {
+    expect(new SsmlBuilder().phoneme({ ph: 'təˈmeɪtoʊ' }, 'tomato').toFragment()).toBe(
+      '<phoneme alphabet="ipa" ph="təˈmeɪtoʊ">tomato</phoneme>'
+    );
+    expect(
+      new SsmlBuilder().phoneme({ alphabet: 'ibm', ph: '.0tx.1me.0fo' }, 'tomato').toFragment()
+    ).toBe('<phoneme alphabet="ibm" ph=".0tx.1me.0fo">tomato</phoneme>');
+  });
+
+  it('should build nested paragraphs, sentences and expressions', () => {
+    const builder = new SsmlBuilder().paragraph(p =>
+      p.sentence('First.').sentence(s => s.expressAs({ type: 'GoodNews' }, 'You won!'))
+    );
+    expect(builder.toFragment()).toBe(
+      '<p><s>First.</s><s><express-as type="GoodNews">You won!</express-as></s></p>'
+    );
+    expect(builder.validate(allison)).toEqual([]);
+    expect(messages(builder.validate(michael))).toEqual([
+      'The voice en-US_MichaelV3Voice does not support <express-as>',
+    ]);
+  });
+});
+
+describe('validateSsml', () => {
+  it('should accept plain text and valid SSML', () => {
+    expect(validateSsml('Hello world')).toEqual([]);
+    expect(
+      validateSsml(
+        '<?xml version="1.0"?><speak version="1.0"><!-- intro --><p>Hi<break strength="weak"/>' +
+          '<prosody volume="+6dB">there</prosody> <sub alias="World Wide Web">WWW</sub></p></speak>'
+      )
+    ).toEqual([]);
+  });
+
+  it('should reject unknown elements and attributes', () => {
+    expect(
+      validateSsml('<speak><audio src="a.wav"/><prosody contour="(0%,+20Hz)">x</prosody></speak>')
+    ).toEqual([
+      { message: 'Unsupported element <audio>', offset: 7, element: 'audio' },
+      {
+        message: 'Unsupported attribute "contour" in <prosody>',
+        offset: 27,
+        element: 'prosody',
+        attribute: 'contour',
+      },
+    ]);
+  });
+
+  it('should reject invalid and missing attribute values', () => {
+    expect(
+      messages(
+        validateSsml(
+          '<break time="soon"/><say-as>1</say-as><phoneme alphabet="sampa" ph="x">a</phoneme><prosody rate="warp">b</prosody>'
+        )
+      )
+    ).toEqual([
+      'Invalid value "soon" for attribute "time" in <break>',
+      'Missing required attribute "interpret-as" in <say-as>',
+      'Invalid value "sampa" for attribute "alphabet" in <phoneme>',
+      'Invalid value "warp" for attribute "rate" in <prosody>',
+    ]);
+  });
+
+  it('should report unbalanced tags and unescaped characters', () => {
+    expect(messages(validateSsml('<speak><p>Fish & chips</speak> a < b'))).toEqual([
+      'Unescaped "&", use "&amp;"',
+      'Element <p> is not closed',
+      'Unescaped "<" or unterminated tag, use "&lt;" for a literal "<"',
+    ]);
+    expect(messages(validateSsml('<s>a</p></s><speak><speak/></speak>'))).toEqual([
+      'Closing tag </p> has no opening tag',
+      'The <speak> element must be the root element',
+    ]);
+  });
+
+  it('should check features of the voice', () => {
+    const ssml =
+      '<speak xml:lang="en-GB"><voice-transformation type="Young">hi</voice-transformation></speak>';
+    expect(messages(validateSsml(ssml))).toEqual([]);
+    expect(messages(validateSsml(ssml, { voice: michael }))).toEqual([
+      'The language en-GB does not match the voice en-US_MichaelV3Voice (en-US)',
+      'The voice en-US_MichaelV3Voice does not support <voice-transformation>',
+    ]);
+    const legacy = voice('en-GB_KateVoice', { supported_features: { voice_transformation: true } });
+    expect(validateSsml(ssml, { voice: legacy })).toEqual([]);
+  });
+
+  it('should check the expression attribute of the voice', () => {
+    const style = '<express-as style="cheerful">Hi</express-as>';
+    expect(validateSsml(style, { voice: emma })).toEqual([]);
+    expect(messages(validateSsml(style, { voice: allison }))).toEqual([
+      'The voice en-US_AllisonV3Voice expects the "type" attribute in <express-as>',
+    ]);
+    expect(messages(validateSsml('<express-as>Hi</express-as>'))).toEqual([
+      'The <express-as> element needs either a "type" or a "style" attribute',
+    ]);
+  });
+
+  it('should only allow a phoneme in a translation', () => {
+    expect(
+      validateSsml('<phoneme alphabet="ibm" ph="1gAFt">gift</phoneme>', { translation: true })
+    ).toEqual([]);
+    expect(validateSsml('sounds like', { translation: true })).toEqual([]);
+    expect(messages(validateSsml('<speak>x</speak>', { translation: true }))).toEqual([
+      'Only a <phoneme> element is allowed in a translation, found <speak>',
+    ]);
+    const fixed = voice('ar-MS_OmarVoice', { customizable: false });
+    expect(messages(validateSsml('x', { translation: true, voice: fixed }))).toEqual([
+      'The voice ar-MS_OmarVoice does not support custom models',
+    ]);
+  });
+});
+
+describe('TextToSpeechV1 SSML helpers', () => {
+  const textToSpeech = new TextToSpeechV1({ authenticator: new NoAuthAuthenticator() });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should create a builder', () => {
+    expect(textToSpeech.createSsmlBuilder({ lang: 'en-US' })).toBeInstanceOf(SsmlBuilder);
+  });
+
+  it('should look up a voice by name', async () => {
+    const getVoice = jest.spyOn(textToSpeech, 'getVoice').mockResolvedValue({ result: michael });
+    const issues = await textToSpeech.validateSsml({
+      text: '<express-as type="Apology">Sorry</express-as>',
+      voice: 'en-US_MichaelV3Voice',
+    });
+    expect(getVoice).toHaveBeenCalledWith({ voice: 'en-US_MichaelV3Voice' });
+    expect(messages(issues)).toEqual([
+      'The voice en-US_MichaelV3Voice does not support <express-as>',
+    ]);
+  });
+
+  it('should use a voice object without a request', async () => {
+    const getVoice = jest.spyOn(textToSpeech, 'getVoice');
+    expect(await textToSpeech.validateSsml({ text: '<mark name="a"/>', voice: allison })).toEqual(
+      []
+    );
+    expect(getVoice).not.toHaveBeenCalled();
+  });
+});
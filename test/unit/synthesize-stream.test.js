@@ -0,0 +1,170 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { NoAuthAuthenticator } = require('ibm-cloud-sdk-core');
+const websocket = require('websocket');
+const SynthesizeStream = require('../../dist/lib/synthesize-stream');
+const { alignWords, getVisibleText } = require('../../dist/lib/text-alignment');
+
+// a stand-in for the w3c websocket that opens right away and lets the tests play the service
+const sockets = [];
+class FakeSocket {
+  constructor() {
+    this.OPEN = 1;
+    this.readyState = 0;
+    this.sent = [];
+    sockets.push(this);
+    setImmediate(() => {
+      this.readyState = this.OPEN;
+      this.onopen();
+    });
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  receive(data) {
+    this.onmessage({ data });
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose({ code: 1000, reason: '' });
+  }
+}
+
+jest.spyOn(websocket, 'w3cwebsocket').mockImplementation(() => new FakeSocket());
+
+afterEach(() => {
+  sockets.length = 0;
+});
+
+function createStream(options) {
+  const stream = new SynthesizeStream(
+    Object.assign(
+      {
+        authenticator: new NoAuthAuthenticator(),
+        accept: 'audio/ogg',
+        timings: ['words'],
+      },
+      options
+    )
+  );
+  stream.resume();
+  return stream;
+}
+
+const opened = () => new Promise(resolve => setImmediate(() => setImmediate(resolve)));
+
+describe('text alignment', () => {
+  it('should strip tags and decode entities', () => {
+    const { text, offsets } = getVisibleText('<speak>A &amp; B</speak>');
+    expect(text).toBe(' A & B ');
+    expect(offsets).toEqual([0, 7, 8, 9, 14, 15, 16]);
+  });
+
+  it('should keep numeric entities of invalid code points as written', () => {
+    expect(getVisibleText('&#x1F600; &#x110000; &#99999999999;').text).toBe(
+      '\u{1F600} &#x110000; &#99999999999;'
+    );
+  });
+
+  it('should find words in order', () => {
+    expect(
+      alignWords('the cat and the hat', [
+        ['the', 0, 0.1],
+        ['cat', 0.1, 0.3],
+        ['and', 0.3, 0.4],
+        ['the', 0.4, 0.5],
+        ['hat', 0.5, 0.8],
+      ]).map(word => word.charOffset)
+    ).toEqual([0, 4, 8, 12, 16]);
+  });
+
+  it('should map words to their position in SSML', () => {
+    const ssml =
+      '<speak>Say <emphasis level="strong">R&amp;D</emphasis> twice<break time="1s"/>please</speak>';
+    expect(
+      alignWords(ssml, [
+        ['Say', 0, 0.2],
+        ['R&D', 0.2, 0.6],
+        ['twice', 0.6, 0.9],
+        ['please', 1.9, 2.3],
+      ])
+    ).toEqual([
+      { word: 'Say', startSec: 0, endSec: 0.2, charOffset: 7 },
+      { word: 'R&D', startSec: 0.2, endSec: 0.6, charOffset: 36 },
+      { word: 'twice', startSec: 0.6, endSec: 0.9, charOffset: 55 },
+      { word: 'please', startSec: 1.9, endSec: 2.3, charOffset: 78 },
+    ]);
+  });
+
+  it('should skip words that are not in the text', () => {
+    expect(
+      alignWords('<say-as interpret-as="cardinal">12</say-as> apples', [
+        ['twelve', 0, 0.4],
+        ['apples', 0.4, 0.8],
+      ]).map(word => word.charOffset)
+    ).toEqual([-1, 44]);
+  });
+});
+
+describe('SynthesizeStream', () => {
+  it('should send the text when the connection opens', async () => {
+    createStream({ text: 'Hello' });
+    await opened();
+    expect(sockets[0].sent).toEqual([{ text: 'Hello', accept: 'audio/ogg', timings: ['words'] }]);
+  });
+
+  it('should wait for the text if there is none yet', async () => {
+    const stream = createStream();
+    await opened();
+    expect(sockets[0].sent).toEqual([]);
+    stream.setText('Hello');
+    expect(sockets[0].sent[0].text).toBe('Hello');
+  });
+
+  it('should resolve the alignment once the synthesis is complete', async () => {
+    const stream = createStream({ text: '<speak>Hello <mark name="here"/>world</speak>' });
+    await opened();
+    const alignment = stream.getAlignment();
+    sockets[0].receive(JSON.stringify({ words: [['Hello', 0, 0.4]] }));
+    sockets[0].receive(JSON.stringify({ marks: [['here', 0.45]] }));
+    sockets[0].receive(JSON.stringify({ words: [['world', 0.5, 0.9]] }));
+    sockets[0].receive(Buffer.from([1, 2, 3]));
+    sockets[0].close();
+    expect(await alignment).toEqual({
+      words: [
+        { word: 'Hello', startSec: 0, endSec: 0.4, charOffset: 7 },
+        { word: 'world', startSec: 0.5, endSec: 0.9, charOffset: 32 },
+      ],
+      marks: [{ mark: 'here', timeSec: 0.45 }],
+    });
+    // it's still available afterwards
+    expect((await stream.getAlignment()).words.length).toBe(2);
+  });
+
+  it('should reject the alignment when the synthesis fails', async () => {
+    const stream = createStream({ text: 'Hello' });
+    await opened();
+    const alignment = stream.getAlignment();
+    sockets[0].receive(JSON.stringify({ error: 'Bad voice' }));
+    await expect(alignment).rejects.toThrow('Bad voice');
+  });
+});
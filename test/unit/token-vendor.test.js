@@ -0,0 +1,298 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const http = require('http');
+const { BasicAuthenticator, IamAuthenticator } = require('ibm-cloud-sdk-core');
+const AuthorizationV1 = require('../../dist/authorization/v1');
+const SpeechToTextV1 = require('../../dist/speech-to-text/v1');
+const { TokenVendor, VendedTokenAuthenticator } = require('../../dist/auth');
+
+const sttUrl = 'https://api.us-south.speech-to-text.watson.cloud.ibm.com';
+const ttsUrl = 'https://api.us-south.text-to-speech.watson.cloud.ibm.com';
+
+// a JWT that expires in the given number of seconds
+function createJwt(expiresIn) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64');
+  const exp = Math.floor(Date.now() / 1000) + expiresIn;
+  return [encode({ alg: 'none' }), encode({ exp }), 'signature'].join('.');
+}
+
+function createAuthorization(authenticator = new IamAuthenticator({ apikey: 'abc123' })) {
+  const authorization = new AuthorizationV1({ url: sttUrl, authenticator });
+  jest.spyOn(authorization, 'getToken');
+  return authorization;
+}
+
+function request(server, path, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const req = http.request({ port, path, method }, res => {
+      let body = '';
+      res.on('data', chunk => (body += chunk));
+      res.on('end', () =>
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: JSON.parse(body) })
+      );
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('AuthorizationV1#getToken', () => {
+  it('should resolve to the same value as the callback gets', async () => {
+    const authorization = new AuthorizationV1({
+      url: sttUrl,
+      authenticator: new BasicAuthenticator({ username: 'batman', password: 'bruce-wayne' }),
+    });
+    const response = { result: 'token' };
+    jest.spyOn(authorization, 'createRequest').mockImplementation(() => Promise.resolve(response));
+    const callback = jest.fn();
+    await expect(authorization.getToken({ url: sttUrl }, callback)).resolves.toBe(response);
+    expect(callback).toHaveBeenCalledWith(null, response);
+  });
+
+  it('should reject without a callback', async () => {
+    const authorization = new AuthorizationV1({
+      url: sttUrl,
+      authenticator: new BasicAuthenticator({ username: 'batman', password: 'bruce-wayne' }),
+    });
+    await expect(authorization.getToken({})).rejects.toThrow('Missing required parameters: url');
+  });
+});
+
+describe('TokenVendor', () => {
+  it('should require credentials', () => {
+    expect(() => new TokenVendor({})).toThrow(
+      'Either an authenticator or an authorization service is required'
+    );
+  });
+
+  it('should cache tokens until shortly before they expire', async () => {
+    const authorization = createAuthorization();
+    const vendor = new TokenVendor({ authorization, serviceUrl: sttUrl });
+    const jwt = createJwt(3600);
+    authorization.getToken.mockImplementation(() => Promise.resolve(jwt));
+
+    const token = await vendor.getToken();
+    expect(token).toEqual({ accessToken: jwt, url: sttUrl, expiresAt: expect.any(Number) });
+    expect(Math.abs(token.expiresAt - (Date.now() + 3600 * 1000))).toBeLessThan(2000);
+    await vendor.getToken();
+    expect(authorization.getToken).toHaveBeenCalledTimes(1);
+    expect(authorization.getToken).toHaveBeenCalledWith({ url: sttUrl });
+
+    // within the refresh margin
+    const expiring = createJwt(60);
+    authorization.getToken.mockImplementation(() => Promise.resolve(expiring));
+    const vendor2 = new TokenVendor({ authorization, serviceUrl: sttUrl });
+    await vendor2.getToken();
+    await vendor2.getToken();
+    expect(authorization.getToken).toHaveBeenCalledTimes(3);
+  });
+
+  it('should share one refresh between concurrent requests', async () => {
+    const authorization = createAuthorization();
+    const vendor = new TokenVendor({ authorization, serviceUrl: sttUrl });
+    authorization.getToken.mockImplementation(() => Promise.resolve(createJwt(3600)));
+
+    const tokens = await Promise.all([vendor.getToken(), vendor.getToken(), vendor.getToken()]);
+    expect(authorization.getToken).toHaveBeenCalledTimes(1);
+    expect(tokens[1]).toBe(tokens[0]);
+    expect(tokens[2]).toBe(tokens[0]);
+  });
+
+  it('should keep a token for each service url', async () => {
+    const authorization = createAuthorization();
+    const vendor = new TokenVendor({ authorization });
+    authorization.getToken.mockImplementation(({ url }) => Promise.resolve(`token for ${url}`));
+
+    const [stt, tts] = await Promise.all([vendor.getToken(sttUrl), vendor.getToken(ttsUrl)]);
+    expect(stt.accessToken).toBe(`token for ${sttUrl}`);
+    expect(tts.accessToken).toBe(`token for ${ttsUrl}`);
+    expect(tts.url).toBe(ttsUrl);
+    // tokens that aren't JWTs last an hour
+    expect(stt.expiresAt - Date.now()).toBeGreaterThan(TokenVendor.DEFAULT_TTL - 2000);
+    await vendor.getToken(sttUrl);
+    expect(authorization.getToken).toHaveBeenCalledTimes(2);
+  });
+
+  it('should vend watson tokens for Cloud Foundry services', async () => {
+    const authorization = createAuthorization(
+      new BasicAuthenticator({ username: 'batman', password: 'bruce-wayne' })
+    );
+    authorization.getToken.mockRestore();
+    jest
+      .spyOn(authorization, 'createRequest')
+      .mockImplementation(() => Promise.resolve({ result: 'watson%20token' }));
+    const vendor = new TokenVendor({ authorization, serviceUrl: sttUrl });
+    await expect(vendor.getToken()).resolves.toMatchObject({ watsonToken: 'watson%20token' });
+  });
+
+  it('should not cache failures', async () => {
+    const authorization = createAuthorization();
+    const vendor = new TokenVendor({ authorization, serviceUrl: sttUrl });
+    authorization.getToken.mockImplementationOnce(() => Promise.reject(new Error('IAM is down')));
+    await expect(vendor.getToken()).rejects.toThrow('IAM is down');
+
+    authorization.getToken.mockImplementation(() => Promise.resolve(createJwt(3600)));
+    await expect(vendor.getToken()).resolves.toMatchObject({ url: sttUrl });
+  });
+
+  describe('handler()', () => {
+    let server;
+    let authorization;
+
+    beforeEach(done => {
+      authorization = createAuthorization();
+      authorization.getToken.mockImplementation(({ url }) => Promise.resolve(`token for ${url}`));
+      const vendor = new TokenVendor({
+        authorization,
+        serviceUrl: sttUrl,
+        services: { 'text-to-speech': ttsUrl },
+      });
+      server = http.createServer(vendor.handler()).listen(0, done);
+    });
+
+    afterEach(done => {
+      server.close(done);
+    });
+
+    it('should respond with the token of the default service', async () => {
+      const res = await request(server, '/api/token');
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['cache-control']).toBe('no-store');
+      expect(res.body).toMatchObject({ accessToken: `token for ${sttUrl}`, url: sttUrl });
+    });
+
+    it('should respond with the token of a named service', async () => {
+      const res = await request(server, '/api/token?service=text-to-speech');
+      expect(res.body).toMatchObject({ accessToken: `token for ${ttsUrl}`, url: ttsUrl });
+    });
+
+    it('should only vend tokens for the configured services', async () => {
+      const res = await request(
+        server,
+        `/api/token?service=${encodeURIComponent('https://example.com')}`
+      );
+      expect(res.statusCode).toBe(404);
+      expect(res.body.error).toBe('Unknown service: https://example.com');
+      expect(authorization.getToken).not.toHaveBeenCalled();
+    });
+
+    it('should only answer GET requests', async () => {
+      const res = await request(server, '/api/token', 'POST');
+      expect(res.statusCode).toBe(405);
+    });
+
+    it('should respond with an error when no token can be had', async () => {
+      authorization.getToken.mockImplementation(() => Promise.reject(new Error('IAM is down')));
+      const res = await request(server, '/api/token');
+      expect(res.statusCode).toBe(500);
+      expect(res.body).toEqual({ error: 'IAM is down' });
+    });
+  });
+});
+
+describe('VendedTokenAuthenticator', () => {
+  const token = (accessToken, expiresIn = 3600 * 1000) => ({
+    accessToken,
+    url: sttUrl,
+    expiresAt: Date.now() + expiresIn,
+  });
+
+  it('should require a url or fetchToken', () => {
+    expect(() => new VendedTokenAuthenticator({})).toThrow(
+      'Either the url of a token endpoint or fetchToken is required'
+    );
+  });
+
+  it('should add the token as a bearer token and as an option for WebSocket streams', async () => {
+    const fetchToken = jest.fn(() => Promise.resolve(token('abc')));
+    const authenticator = new VendedTokenAuthenticator({ fetchToken });
+    const options = { headers: { 'X-Custom': 'value' } };
+    await authenticator.authenticate(options);
+    expect(options).toEqual({
+      headers: { 'X-Custom': 'value', Authorization: 'Bearer abc' },
+      accessToken: 'abc',
+    });
+  });
+
+  it('should add watson tokens with their own header', async () => {
+    const fetchToken = () =>
+      Promise.resolve({ watsonToken: 'xyz', url: sttUrl, expiresAt: Date.now() + 60000 });
+    const authenticator = new VendedTokenAuthenticator({ fetchToken, refreshMargin: 0 });
+    const options = {};
+    await authenticator.authenticate(options);
+    expect(options).toEqual({
+      headers: { 'X-Watson-Authorization-Token': 'xyz' },
+      watsonToken: 'xyz',
+    });
+  });
+
+  it('should refresh the token shortly before it expires', async () => {
+    const fetchToken = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.resolve(token('first', 30 * 1000)))
+      .mockImplementationOnce(() => Promise.resolve(token('second')));
+    const authenticator = new VendedTokenAuthenticator({ fetchToken });
+
+    const tokens = await Promise.all([authenticator.getToken(), authenticator.getToken()]);
+    expect(tokens.map(t => t.accessToken)).toEqual(['first', 'first']);
+    await expect(authenticator.getToken()).resolves.toMatchObject({ accessToken: 'second' });
+    await expect(authenticator.getToken()).resolves.toMatchObject({ accessToken: 'second' });
+    expect(fetchToken).toHaveBeenCalledTimes(2);
+  });
+
+  it('should get the token from the url with fetch()', async () => {
+    const fetch = jest.fn(() =>
+      Promise.resolve({ ok: true, json: () => Promise.resolve(token('abc')) })
+    );
+    global.fetch = fetch;
+    try {
+      const authenticator = new VendedTokenAuthenticator({
+        url: '/api/token?service=speech-to-text',
+      });
+      await expect(authenticator.getToken()).resolves.toMatchObject({ accessToken: 'abc' });
+      expect(fetch).toHaveBeenCalledWith('/api/token?service=speech-to-text', expect.any(Object));
+
+      fetch.mockImplementation(() =>
+        Promise.resolve({ ok: false, status: 500, statusText: 'Internal Server Error' })
+      );
+      const failing = new VendedTokenAuthenticator({ url: '/api/token' });
+      await expect(failing.getToken()).rejects.toThrow(
+        'Failed to get a token: 500 Internal Server Error'
+      );
+    } finally {
+      delete global.fetch;
+    }
+  });
+
+  it('should pass the token to recognizeUsingWebSocket', async () => {
+    const authenticator = new VendedTokenAuthenticator({
+      fetchToken: () => Promise.resolve(token('abc')),
+    });
+    const speechToText = new SpeechToTextV1({ authenticator, serviceUrl: sttUrl });
+    const stream = speechToText.recognizeUsingWebSocket({ contentType: 'audio/l16; rate=16000' });
+    const initialize = jest.spyOn(stream, 'initialize').mockImplementation(() => {});
+
+    stream.write(Buffer.alloc(2));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(initialize).toHaveBeenCalled();
+    expect(stream.options.accessToken).toBe('abc');
+    stream.destroy();
+  });
+});
@@ -0,0 +1,308 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+const { NoAuthAuthenticator } = require('ibm-cloud-sdk-core');
+const websocket = require('websocket');
+const AssistantV1 = require('../../dist/assistant/v1');
+const SpeechToTextV1 = require('../../dist/speech-to-text/v1');
+const TextToSpeechV1 = require('../../dist/text-to-speech/v1');
+const {
+  disableTracing,
+  enableTracing,
+  getOperation,
+  traceStream,
+} = require('../../dist/lib/tracing');
+
+// records the spans the way an OpenTelemetry tracer would
+class FakeSpan {
+  constructor(name, options) {
+    this.name = name;
+    this.kind = options.kind;
+    this.attributes = Object.assign({}, options.attributes);
+    this.events = [];
+    this.status = null;
+    this.exceptions = [];
+    this.ended = false;
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+  }
+
+  addEvent(name, attributes) {
+    this.events.push(attributes ? { name, attributes } : { name });
+  }
+
+  setStatus(status) {
+    this.status = status;
+  }
+
+  recordException(err) {
+    this.exceptions.push(err);
+  }
+
+  end() {
+    this.ended = true;
+  }
+}
+
+function createTracer() {
+  const spans = [];
+  const tracer = {
+    spans,
+    startSpan: jest.fn((name, options) => {
+      const span = new FakeSpan(name, options);
+      spans.push(span);
+      return span;
+    }),
+    startActiveSpan: jest.fn((name, options, fn) => fn(tracer.startSpan(name, options))),
+  };
+  return tracer;
+}
+
+function createAssistant(options) {
+  const assistant = new AssistantV1(
+    Object.assign({ authenticator: new NoAuthAuthenticator(), version: '2020-04-01' }, options)
+  );
+  const sendRequest = jest.spyOn(assistant.requestWrapperInstance, 'sendRequest');
+  return { assistant, sendRequest };
+}
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+describe('tracing', () => {
+  describe('getOperation', () => {
+    it('should read the analytics header', () => {
+      const headers = {
+        'X-IBMCloud-SDK-Analytics':
+          'service_name=conversation;service_version=v1;operation_id=listWorkspaces;async=true',
+      };
+      expect(getOperation(headers)).toEqual({
+        serviceName: 'conversation',
+        serviceVersion: 'v1',
+        operationId: 'listWorkspaces',
+      });
+    });
+
+    it('should fall back to the defaults', () => {
+      const defaults = {
+        serviceName: 'speech_to_text',
+        serviceVersion: 'v1',
+        operationId: 'recognize',
+      };
+      expect(getOperation(undefined, defaults)).toEqual(defaults);
+    });
+  });
+
+  describe('operations', () => {
+    it('should create an active span for every operation', async () => {
+      const tracer = createTracer();
+      const { assistant, sendRequest } = createAssistant({ tracer });
+      sendRequest.mockResolvedValue({
+        status: 200,
+        headers: { 'x-global-transaction-id': 'tx-1' },
+        result: {},
+      });
+
+      await assistant.getWorkspace({ workspaceId: 'ws' });
+      expect(tracer.startActiveSpan).toHaveBeenCalledTimes(1);
+      const [span] = tracer.spans;
+      expect(span.name).toBe('conversation.getWorkspace');
+      expect(span.kind).toBe(2);
+      expect(span.attributes).toEqual({
+        'watson.service.name': 'conversation',
+        'watson.service.version': 'v1',
+        'watson.operation': 'getWorkspace',
+        'http.method': 'GET',
+        'http.route': '/v1/workspaces/{workspace_id}',
+        'http.status_code': 200,
+        'watson.global_transaction_id': 'tx-1',
+      });
+      expect(span.status).toBeNull();
+      expect(span.ended).toBe(true);
+    });
+
+    it('should record errors', async () => {
+      const tracer = createTracer();
+      const { assistant, sendRequest } = createAssistant({ tracer });
+      const err = httpError(404, { 'x-global-transaction-id': 'tx-2' });
+      sendRequest.mockRejectedValue(err);
+
+      await expect(assistant.getWorkspace({ workspaceId: 'ws' })).rejects.toBe(err);
+      const [span] = tracer.spans;
+      expect(span.attributes['http.status_code']).toBe(404);
+      expect(span.attributes['watson.global_transaction_id']).toBe('tx-2');
+      expect(span.status).toEqual({ code: 2, message: 'HTTP 404' });
+      expect(span.exceptions).toEqual([err]);
+      expect(span.ended).toBe(true);
+    });
+
+    it('should add an event for every retry', async () => {
+      const tracer = createTracer();
+      const onRetry = jest.fn();
+      const { assistant, sendRequest } = createAssistant({
+        tracer,
+        retry: { initialDelay: 1, jitter: false, onRetry },
+      });
+      sendRequest
+        .mockRejectedValueOnce(httpError(503))
+        .mockResolvedValueOnce({ status: 200, headers: {} });
+
+      await assistant.listWorkspaces();
+      expect(tracer.spans).toHaveLength(1);
+      expect(tracer.spans[0].events).toEqual([
+        { name: 'retry', attributes: { attempt: 2, delay: 1, 'http.status_code': 503 } },
+      ]);
+      expect(onRetry).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use the global tracer', async () => {
+      const tracer = createTracer();
+      enableTracing(tracer);
+      try {
+        const { assistant, sendRequest } = createAssistant();
+        sendRequest.mockResolvedValue({ status: 200, headers: {} });
+        await assistant.listWorkspaces();
+        expect(tracer.spans.map(span => span.name)).toEqual(['conversation.listWorkspaces']);
+      } finally {
+        disableTracing();
+      }
+
+      const { assistant, sendRequest } = createAssistant();
+      sendRequest.mockResolvedValue({ status: 200, headers: {} });
+      await assistant.listWorkspaces();
+      expect(tracer.spans).toHaveLength(1);
+    });
+  });
+
+  describe('streams', () => {
+    const operation = {
+      serviceName: 'speech_to_text',
+      serviceVersion: 'v1',
+      operationId: 'recognizeUsingWebSocket',
+    };
+
+    it('should trace the life of a recognize stream', () => {
+      const tracer = createTracer();
+      const stream = new EventEmitter();
+      stream.socket = { _client: { response: { headers: { 'x-global-transaction-id': 'tx-3' } } } };
+      traceStream(tracer, stream, operation);
+
+      stream.emit('open');
+      stream.emit('listening');
+      stream.emit('send-data', Buffer.alloc(100));
+      stream.emit('message', {}, { state: 'listening' });
+      stream.emit('message', {}, { results: [], result_index: 0 });
+      stream.emit('send-data', Buffer.alloc(50));
+      stream.emit('message', {}, { results: [], result_index: 0 });
+      stream.emit('close', 1000, '');
+
+      const [span] = tracer.spans;
+      expect(span.name).toBe('speech_to_text.recognizeUsingWebSocket');
+      expect(span.events).toEqual([
+        { name: 'open' },
+        { name: 'listening' },
+        { name: 'firstResult' },
+        { name: 'close', attributes: { code: 1000, reason: '' } },
+      ]);
+      expect(span.attributes).toMatchObject({
+        'watson.operation': 'recognizeUsingWebSocket',
+        'watson.global_transaction_id': 'tx-3',
+        'watson.audio_bytes_sent': 150,
+        'watson.audio_bytes_received': 0,
+      });
+      expect(span.ended).toBe(true);
+    });
+
+    it('should count the audio received by a synthesize stream', () => {
+      const tracer = createTracer();
+      const stream = new EventEmitter();
+      traceStream(tracer, stream, operation);
+
+      stream.emit('open');
+      stream.emit('message', {}, '{"binary_streams":[]}');
+      stream.emit('message', {}, Buffer.alloc(300));
+      stream.emit('message', {}, Buffer.alloc(200));
+      stream.emit('close', 1000, '');
+
+      const [span] = tracer.spans;
+      expect(span.events.map(event => event.name)).toEqual(['open', 'firstResult', 'close']);
+      expect(span.attributes['watson.audio_bytes_received']).toBe(500);
+    });
+
+    it('should end the span on errors', async () => {
+      const tracer = createTracer();
+      const stream = new EventEmitter();
+      traceStream(tracer, stream, operation);
+      const onError = jest.fn();
+      stream.on('error', onError);
+
+      const err = new Error('WebSocket connection error');
+      stream.emit('error', err);
+      await new Promise(setImmediate);
+
+      const [span] = tracer.spans;
+      expect(span.status).toEqual({ code: 2, message: 'WebSocket connection error' });
+      expect(span.exceptions).toEqual([err]);
+      expect(span.ended).toBe(true);
+      expect(onError).toHaveBeenCalledWith(err);
+    });
+
+    it('should still throw errors that the stream has no listener for', async () => {
+      const tracer = createTracer();
+      const stream = new EventEmitter();
+      traceStream(tracer, stream, operation);
+
+      const err = new Error('WebSocket connection error');
+      expect(() => stream.emit('error', err)).toThrow('WebSocket connection error');
+      expect(stream.listenerCount('error')).toBe(0);
+      await new Promise(setImmediate);
+
+      const [span] = tracer.spans;
+      expect(span.exceptions).toEqual([err]);
+      expect(span.ended).toBe(true);
+    });
+
+    it('should trace the streams created by the clients', () => {
+      const tracer = createTracer();
+      const spy = jest.spyOn(websocket, 'w3cwebsocket').mockImplementation(() => ({ close() {} }));
+      try {
+        const speechToText = new SpeechToTextV1({
+          authenticator: new NoAuthAuthenticator(),
+          tracer,
+        });
+        speechToText.recognizeUsingWebSocket({ contentType: 'audio/wav' });
+        const textToSpeech = new TextToSpeechV1({
+          authenticator: new NoAuthAuthenticator(),
+          tracer,
+        });
+        textToSpeech.synthesizeUsingWebSocket({ text: 'hi', accept: 'audio/wav' });
+
+        expect(tracer.spans.map(span => span.name)).toEqual([
+          'speech_to_text.recognizeUsingWebSocket',
+          'text_to_speech.synthesizeUsingWebSocket',
+        ]);
+      } finally {
+        spy.mockRestore();
+      }
+    });
+  });
+});
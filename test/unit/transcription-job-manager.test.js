@@ -0,0 +1,335 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { NoAuthAuthenticator } = require('ibm-cloud-sdk-core');
+const SpeechToTextV1 = require('../../dist/speech-to-text/v1');
+const TranscriptionJobManager = require('../../dist/lib/transcription-job-manager');
+
+// plays the service: each job stays `processing` until the test sets its status
+function createClient() {
+  const jobs = {};
+  let nextId = 1;
+  const client = {
+    jobs,
+    createJob: jest.fn(params => {
+      const id = `job-${nextId++}`;
+      jobs[id] = { id, status: 'waiting', params };
+      return Promise.resolve({ result: { id, status: 'waiting' } });
+    }),
+    checkJobs: jest.fn(() =>
+      Promise.resolve({
+        result: { recognitions: Object.keys(jobs).map(id => ({ id, status: jobs[id].status })) },
+      })
+    ),
+    checkJob: jest.fn(({ id }) =>
+      Promise.resolve({
+        result: { id, status: jobs[id].status, results: [{ result_index: 0, id }] },
+      })
+    ),
+    deleteJob: jest.fn(({ id }) => {
+      delete jobs[id];
+      return Promise.resolve({ result: {} });
+    }),
+  };
+  return client;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('TranscriptionJobManager', () => {
+  it('should run jobs with a concurrency cap and collect the results', async () => {
+    const client = createClient();
+    const manager = new TranscriptionJobManager(client, {
+      concurrency: 2,
+      pollInterval: 5,
+      jobParams: { model: 'en-US_NarrowbandModel' },
+    });
+    const progress = [];
+    manager.on('progress', p => progress.push(p));
+
+    const outcomes = ['a', 'b', 'c'].map(id => manager.add({ id, audio: Buffer.from(id) }));
+    await wait(1);
+    expect(client.createJob).toHaveBeenCalledTimes(2);
+    expect(client.createJob.mock.calls[0][0]).toEqual({
+      model: 'en-US_NarrowbandModel',
+      audio: Buffer.from('a'),
+      headers: undefined,
+    });
+
+    client.jobs['job-1'].status = 'completed';
+    await wait(50);
+    expect(client.createJob).toHaveBeenCalledTimes(3);
+    client.jobs['job-2'].status = 'completed';
+    client.jobs['job-3'].status = 'completed';
+
+    const results = await manager.whenDone();
+    expect(results.map(outcome => outcome.id).sort()).toEqual(['a', 'b', 'c']);
+    expect(await outcomes[0]).toEqual({
+      id: 'a',
+      status: 'completed',
+      jobId: 'job-1',
+      attempts: 1,
+      results: [{ result_index: 0, id: 'job-1' }],
+    });
+    expect(client.deleteJob).toHaveBeenCalledTimes(3);
+    expect(Object.keys(client.jobs)).toEqual([]);
+    expect(progress[progress.length - 1]).toEqual({
+      total: 3,
+      queued: 0,
+      active: 0,
+      completed: 3,
+      failed: 0,
+      stopped: 0,
+    });
+  });
+
+  it('should retry failed jobs and give up after maxRetries', async () => {
+    const client = createClient();
+    const manager = new TranscriptionJobManager(client, {
+      pollInterval: 5,
+      retryDelay: 1,
+      maxRetries: 1,
+    });
+    const retries = [];
+    manager.on('retry', (item, err, attempt) => retries.push([item.id, err.message, attempt]));
+    const failed = jest.fn();
+    manager.on('failed', failed);
+
+    const outcome = manager.add({ id: 'a', audio: () => Buffer.from('a') });
+    await wait(1);
+    client.jobs['job-1'].status = 'failed';
+    await wait(50);
+    client.jobs['job-2'].status = 'failed';
+
+    expect(await outcome).toEqual({
+      id: 'a',
+      status: 'failed',
+      jobId: 'job-2',
+      attempts: 2,
+      error: new Error('Job job-2 failed'),
+    });
+    expect(retries).toEqual([['a', 'Job job-1 failed', 1]]);
+    expect(failed).toHaveBeenCalledWith(await outcome);
+    expect(manager.getProgress()).toEqual({
+      total: 1,
+      queued: 0,
+      active: 0,
+      completed: 0,
+      failed: 1,
+      stopped: 0,
+    });
+  });
+
+  it('should retry when a job cannot be created', async () => {
+    const client = createClient();
+    const createJob = client.createJob;
+    client.createJob = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('Too many requests'))
+      .mockImplementation(createJob);
+    const manager = new TranscriptionJobManager(client, { pollInterval: 5, retryDelay: 1 });
+    const outcome = manager.add({ id: 'a', audio: Buffer.from('a') });
+    await wait(30);
+    client.jobs['job-1'].status = 'completed';
+    expect((await outcome).attempts).toBe(2);
+  });
+
+  it('should fetch the results of a completed job again instead of resubmitting it', async () => {
+    const client = createClient();
+    const checkJob = client.checkJob;
+    client.checkJob = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('Service unavailable'))
+      .mockImplementation(checkJob);
+    const manager = new TranscriptionJobManager(client, { pollInterval: 5, retryDelay: 1 });
+    const pollError = jest.fn();
+    manager.on('pollError', pollError);
+    const outcome = manager.add({ id: 'a', audio: Buffer.from('a') });
+    await wait(1);
+    client.jobs['job-1'].status = 'completed';
+
+    expect(await outcome).toMatchObject({ status: 'completed', jobId: 'job-1', attempts: 1 });
+    expect(client.createJob).toHaveBeenCalledTimes(1);
+    expect(client.checkJob).toHaveBeenCalledTimes(2);
+    expect(client.deleteJob).toHaveBeenCalledTimes(1);
+    expect(pollError).toHaveBeenCalledWith(new Error('Service unavailable'));
+  });
+
+  it('should keep a completed job whose results cannot be fetched', async () => {
+    const client = createClient();
+    client.checkJob = jest.fn().mockRejectedValue(new Error('Service unavailable'));
+    const manager = new TranscriptionJobManager(client, {
+      pollInterval: 5,
+      retryDelay: 1,
+      maxRetries: 1,
+    });
+    const outcome = manager.add({ id: 'a', audio: Buffer.from('a') });
+    await wait(1);
+    client.jobs['job-1'].status = 'completed';
+
+    expect(await outcome).toMatchObject({ status: 'failed', jobId: 'job-1', attempts: 1 });
+    expect(client.checkJob).toHaveBeenCalledTimes(2);
+    expect(client.createJob).toHaveBeenCalledTimes(1);
+    expect(client.deleteJob).not.toHaveBeenCalled();
+  });
+
+  it('should open files for each attempt', async () => {
+    const client = createClient();
+    const manager = new TranscriptionJobManager(client, { pollInterval: 5 });
+    const outcome = manager.add({ id: 'file', audio: __filename });
+    await wait(1);
+    expect(client.createJob.mock.calls[0][0].audio).toBeInstanceOf(fs.ReadStream);
+    client.createJob.mock.calls[0][0].audio.destroy();
+    client.jobs['job-1'].status = 'completed';
+    expect((await outcome).status).toBe('completed');
+  });
+
+  it('should not retry an item whose audio is a stream', async () => {
+    const client = createClient();
+    const manager = new TranscriptionJobManager(client, { pollInterval: 5, retryDelay: 1 });
+    const audio = fs.createReadStream(__filename);
+    const outcome = manager.add({ id: 'stream', audio });
+    await wait(1);
+    audio.destroy();
+    client.jobs['job-1'].status = 'failed';
+    expect(await outcome).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(client.createJob).toHaveBeenCalledTimes(1);
+  });
+
+  it('should finish jobs from callback notifications', async () => {
+    const client = createClient();
+    const manager = new TranscriptionJobManager(client, {
+      pollInterval: 0,
+      jobParams: {
+        callbackUrl: 'https://example.com/results',
+        events: 'recognitions.completed_with_results',
+      },
+    });
+    const outcome = manager.add({ id: 'a', audio: Buffer.from('a') });
+    await wait(1);
+
+    expect(manager.handleCallback({ id: 'unknown', event: 'recognitions.started' })).toBe(false);
+    expect(
+      manager.handleCallback({
+        id: 'job-1',
+        event: 'recognitions.completed_with_results',
+        results: [{ result_index: 0 }],
+      })
+    ).toBe(true);
+    expect((await outcome).results).toEqual([{ result_index: 0 }]);
+    expect(client.checkJobs).not.toHaveBeenCalled();
+    expect(client.checkJob).not.toHaveBeenCalled();
+  });
+
+  it('should keep polling after an error', async () => {
+    const client = createClient();
+    const checkJobs = client.checkJobs;
+    client.checkJobs = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('Service unavailable'))
+      .mockImplementation(checkJobs);
+    const manager = new TranscriptionJobManager(client, {
+      pollInterval: 5,
+      deleteFinishedJobs: false,
+    });
+    const pollError = jest.fn();
+    manager.on('pollError', pollError);
+    const outcome = manager.add({ id: 'a', audio: Buffer.from('a') });
+    await wait(1);
+    client.jobs['job-1'].status = 'completed';
+    expect((await outcome).status).toBe('completed');
+    expect(pollError).toHaveBeenCalledWith(new Error('Service unavailable'));
+    expect(client.deleteJob).not.toHaveBeenCalled();
+  });
+
+  it('should settle the items that have not finished when stopped', async () => {
+    const client = createClient();
+    client.createJob = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('Too many requests'))
+      .mockImplementation(client.createJob);
+    const manager = new TranscriptionJobManager(client, {
+      concurrency: 2,
+      pollInterval: 5,
+      retryDelay: 1000,
+    });
+    const stopped = jest.fn();
+    manager.on('stopped', stopped);
+    const outcomes = ['waiting', 'running', 'queued'].map(id =>
+      manager.add({ id, audio: Buffer.from(id) })
+    );
+    await wait(1);
+    manager.stop();
+
+    expect(await manager.whenDone()).toHaveLength(3);
+    expect(await Promise.all(outcomes)).toEqual([
+      { id: 'waiting', status: 'stopped', jobId: undefined, attempts: 1 },
+      { id: 'running', status: 'stopped', jobId: 'job-1', attempts: 1 },
+      { id: 'queued', status: 'stopped', jobId: undefined, attempts: 0 },
+    ]);
+    expect(stopped).toHaveBeenCalledTimes(3);
+    expect(manager.getProgress()).toMatchObject({ queued: 0, active: 0, stopped: 3 });
+    await wait(20);
+    expect(client.checkJobs).not.toHaveBeenCalled();
+    expect(client.createJob).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop items added after stop', async () => {
+    const client = createClient();
+    const manager = new TranscriptionJobManager(client);
+    manager.stop();
+    const outcome = manager.add({ id: 'late', audio: Buffer.from('late') });
+
+    expect(await outcome).toEqual({ id: 'late', status: 'stopped', jobId: undefined, attempts: 0 });
+    expect(await manager.whenDone()).toHaveLength(1);
+    expect(manager.getProgress()).toMatchObject({ total: 1, queued: 0, stopped: 1 });
+    expect(client.createJob).not.toHaveBeenCalled();
+  });
+
+  it('should report a malformed poll response as a poll error and keep polling', async () => {
+    const client = createClient();
+    const checkJobs = client.checkJobs;
+    client.checkJobs = jest
+      .fn()
+      .mockResolvedValueOnce({ result: {} })
+      .mockImplementation(checkJobs);
+    const manager = new TranscriptionJobManager(client, { pollInterval: 5 });
+    const pollError = jest.fn();
+    manager.on('pollError', pollError);
+    const outcome = manager.add({ id: 'a', audio: Buffer.from('a') });
+    await wait(1);
+    client.jobs['job-1'].status = 'completed';
+
+    expect(await outcome).toMatchObject({ status: 'completed', jobId: 'job-1' });
+    expect(pollError).toHaveBeenCalledTimes(1);
+    expect(pollError.mock.calls[0][0]).toBeInstanceOf(TypeError);
+  });
+
+  it('should resolve whenDone right away without items', async () => {
+    const manager = new TranscriptionJobManager(createClient());
+    expect(await manager.whenDone()).toEqual([]);
+  });
+
+  it('should be created by the service', () => {
+    const speechToText = new SpeechToTextV1({ authenticator: new NoAuthAuthenticator() });
+    expect(speechToText.createJobManager({ concurrency: 1 })).toBeInstanceOf(
+      TranscriptionJobManager
+    );
+  });
+});
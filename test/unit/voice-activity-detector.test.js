@@ -0,0 +1,154 @@
+/**
+ * (C) Copyright IBM Corp. 2020.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const VoiceActivityDetector = require('../../dist/lib/voice-activity-detector');
+
+const contentType = 'audio/l16; rate=16000';
+
+// a 440Hz tone of big-endian 16-bit samples, as l16 is big-endian unless stated otherwise
+function tone(ms, amplitude = 0.5) {
+  const buffer = Buffer.alloc(((16000 * ms) / 1000) * 2);
+  for (let i = 0; i < buffer.length / 2; i++) {
+    buffer.writeInt16BE(
+      Math.round(Math.sin((2 * Math.PI * 440 * i) / 16000) * amplitude * 32767),
+      i * 2
+    );
+  }
+  return buffer;
+}
+
+const silence = ms => Buffer.alloc(((16000 * ms) / 1000) * 2);
+
+function record(detector) {
+  const events = [];
+  ['speechStart', 'speechEnd', 'silence'].forEach(name =>
+    detector.on(name, time => events.push([name, Math.round(time * 1000)]))
+  );
+  return events;
+}
+
+describe('VoiceActivityDetector', () => {
+  it('should detect the start and end of speech', () => {
+    const detector = new VoiceActivityDetector();
+    const events = record(detector);
+    detector.process(silence(500), contentType);
+    expect(detector.isSpeaking()).toBe(false);
+    detector.process(tone(1000));
+    expect(detector.isSpeaking()).toBe(true);
+    detector.process(silence(1000));
+    expect(detector.isSpeaking()).toBe(false);
+    expect(events).toEqual([
+      ['speechStart', 500],
+      ['speechEnd', 1500],
+    ]);
+  });
+
+  it('should ignore sounds shorter than minSpeechDuration', () => {
+    const detector = new VoiceActivityDetector({ minSpeechDuration: 200 });
+    const events = record(detector);
+    detector.process(tone(100), contentType);
+    detector.process(silence(500));
+    expect(events).toEqual([]);
+  });
+
+  it('should ignore sounds below the threshold', () => {
+    const detector = new VoiceActivityDetector({ threshold: -20 });
+    const events = record(detector);
+    // about -29 dBFS
+    detector.process(tone(1000, 0.05), contentType);
+    expect(events).toEqual([]);
+  });
+
+  it('should not end speech during short pauses', () => {
+    const detector = new VoiceActivityDetector({ speechEndSilence: 500 });
+    const events = record(detector);
+    detector.process(tone(500), contentType);
+    detector.process(silence(300));
+    detector.process(tone(500));
+    detector.process(silence(600));
+    expect(events).toEqual([
+      ['speechStart', 0],
+      ['speechEnd', 1300],
+    ]);
+  });
+
+  it('should report trailing silence once', () => {
+    const detector = new VoiceActivityDetector({ stopAfterSilence: 1000 });
+    const events = record(detector);
+    // leading silence doesn't count
+    detector.process(silence(2000), contentType);
+    detector.process(tone(500));
+    detector.process(silence(3000));
+    expect(events).toEqual([
+      ['speechStart', 2000],
+      ['speechEnd', 2500],
+      ['silence', 3500],
+    ]);
+  });
+
+  it('should handle chunks that split samples and frames', () => {
+    const detector = new VoiceActivityDetector();
+    const events = record(detector);
+    const audio = Buffer.concat([silence(500), tone(500), silence(1000)]);
+    for (let i = 0; i < audio.length; i += 333) {
+      detector.process(audio.slice(i, i + 333), contentType);
+    }
+    expect(events).toEqual([
+      ['speechStart', 500],
+      ['speechEnd', 1000],
+    ]);
+  });
+
+  it('should read the format from a wav header', () => {
+    const data = Buffer.alloc(8000 * 2);
+    for (let i = 0; i < 8000; i++) {
+      data.writeInt16LE(Math.round(Math.sin((2 * Math.PI * 440 * i) / 8000) * 16000), i * 2);
+    }
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(8000, 24);
+    header.writeUInt32LE(16000, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(data.length, 40);
+
+    const detector = new VoiceActivityDetector();
+    const events = record(detector);
+    detector.process(Buffer.concat([header, data]), 'audio/wav');
+    expect(events).toEqual([['speechStart', 0]]);
+  });
+
+  it('should disable itself for compressed audio', () => {
+    const detector = new VoiceActivityDetector();
+    const events = record(detector);
+    const unsupported = jest.fn();
+    detector.on('unsupported', unsupported);
+    detector.process(tone(1000), 'audio/ogg');
+    detector.process(tone(1000), 'audio/ogg');
+    expect(events).toEqual([]);
+    expect(unsupported).toHaveBeenCalledTimes(1);
+    expect(unsupported).toHaveBeenCalledWith('audio/ogg');
+  });
+});
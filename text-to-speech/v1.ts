@@ -3,7 +3,20 @@ import { OutgoingHttpHeaders } from 'http';
 import { UserOptions } from 'ibm-cloud-sdk-core';
 import isStream = require('isstream');
 import { Readable } from 'stream';
+import AudioContainerStream = require('../lib/audio-container-stream');
 import { getSdkHeaders } from '../lib/common';
+import IncrementalSynthesizeStream = require('../lib/incremental-synthesize-stream');
+import LongSynthesizeStream = require('../lib/long-synthesize-stream');
+import {
+  diffWords,
+  formatWordsDiff,
+  JsonDictionary,
+  loadDictionary,
+  parseDictionary,
+  WordsDiff
+} from '../lib/pronunciation-dictionary';
+import SsmlBuilder = require('../lib/ssml-builder');
+import { SsmlIssue, validateSsml } from '../lib/ssml-validator';
 import SynthesizeStream = require('../lib/synthesize-stream');
 import GeneratedTextToSpeechV1 = require('./v1-generated');
 
@@ -15,6 +28,7 @@ class TextToSpeechV1 extends GeneratedTextToSpeechV1 {
   /**
    * Repair the WAV header of an audio/wav file in Stream format.
    * The Stream is read into memory, then the data is repaired and returned as a Buffer.
+   * For long audio, pipe it through createContainerStream() instead.
    *
    * @param {Buffer} wavFileAsStream - wave audio as a stream
    * @return {Buffer} wavFileData - a Buffer with the correct header
@@ -100,6 +114,21 @@ class TextToSpeechV1 extends GeneratedTextToSpeechV1 {
     return wavFileData;
   };
 
+  /**
+   * Creates a Transform stream that turns synthesized audio into a streamable file without holding it in memory: wav
+   * audio gets a header with "unknown" sizes, and headerless `audio/l16`, `audio/mulaw` and `audio/alaw` audio is
+   * wrapped in a wav or AU container. When piped into a file, the header is rewritten with the real sizes at the end:
+   * `res.result.pipe(textToSpeech.createContainerStream({ contentType: 'audio/l16;rate=22050' })).pipe(fs.createWriteStream('out.wav'))`
+   *
+   * @param {AudioContainerStream.Options} options
+   * @param {string} options.contentType - The MIME type of the synthesized audio, i.e. the `accept` parameter
+   * @param {string} [options.container] - The container for headerless audio, either `wav` or `au` (default='wav')
+   * @return {AudioContainerStream}
+   */
+  createContainerStream(options: AudioContainerStream.Options): AudioContainerStream {
+    return new AudioContainerStream(options);
+  }
+
   /**
    * Use the synthesize function with a readable stream over websockets
    *
@@ -118,7 +147,11 @@ class TextToSpeechV1 extends GeneratedTextToSpeechV1 {
         // let httpsAgent take precedence, default to null
         agent: this.baseOptions.httpsAgent || this.baseOptions.httpAgent || null,
         // allow user to disable ssl verification when using websockets
-        disableSslVerification: this.baseOptions.disableSslVerification
+        disableSslVerification: this.baseOptions.disableSslVerification,
+        // the interceptors of the client see the handshake
+        interceptors: this.interceptors,
+        tracer: this.tracer,
+        recorder: this.recorder
       }
     );
 
@@ -133,6 +166,164 @@ class TextToSpeechV1 extends GeneratedTextToSpeechV1 {
 
     return new SynthesizeStream(streamParams);
   }
+
+  /**
+   * Synthesize text while it is still being written, for example as a chatbot response is generated. Write text to
+   * the returned Duplex stream and read the audio from it: each sentence is synthesized as soon as it is complete,
+   * over a small pool of websocket connections, and the audio is emitted in order as one stream.
+   *
+   * Supported formats are the same as for synthesizeLong(): Ogg (the default), wav, mp3 and the headerless
+   * `audio/l16`, `audio/mulaw` and `audio/alaw`.
+   *
+   * @param {Object} params - the parameters of synthesizeUsingWebSocket(), without `text`
+   * @param {number} [params.poolSize] - The maximum number of connections to use at a time (default=2)
+   * @param {number} [params.maxSegmentLength] - Sentences longer than this many characters are split at a space (default=1000)
+   * @return {IncrementalSynthesizeStream}
+   */
+  synthesizeIncrementallyUsingWebSocket(
+    params: TextToSpeechV1.SynthesizeIncrementallyWebSocketParams
+  ): IncrementalSynthesizeStream {
+    const streamParams: IncrementalSynthesizeStream.Options = extend(
+      params,
+      {},
+      {
+        // pass the Authenticator to the stream, which passes it on to each of its connections
+        authenticator: this.getAuthenticator(),
+        serviceUrl: this.baseOptions.serviceUrl,
+        // if the user configured a custom https client, use it in the websocket method
+        // let httpsAgent take precedence, default to null
+        agent: this.baseOptions.httpsAgent || this.baseOptions.httpAgent || null,
+        // allow user to disable ssl verification when using websockets
+        disableSslVerification: this.baseOptions.disableSslVerification,
+        // the interceptors of the client see the handshake
+        interceptors: this.interceptors,
+        tracer: this.tracer,
+        recorder: this.recorder
+      }
+    );
+
+    // include analytics headers
+    const sdkHeaders = getSdkHeaders('text_to_speech', 'v1', 'synthesizeIncrementallyUsingWebSocket');
+
+    streamParams.headers = extend(
+      true,
+      sdkHeaders,
+      streamParams.headers
+    );
+
+    return new IncrementalSynthesizeStream(streamParams);
+  }
+
+  /**
+   * Synthesize text of any length, such as the chapter of a book, into one audio stream. The text is split into chunks
+   * below the size limit of the service, at the end of a sentence or paragraph where possible; SSML elements that span
+   * a split are closed and reopened so that each chunk is valid. The chunks are synthesized with up to `concurrency`
+   * requests at a time and joined in order into a single file.
+   *
+   * Supported formats are Ogg (the default), wav, mp3 and the headerless `audio/l16`, `audio/mulaw` and `audio/alaw`.
+   * wav output gets a header with "unknown" sizes, see createContainerStream().
+   *
+   * @param {Object} params - the parameters of synthesize(), plus:
+   * @param {number} [params.maxChunkSize] - The maximum size of a chunk in bytes (default=4000)
+   * @param {number} [params.concurrency] - The maximum number of chunks to synthesize at a time (default=3)
+   * @return {Readable}
+   */
+  synthesizeLong(params: TextToSpeechV1.SynthesizeLongParams): Readable {
+    const { maxChunkSize, concurrency, ...synthesizeParams } = params;
+    const accept = params.accept || 'audio/ogg;codecs=opus';
+    const stream = new LongSynthesizeStream({
+      text: params.text,
+      contentType: accept,
+      maxChunkSize,
+      concurrency,
+      synthesize: text =>
+        this.synthesize(extend({}, synthesizeParams, { text, accept })).then(res => res.result as NodeJS.ReadableStream),
+    });
+    if (!/^audio\/(wav|wave|x-wav)\b/.test(accept)) {
+      return stream;
+    }
+    const container = new AudioContainerStream({ contentType: accept });
+    stream.on('error', err => container.emit('error', err));
+    return stream.pipe(container);
+  }
+
+  /**
+   * Creates a builder for SSML text, which escapes text and attribute values:
+   * `textToSpeech.createSsmlBuilder().text('Call ').sayAs({ interpretAs: 'digits' }, '911').toString()`
+   *
+   * @param {SsmlBuilder.Options} [options]
+   * @param {string} [options.lang] - The `xml:lang` of the `<speak>` element
+   * @return {SsmlBuilder}
+   */
+  createSsmlBuilder(options?: SsmlBuilder.Options): SsmlBuilder {
+    return new SsmlBuilder(options);
+  }
+
+  /**
+   * Checks SSML locally for mistakes that the service would reject, such as unsupported elements, attributes or values,
+   * unbalanced tags, and features that the voice doesn't support. A voice name is looked up with getVoice(); pass a
+   * voice from listVoices() instead to check many texts without extra requests.
+   *
+   * @param {Object} params
+   * @param {string} params.text - The SSML to check, for synthesize() or for the `translation` of a word
+   * @param {string|Object} [params.voice] - The name of the voice, or the voice as returned by getVoice() or listVoices()
+   * @param {boolean} [params.translation] - Check the translation of a word in a custom model, which allows only a `<phoneme>` element (default=false)
+   * @return {Promise<SsmlIssue[]>} - the problems that were found, or an empty list
+   */
+  async validateSsml(params: TextToSpeechV1.ValidateSsmlParams): Promise<SsmlIssue[]> {
+    let voice = params.voice;
+    if (typeof voice === 'string') {
+      voice = (await this.getVoice({ voice })).result;
+    }
+    return validateSsml(params.text, { voice, translation: params.translation });
+  }
+
+  /**
+   * Brings the words of a custom model in line with a local dictionary, such as a lexicon kept in source control. The
+   * dictionary is compared with listWords(), and only the difference is applied: new and changed words with a single
+   * addWords() request, and words that aren't in the dictionary with deleteWord(). The translations are checked with
+   * validateSsml() first, so that a bad entry fails before anything is changed.
+   *
+   * @param {Object} params
+   * @param {string} params.customizationId - The customization ID (GUID) of the custom model
+   * @param {string|Object} params.dictionary - The path of a PLS lexicon or JSON file, or the dictionary as JSON: a list of words, `{ words: [...] }` or `{ word: translation }`
+   * @param {boolean} [params.dryRun] - Only compute the changes, without applying them (default=false)
+   * @param {boolean} [params.deleteMissing] - Delete the words of the model that aren't in the dictionary (default=true)
+   * @param {OutgoingHttpHeaders} [params.headers] - Custom request headers
+   * @return {Promise<SyncWordsResult>} - the changes, with a `summary` line for each
+   */
+  async syncWords(params: TextToSpeechV1.SyncWordsParams): Promise<TextToSpeechV1.SyncWordsResult> {
+    const { customizationId, headers } = params;
+    const words =
+      typeof params.dictionary === 'string'
+        ? await loadDictionary(params.dictionary)
+        : parseDictionary(params.dictionary);
+
+    const invalid = words
+      .map(word => ({ word, issues: validateSsml(word.translation, { translation: true }) }))
+      .filter(entry => entry.issues.length);
+    if (invalid.length) {
+      const details = invalid.map(entry => `${entry.word.word}: ${entry.issues[0].message}`).join('; ');
+      throw new Error(`Invalid translations in the dictionary: ${details}`);
+    }
+
+    const remote = (await this.listWords({ customizationId, headers })).result.words;
+    const diff = diffWords(words, remote);
+    if (params.deleteMissing === false) {
+      diff.delete = [];
+    }
+
+    if (!params.dryRun) {
+      const changed = diff.add.concat(diff.update.map(change => change.to));
+      if (changed.length) {
+        await this.addWords({ customizationId, words: changed, headers });
+      }
+      for (const word of diff.delete) {
+        await this.deleteWord({ customizationId, word: word.word, headers });
+      }
+    }
+    return extend(diff, { dryRun: !!params.dryRun, summary: formatWordsDiff(diff) });
+  }
 }
 
 namespace TextToSpeechV1 {
@@ -152,6 +343,36 @@ namespace TextToSpeechV1 {
     xWatsonLearningOptOut?: boolean;
     xWatsonMetadata?: string;
   }
+
+  export interface SynthesizeIncrementallyWebSocketParams extends Omit<SynthesizeWebSocketParams, 'text'> {
+    poolSize?: number;
+    maxSegmentLength?: number;
+  }
+
+  export interface SynthesizeLongParams extends GeneratedTextToSpeechV1.SynthesizeParams {
+    maxChunkSize?: number;
+    concurrency?: number;
+  }
+
+  export interface ValidateSsmlParams {
+    text: string;
+    voice?: string | GeneratedTextToSpeechV1.Voice;
+    translation?: boolean;
+  }
+
+  export interface SyncWordsParams {
+    customizationId: string;
+    dictionary: string | JsonDictionary;
+    dryRun?: boolean;
+    deleteMissing?: boolean;
+    headers?: OutgoingHttpHeaders;
+  }
+
+  export interface SyncWordsResult extends WordsDiff {
+    dryRun: boolean;
+    /** a line per change: `+ word: translation`, `~ word: old -> new` or `- word` */
+    summary: string;
+  }
 }
 
 export = TextToSpeechV1;
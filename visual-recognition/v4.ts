@@ -21,8 +21,9 @@
 
 import * as extend from 'extend';
 import { IncomingHttpHeaders, OutgoingHttpHeaders } from 'http';
-import { Authenticator, BaseService, getAuthenticatorFromEnvironment, getMissingParams, UserOptions } from 'ibm-cloud-sdk-core';
+import { Authenticator, getAuthenticatorFromEnvironment, getMissingParams, UserOptions } from 'ibm-cloud-sdk-core';
 import { FileWithMetadata } from 'ibm-cloud-sdk-core';
+import BaseService = require('../lib/base-service');
 import { getSdkHeaders } from '../lib/common';
 
 /**